@@ -0,0 +1,10 @@
+// Copies the pdf.js worker from the installed pdfjs-dist into public/, so the app serves
+// the worker that matches the pdf.js version it was built with. Runs before start and build.
+const fs = require('fs')
+const path = require('path')
+
+const source = require.resolve('pdfjs-dist/build/pdf.worker.min.js')
+const target = path.join(__dirname, '..', 'public', 'pdf.worker.min.js')
+
+fs.copyFileSync(source, target)
+console.log(`Copied the pdf.js worker to ${path.relative(process.cwd(), target)}`)
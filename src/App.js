@@ -6,6 +6,8 @@ import Upload from './pages/Upload'
 import Resume from './pages/Resume'
 import Insights from './pages/Insights'
 import Submissions from './pages/Submissions'
+import Compare from './pages/Compare'
+import JobDescriptions from './pages/JobDescriptions'
 import './App.css'
 
 // Protected Route Component
@@ -86,8 +88,9 @@ function App() {
             } 
           />
           
+          {/* Optional tab: cover-letter, interview */}
           <Route 
-            path="/resume/:id" 
+            path="/resume/:id/:tab?" 
             element={
               <ProtectedRoute>
                 <Resume />
@@ -113,6 +116,24 @@ function App() {
             } 
           />
 
+          <Route 
+            path="/compare" 
+            element={
+              <ProtectedRoute>
+                <Compare />
+              </ProtectedRoute>
+            } 
+          />
+
+          <Route 
+            path="/job-descriptions" 
+            element={
+              <ProtectedRoute>
+                <JobDescriptions />
+              </ProtectedRoute>
+            } 
+          />
+
           {/* Catch all route - redirect to home */}
           <Route path="*" element={<Navigate to="/" replace />} />
         </Routes>
@@ -1,7 +1,9 @@
 import ScoreGauge from './ScoreGauge'
 import ScoreBadge from './ScoreBadge'
+import LocalATSBreakdown from './LocalATSBreakdown'
+import { SUGGESTION_SORTS, getSuggestionItems, isAtsSuggestion } from '../utils/suggestions'
 
-const ATS = ({ feedback }) => {
+const ATS = ({ feedback, localReport, suggestionStates }) => {
   if (!feedback) {
     return (
       <div className="bg-white rounded-lg shadow-md p-6">
@@ -20,12 +22,15 @@ const ATS = ({ feedback }) => {
     )
   }
 
-  const { ats_score, suggestions = [] } = feedback
-  const atsSpecificSuggestions = suggestions.filter(s => 
-    s.category === 'keywords' || 
-    s.category === 'formatting' || 
-    s.tip.toLowerCase().includes('ats')
-  )
+  const { ats_score, detailed_analysis } = feedback
+  const parsingIssues = detailed_analysis?.ats_compatibility?.parsing_issues || []
+  const formatRecommendations = detailed_analysis?.ats_compatibility?.format_recommendations || []
+  const atsSuggestions = getSuggestionItems(feedback, suggestionStates).filter(isAtsSuggestion)
+  // Tips already marked done or dismissed in Suggestions are only counted here
+  const atsSpecificSuggestions = atsSuggestions
+    .filter(suggestion => suggestion.status === 'open')
+    .sort(SUGGESTION_SORTS.priority)
+  const resolvedCount = atsSuggestions.length - atsSpecificSuggestions.length
 
   return (
     <div className="bg-white rounded-lg shadow-md p-6">
@@ -40,19 +45,89 @@ const ATS = ({ feedback }) => {
         </p>
       </div>
 
-      {/* ATS Score Display */}
-      <div className="flex flex-col items-center mb-8">
-        <div className="mb-4">
-          <ScoreGauge score={ats_score} />
-        </div>
-        <div className="text-center">
-          <div className="text-3xl font-bold text-gray-900 mb-2">
-            ATS Score
+      {/* ATS Score Display: AI opinion next to the reproducible rule-based score */}
+      <div className={`grid gap-8 mb-8 ${localReport ? 'md:grid-cols-2' : ''}`}>
+        <div className="flex flex-col items-center">
+          <div className="mb-4">
+            <ScoreGauge score={ats_score} />
+          </div>
+          <div className="text-center">
+            <div className="text-3xl font-bold text-gray-900 mb-2">
+              {localReport ? 'AI ATS Score' : 'ATS Score'}
+            </div>
+            <ScoreBadge score={ats_score} />
           </div>
-          <ScoreBadge score={ats_score} />
         </div>
+
+        {localReport && (
+          <div className="flex flex-col items-center">
+            <div className="mb-4">
+              <ScoreGauge score={localReport.score} />
+            </div>
+            <div className="text-center">
+              <div className="text-3xl font-bold text-gray-900 mb-2">
+                Rule-based Score
+              </div>
+              <ScoreBadge score={localReport.score} />
+              <p className="text-xs text-gray-500 mt-2">
+                Computed on your device from fixed rules. Same resume, same score.
+              </p>
+            </div>
+          </div>
+        )}
       </div>
 
+      {/* Rule-based Breakdown */}
+      {localReport && (
+        <div className="mb-8">
+          <h3 className="text-lg font-semibold text-gray-900 mb-4">
+            Rule-by-rule Breakdown
+          </h3>
+          <LocalATSBreakdown report={localReport} />
+        </div>
+      )}
+
+      {/* Parsing Issues reported by the AI */}
+      {(parsingIssues.length > 0 || formatRecommendations.length > 0) && (
+        <div className="grid md:grid-cols-2 gap-6 mb-8">
+          <div className="p-4 bg-red-50 rounded-lg border border-red-200">
+            <h3 className="font-semibold text-red-900 mb-2 flex items-center gap-2">
+              🧩 Parsing Issues
+            </h3>
+            {parsingIssues.length === 0 ? (
+              <p className="text-sm text-red-800">No parsing issues were found.</p>
+            ) : (
+              <ul className="space-y-2">
+                {parsingIssues.map((issue, index) => (
+                  <li key={index} className="flex items-start gap-2 text-sm text-red-800">
+                    <span className="mt-0.5">❌</span>
+                    <span>{issue}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          <div className="p-4 bg-green-50 rounded-lg border border-green-200">
+            <h3 className="font-semibold text-green-900 mb-2 flex items-center gap-2">
+              🛠️ Format Recommendations
+            </h3>
+            {formatRecommendations.length === 0 ? (
+              <p className="text-sm text-green-800">No format changes recommended.</p>
+            ) : (
+              <ul className="space-y-2">
+                {formatRecommendations.map((recommendation, index) => (
+                  <li key={index} className="flex items-start gap-2 text-sm text-green-800">
+                    <span className="mt-0.5">→</span>
+                    <span>{recommendation}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      )}
+
       {/* ATS-Specific Information */}
       <div className="grid md:grid-cols-2 gap-6 mb-8">
         <div className="bg-blue-50 p-4 rounded-lg">
@@ -101,14 +176,26 @@ const ATS = ({ feedback }) => {
       </div>
 
       {/* ATS-Specific Suggestions */}
-      {atsSpecificSuggestions.length > 0 && (
+      {atsSuggestions.length > 0 && (
         <div className="border-t border-gray-200 pt-6">
-          <h3 className="text-lg font-semibold text-gray-900 mb-4">
-            ATS Optimization Tips
-          </h3>
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-semibold text-gray-900">
+              ATS Optimization Tips
+            </h3>
+            <a href="#suggestions" className="text-sm text-blue-600 hover:text-blue-500 underline">
+              Track them in Suggestions
+            </a>
+          </div>
+          {resolvedCount > 0 && (
+            <p className="text-sm text-gray-500 mb-4">
+              {atsSpecificSuggestions.length === 0
+                ? 'All ATS tips are marked done or dismissed.'
+                : `${resolvedCount} more ${resolvedCount === 1 ? 'tip is' : 'tips are'} marked done or dismissed.`}
+            </p>
+          )}
           <div className="space-y-4">
             {atsSpecificSuggestions.map((suggestion, index) => (
-              <div key={index} className="bg-gray-50 p-4 rounded-lg">
+              <div key={suggestion.key} className="bg-gray-50 p-4 rounded-lg">
                 <div className="flex items-start gap-3">
                   <div className="bg-blue-100 text-blue-600 rounded-full p-2 text-sm font-bold min-w-[32px] h-8 flex items-center justify-center">
                     {index + 1}
@@ -120,11 +207,14 @@ const ATS = ({ feedback }) => {
                     <p className="text-sm text-gray-600">
                       {suggestion.explanation}
                     </p>
-                    {suggestion.category && (
-                      <span className="inline-block mt-2 px-2 py-1 bg-blue-100 text-blue-700 text-xs rounded capitalize">
+                    <div className="flex flex-wrap gap-2 mt-2">
+                      <span className="px-2 py-1 bg-blue-100 text-blue-700 text-xs rounded capitalize">
                         {suggestion.category}
                       </span>
-                    )}
+                      <span className="px-2 py-1 bg-gray-200 text-gray-700 text-xs rounded capitalize">
+                        {suggestion.priority} priority
+                      </span>
+                    </div>
                   </div>
                 </div>
               </div>
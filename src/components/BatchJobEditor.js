@@ -0,0 +1,106 @@
+import { Plus, Trash2 } from 'lucide-react'
+import JobDescriptionPicker from './JobDescriptionPicker'
+
+export const createEmptyJob = () => ({
+  key: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+  companyName: '',
+  jobTitle: '',
+  jobDescription: '',
+  jobDescriptionId: null
+})
+
+// Editable list of job targets for a batch analysis
+const BatchJobEditor = ({ jobs, onChange, maxJobs, errors = {} }) => {
+  const updateJob = (key, field, value) => {
+    onChange(jobs.map(job => {
+      if (job.key !== key) return job
+      // An edited description no longer matches its library entry
+      return field === 'jobDescription' ? { ...job, jobDescription: value, jobDescriptionId: null } : { ...job, [field]: value }
+    }))
+  }
+
+  const addFromLibrary = (jobDescription) => {
+    const job = {
+      ...createEmptyJob(),
+      companyName: jobDescription.company_name,
+      jobTitle: jobDescription.job_title,
+      jobDescription: jobDescription.description,
+      jobDescriptionId: jobDescription.id
+    }
+    // Fill the first job when it is still untouched
+    const [first, ...rest] = jobs
+    const firstIsEmpty = jobs.length === 1 && !first.companyName && !first.jobTitle && !first.jobDescription
+    onChange(firstIsEmpty ? [job, ...rest] : [...jobs, job])
+  }
+
+  const removeJob = (key) => {
+    onChange(jobs.filter(job => job.key !== key))
+  }
+
+  return (
+    <div className="space-y-4">
+      {jobs.map((job, index) => (
+        <div key={job.key} className="p-4 border border-gray-200 rounded-lg bg-white">
+          <div className="flex items-center justify-between mb-3">
+            <h4 className="text-sm font-semibold text-gray-900">
+              Job {index + 1}
+              {job.jobDescriptionId && <span className="ml-2 text-xs font-normal text-gray-500">from library</span>}
+            </h4>
+            {jobs.length > 1 && (
+              <button
+                type="button"
+                onClick={() => removeJob(job.key)}
+                className="p-1 text-gray-400 hover:text-red-500 transition-colors"
+                title="Remove job"
+              >
+                <Trash2 size={14} />
+              </button>
+            )}
+          </div>
+          <div className="grid sm:grid-cols-2 gap-3 mb-3">
+            <input
+              type="text"
+              value={job.companyName}
+              onChange={(e) => updateJob(job.key, 'companyName', e.target.value)}
+              maxLength={100}
+              placeholder="Company name"
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+            <input
+              type="text"
+              value={job.jobTitle}
+              onChange={(e) => updateJob(job.key, 'jobTitle', e.target.value)}
+              maxLength={200}
+              placeholder="Job title"
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </div>
+          <textarea
+            value={job.jobDescription}
+            onChange={(e) => updateJob(job.key, 'jobDescription', e.target.value)}
+            rows={4}
+            placeholder="Paste the job description (at least 50 characters)"
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent resize-vertical"
+          />
+          {errors[job.key] && <p className="mt-1 text-xs text-red-600">{errors[job.key]}</p>}
+        </div>
+      ))}
+
+      {jobs.length < maxJobs && (
+        <JobDescriptionPicker onSelect={addFromLibrary} label="Add a job from your library" />
+      )}
+
+      <button
+        type="button"
+        onClick={() => onChange([...jobs, createEmptyJob()])}
+        disabled={jobs.length >= maxJobs}
+        className="w-full flex items-center justify-center gap-2 py-2 border-2 border-dashed border-gray-300 rounded-lg text-sm text-gray-600 hover:border-gray-400 hover:text-gray-800 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+      >
+        <Plus size={14} />
+        {jobs.length >= maxJobs ? `Up to ${maxJobs} jobs per batch` : 'Add another job'}
+      </button>
+    </div>
+  )
+}
+
+export default BatchJobEditor
@@ -0,0 +1,155 @@
+import { Link } from 'react-router-dom'
+import { Loader2 } from 'lucide-react'
+import { cn, formatRelativeTime } from '../utils/utils'
+import ScoreBadge from './ScoreBadge'
+
+const STATUS_STYLES = {
+  queued: { label: 'Queued', className: "bg-gray-100 text-gray-600" },
+  analyzing: { label: 'Analyzing', className: "bg-blue-100 text-blue-700" },
+  saving: { label: 'Saving', className: "bg-blue-100 text-blue-700" },
+  done: { label: 'Done', className: "bg-green-100 text-green-700" },
+  unsaved: { label: 'Not saved', className: "bg-red-100 text-red-700" },
+  failed: { label: 'Failed', className: "bg-red-100 text-red-700" },
+  cancelled: { label: 'Cancelled', className: "bg-yellow-100 text-yellow-700" }
+}
+
+const scoreColor = (score) => score > 70 ? "text-green-600" : score > 49 ? "text-yellow-600" : "text-red-600"
+
+// Per-job progress of a batch analysis and, once jobs finish, a ranking by fit
+const BatchResults = ({ jobs, running, statusText, onCancel, onReset }) => {
+  const finished = jobs.filter(job => ['done', 'unsaved', 'failed', 'cancelled'].includes(job.status)).length
+  const ranked = jobs
+    .filter(job => ['done', 'unsaved'].includes(job.status) && job.feedback)
+    .sort((a, b) =>
+      (b.feedback.overall_score ?? 0) - (a.feedback.overall_score ?? 0) ||
+      (b.feedback.ats_score ?? 0) - (a.feedback.ats_score ?? 0)
+    )
+
+  return (
+    <div className="space-y-6">
+      {/* Progress */}
+      <div className="bg-white rounded-lg shadow-md p-6">
+        <div className="flex items-center justify-between mb-2">
+          <h2 className="text-lg font-semibold text-gray-900">
+            {running ? 'Batch in progress' : 'Batch complete'}
+          </h2>
+          <span className="text-sm text-gray-600">{finished} of {jobs.length} finished</span>
+        </div>
+        <div className="w-full bg-gray-200 rounded-full h-2 mb-2">
+          <div
+            className="h-2 rounded-full bg-blue-500 transition-all duration-500"
+            style={{ width: `${jobs.length ? (finished / jobs.length) * 100 : 0}%` }}
+          ></div>
+        </div>
+        {statusText && <p className="text-sm text-gray-600 mb-4">{statusText}</p>}
+
+        <ul className="divide-y divide-gray-100">
+          {jobs.map((job, index) => {
+            const style = STATUS_STYLES[job.status] || STATUS_STYLES.queued
+            return (
+              <li key={job.key} className="flex items-center gap-3 py-2 text-sm">
+                <span className="w-6 text-gray-400">{index + 1}.</span>
+                <span className="flex-1 min-w-0 text-gray-800">
+                  <span className="block truncate">{job.jobTitle} at {job.companyName}</span>
+                  {job.error && ['failed', 'unsaved'].includes(job.status) && (
+                    <span className="block text-xs text-red-600">
+                      {job.status === 'unsaved' ? `Analyzed, but not saved: ${job.error}` : job.error}
+                    </span>
+                  )}
+                </span>
+                {(job.status === 'analyzing' || job.status === 'saving') && (
+                  <Loader2 size={14} className="animate-spin text-blue-500" />
+                )}
+                {job.cacheHit && (
+                  <span
+                    className="px-2 py-0.5 rounded text-xs font-medium bg-gray-100 text-gray-600"
+                    title={`Reused the analysis from ${formatRelativeTime(job.cacheHit.cached_at)}`}
+                  >
+                    Cached
+                  </span>
+                )}
+                <span className={cn("px-2 py-0.5 rounded text-xs font-medium", style.className)}>
+                  {style.label}
+                </span>
+              </li>
+            )
+          })}
+        </ul>
+
+        <div className="mt-4 text-center">
+          {running ? (
+            <button
+              type="button"
+              onClick={onCancel}
+              className="text-sm text-blue-600 hover:text-blue-500 underline"
+            >
+              Cancel remaining jobs
+            </button>
+          ) : (
+            <button type="button" onClick={onReset} className="primary-button text-sm">
+              Start another analysis
+            </button>
+          )}
+        </div>
+      </div>
+
+      {/* Ranking */}
+      {ranked.length > 0 && (
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-1">Best fit</h2>
+          <p className="text-sm text-gray-600 mb-4">
+            Roles ranked by overall score, then ATS score.
+          </p>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 border-b border-gray-200">
+                  <th className="py-2 pr-2 font-medium">#</th>
+                  <th className="py-2 pr-2 font-medium">Role</th>
+                  <th className="py-2 pr-2 font-medium text-center">Overall</th>
+                  <th className="py-2 pr-2 font-medium text-center">ATS</th>
+                  <th className="py-2 pr-2 font-medium text-center">Missing keywords</th>
+                  <th className="py-2 font-medium"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {ranked.map((job, index) => (
+                  <tr key={job.key} className="border-b border-gray-100 last:border-0">
+                    <td className="py-2 pr-2 text-gray-500">{index + 1}</td>
+                    <td className="py-2 pr-2">
+                      <div className="font-medium text-gray-900">{job.jobTitle}</div>
+                      <div className="text-xs text-gray-500">{job.companyName}</div>
+                    </td>
+                    <td className="py-2 pr-2 text-center">
+                      <span className={cn("font-bold mr-2", scoreColor(job.feedback.overall_score))}>
+                        {job.feedback.overall_score}
+                      </span>
+                      <ScoreBadge score={job.feedback.overall_score} />
+                    </td>
+                    <td className={cn("py-2 pr-2 text-center font-bold", scoreColor(job.feedback.ats_score))}>
+                      {job.feedback.ats_score}
+                    </td>
+                    <td className="py-2 pr-2 text-center text-gray-700">
+                      {job.feedback.categories?.keywords?.missing_keywords?.length ?? '–'}
+                    </td>
+                    <td className="py-2 text-right">
+                      {job.resumeId ? (
+                        <Link to={`/resume/${job.resumeId}`} className="text-blue-600 hover:text-blue-500 underline">
+                          View
+                        </Link>
+                      ) : (
+                        <span className="text-xs text-red-600">Not saved</span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default BatchResults
@@ -0,0 +1,255 @@
+import { useEffect, useMemo, useRef, useState } from 'react'
+import { Check, Copy, Download, Loader2, Wand2 } from 'lucide-react'
+import { resumeService } from '../lib/supabase'
+import { MAX_REWRITE_BULLETS, rewriteBullets } from '../services/bulletRewriter'
+import { applyAcceptedRewrites, getRewritableRoles } from '../utils/bulletRewrites'
+import { cn, copyToClipboard, downloadFile } from '../utils/utils'
+
+const RewriteOptions = ({ rewrite, onAccept, onReject, onReset }) => {
+  if (rewrite.status === 'rejected') {
+    return (
+      <div className="mt-2 ml-6 flex items-center gap-3 text-xs text-gray-500">
+        Rewrites rejected, keeping the original.
+        <button type="button" onClick={onReset} className="text-blue-600 underline">Show them again</button>
+      </div>
+    )
+  }
+
+  return (
+    <div className="mt-2 ml-6 space-y-2">
+      {rewrite.variants.map((variant, index) => {
+        const accepted = rewrite.status === 'accepted' && rewrite.accepted === index
+        if (rewrite.status === 'accepted' && !accepted) return null
+        return (
+          <div
+            key={index}
+            className={cn(
+              "p-3 rounded-lg border text-sm",
+              accepted ? "bg-green-50 border-green-300" : "bg-blue-50 border-blue-100"
+            )}
+          >
+            <p className="text-gray-900">{variant.text}</p>
+            {variant.rationale && <p className="mt-1 text-xs text-gray-600">{variant.rationale}</p>}
+            {variant.keywords.length > 0 && (
+              <div className="flex flex-wrap gap-1 mt-2">
+                {variant.keywords.map(keyword => (
+                  <span key={keyword} className="px-1.5 py-0.5 bg-white text-blue-700 border border-blue-200 rounded text-xs">{keyword}</span>
+                ))}
+              </div>
+            )}
+            <div className="flex gap-2 mt-2 text-xs">
+              {accepted ? (
+                <button
+                  type="button"
+                  onClick={onReset}
+                  className="px-3 py-1 border border-gray-300 text-gray-700 rounded hover:bg-gray-50 transition-colors"
+                >
+                  Undo
+                </button>
+              ) : (
+                <button
+                  type="button"
+                  onClick={() => onAccept(index)}
+                  className="px-3 py-1 bg-green-500 text-white rounded hover:bg-green-600 transition-colors"
+                >
+                  ✓ Accept
+                </button>
+              )}
+            </div>
+          </div>
+        )
+      })}
+      {rewrite.status === 'pending' && (
+        <button
+          type="button"
+          onClick={onReject}
+          className="px-3 py-1 border border-gray-300 text-gray-700 rounded text-xs hover:bg-gray-50 transition-colors"
+        >
+          Reject all, keep original
+        </button>
+      )}
+    </div>
+  )
+}
+
+// AI rewrites of experience bullets, accepted one by one into an improved copy of the resume text
+const BulletRewriter = ({ resumeId, parsedResume, resumeText, job, initialRewrites }) => {
+  const [rewrites, setRewrites] = useState(initialRewrites || {})
+  const [selected, setSelected] = useState([])
+  const [running, setRunning] = useState(false)
+  const [error, setError] = useState(null)
+  const [copied, setCopied] = useState(false)
+  const controllerRef = useRef(null)
+
+  useEffect(() => () => controllerRef.current?.abort(), [])
+
+  const roles = useMemo(() => getRewritableRoles(parsedResume), [parsedResume])
+  const improved = useMemo(() => applyAcceptedRewrites(resumeText, rewrites), [resumeText, rewrites])
+
+  if (roles.length === 0) return null
+
+  const bulletsById = Object.fromEntries(roles.flatMap(role => role.bullets).map(bullet => [bullet.id, bullet]))
+  const acceptedCount = Object.values(rewrites).filter(rewrite => rewrite.status === 'accepted').length
+
+  const save = async (next) => {
+    const previous = rewrites
+    setRewrites(next)
+    setError(null)
+    try {
+      await resumeService.updateBulletRewrites(resumeId, next)
+    } catch (err) {
+      console.error('Failed to save bullet rewrites:', err)
+      setRewrites(previous)
+      setError('Could not save your change. Please try again.')
+    }
+  }
+
+  const updateRewrite = (id, patch) => save({ ...rewrites, [id]: { ...rewrites[id], ...patch } })
+
+  const toggleSelected = (id) => {
+    setSelected(prev => prev.includes(id) ? prev.filter(value => value !== id) : [...prev, id])
+  }
+
+  const handleRewrite = async () => {
+    controllerRef.current = new AbortController()
+    setRunning(true)
+    setError(null)
+    try {
+      const bullets = selected.map(id => bulletsById[id]).filter(Boolean)
+      const result = await rewriteBullets(bullets, job, { signal: controllerRef.current.signal })
+      const next = { ...rewrites }
+      Object.entries(result).forEach(([id, variants]) => {
+        next[id] = { original: bulletsById[id].text, variants, status: 'pending', accepted: null }
+      })
+      setSelected(prev => prev.filter(id => !result[id]))
+      await save(next)
+    } catch (err) {
+      if (err.name === 'AbortError') return
+      console.error('Bullet rewrite failed:', err)
+      setError(`Rewrite failed: ${err.message || 'Please try again.'}`)
+    } finally {
+      setRunning(false)
+    }
+  }
+
+  const exportText = improved.unmatched.length
+    ? `${improved.text}\n\nRewritten bullets to place manually:\n${improved.unmatched.map(item => `- ${item.text}`).join('\n')}`
+    : improved.text
+
+  const handleCopy = async () => {
+    if (await copyToClipboard(exportText)) {
+      setCopied(true)
+      setTimeout(() => setCopied(false), 2000)
+    }
+  }
+
+  return (
+    <div id="rewrites" className="bg-white rounded-lg shadow-md p-6">
+      {/* Header */}
+      <div className="text-center mb-6">
+        <h2 className="text-2xl font-bold text-gray-900 mb-2">
+          Bullet Rewriter
+        </h2>
+        <p className="text-gray-600 max-w-2xl mx-auto">
+          Pick up to {MAX_REWRITE_BULLETS} bullets and get quantified, keyword-aligned rewrites. Accepted rewrites
+          are collected into an improved copy of your resume text below.
+        </p>
+      </div>
+
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <span className="text-sm text-gray-600">
+          {selected.length} selected · {acceptedCount} accepted
+        </span>
+        <button
+          type="button"
+          onClick={handleRewrite}
+          disabled={running || selected.length === 0}
+          className="primary-button inline-flex items-center gap-2 text-sm disabled:opacity-50"
+        >
+          {running ? <Loader2 size={16} className="animate-spin" /> : <Wand2 size={16} />}
+          {running ? 'Rewriting...' : `Rewrite selected (${selected.length})`}
+        </button>
+      </div>
+
+      {error && <p className="mb-4 text-sm text-red-600">{error}</p>}
+
+      <div className="space-y-6">
+        {roles.map(role => (
+          <div key={role.label + role.bullets[0].id}>
+            <h3 className="font-semibold text-gray-900 mb-2">{role.label}</h3>
+            <ul className="space-y-3">
+              {role.bullets.map(bullet => {
+                const rewrite = rewrites[bullet.id]
+                const isSelected = selected.includes(bullet.id)
+                return (
+                  <li key={bullet.id}>
+                    <label className="flex items-start gap-2 text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={isSelected}
+                        onChange={() => toggleSelected(bullet.id)}
+                        disabled={running || (!isSelected && selected.length >= MAX_REWRITE_BULLETS)}
+                        className="mt-1"
+                      />
+                      <span className={cn(rewrite?.status === 'accepted' && "line-through text-gray-400")}>
+                        {bullet.text}
+                      </span>
+                    </label>
+                    {rewrite && (
+                      <RewriteOptions
+                        rewrite={rewrite}
+                        onAccept={(index) => updateRewrite(bullet.id, { status: 'accepted', accepted: index })}
+                        onReject={() => updateRewrite(bullet.id, { status: 'rejected', accepted: null })}
+                        onReset={() => updateRewrite(bullet.id, { status: 'pending', accepted: null })}
+                      />
+                    )}
+                  </li>
+                )
+              })}
+            </ul>
+          </div>
+        ))}
+      </div>
+
+      {acceptedCount > 0 && (
+        <div className="mt-8 border-t border-gray-200 pt-6">
+          <div className="flex flex-wrap items-center justify-between gap-3 mb-3">
+            <h3 className="font-semibold text-gray-900">Improved Resume Text</h3>
+            <div className="flex gap-2">
+              <button
+                type="button"
+                onClick={handleCopy}
+                className="flex items-center gap-1 text-xs px-2 py-1 border border-gray-300 rounded hover:bg-gray-50 transition-colors"
+              >
+                {copied ? <Check size={12} className="text-green-600" /> : <Copy size={12} />}
+                {copied ? 'Copied' : 'Copy'}
+              </button>
+              <button
+                type="button"
+                onClick={() => downloadFile(exportText, 'improved-resume.txt')}
+                className="flex items-center gap-1 text-xs px-2 py-1 border border-gray-300 rounded hover:bg-gray-50 transition-colors"
+              >
+                <Download size={12} />
+                Download .txt
+              </button>
+            </div>
+          </div>
+          {improved.unmatched.length > 0 && (
+            <p className="mb-2 text-xs text-yellow-700">
+              {improved.unmatched.length} accepted bullet(s) could not be located in the extracted text. They are
+              listed at the end so you can place them yourself.
+            </p>
+          )}
+          <textarea
+            readOnly
+            value={exportText}
+            rows={16}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm font-mono bg-gray-50"
+          />
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default BulletRewriter
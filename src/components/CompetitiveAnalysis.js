@@ -0,0 +1,58 @@
+// Market position, industry benchmarks and differentiation opportunities from competitive_analysis
+const CompetitiveAnalysis = ({ feedback }) => {
+  const competitive = feedback?.competitive_analysis
+  const opportunities = competitive?.differentiation_opportunities || []
+
+  if (!competitive?.market_position && !competitive?.industry_benchmarks && opportunities.length === 0) {
+    return null
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      {/* Header */}
+      <div className="text-center mb-6">
+        <h2 className="text-2xl font-bold text-gray-900 mb-2">
+          Competitive Analysis
+        </h2>
+        <p className="text-gray-600 max-w-2xl mx-auto">
+          How your resume compares with other candidates applying for similar roles.
+        </p>
+      </div>
+
+      <div className="grid md:grid-cols-2 gap-4 mb-6">
+        {competitive.market_position && (
+          <div className="p-4 bg-purple-50 rounded-lg border border-purple-200">
+            <h3 className="font-medium text-purple-900 mb-1">📊 Market Position</h3>
+            <p className="text-sm text-purple-700">{competitive.market_position}</p>
+          </div>
+        )}
+        {competitive.industry_benchmarks && (
+          <div className="p-4 bg-indigo-50 rounded-lg border border-indigo-200">
+            <h3 className="font-medium text-indigo-900 mb-1">📏 Industry Benchmarks</h3>
+            <p className="text-sm text-indigo-700">{competitive.industry_benchmarks}</p>
+          </div>
+        )}
+      </div>
+
+      {opportunities.length > 0 && (
+        <div>
+          <h3 className="font-semibold text-gray-900 mb-3">
+            🌟 Ways to Stand Out
+          </h3>
+          <div className="space-y-2">
+            {opportunities.map((opportunity, index) => (
+              <div key={index} className="flex items-start gap-3 p-3 bg-gray-50 rounded-lg text-sm text-gray-700">
+                <div className="bg-purple-100 text-purple-600 rounded-full text-xs font-bold min-w-[24px] h-6 flex items-center justify-center">
+                  {index + 1}
+                </div>
+                <span>{opportunity}</span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default CompetitiveAnalysis
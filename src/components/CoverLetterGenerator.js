@@ -0,0 +1,259 @@
+import { useEffect, useRef, useState } from 'react'
+import { Download, Loader2, RefreshCw, Trash2 } from 'lucide-react'
+import { useAuth } from '../hooks/useAuth'
+import { coverLetterService } from '../lib/supabase'
+import { COVER_LETTER_LENGTHS, COVER_LETTER_TONES, generateCoverLetter } from '../services/coverLetterGenerator'
+import { cn, downloadFile, formatRelativeTime } from '../utils/utils'
+
+const OptionGroup = ({ label, options, value, onChange, disabled }) => (
+  <div>
+    <span className="block text-sm font-medium text-gray-700 mb-2">{label}</span>
+    <div className="flex flex-wrap gap-2">
+      {Object.entries(options).map(([id, option]) => (
+        <button
+          key={id}
+          type="button"
+          onClick={() => onChange(id)}
+          disabled={disabled}
+          className={cn(
+            "px-3 py-1 rounded-full border text-sm transition-colors disabled:opacity-50",
+            value === id
+              ? "bg-blue-500 border-blue-500 text-white"
+              : "bg-white border-gray-300 text-gray-700 hover:bg-gray-50"
+          )}
+        >
+          {option.label}
+        </button>
+      ))}
+    </div>
+  </div>
+)
+
+const toFileName = (resume, extension) =>
+  `cover-letter-${[resume.company_name, resume.job_title].filter(Boolean).join('-')}`
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/-+$/, '') + `.${extension}`
+
+// Generates, edits and exports cover letters for one analyzed resume
+const CoverLetterGenerator = ({ resume, resumeText, feedback }) => {
+  const { user } = useAuth()
+  const [letters, setLetters] = useState([])
+  const [activeId, setActiveId] = useState(null)
+  const [draft, setDraft] = useState('')
+  const [tone, setTone] = useState('professional')
+  const [length, setLength] = useState('medium')
+  const [loading, setLoading] = useState(true)
+  const [generating, setGenerating] = useState(false)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState(null)
+  const controllerRef = useRef(null)
+
+  useEffect(() => {
+    let active = true
+    coverLetterService.getByResume(resume.id)
+      .then(data => {
+        if (!active) return
+        setLetters(data)
+        if (data[0]) {
+          setActiveId(data[0].id)
+          setDraft(data[0].content)
+        }
+      })
+      .catch(err => {
+        console.error('Failed to load cover letters:', err)
+        if (active) setError('Could not load your saved cover letters.')
+      })
+      .finally(() => {
+        if (active) setLoading(false)
+      })
+    return () => {
+      active = false
+      controllerRef.current?.abort()
+    }
+  }, [resume.id])
+
+  const activeLetter = letters.find(letter => letter.id === activeId) || null
+  const dirty = Boolean(activeLetter) && draft !== activeLetter.content
+
+  const confirmDiscard = () => !dirty || window.confirm('Discard your unsaved edits to this cover letter?')
+
+  const selectLetter = (letter) => {
+    if (letter.id === activeId || !confirmDiscard()) return
+    setActiveId(letter.id)
+    setDraft(letter.content)
+  }
+
+  const handleGenerate = async () => {
+    if (!resumeText) {
+      setError('The resume text is unavailable, so a cover letter cannot be generated.')
+      return
+    }
+    if (!confirmDiscard()) return
+
+    controllerRef.current = new AbortController()
+    setGenerating(true)
+    setError(null)
+    try {
+      const content = await generateCoverLetter({
+        resumeText,
+        jobTitle: resume.job_title,
+        companyName: resume.company_name,
+        jobDescription: resume.job_description,
+        strengths: feedback?.detailed_analysis?.strengths || [],
+        tone,
+        length
+      }, { signal: controllerRef.current.signal })
+
+      const created = await coverLetterService.create({
+        user_id: user.id,
+        resume_id: resume.id,
+        tone,
+        length,
+        content
+      })
+      setLetters(prev => [created, ...prev])
+      setActiveId(created.id)
+      setDraft(created.content)
+    } catch (err) {
+      if (err.name === 'AbortError') return
+      console.error('Cover letter generation failed:', err)
+      setError(`Could not generate a cover letter: ${err.message || 'Please try again.'}`)
+    } finally {
+      setGenerating(false)
+    }
+  }
+
+  const handleSave = async () => {
+    setSaving(true)
+    setError(null)
+    try {
+      const updated = await coverLetterService.update(activeId, { content: draft })
+      setLetters(prev => prev.map(letter => letter.id === updated.id ? updated : letter))
+    } catch (err) {
+      console.error('Failed to save cover letter:', err)
+      setError('Could not save your edits. Please try again.')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleDelete = async (letter) => {
+    if (!window.confirm('Delete this cover letter?')) return
+    try {
+      await coverLetterService.delete(letter.id)
+      const remaining = letters.filter(item => item.id !== letter.id)
+      setLetters(remaining)
+      if (letter.id === activeId) {
+        setActiveId(remaining[0]?.id || null)
+        setDraft(remaining[0]?.content || '')
+      }
+    } catch (err) {
+      console.error('Failed to delete cover letter:', err)
+      setError('Could not delete the cover letter. Please try again.')
+    }
+  }
+
+  const markdown = `# Cover Letter: ${resume.job_title} at ${resume.company_name}\n\n${draft}\n`
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <p className="text-gray-600 text-center max-w-2xl mx-auto mb-6">
+        A letter for {resume.job_title} at {resume.company_name}, written from your resume and the strengths
+        this analysis found.
+      </p>
+
+      <div className="grid md:grid-cols-2 gap-4 mb-4">
+        <OptionGroup label="Tone" options={COVER_LETTER_TONES} value={tone} onChange={setTone} disabled={generating} />
+        <OptionGroup label="Length" options={COVER_LETTER_LENGTHS} value={length} onChange={setLength} disabled={generating} />
+      </div>
+
+      <div className="flex justify-end mb-6">
+        <button
+          type="button"
+          onClick={handleGenerate}
+          disabled={generating || loading}
+          className="primary-button inline-flex items-center gap-2 text-sm disabled:opacity-50"
+        >
+          {generating ? <Loader2 size={16} className="animate-spin" /> : <RefreshCw size={16} />}
+          {generating ? 'Writing...' : letters.length ? 'Regenerate' : 'Generate Cover Letter'}
+        </button>
+      </div>
+
+      {error && <p className="mb-4 text-sm text-red-600">{error}</p>}
+
+      {loading ? (
+        <p className="text-sm text-gray-500 text-center">Loading cover letters...</p>
+      ) : !activeLetter ? (
+        <p className="text-sm text-gray-500 text-center">No cover letters yet. Pick a tone and length to generate one.</p>
+      ) : (
+        <>
+          {letters.length > 1 && (
+            <div className="flex flex-wrap gap-2 mb-3">
+              {letters.map((letter, index) => (
+                <span
+                  key={letter.id}
+                  className={cn(
+                    "inline-flex items-center gap-1 pl-3 pr-1 py-1 rounded-full border text-xs",
+                    letter.id === activeId ? "bg-blue-50 border-blue-300 text-blue-700" : "bg-white border-gray-300 text-gray-700"
+                  )}
+                >
+                  <button type="button" onClick={() => selectLetter(letter)}>
+                    Draft {letters.length - index} · {COVER_LETTER_TONES[letter.tone]?.label || letter.tone} · {formatRelativeTime(letter.created_at)}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => handleDelete(letter)}
+                    className="p-1 text-gray-400 hover:text-red-500"
+                    title="Delete draft"
+                  >
+                    <Trash2 size={12} />
+                  </button>
+                </span>
+              ))}
+            </div>
+          )}
+
+          <textarea
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            rows={18}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm leading-relaxed focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+
+          <div className="flex flex-wrap items-center justify-between gap-3 mt-3">
+            <span className="text-xs text-gray-500">
+              {draft.trim().split(/\s+/).filter(Boolean).length} words{dirty && ' · unsaved edits'}
+            </span>
+            <div className="flex flex-wrap gap-2">
+              <button
+                type="button"
+                onClick={() => downloadFile(draft, toFileName(resume, 'txt'))}
+                className="flex items-center gap-1 text-xs px-2 py-1 border border-gray-300 rounded hover:bg-gray-50 transition-colors"
+              >
+                <Download size={12} /> Plain text
+              </button>
+              <button
+                type="button"
+                onClick={() => downloadFile(markdown, toFileName(resume, 'md'), 'text/markdown')}
+                className="flex items-center gap-1 text-xs px-2 py-1 border border-gray-300 rounded hover:bg-gray-50 transition-colors"
+              >
+                <Download size={12} /> Markdown
+              </button>
+              <button
+                type="button"
+                onClick={handleSave}
+                disabled={!dirty || saving}
+                className="primary-button text-sm disabled:opacity-50"
+              >
+                {saving ? 'Saving...' : 'Save Edits'}
+              </button>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default CoverLetterGenerator
@@ -0,0 +1,64 @@
+const InsightList = ({ items, icon, emptyText, className }) => (
+  items.length === 0 ? (
+    <p className="text-sm text-gray-500">{emptyText}</p>
+  ) : (
+    <ul className="space-y-3">
+      {items.map((item, index) => (
+        <li key={index} className={`flex items-start gap-3 p-3 rounded-lg border text-sm ${className}`}>
+          <span className="mt-0.5">{icon}</span>
+          <span>{item}</span>
+        </li>
+      ))}
+    </ul>
+  )
+)
+
+// Strengths side by side with the critical gaps from detailed_analysis
+const DetailedAnalysis = ({ feedback }) => {
+  const strengths = feedback?.detailed_analysis?.strengths || []
+  const gaps = feedback?.detailed_analysis?.critical_gaps || []
+
+  if (strengths.length === 0 && gaps.length === 0) return null
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      {/* Header */}
+      <div className="text-center mb-6">
+        <h2 className="text-2xl font-bold text-gray-900 mb-2">
+          Strengths vs. Gaps
+        </h2>
+        <p className="text-gray-600 max-w-2xl mx-auto">
+          What already works in your resume for this role, and what is most likely to hold it back.
+        </p>
+      </div>
+
+      <div className="grid md:grid-cols-2 gap-6">
+        <div>
+          <h3 className="font-semibold text-green-800 mb-3">
+            💪 Strengths ({strengths.length})
+          </h3>
+          <InsightList
+            items={strengths}
+            icon="✅"
+            emptyText="No specific strengths were reported."
+            className="bg-green-50 border-green-200 text-green-900"
+          />
+        </div>
+
+        <div>
+          <h3 className="font-semibold text-red-800 mb-3">
+            🚧 Critical Gaps ({gaps.length})
+          </h3>
+          <InsightList
+            items={gaps}
+            icon="❗"
+            emptyText="No critical gaps were reported."
+            className="bg-red-50 border-red-200 text-red-900"
+          />
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default DetailedAnalysis
@@ -1,5 +1,6 @@
 import { cn } from '../utils/utils'
 import { Accordion, AccordionContent, AccordionHeader, AccordionItem } from './Accordion'
+import { resolveResumeReferences } from '../utils/resumeParser'
 
 const ScoreBadge = ({ score }) => {
   return (
@@ -18,7 +19,28 @@ const ScoreBadge = ({ score }) => {
   )
 }
 
-const Details = ({ feedback }) => {
+// Quotes the resume lines a tip points at ("Role 2, bullet 3")
+const ReferencedLines = ({ tip, parsedResume }) => {
+  const text = typeof tip === 'string' ? tip : `${tip.tip} ${tip.explanation || ''}`
+  const references = resolveResumeReferences(text, parsedResume)
+  if (references.length === 0) return null
+
+  return (
+    <div className="mt-3 space-y-2">
+      {references.map((reference, index) => (
+        <blockquote key={index} className="pl-3 border-l-2 border-blue-300 text-sm text-gray-700">
+          <span className="block text-xs font-medium text-blue-600 mb-0.5">
+            Role {reference.role}{reference.bullet ? `, bullet ${reference.bullet}` : ''}
+            {reference.label ? ` · ${reference.label}` : ''}
+          </span>
+          {reference.text}
+        </blockquote>
+      ))}
+    </div>
+  )
+}
+
+const Details = ({ feedback, parsedResume }) => {
   if (!feedback || !feedback.categories) {
     return (
       <div className="bg-white rounded-lg shadow-md p-6">
@@ -124,6 +146,7 @@ const Details = ({ feedback }) => {
                                   {tip.explanation}
                                 </p>
                               )}
+                              <ReferencedLines tip={tip} parsedResume={parsedResume} />
                             </div>
                           </div>
                         </div>
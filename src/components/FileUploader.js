@@ -2,7 +2,7 @@ import { useState, useCallback } from 'react'
 import { useDropzone } from 'react-dropzone'
 import { Upload, File, X } from 'lucide-react'
 import { formatSize } from '../utils/utils'
-import { validatePDF } from '../utils/pdfProcessor'
+import { validateResumeFile, RESUME_ACCEPT, RESUME_TYPE_LABELS } from '../utils/documentProcessor'
 
 const FileUploader = ({ onFileSelect, disabled = false }) => {
   const [validationErrors, setValidationErrors] = useState([])
@@ -27,8 +27,8 @@ const FileUploader = ({ onFileSelect, disabled = false }) => {
       return
     }
 
-    // Validate PDF
-    const validation = validatePDF(file)
+    // Validate resume file
+    const validation = validateResumeFile(file)
     if (!validation.isValid) {
       setValidationErrors(validation.errors)
       onFileSelect?.(null)
@@ -45,9 +45,7 @@ const FileUploader = ({ onFileSelect, disabled = false }) => {
   const { getRootProps, getInputProps, isDragActive, acceptedFiles, fileRejections } = useDropzone({
     onDrop,
     multiple: false,
-    accept: {
-      'application/pdf': ['.pdf']
-    },
+    accept: RESUME_ACCEPT,
     maxSize: maxFileSize,
     disabled
   })
@@ -136,7 +134,7 @@ const FileUploader = ({ onFileSelect, disabled = false }) => {
               <p className={`text-sm ${
                 hasErrors ? 'text-red-600' : 'text-gray-500'
               }`}>
-                PDF (max {formatSize(maxFileSize)})
+                {RESUME_TYPE_LABELS} (max {formatSize(maxFileSize)})
               </p>
             </div>
           </div>
@@ -0,0 +1,178 @@
+import { cn } from '../utils/utils'
+
+// Free-text audit remarks count as a warning when they describe a problem
+const NEGATIVE_REMARK = /\b(issues?|problems?|inconsistent|inconsistency|inconsistently|missing|non-standard|unclear|avoid|should|could be|mixed|broken|not (ats|standard))\b/i
+const NO_PROBLEM_REMARK = /\bno (issues?|problems?|non-standard)\b/i
+
+const remarkPasses = (text) => !text || NO_PROBLEM_REMARK.test(text) || !NEGATIVE_REMARK.test(text)
+
+const SymbolChip = ({ children, problem }) => (
+  <span
+    className={cn(
+      "px-2 py-0.5 rounded text-xs font-mono border",
+      problem ? "bg-red-50 text-red-700 border-red-200" : "bg-white text-gray-700 border-gray-200"
+    )}
+  >
+    {children}
+  </span>
+)
+
+// Agreement between the AI audit and the local scan for one yes/no check
+const CrossCheck = ({ aiFlagged, localFlagged, localDetail }) => {
+  if (localFlagged === undefined) return null
+  const agrees = aiFlagged === localFlagged
+
+  return (
+    <p className={cn("mt-2 text-xs", agrees ? "text-gray-500" : "text-orange-700")}>
+      {agrees ? '✓ Local scan agrees' : '⚠️ Local scan disagrees'}
+      {localDetail ? `: ${localDetail}` : ''}
+    </p>
+  )
+}
+
+const AuditCheck = ({ label, passed, children }) => (
+  <div
+    className={cn(
+      "p-4 rounded-lg border",
+      passed ? "bg-green-50 border-green-200" : "bg-yellow-50 border-yellow-200"
+    )}
+  >
+    <div className="flex items-center justify-between mb-1">
+      <h4 className="text-sm font-medium text-gray-900">
+        {passed ? '✅' : '⚠️'} {label}
+      </h4>
+      <span className={cn("text-xs font-semibold uppercase", passed ? "text-green-700" : "text-yellow-700")}>
+        {passed ? 'Pass' : 'Warn'}
+      </span>
+    </div>
+    {children}
+  </div>
+)
+
+// formatting_audit from the AI analysis, each check cross-checked against the local formatting scan
+const FormattingAudit = ({ audit, localScan }) => {
+  if (!audit && !localScan) return null
+
+  const aiSymbols = audit?.non_standard_symbols_or_icons_present
+  const aiTables = audit?.contains_tables_or_columns
+  const problematicAi = audit?.problematic_symbols || []
+  const problematicLocal = localScan?.problematicSymbols || []
+
+  const tableDetail = localScan && [
+    localScan.multiColumnPages?.length > 0 && `multi-column layout on page ${localScan.multiColumnPages.join(', ')}`,
+    localScan.tableLikeRows >= 2 && `${localScan.tableLikeRows} table-like rows`
+  ].filter(Boolean).join(', ')
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      {/* Header */}
+      <div className="text-center mb-6">
+        <h2 className="text-2xl font-bold text-gray-900 mb-2">
+          Formatting Audit
+        </h2>
+        <p className="text-gray-600 max-w-2xl mx-auto">
+          Symbols, tables and layout choices that can confuse an ATS, checked by the AI
+          and by a local scan of your resume text.
+        </p>
+      </div>
+
+      <div className="grid md:grid-cols-2 gap-4">
+        <AuditCheck
+          label="Symbols and icons"
+          passed={!(aiSymbols ?? localScan?.hasProblematicSymbols) && problematicAi.length === 0}
+        >
+          <p className="text-sm text-gray-700">
+            {audit?.remarks_about_symbols || (localScan?.hasProblematicSymbols
+              ? 'Non-standard symbols were found in the text.'
+              : 'No non-standard symbols or icons detected.')}
+          </p>
+          {problematicAi.length > 0 && (
+            <div className="mt-2 flex flex-wrap gap-1">
+              {problematicAi.map(symbol => <SymbolChip key={symbol} problem>{symbol}</SymbolChip>)}
+            </div>
+          )}
+          {audit && (
+            <CrossCheck
+              aiFlagged={Boolean(aiSymbols) || problematicAi.length > 0}
+              localFlagged={localScan?.hasProblematicSymbols}
+              localDetail={problematicLocal.length > 0 ? `${problematicLocal.length} problematic glyph(s) found` : 'no problematic glyphs found'}
+            />
+          )}
+        </AuditCheck>
+
+        <AuditCheck
+          label="Tables and columns"
+          passed={!(aiTables ?? localScan?.hasTablesOrColumns)}
+        >
+          <p className="text-sm text-gray-700">
+            {(aiTables ?? localScan?.hasTablesOrColumns)
+              ? 'Tables or multiple columns detected. Many ATS read these out of order.'
+              : 'Single-column layout without tables.'}
+          </p>
+          {audit && (
+            <CrossCheck
+              aiFlagged={Boolean(aiTables)}
+              localFlagged={localScan?.hasTablesOrColumns}
+              localDetail={tableDetail || 'no tables or columns found'}
+            />
+          )}
+        </AuditCheck>
+
+        {audit?.section_headings && (
+          <AuditCheck label="Section headings" passed={remarkPasses(audit.section_headings)}>
+            <p className="text-sm text-gray-700">{audit.section_headings}</p>
+          </AuditCheck>
+        )}
+
+        <AuditCheck
+          label="Bullet points"
+          passed={remarkPasses(audit?.bullet_points) && !localScan?.mixedBullets}
+        >
+          {audit?.bullet_points && <p className="text-sm text-gray-700">{audit.bullet_points}</p>}
+          {localScan?.bulletStyles?.length > 0 && (
+            <div className="mt-2 flex flex-wrap items-center gap-1">
+              <span className="text-xs text-gray-500 mr-1">
+                {localScan.mixedBullets ? 'Mixed bullet styles:' : 'Bullet style:'}
+              </span>
+              {localScan.bulletStyles.map(({ char, count }) => (
+                <SymbolChip key={char}>{char} ×{count}</SymbolChip>
+              ))}
+            </div>
+          )}
+        </AuditCheck>
+      </div>
+
+      {/* Symbols inventory */}
+      {(audit?.symbols_and_bullets_found?.length > 0 || localScan?.symbols?.length > 0) && (
+        <div className="mt-6 grid md:grid-cols-2 gap-4">
+          {audit?.symbols_and_bullets_found?.length > 0 && (
+            <div>
+              <h3 className="text-sm font-semibold text-gray-900 mb-2">Symbols reported by the AI</h3>
+              <div className="flex flex-wrap gap-1">
+                {audit.symbols_and_bullets_found.map(symbol => (
+                  <SymbolChip key={symbol} problem={problematicAi.includes(symbol)}>{symbol}</SymbolChip>
+                ))}
+              </div>
+            </div>
+          )}
+          {localScan?.symbols?.length > 0 && (
+            <div>
+              <h3 className="text-sm font-semibold text-gray-900 mb-2">Non-ASCII glyphs in the extracted text</h3>
+              <div className="flex flex-wrap gap-1">
+                {localScan.symbols.slice(0, 30).map(symbol => (
+                  <SymbolChip key={symbol.codePoint} problem={!symbol.atsSafe}>
+                    <span title={symbol.problem || 'ATS-safe'}>
+                      {symbol.char} {symbol.codePoint} ×{symbol.count}
+                    </span>
+                  </SymbolChip>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default FormattingAudit
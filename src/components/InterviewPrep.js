@@ -0,0 +1,147 @@
+import { useEffect, useRef, useState } from 'react'
+import { Loader2, RefreshCw } from 'lucide-react'
+import { resumeService } from '../lib/supabase'
+import { generateInterviewPrep } from '../services/interviewPrepGenerator'
+import { formatRelativeTime } from '../utils/utils'
+
+const SECTIONS = [
+  { type: 'behavioral', title: 'Behavioral Questions', description: 'About specific bullets on your resume' },
+  { type: 'technical', title: 'Technical Questions', description: 'Probing the gaps this analysis found' }
+]
+
+// Role title and bullet text for a "Role N, bullet M" reference
+const resolveBullet = (parsedResume, reference) => {
+  const role = reference && parsedResume?.experience?.[reference.role - 1]
+  const bullet = role?.bullets?.[reference.bullet - 1]
+  if (!bullet) return null
+  return { role: [role.title, role.company].filter(Boolean).join(' — '), text: bullet.text }
+}
+
+const QuestionCard = ({ question, index, parsedResume }) => {
+  const bullet = resolveBullet(parsedResume, question.bullet)
+
+  return (
+    <div className="p-4 border border-gray-200 rounded-lg">
+      <h4 className="font-medium text-gray-900">
+        {index + 1}. {question.question}
+      </h4>
+      {question.why_asked && <p className="mt-1 text-sm text-gray-500">{question.why_asked}</p>}
+
+      {bullet && (
+        <blockquote className="mt-3 pl-3 border-l-4 border-blue-200 text-sm text-gray-700">
+          <span className="block text-xs text-gray-500">{bullet.role}</span>
+          {bullet.text}
+        </blockquote>
+      )}
+      {question.gap && (
+        <span className="inline-block mt-3 px-2 py-1 bg-red-100 text-red-700 rounded text-xs font-medium">
+          Gap: {question.gap}
+        </span>
+      )}
+
+      {question.talking_points.length > 0 && (
+        <div className="mt-3">
+          <h5 className="text-xs font-semibold text-gray-600 uppercase tracking-wide mb-1">Talking points</h5>
+          <ul className="list-disc list-inside space-y-1 text-sm text-gray-700">
+            {question.talking_points.map((point, pointIndex) => (
+              <li key={pointIndex}>{point}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  )
+}
+
+// Likely interview questions for one analysis, generated once and stored on the resume
+const InterviewPrep = ({ resume, parsedResume, resumeText, feedback, onSaved }) => {
+  const [prep, setPrep] = useState(resume.interview_prep || null)
+  const [generating, setGenerating] = useState(false)
+  const [error, setError] = useState(null)
+  const controllerRef = useRef(null)
+
+  useEffect(() => () => controllerRef.current?.abort(), [])
+
+  const handleGenerate = async () => {
+    if (!resumeText) {
+      setError('The resume text is unavailable, so questions cannot be generated.')
+      return
+    }
+    if (prep && !window.confirm('Replace the current questions with a new set?')) return
+
+    controllerRef.current = new AbortController()
+    setGenerating(true)
+    setError(null)
+    try {
+      const next = await generateInterviewPrep({
+        resumeText,
+        parsedResume,
+        jobTitle: resume.job_title,
+        companyName: resume.company_name,
+        jobDescription: resume.job_description,
+        criticalGaps: feedback?.detailed_analysis?.critical_gaps || [],
+        missingKeywords: feedback?.categories?.keywords?.missing_keywords || []
+      }, { signal: controllerRef.current.signal })
+
+      setPrep(next)
+      try {
+        await resumeService.updateInterviewPrep(resume.id, next)
+        onSaved?.(next)
+      } catch (err) {
+        console.error('Failed to save interview prep:', err)
+        setError('The questions could not be saved and will be lost when you leave this page.')
+      }
+    } catch (err) {
+      if (err.name === 'AbortError') return
+      console.error('Interview prep generation failed:', err)
+      setError(`Could not generate interview questions: ${err.message || 'Please try again.'}`)
+    } finally {
+      setGenerating(false)
+    }
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <div className="flex flex-col md:flex-row md:items-center justify-between gap-4 mb-6">
+        <p className="text-gray-600 max-w-2xl">
+          {prep
+            ? `${prep.questions.length} questions for ${resume.job_title} at ${resume.company_name}, generated ${formatRelativeTime(prep.generated_at)}.`
+            : `Questions an interviewer for ${resume.job_title} at ${resume.company_name} is likely to ask, based on your resume and the gaps this analysis found.`}
+        </p>
+        <button
+          type="button"
+          onClick={handleGenerate}
+          disabled={generating}
+          className="primary-button inline-flex items-center justify-center gap-2 text-sm shrink-0 disabled:opacity-50"
+        >
+          {generating ? <Loader2 size={16} className="animate-spin" /> : <RefreshCw size={16} />}
+          {generating ? 'Generating...' : prep ? 'Regenerate' : 'Generate Questions'}
+        </button>
+      </div>
+
+      {error && <p className="mb-4 text-sm text-red-600">{error}</p>}
+
+      {prep && (
+        <div className="space-y-8">
+          {SECTIONS.map(section => {
+            const questions = prep.questions.filter(question => question.type === section.type)
+            if (questions.length === 0) return null
+            return (
+              <section key={section.type}>
+                <h3 className="text-lg font-semibold text-gray-900">{section.title}</h3>
+                <p className="text-sm text-gray-500 mb-3">{section.description}</p>
+                <div className="space-y-3">
+                  {questions.map((question, index) => (
+                    <QuestionCard key={question.id} question={question} index={index} parsedResume={parsedResume} />
+                  ))}
+                </div>
+              </section>
+            )
+          })}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default InterviewPrep
@@ -0,0 +1,108 @@
+import { useState } from 'react'
+import { parseJobDescription } from '../utils/jobDescriptionParser'
+
+// "Backend, Remote , backend" -> ["backend", "remote"]
+export const parseTags = (text) => [...new Set(
+  text.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean)
+)]
+
+// Create / edit form for a saved job description
+const JobDescriptionForm = ({ initial = {}, onSubmit, onCancel, submitLabel = 'Save' }) => {
+  const [values, setValues] = useState({
+    companyName: initial.company_name || '',
+    jobTitle: initial.job_title || '',
+    description: initial.description || '',
+    tags: (initial.tags || []).join(', ')
+  })
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+
+  const handleChange = (e) => {
+    const { name, value } = e.target
+    setValues(prev => ({ ...prev, [name]: value }))
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (!values.companyName.trim() || !values.jobTitle.trim() || values.description.trim().length < 50) {
+      setError('Company, job title and a description of at least 50 characters are required.')
+      return
+    }
+
+    setSaving(true)
+    setError('')
+    try {
+      const jobTitle = values.jobTitle.trim()
+      const description = values.description.trim()
+      await onSubmit({
+        company_name: values.companyName.trim(),
+        job_title: jobTitle,
+        description,
+        tags: parseTags(values.tags),
+        parsed: parseJobDescription(description, { jobTitle })
+      })
+    } catch (err) {
+      console.error('Failed to save job description:', err)
+      setError('Could not save the job description. Please try again.')
+      setSaving(false)
+    }
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3">
+      <div className="grid sm:grid-cols-2 gap-3">
+        <input
+          name="companyName"
+          value={values.companyName}
+          onChange={handleChange}
+          maxLength={100}
+          placeholder="Company name"
+          className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        />
+        <input
+          name="jobTitle"
+          value={values.jobTitle}
+          onChange={handleChange}
+          maxLength={200}
+          placeholder="Job title"
+          className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        />
+      </div>
+      <textarea
+        name="description"
+        value={values.description}
+        onChange={handleChange}
+        rows={8}
+        placeholder="Job description"
+        className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent resize-vertical"
+      />
+      <input
+        name="tags"
+        value={values.tags}
+        onChange={handleChange}
+        placeholder="Tags, comma separated (e.g. backend, remote, fintech)"
+        className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+      />
+
+      {error && <p className="text-xs text-red-600">{error}</p>}
+
+      <div className="flex justify-end gap-2">
+        {onCancel && (
+          <button
+            type="button"
+            onClick={onCancel}
+            disabled={saving}
+            className="px-4 py-2 border border-gray-300 rounded-lg text-sm text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+          >
+            Cancel
+          </button>
+        )}
+        <button type="submit" disabled={saving} className="primary-button text-sm disabled:opacity-50">
+          {saving ? 'Saving...' : submitLabel}
+        </button>
+      </div>
+    </form>
+  )
+}
+
+export default JobDescriptionForm
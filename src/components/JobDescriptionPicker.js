@@ -0,0 +1,112 @@
+import { useEffect, useMemo, useState } from 'react'
+import { Link } from 'react-router-dom'
+import { BookOpen, Search } from 'lucide-react'
+import { jobDescriptionService } from '../lib/supabase'
+import { useAuth } from '../hooks/useAuth'
+
+const matchesSearch = (jobDescription, term) => {
+  if (!term) return true
+  const haystack = `${jobDescription.company_name} ${jobDescription.job_title} ${jobDescription.tags.join(' ')}`.toLowerCase()
+  return term.toLowerCase().split(/\s+/).every(word => haystack.includes(word))
+}
+
+// Collapsible search over the user's saved job descriptions
+const JobDescriptionPicker = ({ onSelect, label = 'Choose from your job description library' }) => {
+  const { user } = useAuth()
+  const [open, setOpen] = useState(false)
+  const [library, setLibrary] = useState(null)
+  const [search, setSearch] = useState('')
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    if (!open || library || !user?.id) return
+    let active = true
+    jobDescriptionService.getAll(user.id)
+      .then(data => {
+        if (active) setLibrary(data)
+      })
+      .catch(err => {
+        console.error('Failed to load job descriptions:', err)
+        if (active) setError('Could not load your job descriptions.')
+      })
+    return () => {
+      active = false
+    }
+  }, [open, library, user?.id])
+
+  const matches = useMemo(
+    () => (library || []).filter(jobDescription => matchesSearch(jobDescription, search.trim())),
+    [library, search]
+  )
+
+  const handleSelect = (jobDescription) => {
+    onSelect(jobDescription)
+    setOpen(false)
+  }
+
+  return (
+    <div className="border border-gray-200 rounded-lg bg-white">
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        className="w-full flex items-center gap-2 px-4 py-3 text-sm font-medium text-gray-700 hover:bg-gray-50 transition-colors"
+      >
+        <BookOpen size={16} className="text-blue-500" />
+        {label}
+      </button>
+
+      {open && (
+        <div className="border-t border-gray-200 p-3">
+          <div className="relative mb-3">
+            <Search size={14} className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+            <input
+              type="text"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Search by company, title or tag"
+              className="w-full pl-8 pr-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </div>
+
+          {error ? (
+            <p className="text-sm text-red-600">{error}</p>
+          ) : !library ? (
+            <p className="text-sm text-gray-500">Loading...</p>
+          ) : library.length === 0 ? (
+            <p className="text-sm text-gray-500">
+              Your library is empty. Save job descriptions from an analysis or in the{' '}
+              <Link to="/job-descriptions" className="text-blue-600 underline">library</Link>.
+            </p>
+          ) : matches.length === 0 ? (
+            <p className="text-sm text-gray-500">No job descriptions match your search.</p>
+          ) : (
+            <ul className="max-h-64 overflow-y-auto divide-y divide-gray-100">
+              {matches.map(jobDescription => (
+                <li key={jobDescription.id}>
+                  <button
+                    type="button"
+                    onClick={() => handleSelect(jobDescription)}
+                    className="w-full text-left px-2 py-2 rounded hover:bg-blue-50 transition-colors"
+                  >
+                    <span className="block text-sm font-medium text-gray-900">
+                      {jobDescription.job_title} at {jobDescription.company_name}
+                    </span>
+                    {jobDescription.tags.length > 0 && (
+                      <span className="flex flex-wrap gap-1 mt-1">
+                        {jobDescription.tags.map(tag => (
+                          <span key={tag} className="px-1.5 py-0.5 bg-gray-100 text-gray-600 rounded text-xs">{tag}</span>
+                        ))}
+                      </span>
+                    )}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default JobDescriptionPicker
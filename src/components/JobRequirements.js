@@ -0,0 +1,107 @@
+import { useMemo } from 'react'
+import { cn } from '../utils/utils'
+import { mentionsSkill } from '../utils/skillsDictionary'
+
+const WORKPLACE_LABELS = { remote: 'Remote', hybrid: 'Hybrid', onsite: 'On-site' }
+
+const formatExperience = ({ minYears, maxYears }) =>
+  maxYears ? `${minYears}–${maxYears} years` : `${minYears}+ years`
+
+const SkillList = ({ title, skills, emptyText }) => (
+  <div>
+    <h3 className="font-semibold text-gray-900 mb-3">{title}</h3>
+    {skills.length === 0 ? (
+      <p className="text-sm text-gray-500">{emptyText}</p>
+    ) : (
+      <div className="flex flex-wrap gap-2">
+        {skills.map(({ name, found }) => (
+          <span
+            key={name}
+            className={cn(
+              "px-2 py-1 rounded text-xs font-medium",
+              found === null
+                ? "bg-gray-100 text-gray-700"
+                : found
+                  ? "bg-green-100 text-green-700"
+                  : "bg-red-100 text-red-700"
+            )}
+            title={found === false ? 'Not found in your resume text' : undefined}
+          >
+            {found === true && '✓ '}{name}
+          </span>
+        ))}
+      </div>
+    )}
+  </div>
+)
+
+// Requirements parsed locally from the job description, checked against the resume text
+const JobRequirements = ({ parsedJobDescription, resumeText = '' }) => {
+  const canVerify = Boolean(resumeText)
+
+  const [required, preferred] = useMemo(() => {
+    const check = skills => (skills || []).map(skill => ({
+      ...skill,
+      found: canVerify ? mentionsSkill(resumeText, skill.name) : null
+    }))
+    return [check(parsedJobDescription?.requiredSkills), check(parsedJobDescription?.preferredSkills)]
+  }, [parsedJobDescription, resumeText, canVerify])
+
+  if (!parsedJobDescription) return null
+
+  const { experience, education, location, seniority } = parsedJobDescription
+  const facts = [
+    seniority && { label: 'Seniority', value: seniority.label },
+    experience && { label: 'Experience', value: formatExperience(experience) },
+    education && {
+      label: 'Education',
+      value: [
+        education.label,
+        education.field && `in ${education.field}`,
+        !education.required && '(preferred)',
+        education.equivalentExperience && 'or equivalent experience'
+      ].filter(Boolean).join(' ')
+    },
+    location && {
+      label: 'Location',
+      value: [location.text, WORKPLACE_LABELS[location.workplace]].filter(Boolean).join(' · ')
+    }
+  ].filter(Boolean)
+
+  if (facts.length === 0 && required.length === 0 && preferred.length === 0) return null
+
+  const requiredFound = required.filter(skill => skill.found).length
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      {/* Header */}
+      <div className="text-center mb-6">
+        <h2 className="text-2xl font-bold text-gray-900 mb-2">
+          Job Requirements
+        </h2>
+        <p className="text-gray-600 max-w-2xl mx-auto">
+          Read from the job description text without AI.
+          {canVerify && required.length > 0 && ` Your resume mentions ${requiredFound} of ${required.length} required skills.`}
+        </p>
+      </div>
+
+      {facts.length > 0 && (
+        <dl className="grid sm:grid-cols-2 lg:grid-cols-4 gap-4 mb-6">
+          {facts.map(fact => (
+            <div key={fact.label} className="p-3 bg-gray-50 rounded-lg">
+              <dt className="text-xs font-medium text-gray-500">{fact.label}</dt>
+              <dd className="text-sm text-gray-900">{fact.value}</dd>
+            </div>
+          ))}
+        </dl>
+      )}
+
+      <div className="grid md:grid-cols-2 gap-6">
+        <SkillList title={`Required skills (${required.length})`} skills={required} emptyText="No required skills recognized." />
+        <SkillList title={`Preferred skills (${preferred.length})`} skills={preferred} emptyText="No preferred skills recognized." />
+      </div>
+    </div>
+  )
+}
+
+export default JobRequirements
@@ -0,0 +1,221 @@
+import { useMemo, useState } from 'react'
+import { Copy, Check } from 'lucide-react'
+import { cn, copyToClipboard } from '../utils/utils'
+import { countKeywordOccurrences } from '../utils/keywordExtractor'
+import { getJobSkills } from '../utils/jobDescriptionParser'
+import { getSkill, mentionsSkill } from '../utils/skillsDictionary'
+
+// Skills the job description parser found come first, the AI's other keywords by frequency
+const MISSING_GROUPS = [
+  { id: 'required', label: 'Required skills in the job description', test: item => item.requirement === 'required' },
+  { id: 'preferred', label: 'Preferred skills in the job description', test: item => item.requirement === 'preferred' },
+  { id: 'frequent', label: 'Mentioned 3+ times in the job description', test: item => !item.requirement && item.count >= 3 },
+  { id: 'repeated', label: 'Mentioned twice', test: item => !item.requirement && item.count === 2 },
+  { id: 'once', label: 'Mentioned once', test: item => !item.requirement && item.count === 1 },
+  { id: 'inferred', label: 'Not worded this way in the job description', test: item => !item.requirement && item.count === 0 }
+]
+
+// Aliases such as "JS" and "JavaScript" compare as the same skill. Related but distinct keywords
+// ("CRM" and "Salesforce") stay separate, since the dictionary only aliases other names for a skill.
+const toSkillKey = (keyword) => (getSkill(keyword)?.name || keyword).trim().toLowerCase()
+
+// Older stored feedback skipped schema validation and can hold duplicates or non-strings
+const toKeywordList = (value) => {
+  const seen = new Set()
+  return (Array.isArray(value) ? value : [])
+    .filter(keyword => typeof keyword === 'string' && keyword.trim())
+    .map(keyword => keyword.trim())
+    .filter(keyword => {
+      const key = toSkillKey(keyword)
+      if (seen.has(key)) return false
+      seen.add(key)
+      return true
+    })
+}
+
+// Matched and missing keywords from the AI analysis, cross-checked against the resume text and merged with
+// the required and preferred skills the rule-based ATS score uses
+const KeywordPanel = ({ feedback, resumeText = '', jobDescription = '', parsedJobDescription = null }) => {
+  const [copied, setCopied] = useState(false)
+  const keywords = feedback?.categories?.keywords
+  const canVerify = Boolean(resumeText)
+
+  const jobSkills = useMemo(() => {
+    const skills = new Map()
+    getJobSkills(parsedJobDescription).forEach(skill => {
+      skills.set(skill.name.toLowerCase(), { ...skill, requirement: skill.required ? 'required' : 'preferred' })
+    })
+    return skills
+  }, [parsedJobDescription])
+
+  const matched = useMemo(() => {
+    const items = toKeywordList(keywords?.matched_keywords).map(keyword => ({
+      keyword,
+      requirement: jobSkills.get(toSkillKey(keyword))?.requirement || null,
+      verified: canVerify ? mentionsSkill(resumeText, keyword) : null
+    }))
+    if (canVerify) {
+      const listed = new Set(items.map(item => toSkillKey(item.keyword)))
+      jobSkills.forEach((skill, key) => {
+        if (!listed.has(key) && mentionsSkill(resumeText, skill.name)) {
+          items.push({ keyword: skill.name, requirement: skill.requirement, verified: true })
+        }
+      })
+    }
+    return items
+  }, [keywords, jobSkills, resumeText, canVerify])
+
+  const missing = useMemo(() => {
+    const items = toKeywordList(keywords?.missing_keywords).map(keyword => ({
+      keyword,
+      requirement: jobSkills.get(toSkillKey(keyword))?.requirement || null,
+      count: countKeywordOccurrences(jobDescription, keyword),
+      foundInResume: canVerify ? mentionsSkill(resumeText, keyword) : false
+    }))
+    if (canVerify) {
+      const listed = new Set([...items, ...matched].map(item => toSkillKey(item.keyword)))
+      jobSkills.forEach((skill, key) => {
+        if (!listed.has(key) && !mentionsSkill(resumeText, skill.name)) {
+          items.push({
+            keyword: skill.name,
+            requirement: skill.requirement,
+            count: countKeywordOccurrences(jobDescription, skill.name),
+            foundInResume: false
+          })
+        }
+      })
+    }
+    return items.sort((a, b) => b.count - a.count || a.keyword.localeCompare(b.keyword))
+  }, [keywords, jobSkills, matched, resumeText, jobDescription, canVerify])
+
+  if (!keywords || (matched.length === 0 && missing.length === 0)) return null
+
+  const unverified = matched.filter(item => item.verified === false)
+  const actuallyPresent = missing.filter(item => item.foundInResume)
+  const trulyMissing = missing.filter(item => !item.foundInResume)
+
+  const handleCopy = async () => {
+    const success = await copyToClipboard(trulyMissing.map(item => item.keyword).join(', '))
+    if (success) {
+      setCopied(true)
+      setTimeout(() => setCopied(false), 2000)
+    }
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      {/* Header */}
+      <div className="text-center mb-6">
+        <h2 className="text-2xl font-bold text-gray-900 mb-2">
+          Keyword Gap
+        </h2>
+        <p className="text-gray-600 max-w-2xl mx-auto">
+          Keywords the analysis matched and missed.
+          {canVerify && ' Each one is double-checked against the text extracted from your resume.'}
+          {jobSkills.size > 0 && ' Required and preferred skills are the ones the rule-based ATS score checks.'}
+        </p>
+      </div>
+
+      <div className="grid md:grid-cols-2 gap-6">
+        {/* Matched */}
+        <div>
+          <h3 className="font-semibold text-gray-900 mb-3">
+            ✅ Matched ({matched.length})
+          </h3>
+          {matched.length === 0 ? (
+            <p className="text-sm text-gray-500">No matched keywords reported.</p>
+          ) : (
+            <div className="flex flex-wrap gap-2">
+              {matched.map(({ keyword, requirement, verified }, index) => (
+                <span
+                  key={`${keyword}-${index}`}
+                  className={cn(
+                    "px-2 py-1 rounded text-xs font-medium",
+                    verified === false
+                      ? "bg-yellow-100 text-yellow-800 border border-yellow-300"
+                      : "bg-green-100 text-green-700"
+                  )}
+                  title={verified === false ? 'Not found in your resume text' : requirement ? `${requirement} skill` : undefined}
+                >
+                  {verified === false && '⚠️ '}{keyword}
+                </span>
+              ))}
+            </div>
+          )}
+          {unverified.length > 0 && (
+            <p className="mt-3 text-xs text-yellow-700">
+              {unverified.length} matched keyword(s) do not appear in your resume text. The analysis may
+              have inferred them; add them explicitly if they apply to you.
+            </p>
+          )}
+        </div>
+
+        {/* Missing */}
+        <div>
+          <div className="flex items-center justify-between mb-3">
+            <h3 className="font-semibold text-gray-900">
+              ❌ Missing ({trulyMissing.length})
+            </h3>
+            {trulyMissing.length > 0 && (
+              <button
+                type="button"
+                onClick={handleCopy}
+                className="flex items-center gap-1 text-xs px-2 py-1 border border-gray-300 rounded hover:bg-gray-50 transition-colors"
+              >
+                {copied ? <Check size={12} className="text-green-600" /> : <Copy size={12} />}
+                {copied ? 'Copied' : 'Copy list'}
+              </button>
+            )}
+          </div>
+
+          {trulyMissing.length === 0 ? (
+            <p className="text-sm text-gray-500">No missing keywords. Nice work!</p>
+          ) : (
+            <div className="space-y-3">
+              {MISSING_GROUPS.map(group => {
+                const items = trulyMissing.filter(group.test)
+                if (items.length === 0) return null
+                return (
+                  <div key={group.id}>
+                    <h4 className="text-xs font-medium text-gray-500 mb-1">{group.label}</h4>
+                    <div className="flex flex-wrap gap-2">
+                      {items.map(({ keyword, count }, index) => (
+                        <span key={`${keyword}-${index}`} className="px-2 py-1 bg-red-100 text-red-700 rounded text-xs font-medium">
+                          {keyword}
+                          {count > 0 && <span className="ml-1 text-red-500">×{count}</span>}
+                        </span>
+                      ))}
+                    </div>
+                  </div>
+                )
+              })}
+            </div>
+          )}
+
+          {actuallyPresent.length > 0 && (
+            <div className="mt-4 p-3 bg-blue-50 border border-blue-200 rounded-lg">
+              <p className="text-xs text-blue-800 mb-2">
+                Reported missing, but found in your resume text:
+              </p>
+              <div className="flex flex-wrap gap-2">
+                {actuallyPresent.map(({ keyword }, index) => (
+                  <span key={`${keyword}-${index}`} className="px-2 py-1 bg-white text-blue-700 border border-blue-200 rounded text-xs">
+                    {keyword}
+                  </span>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {!canVerify && (
+        <p className="mt-4 text-xs text-gray-500 text-center">
+          Resume text is unavailable, so keywords could not be checked locally.
+        </p>
+      )}
+    </div>
+  )
+}
+
+export default KeywordPanel
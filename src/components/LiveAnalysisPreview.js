@@ -0,0 +1,55 @@
+import { CATEGORY_KEYS } from '../services/feedbackSchema'
+import { getScoreColorClass } from '../utils/utils'
+
+const isScore = (value) => typeof value === 'number' && Number.isFinite(value)
+
+// Scores and tips of an analysis that is still streaming in; fields appear as the model writes them
+const LiveAnalysisPreview = ({ feedback }) => {
+  if (!feedback) return null
+
+  const categories = CATEGORY_KEYS
+    .map(key => ({ key, ...feedback.categories?.[key] }))
+    .filter(category => isScore(category.score))
+  const tips = categories.flatMap(category =>
+    (Array.isArray(category.tips) ? category.tips : [])
+      .filter(tip => typeof tip?.tip === 'string' && tip.tip)
+      .map(tip => ({ ...tip, category: category.key }))
+  )
+  const overall = [
+    { label: 'Overall', score: feedback.overall_score },
+    { label: 'ATS', score: feedback.ats_score }
+  ].filter(item => isScore(item.score))
+
+  if (overall.length === 0 && categories.length === 0) return null
+
+  return (
+    <div className="mt-3 mb-3 text-left bg-white border border-blue-100 rounded-lg p-4">
+      <p className="text-xs font-semibold text-blue-600 uppercase tracking-wide mb-3">Results so far</p>
+
+      <div className="flex flex-wrap gap-2">
+        {[...overall, ...categories.map(category => ({
+          label: category.key.charAt(0).toUpperCase() + category.key.slice(1),
+          score: category.score
+        }))].map(item => (
+          <div key={item.label} className="px-3 py-2 rounded-lg border border-gray-200 text-center min-w-[5.5rem]">
+            <div className="text-xs text-gray-500">{item.label}</div>
+            <div className={`text-lg font-bold ${getScoreColorClass(item.score)}`}>{Math.round(item.score)}</div>
+          </div>
+        ))}
+      </div>
+
+      {tips.length > 0 && (
+        <ul className="mt-3 space-y-1 text-sm text-gray-700 max-h-40 overflow-y-auto">
+          {tips.map((tip, index) => (
+            <li key={`${tip.category}-${index}`}>
+              <span className="text-xs text-gray-400 capitalize">{tip.category} · </span>
+              {tip.tip}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default LiveAnalysisPreview
@@ -0,0 +1,45 @@
+import { cn } from '../utils/utils'
+
+// Per-rule breakdown of the deterministic ATS score
+const LocalATSBreakdown = ({ report }) => {
+  if (!report?.rules) return null
+
+  return (
+    <div className="space-y-3">
+      {report.rules.map((rule) => (
+        <div
+          key={rule.id}
+          className={cn(
+            "p-3 rounded-lg border",
+            !rule.applicable
+              ? "bg-gray-50 border-gray-200"
+              : rule.passed
+              ? "bg-green-50 border-green-200"
+              : "bg-yellow-50 border-yellow-200"
+          )}
+        >
+          <div className="flex items-center justify-between mb-1">
+            <span className="text-sm font-medium text-gray-900">
+              {!rule.applicable ? '➖' : rule.passed ? '✅' : '⚠️'} {rule.label}
+            </span>
+            <span className="text-sm font-bold text-gray-700">
+              {rule.applicable ? `${rule.score}/${rule.maxScore}` : 'N/A'}
+            </span>
+          </div>
+          <p className="text-xs text-gray-600">{rule.details}</p>
+          {rule.findings?.length > 0 && (
+            <ul className="mt-2 flex flex-wrap gap-1">
+              {rule.findings.slice(0, 8).map((finding, index) => (
+                <li key={index} className="px-2 py-0.5 bg-white border border-gray-200 rounded text-xs text-gray-600">
+                  {finding}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      ))}
+    </div>
+  )
+}
+
+export default LocalATSBreakdown
@@ -11,6 +11,7 @@ import {
   History,
   Rocket,
   BarChart3,
+  BookOpen,
   RefreshCw,
 } from "lucide-react"
 
@@ -68,6 +69,9 @@ const Navbar = () => {
       <NavLink to="/submissions" onClick={closeMobileMenu}>
         <History size={16} /> Submissions
       </NavLink>
+      <NavLink to="/job-descriptions" onClick={closeMobileMenu}>
+        <BookOpen size={16} /> Job Library
+      </NavLink>
       <NavLink to="/insights" onClick={closeMobileMenu}>
         <BarChart3 size={16} /> Insights
       </NavLink>
@@ -0,0 +1,200 @@
+import { Accordion, AccordionContent, AccordionHeader, AccordionItem } from './Accordion'
+
+const PageRef = ({ location }) => {
+  if (!location?.page) return null
+  return (
+    <span className="ml-2 px-1.5 py-0.5 bg-gray-100 text-gray-500 rounded text-xs font-normal">
+      p.{location.page}
+    </span>
+  )
+}
+
+const Field = ({ label, value }) => (
+  <div className="flex gap-2 text-sm">
+    <span className="w-20 shrink-0 text-gray-500">{label}</span>
+    <span className={value ? "text-gray-900" : "text-red-500 italic"}>{value || 'Not found'}</span>
+  </div>
+)
+
+const EmptySection = ({ label }) => (
+  <p className="text-sm text-red-500 italic">No {label} section was recognized.</p>
+)
+
+// Shows the fields an ATS parser would extract, so users can spot what gets lost
+const ParsedResumeView = ({ parsedResume }) => {
+  if (!parsedResume) return null
+
+  const { contact = {}, summary, experience = [], education = [], skills = [], projects = [], certifications = [], other = [] } = parsedResume
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      {/* Header */}
+      <div className="text-center mb-6">
+        <h2 className="text-2xl font-bold text-gray-900 mb-2">
+          What an ATS Sees
+        </h2>
+        <p className="text-gray-600 max-w-2xl mx-auto">
+          These are the fields parsed from your resume text. Anything missing or
+          misplaced here is likely to be missed by an Applicant Tracking System too.
+        </p>
+      </div>
+
+      <Accordion defaultOpen="experience" allowMultiple={true}>
+        <AccordionItem id="contact" className="mb-4">
+          <AccordionHeader itemId="contact" className="bg-gray-50 hover:bg-gray-100 p-4 rounded-lg transition-colors">
+            <h3 className="text-lg font-semibold text-gray-900">Contact</h3>
+          </AccordionHeader>
+          <AccordionContent itemId="contact" className="mt-2 p-4 bg-gray-50 rounded-lg border border-gray-200 space-y-1">
+            <Field label="Name" value={contact.name} />
+            <Field label="Email" value={contact.email} />
+            <Field label="Phone" value={contact.phone} />
+            <Field label="Location" value={contact.location} />
+            <Field label="Links" value={contact.links?.join(', ')} />
+          </AccordionContent>
+        </AccordionItem>
+
+        <AccordionItem id="summary" className="mb-4">
+          <AccordionHeader itemId="summary" className="bg-gray-50 hover:bg-gray-100 p-4 rounded-lg transition-colors">
+            <h3 className="text-lg font-semibold text-gray-900">Summary</h3>
+          </AccordionHeader>
+          <AccordionContent itemId="summary" className="mt-2 p-4 bg-gray-50 rounded-lg border border-gray-200">
+            {summary ? <p className="text-sm text-gray-700">{summary}</p> : <EmptySection label="summary" />}
+          </AccordionContent>
+        </AccordionItem>
+
+        <AccordionItem id="experience" className="mb-4">
+          <AccordionHeader itemId="experience" className="bg-gray-50 hover:bg-gray-100 p-4 rounded-lg transition-colors">
+            <h3 className="text-lg font-semibold text-gray-900">Experience ({experience.length})</h3>
+          </AccordionHeader>
+          <AccordionContent itemId="experience" className="mt-2 p-4 bg-gray-50 rounded-lg border border-gray-200 space-y-4">
+            {experience.length === 0 && <EmptySection label="experience" />}
+            {experience.map((role, roleIndex) => (
+              <div key={roleIndex} className="bg-white p-4 rounded-lg border border-gray-200">
+                <div className="flex items-start justify-between gap-2 mb-2">
+                  <div>
+                    <h4 className="font-medium text-gray-900">
+                      <span className="text-gray-400 mr-1">Role {roleIndex + 1}</span>
+                      {role.title || <span className="text-red-500 italic">No title</span>}
+                      <PageRef location={role.location_in_document} />
+                    </h4>
+                    <p className="text-sm text-gray-600">
+                      {[role.company, role.location].filter(Boolean).join(' · ') || 'No company detected'}
+                    </p>
+                  </div>
+                  <span className="text-xs text-gray-500 whitespace-nowrap">
+                    {role.dates?.raw || 'No dates'}
+                  </span>
+                </div>
+                {role.bullets.length > 0 && (
+                  <ol className="space-y-1">
+                    {role.bullets.map((bullet, bulletIndex) => (
+                      <li key={bulletIndex} className="text-sm text-gray-700 flex gap-2">
+                        <span className="text-gray-400 shrink-0">{bulletIndex + 1}.</span>
+                        <span>{bullet.text}</span>
+                      </li>
+                    ))}
+                  </ol>
+                )}
+              </div>
+            ))}
+          </AccordionContent>
+        </AccordionItem>
+
+        <AccordionItem id="education" className="mb-4">
+          <AccordionHeader itemId="education" className="bg-gray-50 hover:bg-gray-100 p-4 rounded-lg transition-colors">
+            <h3 className="text-lg font-semibold text-gray-900">Education ({education.length})</h3>
+          </AccordionHeader>
+          <AccordionContent itemId="education" className="mt-2 p-4 bg-gray-50 rounded-lg border border-gray-200 space-y-3">
+            {education.length === 0 && <EmptySection label="education" />}
+            {education.map((entry, index) => (
+              <div key={index} className="bg-white p-3 rounded-lg border border-gray-200">
+                <h4 className="font-medium text-gray-900">
+                  {entry.institution || 'No institution detected'}
+                  <PageRef location={entry.location_in_document} />
+                </h4>
+                <p className="text-sm text-gray-600">
+                  {[entry.degree, entry.dates?.raw].filter(Boolean).join(' · ')}
+                </p>
+              </div>
+            ))}
+          </AccordionContent>
+        </AccordionItem>
+
+        <AccordionItem id="skills" className="mb-4">
+          <AccordionHeader itemId="skills" className="bg-gray-50 hover:bg-gray-100 p-4 rounded-lg transition-colors">
+            <h3 className="text-lg font-semibold text-gray-900">Skills ({skills.length})</h3>
+          </AccordionHeader>
+          <AccordionContent itemId="skills" className="mt-2 p-4 bg-gray-50 rounded-lg border border-gray-200">
+            {skills.length === 0 ? <EmptySection label="skills" /> : (
+              <div className="flex flex-wrap gap-2">
+                {skills.map(skill => (
+                  <span key={skill} className="px-2 py-1 bg-white border border-gray-200 rounded text-xs text-gray-700">
+                    {skill}
+                  </span>
+                ))}
+              </div>
+            )}
+          </AccordionContent>
+        </AccordionItem>
+
+        {projects.length > 0 && (
+          <AccordionItem id="projects" className="mb-4">
+            <AccordionHeader itemId="projects" className="bg-gray-50 hover:bg-gray-100 p-4 rounded-lg transition-colors">
+              <h3 className="text-lg font-semibold text-gray-900">Projects ({projects.length})</h3>
+            </AccordionHeader>
+            <AccordionContent itemId="projects" className="mt-2 p-4 bg-gray-50 rounded-lg border border-gray-200 space-y-3">
+              {projects.map((project, index) => (
+                <div key={index} className="bg-white p-3 rounded-lg border border-gray-200">
+                  <h4 className="font-medium text-gray-900">
+                    {project.name || 'Untitled project'}
+                    <PageRef location={project.location_in_document} />
+                  </h4>
+                  {project.description && <p className="text-sm text-gray-600">{project.description}</p>}
+                  {project.bullets.length > 0 && (
+                    <ul className="mt-1 list-disc list-inside text-sm text-gray-700">
+                      {project.bullets.map((bullet, bulletIndex) => <li key={bulletIndex}>{bullet.text}</li>)}
+                    </ul>
+                  )}
+                </div>
+              ))}
+            </AccordionContent>
+          </AccordionItem>
+        )}
+
+        {certifications.length > 0 && (
+          <AccordionItem id="certifications" className="mb-4">
+            <AccordionHeader itemId="certifications" className="bg-gray-50 hover:bg-gray-100 p-4 rounded-lg transition-colors">
+              <h3 className="text-lg font-semibold text-gray-900">Certifications ({certifications.length})</h3>
+            </AccordionHeader>
+            <AccordionContent itemId="certifications" className="mt-2 p-4 bg-gray-50 rounded-lg border border-gray-200">
+              <ul className="list-disc list-inside text-sm text-gray-700">
+                {certifications.map((certification, index) => <li key={index}>{certification}</li>)}
+              </ul>
+            </AccordionContent>
+          </AccordionItem>
+        )}
+
+        {other.length > 0 && (
+          <AccordionItem id="other" className="mb-4">
+            <AccordionHeader itemId="other" className="bg-gray-50 hover:bg-gray-100 p-4 rounded-lg transition-colors">
+              <h3 className="text-lg font-semibold text-gray-900">Unrecognized Sections ({other.length})</h3>
+            </AccordionHeader>
+            <AccordionContent itemId="other" className="mt-2 p-4 bg-gray-50 rounded-lg border border-gray-200 space-y-3">
+              <p className="text-xs text-gray-500">
+                Non-standard headings may be skipped or misfiled by an ATS.
+              </p>
+              {other.map((section, index) => (
+                <div key={index}>
+                  <h4 className="text-sm font-medium text-gray-900">{section.heading}</h4>
+                  <p className="text-sm text-gray-600">{section.lines.join(' ')}</p>
+                </div>
+              ))}
+            </AccordionContent>
+          </AccordionItem>
+        )}
+      </Accordion>
+    </div>
+  )
+}
+
+export default ParsedResumeView
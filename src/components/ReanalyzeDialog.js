@@ -0,0 +1,173 @@
+import { useState } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { Loader2, X } from 'lucide-react'
+import { ANALYSIS_MODES } from '../services/analysisModes'
+import { reanalyzeResume } from '../services/resumeAnalysis'
+
+const getErrorMessage = (err) => {
+  if (err.code === 'RESUME_FILE_MISSING') return 'The original file for this resume is no longer stored.'
+  if (err.code === 'DOWNLOAD_FAILED' || err.code === 'DOWNLOAD_RETRY_FAILED') {
+    return 'Could not download your stored resume. Please check your connection and try again.'
+  }
+  if (err.code === 'PDF_TEXT_EXTRACTION_FAILED') return 'Could not read text from the stored resume.'
+  if (err.code?.startsWith('PDF_WORKER_')) return 'The PDF reader could not start. Please reload the page.'
+  return `Re-analysis failed: ${err.message || 'An unexpected error occurred. Please try again.'}`
+}
+
+// Runs a stored resume against a new or edited job description without uploading it again
+const ReanalyzeDialog = ({ resume, onClose }) => {
+  const navigate = useNavigate()
+  const [job, setJob] = useState({
+    companyName: resume.company_name || '',
+    jobTitle: resume.job_title || '',
+    jobDescription: resume.job_description || '',
+    resumeMode: resume.resume_mode || 'soft'
+  })
+  const [forceFresh, setForceFresh] = useState(false)
+  const [status, setStatus] = useState('')
+  const [error, setError] = useState('')
+  const [running, setRunning] = useState(false)
+
+  const handleChange = (e) => {
+    const { name, value } = e.target
+    setJob(prev => ({ ...prev, [name]: value }))
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    if (!job.companyName.trim() || !job.jobTitle.trim() || !job.jobDescription.trim()) {
+      setError('Company, job title and job description are required.')
+      return
+    }
+
+    setRunning(true)
+    setError('')
+    try {
+      const saved = await reanalyzeResume(resume, {
+        companyName: job.companyName.trim(),
+        jobTitle: job.jobTitle.trim(),
+        jobDescription: job.jobDescription.trim(),
+        // Keep the library link only while the description is unchanged
+        jobDescriptionId: job.jobDescription.trim() === resume.job_description ? resume.job_description_id : null,
+        resumeMode: job.resumeMode
+      }, { onStatus: setStatus, forceFresh })
+      onClose()
+      navigate(`/resume/${saved.id}`)
+    } catch (err) {
+      console.error('Re-analysis failed:', err)
+      setError(getErrorMessage(err))
+      setRunning(false)
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 p-4">
+      <form
+        onSubmit={handleSubmit}
+        className="bg-white rounded-lg shadow-xl w-full max-w-2xl max-h-[90vh] overflow-y-auto p-6 text-left"
+      >
+        <div className="flex items-start justify-between mb-4">
+          <div>
+            <h2 className="text-xl font-bold text-gray-900">Re-analyze Resume</h2>
+            <p className="text-sm text-gray-600">
+              Uses the file you already uploaded. The result is saved as a re-analysis of this version, not as a new version.
+            </p>
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            disabled={running}
+            className="p-1 text-gray-400 hover:text-gray-600 disabled:opacity-50"
+            title="Close"
+          >
+            <X size={18} />
+          </button>
+        </div>
+
+        <div className="grid md:grid-cols-2 gap-4 mb-4">
+          <label className="block text-sm font-medium text-gray-700">
+            Company Name
+            <input
+              name="companyName"
+              value={job.companyName}
+              onChange={handleChange}
+              disabled={running}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+            />
+          </label>
+          <label className="block text-sm font-medium text-gray-700">
+            Job Title
+            <input
+              name="jobTitle"
+              value={job.jobTitle}
+              onChange={handleChange}
+              disabled={running}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+            />
+          </label>
+        </div>
+
+        <label className="block text-sm font-medium text-gray-700 mb-4">
+          Job Description
+          <textarea
+            name="jobDescription"
+            value={job.jobDescription}
+            onChange={handleChange}
+            disabled={running}
+            rows={8}
+            className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+          />
+        </label>
+
+        <label className="block text-sm font-medium text-gray-700 mb-4">
+          Review Mode
+          <select
+            name="resumeMode"
+            value={job.resumeMode}
+            onChange={handleChange}
+            disabled={running}
+            className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500"
+          >
+            {Object.values(ANALYSIS_MODES).map(mode => (
+              <option key={mode.id} value={mode.id}>{mode.label}</option>
+            ))}
+          </select>
+        </label>
+
+        <label className="flex items-center gap-2 mb-4 text-sm text-gray-700">
+          <input
+            type="checkbox"
+            checked={forceFresh}
+            onChange={(e) => setForceFresh(e.target.checked)}
+            disabled={running}
+          />
+          Force a fresh analysis instead of reusing a cached result for the same job
+        </label>
+
+        {error && <p className="mb-4 text-sm text-red-600">{error}</p>}
+
+        <div className="flex items-center justify-end gap-3">
+          {running && (
+            <span className="flex items-center gap-2 mr-auto text-sm text-gray-600">
+              <Loader2 size={16} className="animate-spin" />
+              {status}
+            </span>
+          )}
+          <button
+            type="button"
+            onClick={onClose}
+            disabled={running}
+            className="px-4 py-2 border border-gray-300 rounded-lg text-sm text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+          >
+            Cancel
+          </button>
+          <button type="submit" disabled={running} className="primary-button text-sm disabled:opacity-50">
+            {running ? 'Analyzing...' : 'Re-analyze'}
+          </button>
+        </div>
+      </form>
+    </div>
+  )
+}
+
+export default ReanalyzeDialog
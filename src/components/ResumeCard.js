@@ -2,14 +2,17 @@ import { Link } from 'react-router-dom';
 import { useEffect, useState } from 'react';
 import { storageService, resumeService } from '../lib/supabase';
 import { formatRelativeTime, getBadgeColorClass, getBadgeText } from '../utils/utils';
+import { getRoadmapProgress } from '../utils/roadmap';
 import ScoreCircle from './ScoreCircle';
-import { Trash2, ExternalLink, Calendar } from 'lucide-react';
+import ReanalyzeDialog from './ReanalyzeDialog';
+import { Trash2, ExternalLink, Calendar, RefreshCw } from 'lucide-react';
 
 const ResumeCard = ({ resume, onDelete }) => {
   const [imageUrl, setImageUrl] = useState('');
   const [loading, setLoading] = useState(true);
   const [deleting, setDeleting] = useState(false);
   const [error, setError] = useState(null);
+  const [showReanalyze, setShowReanalyze] = useState(false);
 
   const {
     id,
@@ -17,7 +20,8 @@ const ResumeCard = ({ resume, onDelete }) => {
     job_title,
     feedback,
     image_path,
-    created_at
+    created_at,
+    version_number
   } = resume;
 
   useEffect(() => {
@@ -68,14 +72,7 @@ const ResumeCard = ({ resume, onDelete }) => {
     try {
       setDeleting(true);
       
-      // Delete files from storage from their specific buckets.
-      if (resume.resume_path) {
-        await storageService.deleteFile(resume.resume_path, { bucket: 'resumes' });
-      }
-      if (resume.image_path) {
-        await storageService.deleteFile(resume.image_path, { bucket: 'resume-images' });
-      }
-      
+      // Also removes the stored files unless a re-analysis still uses them.
       await resumeService.delete(id);
       
       // Notify the parent component (Home.js) to refresh the list.
@@ -90,6 +87,7 @@ const ResumeCard = ({ resume, onDelete }) => {
 
   const overallScore = feedback?.overall_score || 0;
   const atsScore = feedback?.ats_score || 0;
+  const roadmap = getRoadmapProgress(feedback, resume.roadmap_progress);
 
   return (
     <div className="bg-white rounded-lg shadow-md overflow-hidden hover:shadow-lg transition-shadow duration-200">
@@ -105,9 +103,23 @@ const ResumeCard = ({ resume, onDelete }) => {
             <div className="flex items-center gap-2 mt-2 text-xs text-gray-500">
               <Calendar size={12} />
               <span>{formatRelativeTime(created_at)}</span>
+              {version_number > 1 && (
+                <span className="px-1.5 py-0.5 bg-gray-100 text-gray-700 rounded font-medium">
+                  v{version_number}
+                </span>
+              )}
             </div>
           </div>
           
+          {resume.resume_path && (
+            <button
+              onClick={() => setShowReanalyze(true)}
+              className="p-2 text-gray-400 hover:text-blue-500 transition-colors"
+              title="Re-analyze against another job description"
+            >
+              <RefreshCw size={16} />
+            </button>
+          )}
           <button
             onClick={handleDelete}
             disabled={deleting}
@@ -158,6 +170,10 @@ const ResumeCard = ({ resume, onDelete }) => {
         )}
       </div>
 
+      {showReanalyze && (
+        <ReanalyzeDialog resume={resume} onClose={() => setShowReanalyze(false)} />
+      )}
+
       {feedback ? (
         <div className="p-4">
           <div className="flex items-center justify-between mb-3">
@@ -197,6 +213,21 @@ const ResumeCard = ({ resume, onDelete }) => {
             ))}
           </div>
 
+          {roadmap.total > 0 && (
+            <div className="mb-4">
+              <div className="flex items-center justify-between text-xs text-gray-600 mb-1">
+                <span>Roadmap</span>
+                <span>{roadmap.done}/{roadmap.total} done</span>
+              </div>
+              <div className="w-full bg-gray-200 rounded-full h-1.5">
+                <div
+                  className="h-1.5 rounded-full bg-green-500"
+                  style={{ width: `${roadmap.percent}%` }}
+                ></div>
+              </div>
+            </div>
+          )}
+
           <Link
             to={`/resume/${id}`}
             className="w-full bg-blue-500 hover:bg-blue-600 text-white text-sm font-medium py-2 px-4 rounded-lg transition-colors flex items-center justify-center gap-2"
@@ -0,0 +1,33 @@
+import { cn } from '../utils/utils'
+
+export const RESUME_TABS = [
+  { id: 'analysis', label: 'Analysis', title: 'Resume Review' },
+  { id: 'cover-letter', label: 'Cover Letter', title: 'Cover Letter' },
+  { id: 'interview', label: 'Interview Prep', title: 'Interview Preparation' }
+]
+
+// Unknown or missing ids fall back to the analysis tab
+export const getResumeTab = (id) => RESUME_TABS.find(tab => tab.id === id) || RESUME_TABS[0]
+
+// Switches between the analysis report and the tools built on it
+const ResumeTabs = ({ active, onChange }) => (
+  <div className="flex justify-center border-b border-gray-200">
+    {RESUME_TABS.map(tab => (
+      <button
+        key={tab.id}
+        type="button"
+        onClick={() => onChange(tab.id)}
+        className={cn(
+          "px-4 py-2 -mb-px border-b-2 text-sm font-medium transition-colors",
+          active === tab.id
+            ? "border-blue-500 text-blue-600"
+            : "border-transparent text-gray-600 hover:text-gray-900"
+        )}
+      >
+        {tab.label}
+      </button>
+    ))}
+  </div>
+)
+
+export default ResumeTabs
@@ -0,0 +1,200 @@
+import { useRef, useState } from 'react'
+import { resumeService } from '../lib/supabase'
+import { cn } from '../utils/utils'
+import {
+  ROADMAP_LEVELS,
+  ROADMAP_SECTION_LABELS,
+  getRoadmapItems,
+  getRoadmapProgress
+} from '../utils/roadmap'
+
+// Matrix cells, keyed "<impact>-<effort>", that get a name
+const QUADRANT_NAMES = {
+  'high-low': 'Quick wins',
+  'high-medium': 'Worth planning',
+  'high-high': 'Big bets',
+  'low-high': 'Skip for now'
+}
+
+const RoadmapItem = ({ item, checked, onToggle, compact = false }) => (
+  <label
+    className={cn(
+      "flex items-start gap-2 rounded-lg border cursor-pointer transition-colors",
+      compact ? "p-2 text-xs" : "p-3 text-sm",
+      checked ? "bg-green-50 border-green-200" : "bg-white border-gray-200 hover:border-gray-300"
+    )}
+  >
+    <input
+      type="checkbox"
+      checked={checked}
+      onChange={() => onToggle(item.key)}
+      className="mt-0.5"
+    />
+    <span className={cn("flex-1", checked ? "text-gray-500 line-through" : "text-gray-800")}>
+      {item.action}
+      {!compact && (
+        <span className="block mt-1 text-xs text-gray-500">
+          Impact: {item.impact} · Effort: {item.effort}
+        </span>
+      )}
+    </span>
+  </label>
+)
+
+const withValue = (progress, key, value) => {
+  const next = { ...progress }
+  if (value) {
+    next[key] = value
+  } else {
+    delete next[key]
+  }
+  return next
+}
+
+// Impact-versus-effort matrix and checklist for improvement_roadmap, with saved progress
+const RoadmapBoard = ({ resumeId, feedback, initialProgress }) => {
+  const [progress, setProgress] = useState(initialProgress || {})
+  const progressRef = useRef(progress)
+  const [view, setView] = useState('matrix')
+  const [saveError, setSaveError] = useState(null)
+
+  // Keeps the ref in step with the state so each save sends every change made so far
+  const applyProgress = (update) => {
+    progressRef.current = update(progressRef.current)
+    setProgress(update)
+    return progressRef.current
+  }
+
+  const items = getRoadmapItems(feedback)
+  if (items.length === 0) return null
+
+  const { done, total, percent } = getRoadmapProgress(feedback, progress)
+
+  // Saves go out in click order; a failed save only rolls back its own item, and only if nothing changed it since
+  const handleToggle = async (key) => {
+    const previousValue = progressRef.current[key]
+    const nextValue = previousValue ? undefined : new Date().toISOString()
+    const next = applyProgress(current => withValue(current, key, nextValue))
+
+    setSaveError(null)
+    try {
+      await resumeService.updateRoadmapProgress(resumeId, next)
+    } catch (err) {
+      console.error('Failed to save roadmap progress:', err)
+      applyProgress(current => (current[key] === nextValue ? withValue(current, key, previousValue) : current))
+      setSaveError('Could not save your progress. Please try again.')
+    }
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      {/* Header */}
+      <div className="flex flex-col md:flex-row md:items-center justify-between gap-4 mb-4">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">Improvement Roadmap</h2>
+          <p className="text-gray-600 text-sm">
+            Tick off changes as you make them. Start with the quick wins.
+          </p>
+        </div>
+        <div className="flex rounded-lg border border-gray-300 overflow-hidden text-sm">
+          {['matrix', 'checklist'].map(option => (
+            <button
+              key={option}
+              type="button"
+              onClick={() => setView(option)}
+              className={cn(
+                "px-3 py-1 capitalize transition-colors",
+                view === option ? "bg-blue-500 text-white" : "bg-white text-gray-700 hover:bg-gray-50"
+              )}
+            >
+              {option}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* Progress */}
+      <div className="mb-6">
+        <div className="flex items-center justify-between text-sm mb-1">
+          <span className="text-gray-600">{done} of {total} done</span>
+          <span className="font-medium text-gray-900">{percent}%</span>
+        </div>
+        <div className="w-full bg-gray-200 rounded-full h-2">
+          <div
+            className="h-2 rounded-full bg-green-500 transition-all duration-500"
+            style={{ width: `${percent}%` }}
+          ></div>
+        </div>
+        {saveError && <p className="mt-2 text-xs text-red-600">{saveError}</p>}
+      </div>
+
+      {view === 'matrix' ? (
+        <div className="overflow-x-auto">
+          <div className="grid grid-cols-[auto_repeat(3,minmax(160px,1fr))] gap-2 min-w-[560px]">
+            <div></div>
+            {[...ROADMAP_LEVELS].reverse().map(effort => (
+              <div key={effort} className="text-center text-xs font-medium text-gray-500 capitalize">
+                {effort} effort
+              </div>
+            ))}
+            {ROADMAP_LEVELS.map(impact => (
+              <div key={impact} className="contents">
+                <div className="flex items-center text-xs font-medium text-gray-500 capitalize pr-2">
+                  {impact} impact
+                </div>
+                {[...ROADMAP_LEVELS].reverse().map(effort => {
+                  const cellItems = items.filter(item => item.impact === impact && item.effort === effort)
+                  const name = QUADRANT_NAMES[`${impact}-${effort}`]
+                  return (
+                    <div
+                      key={effort}
+                      className={cn(
+                        "min-h-[80px] p-2 rounded-lg border space-y-2",
+                        impact === 'high' && effort === 'low' ? "bg-green-50 border-green-200" : "bg-gray-50 border-gray-200"
+                      )}
+                    >
+                      {name && <div className="text-xs font-semibold text-gray-700">{name}</div>}
+                      {cellItems.map(item => (
+                        <RoadmapItem
+                          key={item.key}
+                          item={item}
+                          checked={Boolean(progress[item.key])}
+                          onToggle={handleToggle}
+                          compact
+                        />
+                      ))}
+                    </div>
+                  )
+                })}
+              </div>
+            ))}
+          </div>
+        </div>
+      ) : (
+        <div className="space-y-6">
+          {Object.entries(ROADMAP_SECTION_LABELS).map(([section, label]) => {
+            const sectionItems = items.filter(item => item.section === section)
+            if (sectionItems.length === 0) return null
+            return (
+              <div key={section}>
+                <h3 className="font-semibold text-gray-900 mb-2">{label}</h3>
+                <div className="space-y-2">
+                  {sectionItems.map(item => (
+                    <RoadmapItem
+                      key={item.key}
+                      item={item}
+                      checked={Boolean(progress[item.key])}
+                      onToggle={handleToggle}
+                    />
+                  ))}
+                </div>
+              </div>
+            )
+          })}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default RoadmapBoard
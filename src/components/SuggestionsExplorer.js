@@ -0,0 +1,256 @@
+import { useMemo, useRef, useState } from 'react'
+import { resumeService } from '../lib/supabase'
+import { cn } from '../utils/utils'
+import { CATEGORY_KEYS, PRIORITY_LEVELS } from '../services/feedbackSchema'
+import { SUGGESTION_SORTS, SUGGESTION_STATUSES, getSuggestionItems } from '../utils/suggestions'
+
+const PRIORITY_STYLES = {
+  high: "bg-red-100 text-red-700",
+  medium: "bg-yellow-100 text-yellow-700",
+  low: "bg-gray-100 text-gray-700"
+}
+
+const GROUPINGS = {
+  none: { label: 'No grouping', groups: () => [null] },
+  category: { label: 'Category', groups: () => CATEGORY_KEYS, field: 'category' },
+  priority: { label: 'Priority', groups: () => PRIORITY_LEVELS, field: 'priority' }
+}
+
+const FilterSelect = ({ label, value, onChange, options }) => (
+  <label className="flex items-center gap-2 text-sm text-gray-700">
+    {label}
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      className="px-2 py-1 border border-gray-300 rounded-lg text-sm capitalize focus:ring-2 focus:ring-blue-500"
+    >
+      {options.map(option => (
+        <option key={option.value} value={option.value}>{option.label}</option>
+      ))}
+    </select>
+  </label>
+)
+
+const SuggestionItem = ({ suggestion, onStatusChange }) => (
+  <div
+    className={cn(
+      "p-4 rounded-lg border",
+      suggestion.status === 'open' ? "bg-white border-gray-200" : "bg-gray-50 border-gray-100"
+    )}
+  >
+    <div className="flex flex-col md:flex-row md:items-start gap-3">
+      <div className="flex-1">
+        <h4
+          className={cn(
+            "font-medium mb-1",
+            suggestion.status === 'open' ? "text-gray-900" : "text-gray-500 line-through"
+          )}
+        >
+          {suggestion.tip}
+        </h4>
+        {suggestion.explanation && (
+          <p className="text-sm text-gray-600">{suggestion.explanation}</p>
+        )}
+        <div className="flex flex-wrap gap-2 mt-2 text-xs">
+          <span className="px-2 py-1 bg-blue-100 text-blue-700 rounded capitalize">{suggestion.category}</span>
+          <span className={cn("px-2 py-1 rounded capitalize", PRIORITY_STYLES[suggestion.priority])}>
+            {suggestion.priority} priority
+          </span>
+          {suggestion.estimated_impact && (
+            <span className="px-2 py-1 bg-green-100 text-green-700 rounded">
+              Impact: {suggestion.estimated_impact}
+            </span>
+          )}
+        </div>
+      </div>
+
+      <div className="flex gap-2 text-xs shrink-0">
+        {suggestion.status === 'open' ? (
+          <>
+            <button
+              type="button"
+              onClick={() => onStatusChange(suggestion.key, 'done')}
+              className="px-3 py-1 bg-green-500 text-white rounded hover:bg-green-600 transition-colors"
+            >
+              ✓ Done
+            </button>
+            <button
+              type="button"
+              onClick={() => onStatusChange(suggestion.key, 'dismissed')}
+              className="px-3 py-1 border border-gray-300 text-gray-700 rounded hover:bg-gray-50 transition-colors"
+            >
+              Dismiss
+            </button>
+          </>
+        ) : (
+          <button
+            type="button"
+            onClick={() => onStatusChange(suggestion.key, 'open')}
+            className="px-3 py-1 border border-gray-300 text-gray-700 rounded hover:bg-gray-50 transition-colors"
+          >
+            {suggestion.status === 'done' ? 'Mark as not done' : 'Restore'}
+          </button>
+        )}
+      </div>
+    </div>
+  </div>
+)
+
+const withState = (states, key, state) => {
+  const next = { ...states }
+  if (state) {
+    next[key] = state
+  } else {
+    delete next[key]
+  }
+  return next
+}
+
+// Filterable, sortable list of feedback.suggestions with saved done / dismissed states
+const SuggestionsExplorer = ({ resumeId, feedback, initialStates, onStatesChange }) => {
+  const [states, setStates] = useState(initialStates || {})
+  const statesRef = useRef(states)
+  const [category, setCategory] = useState('all')
+  const [priority, setPriority] = useState('all')
+  const [status, setStatus] = useState('open')
+  const [sortBy, setSortBy] = useState('priority')
+  const [groupBy, setGroupBy] = useState('none')
+  const [saveError, setSaveError] = useState(null)
+
+  const items = useMemo(() => getSuggestionItems(feedback, states), [feedback, states])
+
+  const visible = useMemo(() => items
+    .filter(item => category === 'all' || item.category === category)
+    .filter(item => priority === 'all' || item.priority === priority)
+    .filter(item => status === 'all' || item.status === status)
+    .sort(SUGGESTION_SORTS[sortBy]), [items, category, priority, status, sortBy])
+
+  // Keeps the ref in step with the state so each save sends every change made so far
+  const applyStates = (update) => {
+    statesRef.current = update(statesRef.current)
+    setStates(update)
+    onStatesChange?.(statesRef.current)
+    return statesRef.current
+  }
+
+  if (items.length === 0) return null
+
+  const counts = Object.fromEntries(SUGGESTION_STATUSES.map(value => [
+    value,
+    items.filter(item => item.status === value).length
+  ]))
+
+  // Saves go out in click order; a failed save only rolls back its own key, and only if nothing changed it since
+  const handleStatusChange = async (key, nextStatus) => {
+    const previousState = statesRef.current[key]
+    const nextState = nextStatus === 'open' ? undefined : { status: nextStatus, updated_at: new Date().toISOString() }
+    const next = applyStates(current => withState(current, key, nextState))
+
+    setSaveError(null)
+    try {
+      await resumeService.updateSuggestionStates(resumeId, next)
+    } catch (err) {
+      console.error('Failed to save suggestion state:', err)
+      applyStates(current => (current[key] === nextState ? withState(current, key, previousState) : current))
+      setSaveError('Could not save your change. Please try again.')
+    }
+  }
+
+  const grouping = GROUPINGS[groupBy]
+  const groups = grouping.groups()
+    .map(group => ({
+      group,
+      items: group === null ? visible : visible.filter(item => item[grouping.field] === group)
+    }))
+    .filter(({ items: groupItems }) => groupItems.length > 0)
+
+  return (
+    <div id="suggestions" className="bg-white rounded-lg shadow-md p-6">
+      {/* Header */}
+      <div className="text-center mb-6">
+        <h2 className="text-2xl font-bold text-gray-900 mb-2">
+          Suggestions
+        </h2>
+        <p className="text-gray-600 max-w-2xl mx-auto">
+          {counts.open} open · {counts.done} done · {counts.dismissed} dismissed
+        </p>
+      </div>
+
+      {/* Filters */}
+      <div className="flex flex-wrap gap-2 mb-4">
+        {['all', ...CATEGORY_KEYS].map(value => (
+          <button
+            key={value}
+            type="button"
+            onClick={() => setCategory(value)}
+            className={cn(
+              "px-3 py-1 rounded-full border text-sm capitalize transition-colors",
+              category === value
+                ? "bg-blue-500 border-blue-500 text-white"
+                : "bg-white border-gray-300 text-gray-700 hover:bg-gray-50"
+            )}
+          >
+            {value}
+          </button>
+        ))}
+      </div>
+
+      <div className="flex flex-wrap gap-4 mb-6">
+        <FilterSelect
+          label="Priority"
+          value={priority}
+          onChange={setPriority}
+          options={['all', ...PRIORITY_LEVELS].map(value => ({ value, label: value }))}
+        />
+        <FilterSelect
+          label="Status"
+          value={status}
+          onChange={setStatus}
+          options={['all', ...SUGGESTION_STATUSES].map(value => ({ value, label: value }))}
+        />
+        <FilterSelect
+          label="Sort by"
+          value={sortBy}
+          onChange={setSortBy}
+          options={[
+            { value: 'priority', label: 'Priority' },
+            { value: 'impact', label: 'Estimated impact' }
+          ]}
+        />
+        <FilterSelect
+          label="Group by"
+          value={groupBy}
+          onChange={setGroupBy}
+          options={Object.entries(GROUPINGS).map(([value, { label }]) => ({ value, label }))}
+        />
+      </div>
+
+      {saveError && <p className="mb-4 text-xs text-red-600">{saveError}</p>}
+
+      {groups.length === 0 ? (
+        <p className="text-sm text-gray-500 text-center py-4">
+          No suggestions match these filters.
+        </p>
+      ) : (
+        <div className="space-y-6">
+          {groups.map(({ group, items: groupItems }) => (
+            <div key={group || 'all'}>
+              {group && (
+                <h3 className="font-semibold text-gray-900 mb-2 capitalize">
+                  {grouping.field === 'priority' ? `${group} priority` : group} ({groupItems.length})
+                </h3>
+              )}
+              <div className="space-y-3">
+                {groupItems.map(item => (
+                  <SuggestionItem key={item.key} suggestion={item} onStatusChange={handleStatusChange} />
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default SuggestionsExplorer
@@ -1,5 +1,14 @@
+import { useState } from 'react'
 import ScoreGauge from './ScoreGauge'
 import ScoreBadge from './ScoreBadge'
+import { CATEGORY_KEYS } from '../services/feedbackSchema'
+import {
+  getFeedbackWeights,
+  getScoreBreakdown,
+  loadCustomWeights,
+  saveCustomWeights,
+  clearCustomWeights
+} from '../utils/scoring'
 
 // Utility component for category display with enhanced data structure
 const Category = ({ title, score, weight, description }) => {
@@ -64,7 +73,80 @@ const ScoreInterpretation = ({ score, scoreInterpretation }) => {
   );
 };
 
-const Summary = ({ feedback }) => {
+// Model-reported overall score next to the score recomputed from category weights
+const ScoreDiscrepancy = ({ breakdown, customized }) => {
+  const { reported, weighted, difference, significant } = breakdown
+  if (reported === null || weighted === null) return null
+
+  return (
+    <div className={`w-full max-w-md p-3 rounded-lg border text-sm mb-4 ${
+      significant ? "bg-orange-50 border-orange-200" : "bg-gray-50 border-gray-200"
+    }`}>
+      <div className="flex justify-between">
+        <span className="text-gray-600">Reported by the AI</span>
+        <span className="font-medium text-gray-900">{reported}/100</span>
+      </div>
+      <div className="flex justify-between">
+        <span className="text-gray-600">
+          Weighted from categories{customized ? ' (your weights)' : ''}
+        </span>
+        <span className="font-medium text-gray-900">{weighted}/100</span>
+      </div>
+      <div className={`mt-1 text-xs ${significant ? "text-orange-700" : "text-gray-500"}`}>
+        {difference === 0
+          ? 'Both scores agree.'
+          : `Difference: ${difference > 0 ? '+' : ''}${difference} points${significant ? '. The AI score does not match its own category scores.' : '.'}`}
+      </div>
+    </div>
+  )
+}
+
+const WeightEditor = ({ weights, onChange, onReset, customized }) => {
+  const total = CATEGORY_KEYS.reduce((sum, category) => sum + (Number(weights[category]) || 0), 0)
+
+  return (
+    <div className="mt-4 p-4 bg-gray-50 rounded-lg border border-gray-200">
+      <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
+        {CATEGORY_KEYS.map(category => (
+          <label key={category} className="block text-sm">
+            <span className="flex justify-between text-gray-700 capitalize mb-1">
+              {category}
+              <span className="font-medium">{weights[category]}%</span>
+            </span>
+            <input
+              type="range"
+              min="0"
+              max="60"
+              step="5"
+              value={weights[category]}
+              onChange={(e) => onChange(category, Number(e.target.value))}
+              className="w-full"
+            />
+          </label>
+        ))}
+      </div>
+      <div className="flex items-center justify-between mt-3 text-xs text-gray-500">
+        <span>
+          Weights total {total}%.{total !== 100 && ' Scores are normalized, so they do not have to add up to 100.'}
+        </span>
+        {customized && (
+          <button
+            type="button"
+            onClick={onReset}
+            className="text-blue-600 hover:text-blue-500 underline"
+          >
+            Reset to analysis weights
+          </button>
+        )}
+      </div>
+    </div>
+  )
+}
+
+const Summary = ({ feedback, mode }) => {
+  const [customWeights, setCustomWeights] = useState(() => loadCustomWeights(mode))
+  const [showWeights, setShowWeights] = useState(false)
+
   if (!feedback) {
     return (
       <div className="bg-white rounded-lg shadow-md p-6">
@@ -84,10 +166,25 @@ const Summary = ({ feedback }) => {
     overall_score, 
     ats_score, 
     categories, 
-    score_interpretation,
-    competitive_analysis 
+    score_interpretation
   } = feedback
 
+  const weights = customWeights || getFeedbackWeights(feedback, mode)
+  const breakdown = getScoreBreakdown(feedback, weights)
+  // The gauge follows the category scores and weights; the AI's own number is only shown alongside
+  const displayedScore = breakdown.weighted ?? overall_score
+
+  const handleWeightChange = (category, value) => {
+    const next = { ...weights, [category]: value }
+    setCustomWeights(next)
+    saveCustomWeights(mode, next)
+  }
+
+  const handleResetWeights = () => {
+    setCustomWeights(null)
+    clearCustomWeights(mode)
+  }
+
   return (
     <div className="bg-white rounded-lg shadow-md p-6">
       {/* Header */}
@@ -103,18 +200,20 @@ const Summary = ({ feedback }) => {
       {/* Main Score Display */}
       <div className="flex flex-col items-center mb-8">
         <div className="mb-4">
-          <ScoreGauge score={overall_score} />
+          <ScoreGauge score={displayedScore} />
         </div>
-        <div className="text-center">
+        <div className="text-center mb-4">
           <div className="text-3xl font-bold text-gray-900 mb-2">
             Overall Score
           </div>
-          <ScoreBadge score={overall_score} />
+          <ScoreBadge score={displayedScore} />
         </div>
+
+        <ScoreDiscrepancy breakdown={breakdown} customized={Boolean(customWeights)} />
         
         {/* Score Interpretation */}
         <ScoreInterpretation 
-          score={overall_score} 
+          score={displayedScore} 
           scoreInterpretation={score_interpretation} 
         />
       </div>
@@ -151,29 +250,30 @@ const Summary = ({ feedback }) => {
               key={categoryName}
               title={categoryName.charAt(0).toUpperCase() + categoryName.slice(1)}
               score={categoryData.score || 0}
-              weight={categoryData.weight}
+              weight={weights[categoryName] ?? categoryData.weight}
               description={categoryData.description}
             />
           ))}
         </div>
-      </div>
 
-      {/* Competitive Analysis (if available) */}
-      {competitive_analysis?.market_position && (
-        <div className="mt-6 p-4 bg-purple-50 rounded-lg border border-purple-200">
-          <div className="flex items-start gap-3">
-            <div className="text-purple-500 text-xl">📊</div>
-            <div>
-              <h4 className="font-medium text-purple-900 mb-1">
-                Market Position
-              </h4>
-              <p className="text-sm text-purple-700">
-                {competitive_analysis.market_position}
-              </p>
-            </div>
-          </div>
+        <div className="text-center mt-4">
+          <button
+            type="button"
+            onClick={() => setShowWeights(!showWeights)}
+            className="text-sm text-blue-600 hover:text-blue-500 underline"
+          >
+            {showWeights ? 'Hide weights' : 'Adjust weights for your target role'}
+          </button>
         </div>
-      )}
+        {showWeights && (
+          <WeightEditor
+            weights={weights}
+            onChange={handleWeightChange}
+            onReset={handleResetWeights}
+            customized={Boolean(customWeights)}
+          />
+        )}
+      </div>
 
       {/* Improvement Guidance */}
       <div className="mt-6 p-4 bg-blue-50 rounded-lg">
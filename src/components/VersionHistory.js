@@ -0,0 +1,207 @@
+import { useMemo, useState } from 'react'
+import { Link } from 'react-router-dom'
+import { cn, formatRelativeTime } from '../utils/utils'
+import { diffLines } from '../utils/textDiff'
+
+const ScoreDelta = ({ label, from, to }) => {
+  const hasScores = typeof from === 'number' && typeof to === 'number'
+  const delta = hasScores ? to - from : null
+
+  return (
+    <div className="flex items-center justify-between py-2 border-b border-gray-100 last:border-0">
+      <span className="text-sm text-gray-700 capitalize">{label}</span>
+      <div className="flex items-center gap-3 text-sm">
+        <span className="text-gray-500">{from ?? '–'} → {to ?? '–'}</span>
+        <span
+          className={cn(
+            "w-12 text-right font-bold",
+            delta > 0 ? "text-green-600" : delta < 0 ? "text-red-600" : "text-gray-400"
+          )}
+        >
+          {delta === null ? '' : delta > 0 ? `+${delta}` : delta}
+        </span>
+      </div>
+    </div>
+  )
+}
+
+// Version switcher plus score and text changes between the open version and another one
+const VersionHistory = ({ resume: openResume, versions = [] }) => {
+  // A re-analysis is compared as the upload it was run from; its scores belong to another job
+  const resume = (openResume?.reanalysis_of && versions.find(version => version.id === openResume.reanalysis_of)) || openResume
+  const otherVersions = versions.filter(version => version.id !== resume?.id)
+  const previousVersion = [...otherVersions]
+    .reverse()
+    .find(version => version.version_number < resume?.version_number) || otherVersions[0]
+
+  const [compareId, setCompareId] = useState(null)
+  const [showUnchanged, setShowUnchanged] = useState(false)
+  const baseVersion = otherVersions.find(version => version.id === compareId) || previousVersion
+
+  const diff = useMemo(() => {
+    if (!baseVersion?.resume_text || !resume?.resume_text) return null
+    return diffLines(baseVersion.resume_text, resume.resume_text)
+  }, [baseVersion, resume])
+
+  if (!resume?.document_id) return null
+
+  const categoryNames = [...new Set([
+    ...Object.keys(baseVersion?.feedback?.categories || {}),
+    ...Object.keys(resume.feedback?.categories || {})
+  ])]
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      {/* Header */}
+      <div className="flex flex-col md:flex-row md:items-center justify-between gap-4 mb-6">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">Version History</h2>
+          <p className="text-gray-600 text-sm">
+            See which edits moved your score between uploads of this resume.
+          </p>
+          {resume !== openResume && (
+            <p className="text-gray-500 text-xs mt-1">
+              This is a re-analysis of v{resume.version_number} against another job, so changes are shown for v{resume.version_number}.
+            </p>
+          )}
+        </div>
+        <Link
+          to={`/upload?document=${resume.document_id}`}
+          className="primary-button text-sm text-center"
+        >
+          📤 Upload New Version
+        </Link>
+      </div>
+
+      {/* Version switcher */}
+      <div className="flex flex-wrap gap-2 mb-6">
+        {versions.map(version => (
+          <Link
+            key={version.id}
+            to={`/resume/${version.id}`}
+            className={cn(
+              "px-3 py-2 rounded-lg border text-sm transition-colors",
+              version.id === resume.id
+                ? "border-blue-500 bg-blue-50 text-blue-700 font-medium"
+                : "border-gray-200 text-gray-700 hover:border-gray-300"
+            )}
+            title={formatRelativeTime(version.created_at)}
+          >
+            v{version.version_number}
+            {typeof version.overall_score === 'number' && (
+              <span className="ml-2 text-xs text-gray-500">{version.overall_score}/100</span>
+            )}
+          </Link>
+        ))}
+      </div>
+
+      {!baseVersion ? (
+        <p className="text-sm text-gray-500 text-center py-4">
+          This is the only version so far. Upload an edited resume as a new version to compare.
+        </p>
+      ) : (
+        <>
+          <div className="flex items-center gap-2 mb-4">
+            <label htmlFor="compare-version" className="text-sm text-gray-700">
+              Compare v{resume.version_number} with
+            </label>
+            <select
+              id="compare-version"
+              value={baseVersion.id}
+              onChange={(e) => setCompareId(e.target.value)}
+              className="px-3 py-1 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500"
+            >
+              {otherVersions.map(version => (
+                <option key={version.id} value={version.id}>
+                  v{version.version_number} ({formatRelativeTime(version.created_at)})
+                </option>
+              ))}
+            </select>
+            <Link
+              to={`/compare?ids=${versions.map(version => version.id).join(',')}`}
+              className="ml-auto text-sm text-blue-600 hover:text-blue-500 underline"
+            >
+              Compare all side by side
+            </Link>
+          </div>
+
+          <div className="grid md:grid-cols-2 gap-6">
+            {/* Score deltas */}
+            <div className="p-4 bg-gray-50 rounded-lg border border-gray-200">
+              <h3 className="font-semibold text-gray-900 mb-2">
+                Score Changes (v{baseVersion.version_number} → v{resume.version_number})
+              </h3>
+              <ScoreDelta label="Overall" from={baseVersion.feedback?.overall_score} to={resume.feedback?.overall_score} />
+              <ScoreDelta label="ATS" from={baseVersion.feedback?.ats_score} to={resume.feedback?.ats_score} />
+              {baseVersion.local_ats_report && resume.local_ats_report && (
+                <ScoreDelta label="Rule-based ATS" from={baseVersion.local_ats_report.score} to={resume.local_ats_report.score} />
+              )}
+              {categoryNames.map(category => (
+                <ScoreDelta
+                  key={category}
+                  label={category}
+                  from={baseVersion.feedback?.categories?.[category]?.score}
+                  to={resume.feedback?.categories?.[category]?.score}
+                />
+              ))}
+            </div>
+
+            {/* Text diff */}
+            <div className="p-4 bg-gray-50 rounded-lg border border-gray-200">
+              <div className="flex items-center justify-between mb-2">
+                <h3 className="font-semibold text-gray-900">Text Changes</h3>
+                {diff && (
+                  <span className="text-xs text-gray-500">
+                    <span className="text-green-600">+{diff.added}</span>{' '}
+                    <span className="text-red-600">−{diff.removed}</span>
+                  </span>
+                )}
+              </div>
+
+              {!diff ? (
+                <p className="text-sm text-gray-500">
+                  Text is not available for one of these versions, so no diff can be shown.
+                </p>
+              ) : diff.added + diff.removed === 0 ? (
+                <p className="text-sm text-gray-500">The resume text is identical.</p>
+              ) : (
+                <>
+                  <div className="max-h-96 overflow-y-auto font-mono text-xs bg-white border border-gray-200 rounded">
+                    {diff.changes
+                      .filter(change => showUnchanged || change.type !== 'equal')
+                      .map((change, index) => (
+                        <div
+                          key={index}
+                          className={cn(
+                            "px-2 py-0.5 whitespace-pre-wrap",
+                            change.type === 'added' && "bg-green-50 text-green-800",
+                            change.type === 'removed' && "bg-red-50 text-red-800 line-through",
+                            change.type === 'equal' && "text-gray-500"
+                          )}
+                        >
+                          {change.type === 'added' ? '+ ' : change.type === 'removed' ? '− ' : '  '}
+                          {change.text}
+                        </div>
+                      ))}
+                  </div>
+                  <button
+                    type="button"
+                    onClick={() => setShowUnchanged(!showUnchanged)}
+                    className="mt-2 text-xs text-blue-600 hover:text-blue-500 underline"
+                  >
+                    {showUnchanged ? 'Hide unchanged lines' : 'Show unchanged lines'}
+                  </button>
+                  {diff.truncated && (
+                    <p className="mt-1 text-xs text-gray-500">Only the first part of very long resumes is compared.</p>
+                  )}
+                </>
+              )}
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default VersionHistory
@@ -100,6 +100,7 @@ export const storageService = {
       timeout = 120000, // 2 minutes
       cacheControl = '3600',
       upsert = false,
+      contentType = null,
       maxRetries = 3,
       onProgress = null,
       onRetry = null,
@@ -164,7 +165,7 @@ export const storageService = {
             .upload(path, file, {
               cacheControl,
               upsert,
-              contentType: file.type || 'application/pdf',
+              contentType: contentType || file.type || 'application/pdf',
               signal: controller.signal,
             })
 
@@ -591,8 +592,67 @@ export const resumeService = {
     }
   },
 
-  // Update resume feedback with retry and timeout
-  async updateFeedback(id, feedback) {
+  // Get all versions of a document, oldest first. Re-analyses reuse an upload's
+  // file and version number, so they are not versions of their own
+  async getVersions(documentId) {
+    if (!documentId) {
+      throw createError('Document ID is required', 'INVALID_DOCUMENT_ID')
+    }
+
+    try {
+      logger.debug('Fetching versions for document:', documentId)
+
+      const selectPromise = supabase
+        .from('resumes')
+        .select('*')
+        .eq('document_id', documentId)
+        .is('reanalysis_of', null)
+        .order('version_number', { ascending: true })
+
+      const { data, error } = await promiseWithTimeout(
+        selectPromise,
+        20000, // 20 second timeout
+        'Database fetch timeout'
+      )
+
+      if (error) {
+        throw createError(`Failed to fetch versions: ${error.message}`, 'DB_FETCH_FAILED', { originalError: error })
+      }
+
+      return data || []
+
+    } catch (err) {
+      logger.error('Version fetch failed:', err)
+      throw err
+    }
+  },
+
+  // Next free version number for a document (1 for a new document)
+  async getNextVersionNumber(documentId) {
+    if (!documentId) return 1
+
+    const selectPromise = supabase
+      .from('resumes')
+      .select('version_number')
+      .eq('document_id', documentId)
+      .order('version_number', { ascending: false })
+      .limit(1)
+
+    const { data, error } = await promiseWithTimeout(
+      selectPromise,
+      15000, // 15 second timeout
+      'Database fetch timeout'
+    )
+
+    if (error) {
+      throw createError(`Failed to get next version number: ${error.message}`, 'DB_FETCH_FAILED', { originalError: error })
+    }
+
+    return (data?.[0]?.version_number || 0) + 1
+  },
+
+  // Update resume feedback with retry and timeout. cacheHit records where reused feedback came from
+  async updateFeedback(id, feedback, { cacheHit = null } = {}) {
     if (!id || !feedback) {
       throw createError('Resume ID and feedback are required', 'INVALID_UPDATE_DATA')
     }
@@ -608,6 +668,7 @@ export const resumeService = {
               feedback,
               overall_score: feedback.overall_score,
               ats_score: feedback.ats_score,
+              analysis_cache_hit: cacheHit,
               updated_at: new Date().toISOString()
             })
             .eq('id', id)
@@ -641,6 +702,208 @@ export const resumeService = {
     )
   },
 
+  // Save which improvement roadmap items the user has checked off
+  async updateRoadmapProgress(id, roadmapProgress) {
+    if (!id || !roadmapProgress) {
+      throw createError('Resume ID and roadmap progress are required', 'INVALID_UPDATE_DATA')
+    }
+
+    const updatePromise = supabase
+      .from('resumes')
+      .update({ roadmap_progress: roadmapProgress })
+      .eq('id', id)
+
+    const { error } = await promiseWithTimeout(
+      updatePromise,
+      15000, // 15 second timeout
+      'Database update timeout'
+    )
+
+    if (error) {
+      throw createError(`Failed to save roadmap progress: ${error.message}`, 'DB_UPDATE_FAILED', { originalError: error })
+    }
+  },
+
+  // Save which feedback suggestions the user has marked done or dismissed
+  async updateSuggestionStates(id, suggestionStates) {
+    if (!id || !suggestionStates) {
+      throw createError('Resume ID and suggestion states are required', 'INVALID_UPDATE_DATA')
+    }
+
+    const updatePromise = supabase
+      .from('resumes')
+      .update({ suggestion_states: suggestionStates })
+      .eq('id', id)
+
+    const { error } = await promiseWithTimeout(
+      updatePromise,
+      15000, // 15 second timeout
+      'Database update timeout'
+    )
+
+    if (error) {
+      throw createError(`Failed to save suggestion states: ${error.message}`, 'DB_UPDATE_FAILED', { originalError: error })
+    }
+  },
+
+  // Save the generated bullet rewrites and which variant the user accepted
+  async updateBulletRewrites(id, bulletRewrites) {
+    if (!id || !bulletRewrites) {
+      throw createError('Resume ID and bullet rewrites are required', 'INVALID_UPDATE_DATA')
+    }
+
+    const { error } = await promiseWithTimeout(
+      supabase
+        .from('resumes')
+        .update({ bullet_rewrites: bulletRewrites })
+        .eq('id', id),
+      15000, // 15 second timeout
+      'Database update timeout'
+    )
+
+    if (error) {
+      throw createError(`Failed to save bullet rewrites: ${error.message}`, 'DB_UPDATE_FAILED', { originalError: error })
+    }
+  },
+
+  // Save the generated interview preparation pack
+  async updateInterviewPrep(id, interviewPrep) {
+    if (!id || !interviewPrep) {
+      throw createError('Resume ID and interview prep are required', 'INVALID_UPDATE_DATA')
+    }
+
+    const { error } = await promiseWithTimeout(
+      supabase
+        .from('resumes')
+        .update({ interview_prep: interviewPrep })
+        .eq('id', id),
+      15000, // 15 second timeout
+      'Database update timeout'
+    )
+
+    if (error) {
+      throw createError(`Failed to save interview prep: ${error.message}`, 'DB_UPDATE_FAILED', { originalError: error })
+    }
+  },
+
+  // Point an analysis at the library entry for the job description it was scored against
+  async linkJobDescription(id, jobDescriptionId) {
+    if (!id) {
+      throw createError('Resume ID is required', 'INVALID_RESUME_ID')
+    }
+
+    const { error } = await promiseWithTimeout(
+      supabase
+        .from('resumes')
+        .update({ job_description_id: jobDescriptionId })
+        .eq('id', id),
+      15000, // 15 second timeout
+      'Database update timeout'
+    )
+
+    if (error) {
+      throw createError(`Failed to link job description: ${error.message}`, 'DB_UPDATE_FAILED', { originalError: error })
+    }
+  },
+
+  // Make a resume without a document (saved before documents existed) the first version of one
+  async assignDocument(id, documentId, versionNumber = 1) {
+    if (!id || !documentId) {
+      throw createError('Resume ID and document ID are required', 'INVALID_UPDATE_DATA')
+    }
+
+    const { error } = await promiseWithTimeout(
+      supabase
+        .from('resumes')
+        .update({ document_id: documentId, version_number: versionNumber })
+        .eq('id', id),
+      15000, // 15 second timeout
+      'Database update timeout'
+    )
+
+    if (error) {
+      throw createError(`Failed to assign document: ${error.message}`, 'DB_UPDATE_FAILED', { originalError: error })
+    }
+  },
+
+  // Whether any resume row still references a stored file
+  async isFileShared(column, path) {
+    const countPromise = supabase
+      .from('resumes')
+      .select('id', { count: 'exact', head: true })
+      .eq(column, path)
+
+    const { count, error } = await promiseWithTimeout(
+      countPromise,
+      15000, // 15 second timeout
+      'Database query timeout'
+    )
+
+    if (error) {
+      throw createError(`Failed to check file references: ${error.message}`, 'DB_FETCH_FAILED', { originalError: error })
+    }
+
+    return count > 0
+  },
+
+  // Whether any row (upload or re-analysis) still belongs to the document
+  async hasDocumentRows(documentId) {
+    const countPromise = supabase
+      .from('resumes')
+      .select('id', { count: 'exact', head: true })
+      .eq('document_id', documentId)
+
+    const { count, error } = await promiseWithTimeout(
+      countPromise,
+      15000, // 15 second timeout
+      'Database query timeout'
+    )
+
+    if (error) {
+      throw createError(`Failed to check document rows: ${error.message}`, 'DB_FETCH_FAILED', { originalError: error })
+    }
+
+    return count > 0
+  },
+
+  // Before an upload is deleted, point its re-analyses at the oldest one. The foreign key then
+  // turns only that one into an upload (reanalysis_of = null), so no two uploads of the
+  // document end up with the same version number.
+  async handOverReanalyses(id) {
+    const selectPromise = supabase
+      .from('resumes')
+      .select('id')
+      .eq('reanalysis_of', id)
+      .order('created_at', { ascending: true })
+
+    const { data, error } = await promiseWithTimeout(
+      selectPromise,
+      15000, // 15 second timeout
+      'Database query timeout'
+    )
+
+    if (error) {
+      throw createError(`Failed to fetch re-analyses: ${error.message}`, 'DB_FETCH_FAILED', { originalError: error })
+    }
+    if (!data || data.length < 2) return
+
+    const [successor, ...others] = data
+    const updatePromise = supabase
+      .from('resumes')
+      .update({ reanalysis_of: successor.id })
+      .in('id', others.map(row => row.id))
+
+    const { error: updateError } = await promiseWithTimeout(
+      updatePromise,
+      15000, // 15 second timeout
+      'Database update timeout'
+    )
+
+    if (updateError) {
+      throw createError(`Failed to move re-analyses: ${updateError.message}`, 'DB_UPDATE_FAILED', { originalError: updateError })
+    }
+  },
+
   // Delete resume with enhanced cleanup and timeout
   async delete(id) {
     if (!id) {
@@ -652,6 +915,9 @@ export const resumeService = {
 
       // First get the resume to check file paths
       const resume = await this.getById(id)
+      if (!resume.reanalysis_of) {
+        await this.handOverReanalyses(id)
+      }
       
       // Delete database record with timeout
       const deletePromise = supabase
@@ -669,23 +935,34 @@ export const resumeService = {
         throw createError(`Failed to delete resume: ${error.message}`, 'DB_DELETE_FAILED', { originalError: error })
       }
 
-      // Clean up associated files (non-blocking with shorter timeouts)
+      // Clean up associated files (non-blocking with shorter timeouts).
+      // Re-analyses share the stored files, so only delete files no other row points at.
       if (resume.resume_path) {
-        storageService.deleteFile(resume.resume_path, { 
-          bucket: 'resumes',
-          timeout: 15000 // Shorter timeout for cleanup
-        })
+        this.isFileShared('resume_path', resume.resume_path)
+          .then(shared => !shared && storageService.deleteFile(resume.resume_path, { 
+            bucket: 'resumes',
+            timeout: 15000 // Shorter timeout for cleanup
+          }))
           .catch(err => logger.warn('Failed to delete resume file:', err))
       }
       
       if (resume.image_path) {
-        storageService.deleteFile(resume.image_path, { 
-          bucket: 'resume-images',
-          timeout: 15000 // Shorter timeout for cleanup
-        })
+        this.isFileShared('image_path', resume.image_path)
+          .then(shared => !shared && storageService.deleteFile(resume.image_path, { 
+            bucket: 'resume-images',
+            timeout: 15000 // Shorter timeout for cleanup
+          }))
           .catch(err => logger.warn('Failed to delete image file:', err))
       }
 
+      // Drop the document once no row points at it. getVersions only lists uploads, and deleting the
+      // document would cascade to re-analyses that outlive their upload.
+      if (resume.document_id) {
+        this.hasDocumentRows(resume.document_id)
+          .then(hasRows => !hasRows && documentService.delete(resume.document_id))
+          .catch(err => logger.warn('Failed to clean up empty document:', err))
+      }
+
       logger.success('Resume deleted successfully')
 
     } catch (err) {
@@ -695,6 +972,398 @@ export const resumeService = {
   }
 }
 
+// =====================================================
+// RESUME DOCUMENT SERVICE
+// =====================================================
+//
+// A document groups successive uploads of the same resume; each upload is a
+// `resumes` row with a `document_id` and an increasing `version_number`.
+
+export const documentService = {
+  // Get all documents for a user with a summary of their versions, most recently updated first
+  async getAll(userId) {
+    if (!userId) {
+      throw createError('User ID is required', 'INVALID_USER_ID')
+    }
+
+    try {
+      const selectPromise = supabase
+        .from('resume_documents')
+        .select('*, resumes(id, version_number, job_title, company_name, job_description, job_description_id, overall_score, created_at)')
+        .eq('user_id', userId)
+        .order('updated_at', { ascending: false })
+
+      const { data, error } = await promiseWithTimeout(
+        selectPromise,
+        20000, // 20 second timeout
+        'Database fetch timeout'
+      )
+
+      if (error) {
+        throw createError(`Failed to fetch documents: ${error.message}`, 'DB_FETCH_FAILED', { originalError: error })
+      }
+
+      return (data || []).map(document => ({
+        ...document,
+        resumes: [...(document.resumes || [])].sort((a, b) => a.version_number - b.version_number)
+      }))
+
+    } catch (err) {
+      logger.error('Document fetch failed:', err)
+      throw err
+    }
+  },
+
+  // Create a new document
+  async create({ user_id, name }) {
+    if (!user_id || !name) {
+      throw createError('User ID and document name are required', 'INVALID_DOCUMENT_DATA')
+    }
+
+    const insertPromise = supabase
+      .from('resume_documents')
+      .insert([{ user_id, name }])
+      .select()
+      .single()
+
+    const { data, error } = await promiseWithTimeout(
+      insertPromise,
+      30000, // 30 second timeout
+      'Database insert timeout'
+    )
+
+    if (error) {
+      throw createError(`Failed to create document: ${error.message}`, 'DB_CREATE_FAILED', { originalError: error })
+    }
+
+    logger.success('Document created:', data.id)
+    return data
+  },
+
+  // Mark a document as updated after a new version is added
+  async touch(id) {
+    const { error } = await promiseWithTimeout(
+      supabase
+        .from('resume_documents')
+        .update({ updated_at: new Date().toISOString() })
+        .eq('id', id),
+      15000, // 15 second timeout
+      'Database update timeout'
+    )
+
+    if (error) {
+      throw createError(`Failed to update document: ${error.message}`, 'DB_UPDATE_FAILED', { originalError: error })
+    }
+  },
+
+  // Delete a document (its versions are removed by the foreign key cascade)
+  async delete(id) {
+    if (!id) {
+      throw createError('Document ID is required', 'INVALID_DOCUMENT_ID')
+    }
+
+    const { error } = await promiseWithTimeout(
+      supabase
+        .from('resume_documents')
+        .delete()
+        .eq('id', id),
+      20000, // 20 second timeout
+      'Database delete timeout'
+    )
+
+    if (error) {
+      throw createError(`Failed to delete document: ${error.message}`, 'DB_DELETE_FAILED', { originalError: error })
+    }
+
+    logger.success('Document deleted:', id)
+  }
+}
+
+// =====================================================
+// JOB DESCRIPTION LIBRARY SERVICE
+// =====================================================
+
+export const jobDescriptionService = {
+  // Get a user's saved job descriptions, optionally filtered by a search term and a tag
+  async getAll(userId, { search = '', tag = '' } = {}) {
+    if (!userId) {
+      throw createError('User ID is required', 'INVALID_USER_ID')
+    }
+
+    let query = supabase
+      .from('job_descriptions')
+      .select('*')
+      .eq('user_id', userId)
+      .order('updated_at', { ascending: false })
+
+    const term = search.trim().replace(/[%,()]/g, ' ')
+    if (term) {
+      query = query.or(`company_name.ilike.%${term}%,job_title.ilike.%${term}%,description.ilike.%${term}%`)
+    }
+    if (tag) {
+      query = query.contains('tags', [tag])
+    }
+
+    const { data, error } = await promiseWithTimeout(
+      query,
+      20000, // 20 second timeout
+      'Database fetch timeout'
+    )
+
+    if (error) {
+      throw createError(`Failed to fetch job descriptions: ${error.message}`, 'DB_FETCH_FAILED', { originalError: error })
+    }
+
+    return data || []
+  },
+
+  // Get a single job description
+  async getById(id) {
+    if (!id) {
+      throw createError('Job description ID is required', 'INVALID_JOB_DESCRIPTION_ID')
+    }
+
+    const { data, error } = await promiseWithTimeout(
+      supabase
+        .from('job_descriptions')
+        .select('*')
+        .eq('id', id)
+        .single(),
+      15000, // 15 second timeout
+      'Database fetch timeout'
+    )
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        throw createError('Job description not found', 'JOB_DESCRIPTION_NOT_FOUND')
+      }
+      throw createError(`Failed to fetch job description: ${error.message}`, 'DB_GET_FAILED', { originalError: error })
+    }
+
+    return data
+  },
+
+  // Save a new job description
+  async create({ user_id, company_name, job_title, description, tags = [], parsed = null }) {
+    if (!user_id || !company_name || !job_title || !description) {
+      throw createError('User ID, company, job title and description are required', 'INVALID_JOB_DESCRIPTION_DATA')
+    }
+
+    const { data, error } = await promiseWithTimeout(
+      supabase
+        .from('job_descriptions')
+        .insert([{ user_id, company_name, job_title, description, tags, parsed }])
+        .select()
+        .single(),
+      30000, // 30 second timeout
+      'Database insert timeout'
+    )
+
+    if (error) {
+      throw createError(`Failed to save job description: ${error.message}`, 'DB_CREATE_FAILED', { originalError: error })
+    }
+
+    logger.success('Job description saved:', data.id)
+    return data
+  },
+
+  // Update fields of a saved job description
+  async update(id, updates) {
+    if (!id || !updates) {
+      throw createError('Job description ID and updates are required', 'INVALID_UPDATE_DATA')
+    }
+
+    const { data, error } = await promiseWithTimeout(
+      supabase
+        .from('job_descriptions')
+        .update({ ...updates, updated_at: new Date().toISOString() })
+        .eq('id', id)
+        .select()
+        .single(),
+      15000, // 15 second timeout
+      'Database update timeout'
+    )
+
+    if (error) {
+      throw createError(`Failed to update job description: ${error.message}`, 'DB_UPDATE_FAILED', { originalError: error })
+    }
+
+    return data
+  },
+
+  // Delete a job description; analyses scored against it keep their copy of the text
+  async delete(id) {
+    if (!id) {
+      throw createError('Job description ID is required', 'INVALID_JOB_DESCRIPTION_ID')
+    }
+
+    const { error } = await promiseWithTimeout(
+      supabase
+        .from('job_descriptions')
+        .delete()
+        .eq('id', id),
+      20000, // 20 second timeout
+      'Database delete timeout'
+    )
+
+    if (error) {
+      throw createError(`Failed to delete job description: ${error.message}`, 'DB_DELETE_FAILED', { originalError: error })
+    }
+
+    logger.success('Job description deleted:', id)
+  }
+}
+
+// =====================================================
+// COVER LETTER SERVICE
+// =====================================================
+
+export const coverLetterService = {
+  // Get the cover letters generated for a resume, newest first
+  async getByResume(resumeId) {
+    if (!resumeId) {
+      throw createError('Resume ID is required', 'INVALID_RESUME_ID')
+    }
+
+    const { data, error } = await promiseWithTimeout(
+      supabase
+        .from('cover_letters')
+        .select('*')
+        .eq('resume_id', resumeId)
+        .order('created_at', { ascending: false }),
+      20000, // 20 second timeout
+      'Database fetch timeout'
+    )
+
+    if (error) {
+      throw createError(`Failed to fetch cover letters: ${error.message}`, 'DB_FETCH_FAILED', { originalError: error })
+    }
+
+    return data || []
+  },
+
+  // Save a generated cover letter
+  async create({ user_id, resume_id, tone, length, content }) {
+    if (!user_id || !resume_id || !tone || !length || !content) {
+      throw createError('User ID, resume ID, tone, length and content are required', 'INVALID_COVER_LETTER_DATA')
+    }
+
+    const { data, error } = await promiseWithTimeout(
+      supabase
+        .from('cover_letters')
+        .insert([{ user_id, resume_id, tone, length, content }])
+        .select()
+        .single(),
+      30000, // 30 second timeout
+      'Database insert timeout'
+    )
+
+    if (error) {
+      throw createError(`Failed to save cover letter: ${error.message}`, 'DB_CREATE_FAILED', { originalError: error })
+    }
+
+    logger.success('Cover letter saved:', data.id)
+    return data
+  },
+
+  // Save edits to a cover letter
+  async update(id, updates) {
+    if (!id || !updates) {
+      throw createError('Cover letter ID and updates are required', 'INVALID_UPDATE_DATA')
+    }
+
+    const { data, error } = await promiseWithTimeout(
+      supabase
+        .from('cover_letters')
+        .update({ ...updates, updated_at: new Date().toISOString() })
+        .eq('id', id)
+        .select()
+        .single(),
+      15000, // 15 second timeout
+      'Database update timeout'
+    )
+
+    if (error) {
+      throw createError(`Failed to update cover letter: ${error.message}`, 'DB_UPDATE_FAILED', { originalError: error })
+    }
+
+    return data
+  },
+
+  async delete(id) {
+    if (!id) {
+      throw createError('Cover letter ID is required', 'INVALID_COVER_LETTER_ID')
+    }
+
+    const { error } = await promiseWithTimeout(
+      supabase
+        .from('cover_letters')
+        .delete()
+        .eq('id', id),
+      20000, // 20 second timeout
+      'Database delete timeout'
+    )
+
+    if (error) {
+      throw createError(`Failed to delete cover letter: ${error.message}`, 'DB_DELETE_FAILED', { originalError: error })
+    }
+
+    logger.success('Cover letter deleted:', id)
+  }
+}
+
+// =====================================================
+// ANALYSIS CACHE SERVICE
+// =====================================================
+
+export const analysisCacheService = {
+  // Get a cached analysis by its content hash, or null when there is none
+  async get(userId, cacheKey) {
+    if (!userId || !cacheKey) {
+      throw createError('User ID and cache key are required', 'INVALID_CACHE_KEY')
+    }
+
+    const { data, error } = await promiseWithTimeout(
+      supabase
+        .from('analysis_cache')
+        .select('*')
+        .eq('user_id', userId)
+        .eq('cache_key', cacheKey)
+        .maybeSingle(),
+      10000, // 10 second timeout
+      'Database fetch timeout'
+    )
+
+    if (error) {
+      throw createError(`Failed to fetch cached analysis: ${error.message}`, 'DB_FETCH_FAILED', { originalError: error })
+    }
+
+    return data
+  },
+
+  // Store an analysis under its content hash, replacing an older entry with the same key
+  async save({ user_id, cache_key, prompt_version, feedback }) {
+    if (!user_id || !cache_key || !prompt_version || !feedback) {
+      throw createError('User ID, cache key, prompt version and feedback are required', 'INVALID_CACHE_DATA')
+    }
+
+    const { error } = await promiseWithTimeout(
+      supabase
+        .from('analysis_cache')
+        .upsert(
+          [{ user_id, cache_key, prompt_version, feedback, created_at: new Date().toISOString() }],
+          { onConflict: 'user_id,cache_key' }
+        ),
+      15000, // 15 second timeout
+      'Database upsert timeout'
+    )
+
+    if (error) {
+      throw createError(`Failed to save cached analysis: ${error.message}`, 'DB_CREATE_FAILED', { originalError: error })
+    }
+  }
+}
+
 // =====================================================
 // ENHANCED AUTH SERVICE
 // =====================================================
@@ -1087,6 +1756,10 @@ export { createError, isNetworkError, isRetryableError, logger, promiseWithTimeo
 export default {
   supabase,
   resumeService,
+  documentService,
+  jobDescriptionService,
+  coverLetterService,
+  analysisCacheService,
   storageService,
   authService,
   healthCheck,
@@ -0,0 +1,254 @@
+import { useEffect, useMemo, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../hooks/useAuth';
+import { resumeService } from '../lib/supabase';
+import { formatRelativeTime } from '../utils/utils';
+import { compareKeywords, findUniqueSuggestions } from '../utils/analysisComparison';
+import { getAnalysisMode } from '../services/analysisModes';
+import Navbar from '../components/Navbar';
+
+const scoreColor = (score) =>
+  score > 70 ? 'text-green-600' : score > 49 ? 'text-yellow-600' : 'text-red-600';
+
+const KeywordChips = ({ keywords, tone }) => {
+  if (keywords.length === 0) {
+    return <p className="text-xs text-gray-400">None</p>;
+  }
+
+  return (
+    <div className="flex flex-wrap gap-1">
+      {keywords.map(keyword => (
+        <span
+          key={keyword}
+          className={`px-2 py-0.5 rounded text-xs ${
+            tone === 'green' ? 'bg-green-100 text-green-700' : 'bg-red-100 text-red-700'
+          }`}
+        >
+          {keyword}
+        </span>
+      ))}
+    </div>
+  );
+};
+
+const Compare = () => {
+  const { user } = useAuth();
+  const [searchParams] = useSearchParams();
+  const ids = useMemo(
+    () => [...new Set((searchParams.get('ids') || '').split(',').map(id => id.trim()).filter(Boolean))],
+    [searchParams]
+  );
+
+  const [records, setRecords] = useState([]);
+  const [loadErrors, setLoadErrors] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let mounted = true;
+
+    const loadRecords = async () => {
+      if (!user?.id || ids.length === 0) {
+        setLoading(false);
+        return;
+      }
+
+      setLoading(true);
+      const results = await Promise.allSettled(ids.map(id => resumeService.getById(id)));
+      if (!mounted) return;
+
+      const loaded = [];
+      const errors = [];
+      results.forEach((result, index) => {
+        if (result.status === 'fulfilled' && result.value?.user_id === user.id) {
+          loaded.push(result.value);
+        } else {
+          errors.push(ids[index]);
+        }
+      });
+
+      setRecords(loaded);
+      setLoadErrors(errors);
+      setLoading(false);
+    };
+
+    loadRecords();
+
+    return () => {
+      mounted = false;
+    };
+  }, [user?.id, ids]);
+
+  const feedbacks = useMemo(() => records.map(record => record.feedback || {}), [records]);
+  const keywordComparison = useMemo(() => compareKeywords(feedbacks), [feedbacks]);
+  const uniqueSuggestions = useMemo(() => findUniqueSuggestions(feedbacks), [feedbacks]);
+
+  const categoryNames = [...new Set(feedbacks.flatMap(feedback => Object.keys(feedback.categories || {})))];
+  const scoreRows = [
+    { label: 'Overall', values: feedbacks.map(feedback => feedback.overall_score) },
+    { label: 'ATS', values: feedbacks.map(feedback => feedback.ats_score) },
+    ...(records.some(record => record.local_ats_report)
+      ? [{ label: 'Rule-based ATS', values: records.map(record => record.local_ats_report?.score) }]
+      : []),
+    ...categoryNames.map(category => ({
+      label: category,
+      values: feedbacks.map(feedback => feedback.categories?.[category]?.score)
+    }))
+  ];
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gray-50">
+        <Navbar />
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+          <div className="text-center">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500 mx-auto mb-4"></div>
+            <p className="text-gray-600">Loading Analyses...</p>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <Navbar />
+
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <div className="text-center mb-8">
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">
+            Compare Analyses
+          </h1>
+          <p className="text-gray-600">
+            Scores, keywords and suggestions side by side
+          </p>
+        </div>
+
+        {loadErrors.length > 0 && (
+          <div className="mb-6 p-4 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-700">
+            {loadErrors.length} analysis record(s) could not be loaded and were left out.
+          </div>
+        )}
+
+        {records.length < 2 ? (
+          <div className="bg-white rounded-lg shadow-md p-8 max-w-md mx-auto text-center">
+            <div className="text-6xl mb-4">⚖️</div>
+            <h3 className="text-xl font-semibold text-gray-900 mb-2">
+              Pick at least two analyses
+            </h3>
+            <p className="text-gray-600 mb-6">
+              Select the analyses you want to compare on the submissions page.
+            </p>
+            <Link to="/submissions" className="primary-button inline-flex items-center gap-2">
+              📋 View All Submissions
+            </Link>
+          </div>
+        ) : (
+          <div className="space-y-8">
+            {/* Scores */}
+            <div className="bg-white rounded-lg shadow-md p-6 overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="border-b border-gray-200">
+                    <th className="text-left py-3 pr-4 font-medium text-gray-500 w-40">Score</th>
+                    {records.map(record => (
+                      <th key={record.id} className="text-left py-3 px-4 align-top min-w-[180px]">
+                        <Link to={`/resume/${record.id}`} className="font-semibold text-gray-900 hover:text-blue-600">
+                          {record.job_title}
+                        </Link>
+                        <div className="text-xs font-normal text-gray-600">{record.company_name}</div>
+                        <div className="text-xs font-normal text-gray-400">
+                          {record.version_number ? `v${record.version_number} · ` : ''}
+                          {getAnalysisMode(record.resume_mode).shortLabel} · {formatRelativeTime(record.created_at)}
+                        </div>
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {scoreRows.map(row => {
+                    const numbers = row.values.filter(value => typeof value === 'number');
+                    const best = numbers.length > 1 ? Math.max(...numbers) : null;
+                    return (
+                      <tr key={row.label} className="border-b border-gray-100 last:border-0">
+                        <td className="py-2 pr-4 text-gray-700 capitalize">{row.label}</td>
+                        {row.values.map((value, index) => (
+                          <td key={records[index].id} className="py-2 px-4">
+                            {typeof value === 'number' ? (
+                              <span className={`font-bold ${scoreColor(value)}`}>
+                                {value}
+                                {value === best && <span className="ml-1 text-xs">★</span>}
+                              </span>
+                            ) : (
+                              <span className="text-gray-400">–</span>
+                            )}
+                          </td>
+                        ))}
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+
+            {/* Keywords */}
+            <div className="bg-white rounded-lg shadow-md p-6 overflow-x-auto">
+              <h2 className="text-2xl font-bold text-gray-900 mb-4">Keywords</h2>
+              <div className="grid md:grid-cols-2 gap-4 mb-6">
+                <div className="p-4 bg-green-50 rounded-lg border border-green-200">
+                  <h3 className="font-medium text-green-900 mb-2">Matched in all</h3>
+                  <KeywordChips keywords={keywordComparison.commonMatched} tone="green" />
+                </div>
+                <div className="p-4 bg-red-50 rounded-lg border border-red-200">
+                  <h3 className="font-medium text-red-900 mb-2">Missing in all</h3>
+                  <KeywordChips keywords={keywordComparison.commonMissing} tone="red" />
+                </div>
+              </div>
+              <div className="grid gap-4" style={{ gridTemplateColumns: `repeat(${records.length}, minmax(180px, 1fr))` }}>
+                {records.map((record, index) => (
+                  <div key={record.id} className="p-4 bg-gray-50 rounded-lg border border-gray-200 space-y-3">
+                    <h3 className="font-semibold text-gray-900 truncate">{record.job_title}</h3>
+                    <div>
+                      <h4 className="text-xs font-medium text-gray-500 mb-1">Matched only here</h4>
+                      <KeywordChips keywords={keywordComparison.perAnalysis[index].matchedOnly} tone="green" />
+                    </div>
+                    <div>
+                      <h4 className="text-xs font-medium text-gray-500 mb-1">Missing only here</h4>
+                      <KeywordChips keywords={keywordComparison.perAnalysis[index].missingOnly} tone="red" />
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+
+            {/* Suggestions */}
+            <div className="bg-white rounded-lg shadow-md p-6 overflow-x-auto">
+              <h2 className="text-2xl font-bold text-gray-900 mb-1">Unique Suggestions</h2>
+              <p className="text-sm text-gray-600 mb-4">Advice that only one of the analyses gives.</p>
+              <div className="grid gap-4" style={{ gridTemplateColumns: `repeat(${records.length}, minmax(180px, 1fr))` }}>
+                {records.map((record, index) => (
+                  <div key={record.id} className="space-y-2">
+                    <h3 className="font-semibold text-gray-900 truncate">{record.job_title}</h3>
+                    {uniqueSuggestions[index].length === 0 ? (
+                      <p className="text-xs text-gray-400">No unique suggestions</p>
+                    ) : (
+                      uniqueSuggestions[index].map((suggestion, suggestionIndex) => (
+                        <div key={suggestionIndex} className="p-3 bg-gray-50 rounded-lg border border-gray-200">
+                          <p className="text-sm font-medium text-gray-900">{suggestion.tip}</p>
+                          {suggestion.category && (
+                            <span className="text-xs text-gray-500 capitalize">{suggestion.category}</span>
+                          )}
+                        </div>
+                      ))
+                    )}
+                  </div>
+                ))}
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Compare;
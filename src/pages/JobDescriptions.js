@@ -0,0 +1,262 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { Pencil, Plus, Search, Trash2 } from 'lucide-react';
+import { useAuth } from '../hooks/useAuth';
+import { jobDescriptionService } from '../lib/supabase';
+import { cn, formatRelativeTime } from '../utils/utils';
+import Navbar from '../components/Navbar';
+import JobDescriptionForm from '../components/JobDescriptionForm';
+
+// "Senior · 5+ years · 8 required skills" from the stored parse
+const summarizeRequirements = (parsed) => {
+  if (!parsed) return '';
+  const { seniority, experience, requiredSkills = [], preferredSkills = [] } = parsed;
+  return [
+    seniority?.label,
+    experience && (experience.maxYears ? `${experience.minYears}–${experience.maxYears} years` : `${experience.minYears}+ years`),
+    requiredSkills.length > 0 && `${requiredSkills.length} required skills`,
+    preferredSkills.length > 0 && `${preferredSkills.length} preferred`
+  ].filter(Boolean).join(' · ');
+};
+
+const JobDescriptions = () => {
+  const { user } = useAuth();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [jobDescriptions, setJobDescriptions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [search, setSearch] = useState('');
+  const [activeTag, setActiveTag] = useState('');
+  const [creating, setCreating] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+
+  // ?id=<job description> (linked from an analysis) opens that entry
+  const openId = searchParams.get('id');
+
+  const loadJobDescriptions = useCallback(async () => {
+    if (!user?.id) {
+      setLoading(false);
+      return;
+    }
+
+    setError(null);
+    try {
+      const data = await jobDescriptionService.getAll(user.id, { search, tag: activeTag });
+      setJobDescriptions(data);
+    } catch (err) {
+      console.error('Failed to load job descriptions:', err);
+      setError('Failed to load your job descriptions. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, [user?.id, search, activeTag]);
+
+  useEffect(() => {
+    const timer = setTimeout(loadJobDescriptions, 300);
+    return () => clearTimeout(timer);
+  }, [loadJobDescriptions]);
+
+  const allTags = useMemo(
+    () => [...new Set(jobDescriptions.flatMap(jobDescription => jobDescription.tags))].sort(),
+    [jobDescriptions]
+  );
+
+  const handleCreate = async (values) => {
+    await jobDescriptionService.create({ user_id: user.id, ...values });
+    setCreating(false);
+    loadJobDescriptions();
+  };
+
+  const handleUpdate = async (id, values) => {
+    await jobDescriptionService.update(id, values);
+    setEditingId(null);
+    loadJobDescriptions();
+  };
+
+  const handleDelete = async (id) => {
+    if (!window.confirm('Delete this job description? Analyses scored against it keep their copy.')) return;
+    try {
+      await jobDescriptionService.delete(id);
+      if (openId === id) setSearchParams({});
+      loadJobDescriptions();
+    } catch (err) {
+      console.error('Failed to delete job description:', err);
+      alert('Failed to delete the job description. Please try again.');
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <Navbar />
+
+      <div className="max-w-4xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+        <div className="text-center mb-8">
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">
+            Job Description Library
+          </h1>
+          <p className="text-gray-600">
+            Save the roles you are targeting and reuse them for every resume you analyze
+          </p>
+        </div>
+
+        {/* Search and create */}
+        <div className="flex flex-col sm:flex-row gap-3 mb-4">
+          <div className="relative flex-1">
+            <Search size={16} className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+            <input
+              type="text"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Search company, title or description"
+              className="w-full pl-9 pr-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </div>
+          <button
+            type="button"
+            onClick={() => setCreating(true)}
+            className="primary-button inline-flex items-center justify-center gap-2 text-sm"
+          >
+            <Plus size={16} /> New Job Description
+          </button>
+        </div>
+
+        {(allTags.length > 0 || activeTag) && (
+          <div className="flex flex-wrap gap-2 mb-6">
+            {['', ...allTags].map(tag => (
+              <button
+                key={tag || 'all'}
+                type="button"
+                onClick={() => setActiveTag(tag)}
+                className={cn(
+                  "px-3 py-1 rounded-full border text-xs transition-colors",
+                  activeTag === tag
+                    ? "bg-blue-500 border-blue-500 text-white"
+                    : "bg-white border-gray-300 text-gray-700 hover:bg-gray-50"
+                )}
+              >
+                {tag || 'All tags'}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {creating && (
+          <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+            <h2 className="text-lg font-semibold text-gray-900 mb-4">New Job Description</h2>
+            <JobDescriptionForm onSubmit={handleCreate} onCancel={() => setCreating(false)} />
+          </div>
+        )}
+
+        {error && (
+          <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg">
+            <p className="text-red-600 text-sm mb-2">{error}</p>
+            <button
+              onClick={loadJobDescriptions}
+              className="text-sm text-red-600 hover:text-red-500 underline"
+            >
+              Try again
+            </button>
+          </div>
+        )}
+
+        {loading ? (
+          <div className="text-center py-12">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-500 mx-auto mb-4"></div>
+            <p className="text-gray-600">Loading job descriptions...</p>
+          </div>
+        ) : jobDescriptions.length === 0 ? (
+          <div className="text-center py-12">
+            <div className="bg-white rounded-lg shadow-md p-8 max-w-md mx-auto">
+              <div className="text-6xl mb-4">📚</div>
+              <h3 className="text-xl font-semibold text-gray-900 mb-2">
+                {search || activeTag ? 'No Matches' : 'Your Library Is Empty'}
+              </h3>
+              <p className="text-gray-600">
+                {search || activeTag
+                  ? 'No job descriptions match your search.'
+                  : 'Add a job description here, or save one from any analysis.'}
+              </p>
+            </div>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {jobDescriptions.map(jobDescription => (
+              <div
+                key={jobDescription.id}
+                className={cn(
+                  "bg-white rounded-lg shadow-md p-6",
+                  openId === jobDescription.id && "ring-2 ring-blue-500"
+                )}
+              >
+                {editingId === jobDescription.id ? (
+                  <JobDescriptionForm
+                    initial={jobDescription}
+                    onSubmit={(values) => handleUpdate(jobDescription.id, values)}
+                    onCancel={() => setEditingId(null)}
+                  />
+                ) : (
+                  <>
+                    <div className="flex items-start justify-between gap-4">
+                      <div className="min-w-0">
+                        <h3 className="text-lg font-semibold text-gray-900">
+                          {jobDescription.job_title}
+                        </h3>
+                        <p className="text-sm text-gray-600">
+                          {jobDescription.company_name} · updated {formatRelativeTime(jobDescription.updated_at)}
+                        </p>
+                        {summarizeRequirements(jobDescription.parsed) && (
+                          <p className="text-xs text-gray-500 mt-1">{summarizeRequirements(jobDescription.parsed)}</p>
+                        )}
+                        {jobDescription.tags.length > 0 && (
+                          <div className="flex flex-wrap gap-1 mt-2">
+                            {jobDescription.tags.map(tag => (
+                              <span key={tag} className="px-2 py-0.5 bg-gray-100 text-gray-600 rounded text-xs">{tag}</span>
+                            ))}
+                          </div>
+                        )}
+                      </div>
+                      <div className="flex items-center gap-1 shrink-0">
+                        <button
+                          type="button"
+                          onClick={() => setEditingId(jobDescription.id)}
+                          className="p-2 text-gray-400 hover:text-blue-500 transition-colors"
+                          title="Edit"
+                        >
+                          <Pencil size={16} />
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => handleDelete(jobDescription.id)}
+                          className="p-2 text-gray-400 hover:text-red-500 transition-colors"
+                          title="Delete"
+                        >
+                          <Trash2 size={16} />
+                        </button>
+                      </div>
+                    </div>
+
+                    <details className="mt-3" open={openId === jobDescription.id}>
+                      <summary className="text-sm text-blue-600 cursor-pointer">Show description</summary>
+                      <p className="mt-2 text-sm text-gray-700 whitespace-pre-wrap">{jobDescription.description}</p>
+                    </details>
+
+                    <div className="mt-4">
+                      <Link
+                        to={`/upload?jd=${jobDescription.id}`}
+                        className="text-sm text-blue-600 hover:text-blue-500 underline"
+                      >
+                        Analyze a resume against this job
+                      </Link>
+                    </div>
+                  </>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default JobDescriptions;
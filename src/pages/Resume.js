@@ -1,20 +1,49 @@
 import { Link, useNavigate, useParams } from 'react-router-dom';
 import { useEffect, useState } from 'react';
 import { useAuth } from '../hooks/useAuth';
-import { resumeService, storageService } from '../lib/supabase';
+import { jobDescriptionService, resumeService, storageService } from '../lib/supabase';
 import Navbar from '../components/Navbar';
 import Summary from '../components/Summary';
 import ATS from '../components/ATS';
 import Details from '../components/Details';
+import ParsedResumeView from '../components/ParsedResumeView';
+import KeywordPanel from '../components/KeywordPanel';
+import JobRequirements from '../components/JobRequirements';
+import RoadmapBoard from '../components/RoadmapBoard';
+import SuggestionsExplorer from '../components/SuggestionsExplorer';
+import BulletRewriter from '../components/BulletRewriter';
+import FormattingAudit from '../components/FormattingAudit';
+import DetailedAnalysis from '../components/DetailedAnalysis';
+import CompetitiveAnalysis from '../components/CompetitiveAnalysis';
+import VersionHistory from '../components/VersionHistory';
+import ReanalyzeDialog from '../components/ReanalyzeDialog';
+import JobDescriptionForm from '../components/JobDescriptionForm';
+import ResumeTabs, { getResumeTab } from '../components/ResumeTabs';
+import CoverLetterGenerator from '../components/CoverLetterGenerator';
+import InterviewPrep from '../components/InterviewPrep';
+import { getAnalysisMode } from '../services/analysisModes';
+import { downloadStoredResume } from '../services/resumeAnalysis';
+import { extractResumeText, getResumeMetadata } from '../utils/documentProcessor';
+import { scoreResumeLocally } from '../utils/atsScorer';
+import { parseResume } from '../utils/resumeParser';
+import { parseJobDescription } from '../utils/jobDescriptionParser';
+import { scanFormatting } from '../utils/formattingScanner';
+import { formatRelativeTime } from '../utils/utils';
 
 const Resume = () => {
   const { user } = useAuth();
-  const { id } = useParams();
+  const { id, tab } = useParams();
   const navigate = useNavigate();
 
   const [state, setState] = useState({
     resume: null,
     feedback: null,
+    localAtsReport: null,
+    parsedResume: null,
+    parsedJobDescription: null,
+    resumeText: '',
+    formattingScan: null,
+    versions: [],
     imageUrl: '',
     resumeUrl: '',
     loading: true,
@@ -22,6 +51,10 @@ const Resume = () => {
     initialized: false
   });
 
+  const [showReanalyze, setShowReanalyze] = useState(false);
+  const activeTab = getResumeTab(tab);
+  const [savingJobDescription, setSavingJobDescription] = useState(false);
+
   useEffect(() => {
     let mounted = true;
     let resumeObjectUrl = null;
@@ -53,6 +86,12 @@ const Resume = () => {
             error: null,
             resume: null,
             feedback: null,
+            localAtsReport: null,
+            parsedResume: null,
+            parsedJobDescription: null,
+            resumeText: '',
+            formattingScan: null,
+            versions: [],
             imageUrl: '',
             resumeUrl: ''
           }));
@@ -82,6 +121,15 @@ const Resume = () => {
           return;
         }
 
+        let versions = [];
+        if (resumeData.document_id) {
+          try {
+            versions = await resumeService.getVersions(resumeData.document_id);
+          } catch (err) {
+            console.error('Error loading resume versions:', err);
+          }
+        }
+
         let imageUrl = '';
         if (resumeData.image_path) {
           try {
@@ -92,13 +140,36 @@ const Resume = () => {
         }
 
         let resumeUrl = '';
+        let localAtsReport = resumeData.local_ats_report || null;
+        let parsedResume = resumeData.parsed_resume || null;
+        let resumeText = resumeData.resume_text || '';
+        let formattingScan = resumeData.formatting_scan || null;
+        const parsedJobDescription = resumeData.parsed_job_description
+          || (resumeData.job_description ? parseJobDescription(resumeData.job_description, { jobTitle: resumeData.job_title }) : null);
         if (resumeData.resume_path) {
           try {
-            const resumeBlob = await storageService.downloadFile(resumeData.resume_path, { bucket: 'resumes' });
-            resumeObjectUrl = URL.createObjectURL(resumeBlob);
+            // Named after its storage path so the file type can be detected without a MIME type
+            const resumeFile = await downloadStoredResume(resumeData.resume_path);
+            resumeObjectUrl = URL.createObjectURL(resumeFile);
             resumeUrl = resumeObjectUrl;
+
+            // Records created before text storage, rule-based scoring or parsing existed are processed on the fly
+            if (!resumeText) {
+              resumeText = await extractResumeText(resumeFile);
+            }
+            if (!localAtsReport) {
+              const metadata = await getResumeMetadata(resumeFile);
+              localAtsReport = scoreResumeLocally({
+                text: resumeText,
+                metadata,
+                jobDescription: resumeData.job_description,
+                parsedJobDescription
+              });
+            }
+            parsedResume = parsedResume || parseResume(resumeText);
+            formattingScan = formattingScan || scanFormatting({ text: resumeText });
           } catch (err) {
-            console.error('Error loading resume PDF:', err);
+            console.error('Error loading resume file:', err);
           }
         }
 
@@ -107,6 +178,12 @@ const Resume = () => {
             ...prev,
             resume: resumeData,
             feedback: resumeData.feedback,
+            localAtsReport,
+            parsedResume,
+            parsedJobDescription,
+            resumeText,
+            formattingScan,
+            versions,
             imageUrl,
             resumeUrl,
             loading: false,
@@ -189,7 +266,15 @@ const Resume = () => {
     );
   }
 
-  const { resume, feedback, imageUrl, resumeUrl } = state;
+  const { resume, feedback, localAtsReport, parsedResume, parsedJobDescription, resumeText, formattingScan, versions, imageUrl, resumeUrl } = state;
+  const sourceVersion = resume?.reanalysis_of && versions.find(version => version.id === resume.reanalysis_of);
+
+  const handleSaveJobDescription = async (values) => {
+    const created = await jobDescriptionService.create({ user_id: user.id, ...values });
+    await resumeService.linkJobDescription(resume.id, created.id);
+    setState(prev => ({ ...prev, resume: { ...prev.resume, job_description_id: created.id } }));
+    setSavingJobDescription(false);
+  };
 
   return (
     <div className="min-h-screen bg-gray-50">
@@ -212,49 +297,205 @@ const Resume = () => {
                   <h1 className="text-2xl font-bold text-gray-900">
                     {resume.job_title} at {resume.company_name}
                   </h1>
-                  <p className="text-gray-600 mt-1">
-                    Resume Analysis Report
-                  </p>
+                  <div className="flex items-center gap-2 mt-1">
+                    <p className="text-gray-600">
+                      Resume Analysis Report
+                    </p>
+                    {resume.version_number && (
+                      <span className="px-2 py-1 rounded text-xs font-medium bg-gray-100 text-gray-700">
+                        v{resume.version_number}
+                      </span>
+                    )}
+                    {resume.reanalysis_of && (
+                      <span className="px-2 py-1 rounded text-xs font-medium bg-amber-100 text-amber-700">
+                        Re-analysis{sourceVersion ? ` of v${sourceVersion.version_number}` : ''}
+                      </span>
+                    )}
+                    <span
+                      className={`px-2 py-1 rounded text-xs font-medium ${
+                        resume.resume_mode === 'ats'
+                          ? 'bg-purple-100 text-purple-700'
+                          : 'bg-blue-100 text-blue-700'
+                      }`}
+                      title={getAnalysisMode(resume.resume_mode).description}
+                    >
+                      {getAnalysisMode(resume.resume_mode).label}
+                    </span>
+                    {resume.analysis_cache_hit && (
+                      <span
+                        className="px-2 py-1 rounded text-xs font-medium bg-gray-100 text-gray-700"
+                        title="This resume was analyzed against the same job before, so that result was reused. Re-analyze with a fresh analysis to call the AI again."
+                      >
+                        ⚡ Cached result from {formatRelativeTime(resume.analysis_cache_hit.cached_at)}
+                      </span>
+                    )}
+                  </div>
+                  <div className="mt-2 text-sm">
+                    {resume.job_description_id ? (
+                      <Link
+                        to={`/job-descriptions?id=${resume.job_description_id}`}
+                        className="text-blue-600 hover:text-blue-500 underline"
+                      >
+                        📚 Scored against a saved job description
+                      </Link>
+                    ) : resume.job_description && (
+                      <button
+                        type="button"
+                        onClick={() => setSavingJobDescription(true)}
+                        className="text-blue-600 hover:text-blue-500 underline"
+                      >
+                        Save this job description to your library
+                      </button>
+                    )}
+                  </div>
                 </div>
 
-                {imageUrl && resumeUrl && (
-                  <div className="mt-4 md:mt-0 flex items-center gap-4">
-                    <div className="w-16 h-20 rounded border shadow-sm overflow-hidden">
-                      <img
-                        src={imageUrl}
-                        alt="Resume preview"
-                        className="w-full h-full object-cover"
-                        loading="lazy"
-                      />
-                    </div>
-                    <a
-                      href={resumeUrl}
-                      target="_blank"
-                      rel="noopener noreferrer"
-                      className="primary-button text-sm"
+                <div className="mt-4 md:mt-0 flex items-center gap-4">
+                  {imageUrl && resumeUrl && (
+                    <>
+                      <div className="w-16 h-20 rounded border shadow-sm overflow-hidden">
+                        <img
+                          src={imageUrl}
+                          alt="Resume preview"
+                          className="w-full h-full object-cover"
+                          loading="lazy"
+                        />
+                      </div>
+                      <a
+                        href={resumeUrl}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="primary-button text-sm"
+                      >
+                        📄 View Resume
+                      </a>
+                    </>
+                  )}
+                  {resume.resume_path && (
+                    <button
+                      type="button"
+                      onClick={() => setShowReanalyze(true)}
+                      className="px-4 py-2 border border-gray-300 rounded-lg text-sm text-gray-700 hover:bg-gray-50 transition-colors"
                     >
-                      📄 View PDF
-                    </a>
-                  </div>
-                )}
+                      🔄 Re-analyze
+                    </button>
+                  )}
+                </div>
               </div>
             </div>
           )}
         </div>
 
+        {savingJobDescription && resume && (
+          <div className="bg-white rounded-lg shadow-sm p-6 mb-8">
+            <h2 className="text-lg font-semibold text-gray-900 mb-4">Save Job Description</h2>
+            <JobDescriptionForm
+              initial={{
+                company_name: resume.company_name,
+                job_title: resume.job_title,
+                description: resume.job_description
+              }}
+              onSubmit={handleSaveJobDescription}
+              onCancel={() => setSavingJobDescription(false)}
+              submitLabel="Save to Library"
+            />
+          </div>
+        )}
+
+        {showReanalyze && resume && (
+          <ReanalyzeDialog resume={resume} onClose={() => setShowReanalyze(false)} />
+        )}
+
         {/* Main Content */}
         <div className="space-y-8">
+          {feedback && (
+            <ResumeTabs
+              active={activeTab.id}
+              onChange={(nextTab) => navigate(nextTab === 'analysis' ? `/resume/${id}` : `/resume/${id}/${nextTab}`)}
+            />
+          )}
+
           <h2 className="text-3xl font-bold text-center text-gray-900">
-            Resume Review
+            {feedback ? activeTab.title : 'Resume Review'}
           </h2>
 
-          {feedback ? (
-            <>
-              <Summary feedback={feedback} />
-              <ATS feedback={feedback} />
-              <Details feedback={feedback} />
-            </>
-          ) : (
+          {feedback && activeTab.id === 'cover-letter' && (
+            <CoverLetterGenerator
+              key={`cover-letter-${resume.id}`}
+              resume={resume}
+              resumeText={resumeText}
+              feedback={feedback}
+            />
+          )}
+
+          {feedback && activeTab.id === 'interview' && (
+            <InterviewPrep
+              key={`interview-${resume.id}`}
+              resume={resume}
+              parsedResume={parsedResume}
+              resumeText={resumeText}
+              feedback={feedback}
+              onSaved={(interviewPrep) => setState(prev => ({
+                ...prev,
+                resume: { ...prev.resume, interview_prep: interviewPrep }
+              }))}
+            />
+          )}
+
+          {/* Kept mounted while another tab is open so panel state (suggestions, rewrites, ...) survives */}
+          {feedback && (
+            <div className={activeTab.id === 'analysis' ? 'space-y-8' : 'hidden'}>
+              <Summary key={`summary-${resume.id}`} feedback={feedback} mode={resume.resume_mode} />
+              <ATS feedback={feedback} localReport={localAtsReport} suggestionStates={resume.suggestion_states} />
+              <FormattingAudit
+                audit={feedback.categories?.formatting?.formatting_audit}
+                localScan={formattingScan}
+              />
+              <DetailedAnalysis feedback={feedback} />
+              <KeywordPanel
+                feedback={feedback}
+                resumeText={resumeText}
+                jobDescription={resume?.job_description}
+                parsedJobDescription={parsedJobDescription}
+              />
+              <JobRequirements parsedJobDescription={parsedJobDescription} resumeText={resumeText} />
+              <CompetitiveAnalysis feedback={feedback} />
+              <RoadmapBoard
+                key={`roadmap-${resume.id}`}
+                resumeId={resume.id}
+                feedback={feedback}
+                initialProgress={resume.roadmap_progress}
+              />
+              <SuggestionsExplorer
+                key={`suggestions-${resume.id}`}
+                resumeId={resume.id}
+                feedback={feedback}
+                initialStates={resume.suggestion_states}
+                onStatesChange={(suggestionStates) => setState(prev => ({
+                  ...prev,
+                  resume: { ...prev.resume, suggestion_states: suggestionStates }
+                }))}
+              />
+              <BulletRewriter
+                key={`rewrites-${resume.id}`}
+                resumeId={resume.id}
+                parsedResume={parsedResume}
+                resumeText={resumeText}
+                job={{
+                  jobTitle: resume.job_title,
+                  companyName: resume.company_name,
+                  jobDescription: resume.job_description,
+                  parsedJobDescription
+                }}
+                initialRewrites={resume.bullet_rewrites}
+              />
+              <Details feedback={feedback} parsedResume={parsedResume} />
+              <VersionHistory key={`versions-${resume.id}`} resume={resume} versions={versions} />
+              <ParsedResumeView parsedResume={parsedResume} />
+            </div>
+          )}
+
+          {!feedback && (
             <div className="bg-white rounded-lg shadow-md p-8 text-center">
               <div className="text-6xl mb-4">⏳</div>
               <h3 className="text-xl font-semibold text-gray-900 mb-2">
@@ -11,6 +11,11 @@ const Submissions = () => {
   const [submissions, setSubmissions] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [selectedIds, setSelectedIds] = useState([]);
+
+  const toggleSelected = (id) => {
+    setSelectedIds(prev => prev.includes(id) ? prev.filter(item => item !== id) : [...prev, id]);
+  };
 
   const loadSubmissions = useCallback(async () => {
     if (!user?.id) {
@@ -100,6 +105,21 @@ const Submissions = () => {
           </div>
         ) : (
           <>
+            <div className="mb-4 flex items-center justify-between p-3 bg-blue-50 border border-blue-200 rounded-lg">
+              <span className="text-sm text-blue-700">
+                {selectedIds.length < 2
+                  ? 'Select two or more analyses to compare them side by side'
+                  : `${selectedIds.length} analyses selected`}
+              </span>
+              {selectedIds.length >= 2 && (
+                <Link
+                  to={`/compare?ids=${selectedIds.join(',')}`}
+                  className="primary-button text-sm px-4 py-2"
+                >
+                  ⚖️ Compare Selected
+                </Link>
+              )}
+            </div>
             <div className="space-y-4 mb-8">
               {submissions.map((item) => (
                 <div
@@ -108,6 +128,15 @@ const Submissions = () => {
                 >
                   <div className="p-6">
                     <div className="flex flex-col md:flex-row md:items-center justify-between gap-4">
+                      <input
+                        type="checkbox"
+                        checked={selectedIds.includes(item.id)}
+                        onChange={() => toggleSelected(item.id)}
+                        disabled={!item.feedback}
+                        className="h-4 w-4 self-start md:self-center"
+                        aria-label={`Select ${item.job_title} at ${item.company_name} for comparison`}
+                        title={item.feedback ? 'Select for comparison' : 'Analysis pending'}
+                      />
                       <div className="flex-1 min-w-0">
                         <div className="flex items-start justify-between mb-2">
                           <div>
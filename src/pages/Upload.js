@@ -1,32 +1,38 @@
 import { useState, useEffect, useCallback, useRef } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import {
   resumeService,
+  documentService,
+  jobDescriptionService,
   storageService,
   healthCheck,
   connectionMonitor,
-  createError,
   logger,
   promiseWithTimeout
 } from '../lib/supabase';
-import { analyzeResumeWithPerplexity } from '../services/perplexityService';
+import { ANALYSIS_MODES, DEFAULT_ANALYSIS_MODE } from '../services/analysisModes';
+import { analyzeResume, processResumeFile, runBatchAnalysis, MAX_BATCH_JOBS } from '../services/resumeAnalysis';
 import {
-  extractTextFromPDF,
-  convertPdfToImage,
-  validatePDF
-} from '../utils/pdfProcessor';
+  convertResumeToImage,
+  getResumeMimeType,
+  validateResumeFile
+} from '../utils/documentProcessor';
 import {
   generateUUID,
   generateFilePath,
   formatSize,
   createProgressTracker,
   validateFormData,
-  isValidPDF,
   isFileSizeValid,
+  formatRelativeTime,
   storage
 } from '../utils/utils';
 import Navbar from '../components/Navbar';
 import FileUploader from '../components/FileUploader';
+import BatchJobEditor, { createEmptyJob } from '../components/BatchJobEditor';
+import BatchResults from '../components/BatchResults';
+import JobDescriptionPicker from '../components/JobDescriptionPicker';
+import LiveAnalysisPreview from '../components/LiveAnalysisPreview';
 import {
   Loader2,
   Wifi,
@@ -50,10 +56,27 @@ const debounce = (func, wait) => {
   };
 };
 
+const JOB_FIELD_RULES = {
+  companyName: { required: true, minLength: 2, maxLength: 100 },
+  jobTitle: { required: true, minLength: 3, maxLength: 200 },
+  jobDescription: { required: true, minLength: 50, maxLength: 5000 }
+};
+
+const getBatchErrorMessage = (err) => {
+  if (err.code === 'BATCH_FAILED') return 'None of the analyses in this batch could be saved. Please try again later.';
+  if (err.code === 'PDF_TEXT_EXTRACTION_FAILED') return 'Could not read your resume. Please ensure it contains selectable text, not just images.';
+  if (err.code === 'PDF_WORKER_LOAD_FAILED' || err.code === 'PDF_WORKER_VERSION_MISMATCH') {
+    return 'The PDF reader could not start. Please reload the page and try again.';
+  }
+  return `Batch failed: ${err.message || 'An unexpected error occurred. Please try again.'}`;
+};
+
 const Upload = () => {
   const { user, loading, initialized, isAuthenticated } = useAuth();
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
   const uploadControllerRef = useRef(null);
+  const batchControllerRef = useRef(null);
   const mountedRef = useRef(true);
 
   const [isProcessing, setIsProcessing] = useState(false);
@@ -61,6 +84,7 @@ const Upload = () => {
   const [file, setFile] = useState(null);
   const [error, setError] = useState('');
   const [progress, setProgress] = useState(0);
+  const [partialFeedback, setPartialFeedback] = useState(null);
   const [currentStep, setCurrentStep] = useState(0);
   const [totalSteps] = useState(7);
   const [lastProgressUpdate, setLastProgressUpdate] = useState(Date.now());
@@ -71,7 +95,15 @@ const Upload = () => {
     jobTitle: '',
     jobDescription: ''
   });
-  const [resumeMode, setResumeMode] = useState('soft');
+  const [resumeMode, setResumeMode] = useState(DEFAULT_ANALYSIS_MODE);
+  const [forceFresh, setForceFresh] = useState(false);
+  const [documents, setDocuments] = useState([]);
+  const [documentId, setDocumentId] = useState(searchParams.get('document') || '');
+  const [jobDescriptionId, setJobDescriptionId] = useState(null);
+  const [batchMode, setBatchMode] = useState(false);
+  const [batchJobs, setBatchJobs] = useState(() => [createEmptyJob()]);
+  const [batchJobErrors, setBatchJobErrors] = useState({});
+  const [batch, setBatch] = useState(null);
   const [fileValidation, setFileValidation] = useState({
     isValid: false,
     errors: [],
@@ -86,33 +118,12 @@ const Upload = () => {
     filesUploaded: [],
   });
 
-  const zomatoSDE1Data = {
-    companyName: "Zomato",
-    jobTitle: "Software Development Engineer 1",
-    jobDescription: `As a Software Development Engineer 1 at Zomato, you will be part of a highly collaborative team responsible for designing, developing, and maintaining scalable software solutions that support our global food delivery platform. You will be working closely with cross-functional teams including product managers, designers, and other engineers to deliver high-quality and performant features.
-Key Responsibilities:
-- Develop robust, efficient, and maintainable code in languages such as Python, Java, or Go
-- Participate in the design and implementation of new features and improvements
-- Collaborate in the full software development lifecycle from requirement gathering to deployment
-- Write automated tests and contribute to ensure reliability and scalability of the platform
-- Troubleshoot and resolve production issues rapidly
-- Continuously learn and adopt new technologies and best practices
-Requirements:
-- Bachelor's degree in Computer Science or related field
-- Strong foundation in data structures, algorithms, and object-oriented design
-- Familiarity with microservices architecture and API development
-- Experience with cloud platforms (AWS/GCP/Azure) is a plus
-- Excellent communication skills and team-oriented mindset
-- 0-2 years of professional software development experience
-- Knowledge of databases (SQL/NoSQL) and caching mechanisms
-- Understanding of version control systems (Git) and CI/CD pipelines`
-  };
-
   useEffect(() => {
     mountedRef.current = true;
     return () => {
       mountedRef.current = false;
       if (uploadControllerRef.current) uploadControllerRef.current.abort();
+      if (batchControllerRef.current) batchControllerRef.current.abort();
       if (isProcessing && transactionState.resumeId) {
         cleanupFailedUpload(transactionState).catch(err =>
           logger.error('Cleanup on unmount failed:', err)
@@ -198,15 +209,13 @@ Requirements:
     setFile(selectedFile);
     setError('');
     if (selectedFile) {
-      const pdfValidation = validatePDF(selectedFile);
+      const fileCheck = validateResumeFile(selectedFile);
       const sizeValid = isFileSizeValid(selectedFile, 50);
-      const typeValid = isValidPDF(selectedFile);
       const validation = {
-        isValid: pdfValidation.isValid && sizeValid && typeValid,
+        isValid: fileCheck.isValid && sizeValid,
         errors: [
-          ...pdfValidation.errors,
-          ...(sizeValid ? [] : ['File size exceeds 50MB limit']),
-          ...(typeValid ? [] : ['File must be a PDF document'])
+          ...fileCheck.errors,
+          ...(sizeValid ? [] : ['File size exceeds 50MB limit'])
         ],
         size: selectedFile.size,
         type: selectedFile.type
@@ -226,19 +235,57 @@ Requirements:
     }
   }, []);
 
-  const handleZomatoQuickFill = useCallback(() => {
-    setFormData(zomatoSDE1Data);
+  useEffect(() => {
+    if (!user?.id) return;
+    let active = true;
+    documentService.getAll(user.id)
+      .then(data => {
+        if (active) setDocuments(data);
+      })
+      .catch(err => logger.warn('Could not load resume documents:', err));
+    return () => {
+      active = false;
+    };
+  }, [user?.id]);
+
+  // A new version is usually scored against the same job, so reuse the latest version's details
+  useEffect(() => {
+    const latest = documents.find(doc => doc.id === documentId)?.resumes?.slice(-1)[0];
+    if (!latest) return;
+    setFormData(prev => (prev.companyName || prev.jobTitle || prev.jobDescription) ? prev : {
+      companyName: latest.company_name || '',
+      jobTitle: latest.job_title || '',
+      jobDescription: latest.job_description || ''
+    });
+  }, [documents, documentId]);
+
+  const applyJobDescription = useCallback((jobDescription) => {
+    setFormData({
+      companyName: jobDescription.company_name,
+      jobTitle: jobDescription.job_title,
+      jobDescription: jobDescription.description
+    });
+    setJobDescriptionId(jobDescription.id);
     setError('');
-    logger.info('Sample data loaded');
   }, []);
 
-  const validateForm = useCallback(() => {
-    const rules = {
-      companyName: { required: true, minLength: 2, maxLength: 100 },
-      jobTitle: { required: true, minLength: 3, maxLength: 200 },
-      jobDescription: { required: true, minLength: 50, maxLength: 5000 }
+  // ?jd=<id> from the job description library preselects that job
+  useEffect(() => {
+    const requestedId = searchParams.get('jd');
+    if (!requestedId) return;
+    let active = true;
+    jobDescriptionService.getById(requestedId)
+      .then(jobDescription => {
+        if (active) applyJobDescription(jobDescription);
+      })
+      .catch(err => logger.warn('Could not load job description:', err));
+    return () => {
+      active = false;
     };
-    return validateFormData(formData, rules);
+  }, [searchParams, applyJobDescription]);
+
+  const validateForm = useCallback(() => {
+    return validateFormData(formData, JOB_FIELD_RULES);
   }, [formData]);
 
   const cleanupFailedUpload = useCallback(async (state) => {
@@ -257,6 +304,11 @@ Requirements:
       });
     }
     if (cleanupTasks.length > 0) await Promise.allSettled(cleanupTasks);
+    if (state.createdDocumentId) {
+      await documentService.delete(state.createdDocumentId).catch(err =>
+        logger.error('Failed to cleanup document:', err)
+      );
+    }
     logger.info('Cleanup completed');
   }, []);
 
@@ -278,10 +330,11 @@ Requirements:
       );
       if (!confirmCancel) return;
       logger.info('User cancelled upload');
+      // The aborted upload removes whatever it already stored on its way out
       if (uploadControllerRef.current) uploadControllerRef.current.abort();
-      await cleanupFailedUpload(transactionState);
       setIsProcessing(false);
       setProgress(0);
+      setPartialFeedback(null);
       setStatusText('');
       setCurrentStep(0);
       setError('');
@@ -293,10 +346,10 @@ Requirements:
         filesUploaded: []
       });
     }
-  }, [isProcessing, transactionState, cleanupFailedUpload]);
+  }, [isProcessing]);
   // ---------------------------------------------------
 
-  const handleAnalyze = useCallback(async ({ companyName, jobTitle, jobDescription, file, resumeMode }) => {
+  const handleAnalyze = useCallback(async ({ companyName, jobTitle, jobDescription, jobDescriptionId, file, resumeMode, documentId, forceFresh }) => {
     if (!user?.id) {
       setError('Please sign in to upload your resume.');
       navigate('/auth?next=' + encodeURIComponent(window.location.pathname));
@@ -308,6 +361,7 @@ Requirements:
       resumeId,
       pdfPath: null,
       imagePath: null,
+      createdDocumentId: null,
       dbRecordCreated: false,
       filesUploaded: []
     };
@@ -315,6 +369,7 @@ Requirements:
       setIsProcessing(true);
       setError('');
       setProgress(0);
+      setPartialFeedback(null);
       setCurrentStep(0);
       setLastProgressUpdate(Date.now());
       progressTracker.update(0, 'Performing pre-flight checks...');
@@ -333,27 +388,25 @@ Requirements:
         logger.warn('Pre-flight checks failed, proceeding anyway:', healthError);
       }
       if (uploadControllerRef.current?.signal.aborted) throw new Error('Upload cancelled');
-      progressTracker.increment('Extracting text from PDF...');
-      const resumeText = await extractTextFromPDF(file);
-      if (!resumeText || resumeText.length < 50) {
-        throw createError(
-          'Could not extract readable text from PDF. Please ensure your resume contains selectable text, not just images.',
-          'PDF_TEXT_EXTRACTION_FAILED'
-        );
-      }
-      logger.info(`Extracted ${resumeText.length} characters from PDF`);
+      progressTracker.increment('Extracting text from resume...');
+      const { fileKind, resumeText, localAtsReport, parsedResume, parsedJobDescription, formattingScan } = await processResumeFile(file, jobDescription, { jobTitle });
+      logger.info(`Extracted ${resumeText.length} characters from ${fileKind.toUpperCase()}`);
+      logger.info(`Rule-based ATS score: ${localAtsReport.score}`);
+      logger.info(`Parsed ${parsedResume.experience.length} roles and ${parsedResume.skills.length} skills`);
+      logger.info(`Job description lists ${parsedJobDescription.requiredSkills.length} required and ${parsedJobDescription.preferredSkills.length} preferred skills`);
       if (uploadControllerRef.current?.signal.aborted) throw new Error('Upload cancelled');
-      progressTracker.increment('Uploading PDF file...');
-      const pdfPath = generateFilePath(user.id, file.name, 'pdf');
+      progressTracker.increment('Uploading resume file...');
+      const pdfPath = generateFilePath(user.id, file.name, fileKind);
       await storageService.uploadFile(file, pdfPath, {
         bucket: 'resumes',
+        contentType: getResumeMimeType(file),
         skipHealthCheck: true,
         maxRetries: 3,
         timeout: 180000,
         onProgress: (progressInfo) => {
           if (!mountedRef.current) return;
           if (progressInfo.stage === 'uploading') {
-            setStatusText(`Uploading PDF... ${progressInfo.progress || 0}%`);
+            setStatusText(`Uploading resume... ${progressInfo.progress || 0}%`);
           } else if (progressInfo.stage === 'retrying') {
             setStatusText(`Upload failed, retrying in ${progressInfo.retryDelay}s...`);
           }
@@ -365,13 +418,13 @@ Requirements:
       });
       currentState.pdfPath = pdfPath;
       currentState.filesUploaded.push({ path: pdfPath, bucket: 'resumes' });
-      progressTracker.increment('PDF uploaded successfully');
-      logger.success('PDF uploaded:', pdfPath);
+      progressTracker.increment('Resume uploaded successfully');
+      logger.success('Resume uploaded:', pdfPath);
       if (uploadControllerRef.current?.signal.aborted) throw new Error('Upload cancelled');
       progressTracker.increment('Creating image preview...');
       let imagePath = null;
       try {
-        const result = await convertPdfToImage(file);
+        const result = await convertResumeToImage(file, resumeText);
         const imageFile = result.file;
         if (imageFile && typeof imageFile.name === 'string') {
           imagePath = generateFilePath(user.id, imageFile.name, 'image');
@@ -387,33 +440,70 @@ Requirements:
         }
       } catch (imageError) {
         logger.warn('Image conversion failed (non-critical):', imageError);
-        progressTracker.increment('PDF uploaded (preview generation failed)');
+        progressTracker.increment('Resume uploaded (preview generation failed)');
       }
       if (uploadControllerRef.current?.signal.aborted) throw new Error('Upload cancelled');
       progressTracker.increment('Saving resume information...');
+      let targetDocumentId = documentId;
+      if (!targetDocumentId) {
+        const document = await documentService.create({
+          user_id: user.id,
+          name: file.name.replace(/\.[^/.]+$/, '')
+        });
+        targetDocumentId = document.id;
+        currentState.createdDocumentId = document.id;
+      }
+      const versionNumber = await resumeService.getNextVersionNumber(targetDocumentId);
       const resumeData = {
         id: resumeId,
         user_id: user.id,
         company_name: companyName,
         job_title: jobTitle,
         job_description: jobDescription,
+        job_description_id: jobDescriptionId,
         resume_path: pdfPath,
         image_path: imagePath,
         feedback: null,
         overall_score: null,
         ats_score: null,
+        resume_mode: resumeMode,
+        resume_text: resumeText,
+        local_ats_report: localAtsReport,
+        parsed_resume: parsedResume,
+        parsed_job_description: parsedJobDescription,
+        formatting_scan: formattingScan,
+        document_id: targetDocumentId,
+        version_number: versionNumber,
       };
       await resumeService.create(resumeData);
       currentState.dbRecordCreated = true;
+      documentService.touch(targetDocumentId).catch(err => logger.warn('Could not update document timestamp:', err));
       progressTracker.increment('Resume information saved');
       logger.success('Database record created:', resumeId);
       if (uploadControllerRef.current?.signal.aborted) throw new Error('Upload cancelled');
-      progressTracker.increment('Analyzing resume with AI (this may take up to 90 seconds)...');
+      progressTracker.increment('Analyzing resume with AI (results appear below as they arrive)...');
       let feedback;
+      let cacheHit = null;
       try {
-        feedback = await analyzeResumeWithPerplexity(resumeText, jobTitle, jobDescription, companyName, resumeMode);
+        ({ feedback, cacheHit } = await analyzeResume({
+          resumeText,
+          jobTitle,
+          jobDescription,
+          companyName,
+          resumeMode,
+          parsedResume,
+          userId: user.id
+        }, {
+          forceFresh,
+          signal: uploadControllerRef.current?.signal,
+          onPartial: (partial) => {
+            if (mountedRef.current) setPartialFeedback(partial);
+          }
+        }));
         logger.success('AI analysis completed');
       } catch (aiError) {
+        // A cancelled upload is not an AI failure; let the outer handler stop here
+        if (uploadControllerRef.current?.signal.aborted) throw aiError;
         logger.error('AI analysis failed:', aiError);
         feedback = {
           overall_score: 0,
@@ -463,8 +553,10 @@ Requirements:
         };
       }
       progressTracker.increment('Saving analysis results...');
-      await resumeService.updateFeedback(resumeId, feedback);
-      progressTracker.complete('Analysis complete! Redirecting...');
+      await resumeService.updateFeedback(resumeId, feedback, { cacheHit });
+      progressTracker.complete(cacheHit
+        ? `Reused the analysis of this resume and job from ${formatRelativeTime(cacheHit.cached_at)}. Redirecting...`
+        : 'Analysis complete! Redirecting...');
       storage.set('lastSuccessfulUpload', {
         resumeId,
         timestamp: Date.now(),
@@ -478,12 +570,14 @@ Requirements:
     } catch (err) {
       if (err.name === 'AbortError' || err.message === 'Upload cancelled') {
         logger.info('Upload was cancelled by user');
+        await cleanupFailedUpload(currentState);
         return;
       }
       logger.error('Upload process failed:', err);
       await cleanupFailedUpload(currentState);
       if (!mountedRef.current) return;
       setProgress(0);
+      setPartialFeedback(null);
       setStatusText('');
       setCurrentStep(0);
       setTransactionState({
@@ -504,8 +598,12 @@ Requirements:
         setError('Upload timed out. Please check your internet connection and try again.');
       } else if (err.code === 'FILE_TOO_LARGE') {
         setError('File size too large. Please use a file smaller than 50MB.');
+      } else if (err.code === 'PDF_WORKER_LOAD_FAILED') {
+        setError('The PDF reader could not start. Reload the page; if it keeps failing, your network or browser settings may be blocking it.');
+      } else if (err.code === 'PDF_WORKER_VERSION_MISMATCH') {
+        setError('The PDF reader is out of date. Please reload the page to pick up the latest version.');
       } else if (err.code === 'PDF_TEXT_EXTRACTION_FAILED') {
-        setError('Could not read your PDF. Please ensure it contains selectable text, not just images.');
+        setError('Could not read your resume. Please ensure it contains selectable text, not just images.');
       } else if (err.code?.includes('DB_')) {
         setError('Database error occurred. Please try again or contact support if the issue persists.');
       } else {
@@ -515,7 +613,48 @@ Requirements:
     } finally {
       uploadControllerRef.current = null;
     }
-  }, [user, navigate, cleanupFailedUpload, progressTracker, resumeMode]);
+  }, [user, navigate, cleanupFailedUpload, progressTracker]);
+
+  // One file against several jobs: extraction and upload run once, analyses go through a queue
+  const handleBatchAnalyze = useCallback(async ({ file, jobs, resumeMode, documentId, forceFresh }) => {
+    batchControllerRef.current = new AbortController();
+    setError('');
+    setBatch({
+      running: true,
+      statusText: 'Starting batch...',
+      jobs: jobs.map(job => ({ ...job, status: 'queued' }))
+    });
+    try {
+      await runBatchAnalysis({
+        userId: user.id,
+        file,
+        jobs,
+        resumeMode,
+        documentId,
+        forceFresh,
+        signal: batchControllerRef.current.signal,
+        onStatus: (statusText) => {
+          if (mountedRef.current) setBatch(prev => prev && { ...prev, statusText });
+        },
+        onJobUpdate: (index, patch) => {
+          if (!mountedRef.current) return;
+          setBatch(prev => prev && {
+            ...prev,
+            jobs: prev.jobs.map((job, i) => (i === index ? { ...job, ...patch } : job))
+          });
+        }
+      });
+      if (mountedRef.current) setBatch(prev => prev && { ...prev, running: false, statusText: '' });
+    } catch (err) {
+      logger.error('Batch analysis failed:', err);
+      if (!mountedRef.current) return;
+      // Failures before any job started leave nothing to show, so go back to the form
+      setBatch(prev => (err.code === 'BATCH_FAILED' && prev ? { ...prev, running: false, statusText: '' } : null));
+      setError(getBatchErrorMessage(err));
+    } finally {
+      batchControllerRef.current = null;
+    }
+  }, [user]);
 
   const handleSubmit = useCallback((e) => {
     e.preventDefault();
@@ -525,13 +664,39 @@ Requirements:
       return;
     }
     if (!file) {
-      setError('Please select a PDF file to upload.');
+      setError('Please select a resume file to upload.');
       return;
     }
     if (!fileValidation.isValid) {
       setError(`File validation failed: ${fileValidation.errors.join(', ')}`);
       return;
     }
+    if (batchMode) {
+      const jobErrors = {};
+      batchJobs.forEach(job => {
+        const jobValidation = validateFormData(job, JOB_FIELD_RULES);
+        if (!jobValidation.isValid) jobErrors[job.key] = Object.values(jobValidation.errors)[0];
+      });
+      setBatchJobErrors(jobErrors);
+      if (Object.keys(jobErrors).length > 0) {
+        setError('Please complete every job in the batch.');
+        return;
+      }
+      handleBatchAnalyze({
+        file,
+        jobs: batchJobs.map(job => ({
+          key: job.key,
+          companyName: job.companyName.trim(),
+          jobTitle: job.jobTitle.trim(),
+          jobDescription: job.jobDescription.trim(),
+          jobDescriptionId: job.jobDescriptionId || null
+        })),
+        resumeMode,
+        documentId,
+        forceFresh
+      });
+      return;
+    }
     const validation = validateForm();
     if (!validation.isValid) {
       const firstError = Object.values(validation.errors)[0];
@@ -543,10 +708,13 @@ Requirements:
       companyName: companyName.trim(),
       jobTitle: jobTitle.trim(),
       jobDescription: jobDescription.trim(),
+      jobDescriptionId,
       file,
-      resumeMode
+      resumeMode,
+      documentId,
+      forceFresh
     });
-  }, [user, file, formData, fileValidation, validateForm, handleAnalyze, navigate, resumeMode]);
+  }, [user, file, formData, fileValidation, validateForm, handleAnalyze, handleBatchAnalyze, navigate, resumeMode, documentId, jobDescriptionId, batchMode, batchJobs, forceFresh]);
 
   return (
     <div className="min-h-screen bg-gray-50">
@@ -608,6 +776,7 @@ Requirements:
                 ></div>
               </div>
               <p className="text-blue-600 text-sm mb-2">{statusText}</p>
+              <LiveAnalysisPreview feedback={partialFeedback} />
               <div className="flex items-center justify-center gap-2 text-blue-500 text-xs mb-3">
                 <Clock className="w-3 h-3" />
                 <span>Step {Math.min(currentStep, totalSteps)} of {totalSteps}</span>
@@ -640,82 +809,181 @@ Requirements:
             </button>
           </div>
         )}
-        {!isProcessing && (
+        {batch && (
+          <BatchResults
+            jobs={batch.jobs}
+            running={batch.running}
+            statusText={batch.statusText}
+            onCancel={() => batchControllerRef.current?.abort()}
+            onReset={() => {
+              setBatch(null);
+              setError('');
+            }}
+          />
+        )}
+        {!isProcessing && !batch && (
           <form onSubmit={handleSubmit} className="space-y-6">
-            <div className="bg-gradient-to-r from-red-50 to-orange-50 border border-red-200 rounded-lg p-4">
-              <div className="flex items-center justify-between">
-                <div>
-                  <h3 className="font-medium text-red-900 mb-1">
-                    🚀 Try with Sample Data
-                  </h3>
-                  <p className="text-sm text-red-700">
-                    Test the analysis with a real Zomato Software Engineer position
-                  </p>
-                </div>
+            <div className="flex rounded-lg border border-gray-300 overflow-hidden text-sm">
+              {[
+                { value: false, label: 'One job' },
+                { value: true, label: 'Several jobs (batch)' }
+              ].map(option => (
                 <button
+                  key={option.label}
                   type="button"
-                  onClick={handleZomatoQuickFill}
-                  className="px-4 py-2 bg-red-500 text-white font-medium rounded-lg hover:bg-red-600 transition-colors"
+                  onClick={() => setBatchMode(option.value)}
+                  className={`flex-1 px-3 py-2 transition-colors ${
+                    batchMode === option.value ? 'bg-blue-500 text-white' : 'bg-white text-gray-700 hover:bg-gray-50'
+                  }`}
                 >
-                  Load Sample
+                  {option.label}
                 </button>
-              </div>
-            </div>
-            
-                  
-            <div>
-              <label htmlFor="company-name" className="block text-sm font-medium text-gray-700 mb-2">
-                Company Name *
-              </label>
-              <input
-                type="text"
-                id="company-name"
-                name="company-name"
-                value={formData.companyName}
-                onChange={(e) => setFormData({ ...formData, companyName: e.target.value })}
-                required
-                minLength={2}
-                maxLength={100}
-                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                placeholder="e.g., Google, Microsoft, Apple"
-              />
+              ))}
             </div>
+            {batchMode ? (
+              <div>
+                <p className="text-sm text-gray-600 mb-3">
+                  Your resume is read and uploaded once, then analyzed against every job below.
+                  Results are ranked by fit when the batch finishes.
+                </p>
+                <BatchJobEditor
+                  jobs={batchJobs}
+                  onChange={setBatchJobs}
+                  maxJobs={MAX_BATCH_JOBS}
+                  errors={batchJobErrors}
+                />
+              </div>
+            ) : (
+              <>
+                <JobDescriptionPicker onSelect={applyJobDescription} />
+                {jobDescriptionId && (
+                  <p className="-mt-4 text-xs text-gray-500">
+                    Using a job description from your library. Editing the description detaches it.
+                  </p>
+                )}
+                <div>
+                  <label htmlFor="company-name" className="block text-sm font-medium text-gray-700 mb-2">
+                    Company Name *
+                  </label>
+                  <input
+                    type="text"
+                    id="company-name"
+                    name="company-name"
+                    value={formData.companyName}
+                    onChange={(e) => setFormData({ ...formData, companyName: e.target.value })}
+                    required
+                    minLength={2}
+                    maxLength={100}
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    placeholder="e.g., Google, Microsoft, Apple"
+                  />
+                </div>
+                <div>
+                  <label htmlFor="job-title" className="block text-sm font-medium text-gray-700 mb-2">
+                    Job Title *
+                  </label>
+                  <input
+                    type="text"
+                    id="job-title"
+                    name="job-title"
+                    value={formData.jobTitle}
+                    onChange={(e) => setFormData({ ...formData, jobTitle: e.target.value })}
+                    required
+                    minLength={3}
+                    maxLength={200}
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    placeholder="e.g., Software Engineer, Product Manager"
+                  />
+                </div>
+                <div>
+                  <label htmlFor="job-description" className="block text-sm font-medium text-gray-700 mb-2">
+                    Job Description *
+                  </label>
+                  <textarea
+                    id="job-description"
+                    name="job-description"
+                    value={formData.jobDescription}
+                    onChange={(e) => {
+                      setFormData({ ...formData, jobDescription: e.target.value });
+                      setJobDescriptionId(null);
+                    }}
+                    required
+                    minLength={50}
+                    rows={6}
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent resize-vertical"
+                    placeholder="Paste the complete job description here for better analysis. Include requirements, responsibilities, and qualifications."
+                  />
+                  <p className="text-xs text-gray-500 mt-1">
+                    Minimum 50 characters required for accurate analysis ({formData.jobDescription.length}/50)
+                  </p>
+                </div>
+              </>
+            )}
             <div>
-              <label htmlFor="job-title" className="block text-sm font-medium text-gray-700 mb-2">
-                Job Title *
+              <label htmlFor="resume-document" className="block text-sm font-medium text-gray-700 mb-2">
+                Resume Document
               </label>
-              <input
-                type="text"
-                id="job-title"
-                name="job-title"
-                value={formData.jobTitle}
-                onChange={(e) => setFormData({ ...formData, jobTitle: e.target.value })}
-                required
-                minLength={3}
-                maxLength={200}
+              <select
+                id="resume-document"
+                value={documentId}
+                onChange={(e) => setDocumentId(e.target.value)}
                 className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
-                placeholder="e.g., Software Engineer, Product Manager"
-              />
-            </div>
-            <div>
-              <label htmlFor="job-description" className="block text-sm font-medium text-gray-700 mb-2">
-                Job Description *
-              </label>
-              <textarea
-                id="job-description"
-                name="job-description"
-                value={formData.jobDescription}
-                onChange={(e) => setFormData({ ...formData, jobDescription: e.target.value })}
-                required
-                minLength={50}
-                rows={6}
-                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent resize-vertical"
-                placeholder="Paste the complete job description here for better analysis. Include requirements, responsibilities, and qualifications."
-              />
+              >
+                <option value="">New document</option>
+                {documents.map((doc) => (
+                  <option key={doc.id} value={doc.id}>
+                    {doc.name} (new version v{(doc.resumes.slice(-1)[0]?.version_number || 0) + 1})
+                  </option>
+                ))}
+              </select>
               <p className="text-xs text-gray-500 mt-1">
-                Minimum 50 characters required for accurate analysis ({formData.jobDescription.length}/50)
+                Upload an edited resume as a new version to compare scores and changes with earlier uploads.
               </p>
             </div>
+            <fieldset>
+              <legend className="block text-sm font-medium text-gray-700 mb-2">
+                Analysis Mode *
+              </legend>
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                {Object.values(ANALYSIS_MODES).map((mode) => (
+                  <label
+                    key={mode.id}
+                    className={`flex items-start gap-3 p-3 border rounded-lg cursor-pointer transition-colors ${
+                      resumeMode === mode.id
+                        ? 'border-blue-500 bg-blue-50'
+                        : 'border-gray-300 hover:border-gray-400'
+                    }`}
+                  >
+                    <input
+                      type="radio"
+                      name="resume-mode"
+                      value={mode.id}
+                      checked={resumeMode === mode.id}
+                      onChange={() => setResumeMode(mode.id)}
+                      className="mt-1"
+                    />
+                    <span>
+                      <span className="block text-sm font-medium text-gray-900">{mode.label}</span>
+                      <span className="block text-xs text-gray-600">{mode.description}</span>
+                    </span>
+                  </label>
+                ))}
+              </div>
+              <label className="flex items-start gap-2 mt-3 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={forceFresh}
+                  onChange={(e) => setForceFresh(e.target.checked)}
+                  className="mt-1"
+                />
+                <span>
+                  Force a fresh analysis
+                  <span className="block text-xs text-gray-500">
+                    The same resume against the same job normally reuses its earlier result instead of calling the AI again.
+                  </span>
+                </span>
+              </label>
+            </fieldset>
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">
                 Upload Resume *
@@ -763,6 +1031,8 @@ Requirements:
                     <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-white"></div>
                     Analyzing...
                   </span>
+                ) : batchMode ? (
+                  `🚀 Analyze Against ${batchJobs.length} Job${batchJobs.length === 1 ? '' : 's'}`
                 ) : (
                   '🚀 Analyze Resume'
                 )}
@@ -772,7 +1042,7 @@ Requirements:
               <div className="text-center text-sm text-gray-600">
                 <p>✓ Ready to analyze: <strong>{file.name}</strong></p>
                 <p>File size: {formatSize(file.size)}</p>
-                <p>Type: {file.type}</p>
+                <p>Type: {getResumeMimeType(file)}</p>
               </div>
             )}
           </form>
@@ -780,12 +1050,13 @@ Requirements:
         <div className="mt-8 p-4 bg-gray-100 rounded-lg">
           <h3 className="font-medium text-gray-900 mb-2">💡 Upload Tips</h3>
           <ul className="text-sm text-gray-600 space-y-1">
+            <li>• PDF, DOCX, TXT and Markdown resumes are supported</li>
             <li>• Ensure your PDF contains selectable text (not just images)</li>
             <li>• File size limit is 50MB for optimal performance</li>
             <li>• Include detailed job requirements for better analysis</li>
             <li>• Upload will continue even if preview generation fails</li>
-            <li>• Analysis may take up to 90 seconds - please be patient</li>
-            <li>• Click "Load Sample" to try with Zomato SDE1 position</li>
+            <li>• Analysis may take up to 90 seconds - scores and tips appear as they arrive</li>
+            <li>• Save job descriptions in the Job Library to reuse them across resumes</li>
             <li>• Your resume data is processed securely and privately</li>
             <li>• If upload gets stuck, it will auto-recover or allow cancellation</li>
           </ul>
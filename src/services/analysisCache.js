@@ -0,0 +1,151 @@
+// ==============================================================================
+// Analysis Cache
+// ==============================================================================
+//
+// Content-addressed cache for provider analyses. The key is a SHA-256 hash of
+// the normalized resume text, the job, the analysis mode, the provider and the
+// prompt version, so only an identical request reuses a result. Lookups go to
+// IndexedDB on this device first, then to the user's `analysis_cache` table.
+// Cache failures are logged and treated as misses; they never block an analysis.
+
+import { analysisCacheService, logger } from '../lib/supabase';
+import { getAnalysisProvider } from './analysisProviders';
+import { getAnalysisMode } from './analysisModes';
+import { validateFeedback } from './feedbackSchema';
+import { ANALYSIS_PROMPT_VERSION } from './perplexityService';
+
+const DB_NAME = 'atspect-analysis-cache';
+const STORE_NAME = 'analyses';
+const MAX_AGE = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+let databasePromise = null;
+
+function openDatabase() {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch(error => {
+      databasePromise = null;
+      throw error;
+    });
+  }
+  return databasePromise;
+}
+
+// Runs one object store request and resolves with its result
+async function runStoreRequest(mode, operation) {
+  const database = await openDatabase();
+  if (!database) return null;
+  return new Promise((resolve, reject) => {
+    const request = operation(database.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+const normalize = (value) => String(value || '').replace(/\s+/g, ' ').trim();
+
+const isFresh = (version, createdAt) =>
+  version === ANALYSIS_PROMPT_VERSION && Date.now() - new Date(createdAt).getTime() < MAX_AGE;
+
+// Entries from older app versions may no longer pass the schema
+function toValidFeedback(value, mode) {
+  const validation = validateFeedback(value, { mode });
+  return validation.isValid ? validation.feedback : null;
+}
+
+/**
+ * Hashes everything that determines an analysis into a cache key.
+ * @param {object} request
+ * @param {string} request.resumeText
+ * @param {string} request.jobTitle
+ * @param {string} request.companyName
+ * @param {string} request.jobDescription
+ * @param {string} request.mode - Analysis mode id, see ./analysisModes.js.
+ * @returns {Promise<string|null>} Hex SHA-256 digest, or null where Web Crypto is unavailable (insecure origins).
+ */
+export async function getAnalysisCacheKey({ resumeText, jobTitle, companyName, jobDescription, mode }) {
+  if (!window.crypto?.subtle) return null;
+
+  const provider = getAnalysisProvider();
+  const payload = JSON.stringify({
+    promptVersion: ANALYSIS_PROMPT_VERSION,
+    provider: `${provider.name}:${provider.model}`,
+    mode: getAnalysisMode(mode).id,
+    resumeText: normalize(resumeText),
+    jobTitle: normalize(jobTitle).toLowerCase(),
+    companyName: normalize(companyName).toLowerCase(),
+    jobDescription: normalize(jobDescription)
+  });
+  const digest = await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(payload));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Looks up a cached analysis on this device, then in the user's account.
+ * @param {string} cacheKey - From getAnalysisCacheKey.
+ * @param {object} options
+ * @param {string} [options.userId] - Owner of the entry; the account lookup is skipped without it.
+ * @param {string} options.mode - Analysis mode id, used to validate the cached feedback.
+ * @returns {Promise<{feedback: object, source: 'device'|'account', cached_at: string}|null>}
+ */
+export async function getCachedAnalysis(cacheKey, { userId, mode }) {
+  const localId = `${userId || 'anonymous'}:${cacheKey}`;
+
+  try {
+    const entry = await runStoreRequest('readonly', store => store.get(localId));
+    const feedback = entry && isFresh(entry.promptVersion, entry.createdAt) && toValidFeedback(entry.feedback, mode);
+    if (feedback) return { feedback, source: 'device', cached_at: entry.createdAt };
+  } catch (error) {
+    logger.warn('Could not read the local analysis cache:', error);
+  }
+
+  if (!userId) return null;
+  try {
+    const row = await analysisCacheService.get(userId, cacheKey);
+    const feedback = row && isFresh(row.prompt_version, row.created_at) && toValidFeedback(row.feedback, mode);
+    if (!feedback) return null;
+
+    runStoreRequest('readwrite', store => store.put({
+      id: localId,
+      feedback,
+      promptVersion: row.prompt_version,
+      createdAt: row.created_at
+    })).catch(error => logger.warn('Could not update the local analysis cache:', error));
+    return { feedback, source: 'account', cached_at: row.created_at };
+  } catch (error) {
+    logger.warn('Could not read the analysis cache:', error);
+    return null;
+  }
+}
+
+/**
+ * Stores a fresh analysis on this device and in the user's account. Never throws.
+ * @param {string} cacheKey - From getAnalysisCacheKey.
+ * @param {object} feedback - Validated analysis.
+ * @param {object} options
+ * @param {string} [options.userId] - Owner of the entry; only the device copy is written without it.
+ * @returns {Promise<void>}
+ */
+export async function saveCachedAnalysis(cacheKey, feedback, { userId }) {
+  const createdAt = new Date().toISOString();
+
+  await Promise.all([
+    runStoreRequest('readwrite', store => store.put({
+      id: `${userId || 'anonymous'}:${cacheKey}`,
+      feedback,
+      promptVersion: ANALYSIS_PROMPT_VERSION,
+      createdAt
+    })).catch(error => logger.warn('Could not write the local analysis cache:', error)),
+    userId && analysisCacheService.save({
+      user_id: userId,
+      cache_key: cacheKey,
+      prompt_version: ANALYSIS_PROMPT_VERSION,
+      feedback
+    }).catch(error => logger.warn('Could not write the analysis cache:', error))
+  ]);
+}
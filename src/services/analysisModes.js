@@ -0,0 +1,60 @@
+// ==============================================================================
+// Analysis Modes
+// ==============================================================================
+//
+// A mode decides which formatting rules the reviewer applies and how much each
+// category contributes to the overall score.
+
+export const DEFAULT_ANALYSIS_MODE = 'soft';
+
+export const ANALYSIS_MODES = {
+  soft: {
+    id: 'soft',
+    label: 'Recruiter mode',
+    shortLabel: 'Recruiter',
+    description: 'For PDFs read by people. Icons, links and visual structure are judged on readability.',
+    weights: {
+      formatting: 15,
+      content: 30,
+      keywords: 25,
+      experience: 20,
+      skills: 10
+    },
+    instruction: `Note: This resume is intended for recruiter viewing (PDF/digital format).
+- Icons, clickable symbols, and links should NOT be flagged as "non-standard symbols" unless they genuinely obscure or confuse information for human readers.
+- Standard bullet points, such as "-", "•" or "*", MUST NOT be flagged as non-standard symbols in this mode. If they are present and used consistently, explicitly state: "Bullet points are used appropriately for clarity."
+- If section headings are visually distinct, call this out as a strength.
+- If links or icons improve scanning/clicking/navigating the resume, note this as a positive feature for recruiters.
+- Only highlight formatting issues that genuinely reduce visual appeal, structure, or usability for a recruiter; do not apply ATS-only rules to this mode.`
+  },
+  ats: {
+    id: 'ats',
+    label: 'ATS-strict mode',
+    shortLabel: 'ATS-strict',
+    description: 'For online applications parsed by an Applicant Tracking System before anyone reads them.',
+    weights: {
+      formatting: 25,
+      content: 15,
+      keywords: 35,
+      experience: 15,
+      skills: 10
+    },
+    instruction: `Note: This resume will be submitted through an Applicant Tracking System (ATS) and parsed by software before any human sees it. Apply strict ATS rules:
+- Flag every icon, emoji, pictogram, or decorative glyph (phone/email/location icons, stars, skill bars) as a non-standard symbol and list it in "problematic_symbols" with its section.
+- Flag tables, text boxes, and multi-column layouts; set "contains_tables_or_columns" to true when any are present, because parsers read them out of order or drop them.
+- Only plain round bullets ("•") and hyphens ("-") are acceptable bullets. Flag arrows, check marks, custom shapes, and mixed bullet styles.
+- Flag non-standard section headings (e.g. "Where I've Been" instead of "Experience") and headers or footers that contain contact details.
+- Flag contact details, dates, or job titles that are embedded in graphics or only available as hyperlinks.
+- Keyword matching must be literal: count a keyword as matched only when the exact term or a standard abbreviation of it appears in the resume text.`
+  }
+};
+
+/**
+ * Returns the configuration for a mode, falling back to the default mode for
+ * unknown or missing values (older records were stored without one).
+ * @param {string} [mode] - Mode id, e.g. "soft" or "ats".
+ * @returns {object} Mode configuration.
+ */
+export function getAnalysisMode(mode) {
+  return ANALYSIS_MODES[mode] || ANALYSIS_MODES[DEFAULT_ANALYSIS_MODE];
+}
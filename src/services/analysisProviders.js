@@ -0,0 +1,292 @@
+// ==============================================================================
+// Analysis Providers
+// ==============================================================================
+//
+// Every provider exposes the same small interface so the analysis service can
+// talk to Perplexity, any OpenAI-compatible endpoint, or an offline mock
+// without knowing which one it is using.
+
+import { buildMockAnalysis, buildMockCoverLetter, buildMockInterviewPrep, buildMockRewrites } from './mockAnalysisFixture';
+import { createError } from '../utils/utils';
+
+/**
+ * @typedef {object} CompletionRequest
+ * @property {Array<{role: string, content: string}>} messages - Chat messages to send.
+ * @property {number} [maxTokens] - Upper bound on generated tokens.
+ * @property {number} [temperature] - Sampling temperature.
+ * @property {AbortSignal} [signal] - Aborts the underlying request.
+ * @property {object} [context] - Raw request inputs (resume text, job details, and a `task` for requests other than the analysis). Only offline providers use it.
+ */
+
+/**
+ * @typedef {object} AnalysisProvider
+ * @property {string} name - Registry key, e.g. "perplexity".
+ * @property {string} label - Human readable vendor name used in logs and errors.
+ * @property {string} model - Model identifier sent to the vendor.
+ * @property {(request: CompletionRequest) => Promise<string>} complete - Resolves to the raw message content.
+ * @property {(request: CompletionRequest, onChunk: (delta: string, content: string) => void) => Promise<string>} [stream] -
+ *   Like `complete`, but calls `onChunk` with each piece of content as it arrives. Optional.
+ */
+
+// --- CONFIGURATION ---
+
+// Keys come from the environment only; use the mock provider to develop without one
+const PERPLEXITY_API_KEY = process.env.REACT_APP_PERPLEXITY_API_KEY || '';
+const PERPLEXITY_API_URL = 'https://api.perplexity.ai/chat/completions';
+const PERPLEXITY_MODEL = process.env.REACT_APP_PERPLEXITY_MODEL || 'sonar-pro';
+
+const OPENAI_API_KEY = process.env.REACT_APP_OPENAI_API_KEY || '';
+const OPENAI_BASE_URL = process.env.REACT_APP_OPENAI_BASE_URL || 'https://api.openai.com/v1';
+const OPENAI_MODEL = process.env.REACT_APP_OPENAI_MODEL || 'gpt-4o-mini';
+
+const DEFAULT_PROVIDER = process.env.REACT_APP_ANALYSIS_PROVIDER || 'perplexity';
+
+// Shared POST for chat-completions style APIs
+async function sendChatCompletion({ url, apiKey, label, model, request, stream }) {
+  const { messages, maxTokens = 4096, temperature = 0.2, signal } = request;
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) {
+    headers['Authorization'] = `Bearer ${apiKey}`;
+  }
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({
+      model,
+      messages,
+      max_tokens: maxTokens,
+      temperature,
+      stream
+    }),
+    signal
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`${label} API error: ${response.status} - ${errorText}`);
+  }
+
+  return response;
+}
+
+async function postChatCompletion(options) {
+  const response = await sendChatCompletion({ ...options, stream: false });
+  const data = await response.json();
+  const content = data.choices?.[0]?.message?.content;
+
+  if (!content) {
+    throw new Error(`No content received from ${options.label} API`);
+  }
+
+  return content;
+}
+
+// Reads a server-sent event stream of chat completion chunks. Aborting the
+// request signal also aborts the body reader.
+async function streamChatCompletion(options, onChunk) {
+  const response = await sendChatCompletion({ ...options, stream: true });
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let content = '';
+
+  const handleLine = (line) => {
+    const payload = line.startsWith('data:') ? line.slice(5).trim() : '';
+    if (!payload || payload === '[DONE]') return;
+    let delta;
+    try {
+      delta = JSON.parse(payload).choices?.[0]?.delta?.content;
+    } catch {
+      // Keep-alives and malformed events carry no content; one bad line must not fail the stream
+      return;
+    }
+    if (delta) {
+      content += delta;
+      onChunk(delta, content);
+    }
+  };
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    lines.forEach(line => handleLine(line.trim()));
+  }
+  handleLine(buffer.trim());
+
+  if (!content) {
+    throw new Error(`No content received from ${options.label} API`);
+  }
+
+  return content;
+}
+
+/**
+ * Creates a provider backed by the Perplexity chat completions API.
+ * @param {object} [options]
+ * @param {string} [options.apiKey] - Perplexity API key.
+ * @param {string} [options.model] - Model name, defaults to `sonar-pro`.
+ * @param {string} [options.url] - Endpoint override.
+ * @returns {AnalysisProvider}
+ */
+export function createPerplexityProvider({ apiKey = PERPLEXITY_API_KEY, model = PERPLEXITY_MODEL, url = PERPLEXITY_API_URL } = {}) {
+  // Checked per request so a missing key only breaks analyses, not the app
+  const requireKey = () => {
+    if (!apiKey) {
+      throw createError(
+        'Perplexity API key is not configured. Set REACT_APP_PERPLEXITY_API_KEY, or set REACT_APP_ANALYSIS_PROVIDER=mock to develop without a key.',
+        'PROVIDER_NOT_CONFIGURED'
+      );
+    }
+  };
+
+  return {
+    name: 'perplexity',
+    label: 'Perplexity',
+    model,
+    complete: async (request) => {
+      requireKey();
+      return postChatCompletion({ url, apiKey, label: 'Perplexity', model, request });
+    },
+    stream: async (request, onChunk) => {
+      requireKey();
+      return streamChatCompletion({ url, apiKey, label: 'Perplexity', model, request }, onChunk);
+    }
+  };
+}
+
+/**
+ * Creates a provider for any endpoint that speaks the OpenAI chat completions protocol
+ * (OpenAI, Azure OpenAI proxies, Ollama, LM Studio, vLLM, ...).
+ * @param {object} [options]
+ * @param {string} [options.apiKey] - Bearer token, may be empty for local servers.
+ * @param {string} [options.baseUrl] - Base URL without the `/chat/completions` suffix.
+ * @param {string} [options.model] - Model name.
+ * @returns {AnalysisProvider}
+ */
+export function createOpenAICompatibleProvider({ apiKey = OPENAI_API_KEY, baseUrl = OPENAI_BASE_URL, model = OPENAI_MODEL } = {}) {
+  const url = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+  return {
+    name: 'openai',
+    label: 'OpenAI-compatible',
+    model,
+    complete: (request) => postChatCompletion({ url, apiKey, label: 'OpenAI-compatible', model, request }),
+    stream: (request, onChunk) => streamChatCompletion({ url, apiKey, label: 'OpenAI-compatible', model, request }, onChunk)
+  };
+}
+
+// Offline responses for requests other than the main analysis, keyed by context.task
+const MOCK_TASKS = {
+  rewrite: (context) => JSON.stringify(buildMockRewrites(context)),
+  cover_letter: buildMockCoverLetter,
+  interview_prep: (context) => JSON.stringify(buildMockInterviewPrep(context))
+};
+
+// Resolves after `ms`, or rejects with an AbortError when the signal fires first
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timeoutId);
+      const abortError = new Error('The operation was aborted.');
+      abortError.name = 'AbortError';
+      reject(abortError);
+    };
+    const timeoutId = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal?.aborted) onAbort();
+    else signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Creates an offline provider that returns deterministic fixtures built from the
+ * request context. Useful for development and tests without network access.
+ * @param {object} [options]
+ * @param {number} [options.latency] - Artificial delay in milliseconds.
+ * @param {number} [options.chunkSize] - Characters per chunk when streaming.
+ * @param {number} [options.chunkDelay] - Delay between streamed chunks in milliseconds.
+ * @returns {AnalysisProvider}
+ */
+export function createMockProvider({ latency = 300, chunkSize = 120, chunkDelay = 40 } = {}) {
+  const buildContent = (context = {}) => {
+    const buildTask = MOCK_TASKS[context.task];
+    return buildTask ? buildTask(context) : JSON.stringify(buildMockAnalysis(context), null, 2);
+  };
+
+  return {
+    name: 'mock',
+    label: 'Mock',
+    model: 'mock-fixture',
+    async complete({ context, signal } = {}) {
+      await wait(latency, signal);
+      return buildContent(context);
+    },
+    async stream({ context, signal } = {}, onChunk) {
+      await wait(latency, signal);
+      const content = buildContent(context);
+      for (let end = chunkSize; end < content.length + chunkSize; end += chunkSize) {
+        const partial = content.slice(0, end);
+        onChunk(content.slice(end - chunkSize, end), partial);
+        if (end < content.length) await wait(chunkDelay, signal);
+      }
+      return content;
+    }
+  };
+}
+
+// --- REGISTRY ---
+
+const providerFactories = {
+  perplexity: createPerplexityProvider,
+  openai: createOpenAICompatibleProvider,
+  mock: createMockProvider
+};
+
+let activeProvider = null;
+
+/**
+ * Registers an additional provider factory under the given name.
+ * @param {string} name - Registry key.
+ * @param {(options?: object) => AnalysisProvider} factory - Provider factory.
+ */
+export function registerAnalysisProvider(name, factory) {
+  providerFactories[name] = factory;
+}
+
+/**
+ * Overrides the provider used for subsequent analyses.
+ * @param {string|AnalysisProvider|null} provider - Registry key, provider instance, or null to reset to the default.
+ * @param {object} [options] - Options passed to the factory when a name is given.
+ */
+export function setAnalysisProvider(provider, options = {}) {
+  if (provider === null) {
+    activeProvider = null;
+    return;
+  }
+  activeProvider = typeof provider === 'string' ? createProvider(provider, options) : provider;
+}
+
+/**
+ * Returns the active provider, creating the configured default on first use.
+ * @returns {AnalysisProvider}
+ */
+export function getAnalysisProvider() {
+  if (!activeProvider) {
+    activeProvider = createProvider(DEFAULT_PROVIDER);
+  }
+  return activeProvider;
+}
+
+function createProvider(name, options = {}) {
+  const factory = providerFactories[name];
+  if (!factory) {
+    throw new Error(`Unknown analysis provider "${name}". Available: ${Object.keys(providerFactories).join(', ')}`);
+  }
+  return factory(options);
+}
@@ -0,0 +1,105 @@
+// ==============================================================================
+// Bullet Rewriter
+// ==============================================================================
+//
+// Asks the active analysis provider for stronger wordings of individual
+// experience bullets, aligned with the target job description.
+
+import { completeJSON } from './perplexityService';
+import { getJobSkills } from '../utils/jobDescriptionParser';
+import { createError } from '../utils/utils';
+
+export const MAX_REWRITE_BULLETS = 10;
+export const REWRITE_VARIANTS = 3;
+
+const SYSTEM_PROMPT = 'You are an expert resume writer. Rewrite resume bullet points and respond ONLY with a valid JSON object in the specified format. Do not include any extra text or explanations.';
+
+function buildPrompt(bullets, { jobTitle, companyName, jobDescription, parsedJobDescription }) {
+  const skills = getJobSkills(parsedJobDescription).map(skill => skill.name);
+  const skillsLine = skills.length ? `\nSkills the job description asks for: ${skills.join(', ')}\n` : '';
+
+  return `
+Rewrite each resume bullet below for the position of "${jobTitle}" at "${companyName}".
+
+Job Description: ${jobDescription}
+${skillsLine}
+Bullets:
+${bullets.map(bullet => `[${bullet.id}] ${bullet.text}`).join('\n')}
+
+For every bullet give ${REWRITE_VARIANTS} alternative rewrites that:
+- start with a strong action verb and stay under 35 words
+- quantify the result (numbers, percentages, scale, time saved). When the original has no figure, use a clearly marked placeholder such as "[X%]" instead of inventing one
+- use the job description's terminology where the original work supports it; never claim skills or results the bullet does not imply
+
+Respond in the following JSON format ONLY:
+{
+  "rewrites": [
+    {
+      "id": "<bullet id exactly as given, e.g. r1b2>",
+      "variants": [
+        {"text": "<rewritten bullet>", "rationale": "<one sentence on what changed and why>", "keywords": ["<job description term used>"]}
+      ]
+    }
+  ]
+}
+`;
+}
+
+// Keeps only well-formed variants for the bullets that were asked for
+function normalizeRewrites(value, bullets) {
+  const requested = new Set(bullets.map(bullet => bullet.id));
+  const result = {};
+
+  (Array.isArray(value?.rewrites) ? value.rewrites : []).forEach(entry => {
+    if (!requested.has(entry?.id) || !Array.isArray(entry.variants)) return;
+    const variants = entry.variants
+      .filter(variant => typeof variant?.text === 'string' && variant.text.trim())
+      .slice(0, REWRITE_VARIANTS)
+      .map(variant => ({
+        text: variant.text.trim(),
+        rationale: typeof variant.rationale === 'string' ? variant.rationale.trim() : '',
+        keywords: Array.isArray(variant.keywords) ? variant.keywords.filter(keyword => typeof keyword === 'string') : []
+      }));
+    if (variants.length > 0) result[entry.id] = variants;
+  });
+
+  return result;
+}
+
+/**
+ * Rewrites resume bullets for a target job using the configured analysis provider.
+ * @param {Array<{id: string, text: string}>} bullets - Bullets to rewrite, ids as in utils/bulletRewrites.js.
+ * @param {object} job
+ * @param {string} job.jobTitle
+ * @param {string} job.companyName
+ * @param {string} job.jobDescription
+ * @param {object} [job.parsedJobDescription] - Result of parseJobDescription; its skills are listed in the prompt.
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the request.
+ * @returns {Promise<object>} Variants keyed by bullet id. Bullets the model skipped are missing.
+ * @throws {Error} INVALID_REWRITE_REQUEST, or REWRITE_FAILED when no usable rewrites came back.
+ */
+export async function rewriteBullets(bullets, job, { signal } = {}) {
+  if (!bullets?.length || bullets.length > MAX_REWRITE_BULLETS) {
+    throw createError(`Select between 1 and ${MAX_REWRITE_BULLETS} bullets to rewrite`, 'INVALID_REWRITE_REQUEST');
+  }
+
+  const messages = [
+    { role: 'system', content: SYSTEM_PROMPT },
+    { role: 'user', content: buildPrompt(bullets, job) }
+  ];
+
+  console.log(`Rewriting ${bullets.length} bullets`);
+  return completeJSON(messages, {
+    normalize: (value) => {
+      const rewrites = normalizeRewrites(value, bullets);
+      return Object.keys(rewrites).length > 0 ? rewrites : null;
+    },
+    resultName: 'rewrites',
+    errorCode: 'REWRITE_FAILED',
+    maxTokens: 3000,
+    temperature: 0.6,
+    signal,
+    context: { task: 'rewrite', bullets, ...job }
+  });
+}
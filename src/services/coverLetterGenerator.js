@@ -0,0 +1,104 @@
+// ==============================================================================
+// Cover Letter Generator
+// ==============================================================================
+//
+// Drafts a cover letter from a stored analysis: the job, the extracted resume
+// text and the strengths the analysis found.
+
+import { getAnalysisProvider } from './analysisProviders';
+import { createError } from '../utils/utils';
+
+const API_TIMEOUT = 60000; // 60 seconds
+
+export const COVER_LETTER_TONES = {
+  professional: { label: 'Professional', instruction: 'Formal and polished, confident without being stiff.' },
+  enthusiastic: { label: 'Enthusiastic', instruction: 'Warm and energetic, showing genuine excitement about the company and role.' },
+  confident: { label: 'Confident', instruction: 'Direct and assertive, leading with results and the value the candidate brings.' },
+  conversational: { label: 'Conversational', instruction: 'Friendly and plain-spoken, like a note to a future colleague, still professional.' }
+};
+
+export const COVER_LETTER_LENGTHS = {
+  short: { label: 'Short', words: '150-200', paragraphs: 3 },
+  medium: { label: 'Medium', words: '250-320', paragraphs: 4 },
+  long: { label: 'Long', words: '380-450', paragraphs: 5 }
+};
+
+const SYSTEM_PROMPT = 'You are an expert career writer. Write cover letters that are specific to the candidate and the job. Respond with the letter text only: no subject line, no commentary, no markdown formatting.';
+
+// Drop code fences and a leading "Here is your cover letter:" the model may add anyway
+function cleanLetter(content) {
+  return content
+    .trim()
+    .replace(/^```\w*\s*|```\s*$/g, '')
+    .replace(/^(here('s| is) (your|the|a) [^\n]*cover letter[^\n]*:?)\s*\n/i, '')
+    .trim();
+}
+
+/**
+ * Writes a cover letter for an analyzed resume using the configured analysis provider.
+ * @param {object} input
+ * @param {string} input.resumeText - Extracted resume text.
+ * @param {string} input.jobTitle
+ * @param {string} input.companyName
+ * @param {string} input.jobDescription
+ * @param {string[]} [input.strengths] - feedback.detailed_analysis.strengths.
+ * @param {string} [input.tone] - Key of COVER_LETTER_TONES.
+ * @param {string} [input.length] - Key of COVER_LETTER_LENGTHS.
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the request.
+ * @returns {Promise<string>} The letter as plain text with blank lines between paragraphs.
+ * @throws {Error} COVER_LETTER_FAILED when the provider returns no usable text.
+ */
+export async function generateCoverLetter(input, { signal } = {}) {
+  const { resumeText, jobTitle, companyName, jobDescription, strengths = [], tone = 'professional', length = 'medium' } = input;
+  const toneOption = COVER_LETTER_TONES[tone] || COVER_LETTER_TONES.professional;
+  const lengthOption = COVER_LETTER_LENGTHS[length] || COVER_LETTER_LENGTHS.medium;
+
+  const strengthsSection = strengths.length
+    ? `\nStrengths an earlier review found for this job (build the letter around them):\n${strengths.map(strength => `- ${strength}`).join('\n')}\n`
+    : '';
+
+  const prompt = `
+Write a cover letter for the position of "${jobTitle}" at "${companyName}".
+
+Job Description: ${jobDescription}
+
+Resume Content: ${resumeText}
+${strengthsSection}
+Requirements:
+- Tone: ${toneOption.instruction}
+- Length: ${lengthOption.words} words in ${lengthOption.paragraphs} paragraphs, separated by blank lines
+- Open with a greeting ("Dear Hiring Manager," unless the job description names a person) and close with a sign-off and the candidate's name from the resume
+- Connect two or three concrete achievements from the resume to the needs in the job description
+- Only use facts from the resume; do not invent employers, numbers or skills
+`;
+
+  const provider = getAnalysisProvider();
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), API_TIMEOUT);
+  const abort = () => controller.abort();
+  signal?.addEventListener('abort', abort);
+
+  try {
+    console.log(`${provider.label} cover letter (${tone}, ${length})`);
+    const content = await provider.complete({
+      messages: [
+        { role: 'system', content: SYSTEM_PROMPT },
+        { role: 'user', content: prompt }
+      ],
+      maxTokens: 1500,
+      temperature: 0.7,
+      signal: controller.signal,
+      context: { task: 'cover_letter', ...input, tone, length }
+    });
+
+    const letter = cleanLetter(content || '');
+    if (!letter) {
+      throw createError(`No cover letter received from ${provider.label}`, 'COVER_LETTER_FAILED');
+    }
+    return letter;
+  } finally {
+    clearTimeout(timeoutId);
+    signal?.removeEventListener('abort', abort);
+  }
+}
@@ -0,0 +1,365 @@
+// ==============================================================================
+// Feedback Schema
+// ==============================================================================
+//
+// Validates the analysis JSON returned by a provider and repairs everything that
+// can be repaired safely. Problems that cannot be repaired are returned as
+// errors so the caller can ask the model to fix exactly those parts.
+
+import { getAnalysisMode } from './analysisModes';
+
+export const FEEDBACK_SCHEMA_VERSION = 1;
+
+export const CATEGORY_KEYS = ['formatting', 'content', 'keywords', 'experience', 'skills'];
+export const PRIORITY_LEVELS = ['high', 'medium', 'low'];
+export const ROADMAP_SECTIONS = ['immediate_fixes', 'strategic_enhancements', 'long_term_goals'];
+
+export const DEFAULT_SCORE_INTERPRETATION = {
+  '90-100': 'Exceptional - Top 5% of candidates',
+  '80-89': 'Very Strong - Likely to pass initial screening',
+  '70-79': 'Good - Competitive but needs improvement',
+  '60-69': 'Average - Significant improvements needed',
+  '50-59': 'Below Average - Major revisions required',
+  '0-49': 'Poor - Complete overhaul necessary'
+};
+
+const PRIORITY_ALIASES = {
+  critical: 'high',
+  urgent: 'high',
+  major: 'high',
+  moderate: 'medium',
+  normal: 'medium',
+  med: 'medium',
+  minor: 'low',
+  optional: 'low'
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Accepts 85, "85", "85%", "85/100" and "8.5/10"; returns null for anything else
+function parseScore(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string') return null;
+
+  const fraction = value.match(/^\s*(-?\d+(?:\.\d+)?)\s*\/\s*(\d+(?:\.\d+)?)\s*$/);
+  if (fraction) {
+    const denominator = parseFloat(fraction[2]);
+    return denominator > 0 ? (parseFloat(fraction[1]) / denominator) * 100 : null;
+  }
+
+  const number = value.match(/^\s*(-?\d+(?:\.\d+)?)\s*%?\s*$/);
+  return number ? parseFloat(number[1]) : null;
+}
+
+function createRepairContext() {
+  const repairs = [];
+  const errors = [];
+  return {
+    repairs,
+    errors,
+    repair(path, message) {
+      repairs.push({ path, message });
+    },
+    fail(path, message) {
+      errors.push({ path, message });
+    }
+  };
+}
+
+function normalizeScore(value, path, ctx, { required = true } = {}) {
+  const parsed = parseScore(value);
+  if (parsed === null) {
+    if (required) ctx.fail(path, `expected a number between 0 and 100, got ${JSON.stringify(value)}`);
+    return null;
+  }
+
+  const clamped = Math.round(Math.min(100, Math.max(0, parsed)));
+  if (clamped !== value) {
+    ctx.repair(path, `coerced ${JSON.stringify(value)} to ${clamped}`);
+  }
+  return clamped;
+}
+
+function normalizePriority(value, path, ctx) {
+  const key = typeof value === 'string' ? value.trim().toLowerCase() : '';
+  const normalized = PRIORITY_LEVELS.includes(key) ? key : PRIORITY_ALIASES[key];
+
+  if (!normalized) {
+    ctx.repair(path, `unknown priority ${JSON.stringify(value)} replaced with "medium"`);
+    return 'medium';
+  }
+  if (normalized !== value) {
+    ctx.repair(path, `normalized priority ${JSON.stringify(value)} to "${normalized}"`);
+  }
+  return normalized;
+}
+
+function normalizeText(value) {
+  if (typeof value === 'string') return value.trim();
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  return '';
+}
+
+function normalizeStringArray(value, path, ctx) {
+  if (value === undefined || value === null) {
+    ctx.repair(path, 'missing array filled with []');
+    return [];
+  }
+
+  const list = Array.isArray(value) ? value : [value];
+  if (!Array.isArray(value)) {
+    ctx.repair(path, 'wrapped single value in an array');
+  }
+
+  const seen = new Set();
+  const result = [];
+  list.forEach(item => {
+    const text = normalizeText(item);
+    const key = text.toLowerCase();
+    if (!text || seen.has(key)) return;
+    seen.add(key);
+    result.push(text);
+  });
+
+  if (result.length !== list.length) {
+    ctx.repair(path, `dropped ${list.length - result.length} empty or duplicate entries`);
+  }
+  return result;
+}
+
+function normalizeBoolean(value, path, ctx) {
+  if (typeof value === 'boolean') return value;
+  if (typeof value === 'string' && ['true', 'false'].includes(value.trim().toLowerCase())) {
+    ctx.repair(path, `coerced ${JSON.stringify(value)} to a boolean`);
+    return value.trim().toLowerCase() === 'true';
+  }
+  ctx.repair(path, 'missing boolean defaulted to false');
+  return false;
+}
+
+function normalizeTips(value, path, ctx) {
+  if (!Array.isArray(value)) {
+    ctx.repair(path, 'missing tips filled with []');
+    return [];
+  }
+
+  const tips = [];
+  value.forEach((item, index) => {
+    const itemPath = `${path}[${index}]`;
+    if (typeof item === 'string') {
+      if (!item.trim()) return;
+      ctx.repair(itemPath, 'converted plain string tip to an object');
+      tips.push({ tip: item.trim(), explanation: '', priority: 'medium' });
+      return;
+    }
+    if (!isPlainObject(item) || !normalizeText(item.tip)) {
+      ctx.repair(itemPath, 'dropped tip without text');
+      return;
+    }
+    tips.push({
+      ...item,
+      tip: normalizeText(item.tip),
+      explanation: normalizeText(item.explanation),
+      priority: normalizePriority(item.priority, `${itemPath}.priority`, ctx)
+    });
+  });
+  return tips;
+}
+
+function normalizeFormattingAudit(value, path, ctx) {
+  if (!isPlainObject(value)) {
+    ctx.repair(path, 'missing formatting audit filled with defaults');
+    value = {};
+  }
+
+  return {
+    ...value,
+    non_standard_symbols_or_icons_present: normalizeBoolean(value.non_standard_symbols_or_icons_present, `${path}.non_standard_symbols_or_icons_present`, ctx),
+    symbols_and_bullets_found: normalizeStringArray(value.symbols_and_bullets_found, `${path}.symbols_and_bullets_found`, ctx),
+    problematic_symbols: normalizeStringArray(value.problematic_symbols, `${path}.problematic_symbols`, ctx)
+      .filter(symbol => symbol.toUpperCase() !== 'NA'),
+    contains_tables_or_columns: normalizeBoolean(value.contains_tables_or_columns, `${path}.contains_tables_or_columns`, ctx),
+    remarks_about_symbols: normalizeText(value.remarks_about_symbols),
+    section_headings: normalizeText(value.section_headings),
+    bullet_points: normalizeText(value.bullet_points)
+  };
+}
+
+function normalizeCategory(name, value, weights, ctx) {
+  const path = `categories.${name}`;
+  if (!isPlainObject(value)) {
+    ctx.fail(path, 'category is missing');
+    return null;
+  }
+
+  const category = {
+    ...value,
+    score: normalizeScore(value.score, `${path}.score`, ctx),
+    description: normalizeText(value.description),
+    tips: normalizeTips(value.tips, `${path}.tips`, ctx)
+  };
+
+  const weight = parseScore(value.weight);
+  if (weight === null) {
+    ctx.repair(`${path}.weight`, `missing weight filled with ${weights[name]}`);
+    category.weight = weights[name];
+  } else {
+    category.weight = weight;
+  }
+
+  if (name === 'keywords') {
+    category.matched_keywords = normalizeStringArray(value.matched_keywords, `${path}.matched_keywords`, ctx);
+    category.missing_keywords = normalizeStringArray(value.missing_keywords, `${path}.missing_keywords`, ctx);
+  }
+  if (name === 'formatting') {
+    category.formatting_audit = normalizeFormattingAudit(value.formatting_audit, `${path}.formatting_audit`, ctx);
+  }
+  return category;
+}
+
+function normalizeRoadmap(value, ctx) {
+  const roadmap = isPlainObject(value) ? value : {};
+  if (!isPlainObject(value)) ctx.repair('improvement_roadmap', 'missing roadmap filled with empty sections');
+
+  return ROADMAP_SECTIONS.reduce((result, section) => {
+    const path = `improvement_roadmap.${section}`;
+    const items = Array.isArray(roadmap[section]) ? roadmap[section] : [];
+    if (!Array.isArray(roadmap[section])) ctx.repair(path, 'missing array filled with []');
+
+    result[section] = [];
+    items.forEach((value, index) => {
+      const item = typeof value === 'string' ? { action: value } : value;
+      if (!isPlainObject(item) || !normalizeText(item.action)) {
+        ctx.repair(`${path}[${index}]`, 'dropped roadmap item without an action');
+        return;
+      }
+      result[section].push({
+        ...item,
+        action: normalizeText(item.action),
+        impact: normalizePriority(item.impact, `${path}[${index}].impact`, ctx),
+        effort: normalizePriority(item.effort, `${path}[${index}].effort`, ctx)
+      });
+    });
+    return result;
+  }, {});
+}
+
+function normalizeSuggestions(value, ctx) {
+  if (!Array.isArray(value)) {
+    ctx.repair('suggestions', 'missing suggestions filled with []');
+    return [];
+  }
+
+  const suggestions = [];
+  value.forEach((item, index) => {
+    const path = `suggestions[${index}]`;
+    if (!isPlainObject(item) || !normalizeText(item.tip)) {
+      ctx.repair(path, 'dropped suggestion without text');
+      return;
+    }
+    const rawCategory = normalizeText(item.category).toLowerCase();
+    const category = CATEGORY_KEYS.includes(rawCategory) ? rawCategory : 'content';
+    if (category !== item.category) {
+      ctx.repair(`${path}.category`, `normalized category ${JSON.stringify(item.category)} to "${category}"`);
+    }
+    suggestions.push({
+      ...item,
+      category,
+      tip: normalizeText(item.tip),
+      explanation: normalizeText(item.explanation),
+      priority: normalizePriority(item.priority, `${path}.priority`, ctx),
+      estimated_impact: normalizeText(item.estimated_impact)
+    });
+  });
+  return suggestions;
+}
+
+/**
+ * Validates and repairs an analysis object.
+ * @param {object} raw - Parsed JSON from the provider.
+ * @param {object} [options]
+ * @param {string} [options.mode] - Analysis mode id, used to fill in missing weights.
+ * @returns {{ isValid: boolean, feedback: object|null, repairs: Array<{path: string, message: string}>, errors: Array<{path: string, message: string}> }}
+ *   `errors` lists problems that could not be repaired; `feedback` is only set when there are none.
+ */
+export function validateFeedback(raw, { mode } = {}) {
+  const ctx = createRepairContext();
+  const { weights } = getAnalysisMode(mode);
+
+  if (!isPlainObject(raw)) {
+    ctx.fail('$', 'response must be a JSON object');
+    return { isValid: false, feedback: null, repairs: ctx.repairs, errors: ctx.errors };
+  }
+
+  const overallScore = normalizeScore(raw.overall_score, 'overall_score', ctx);
+
+  const categories = {};
+  if (!isPlainObject(raw.categories)) {
+    ctx.fail('categories', 'categories object is missing');
+  } else {
+    CATEGORY_KEYS.forEach(name => {
+      categories[name] = normalizeCategory(name, raw.categories[name], weights, ctx);
+    });
+  }
+
+  let atsScore = normalizeScore(raw.ats_score, 'ats_score', ctx, { required: false });
+  if (atsScore === null && categories.formatting?.score != null && categories.keywords?.score != null) {
+    atsScore = Math.round((categories.formatting.score + categories.keywords.score) / 2);
+    ctx.repair('ats_score', `missing ATS score estimated as ${atsScore} from formatting and keywords`);
+  }
+
+  if (ctx.errors.length > 0) {
+    return { isValid: false, feedback: null, repairs: ctx.repairs, errors: ctx.errors };
+  }
+
+  const detailed = isPlainObject(raw.detailed_analysis) ? raw.detailed_analysis : {};
+  const atsCompatibility = isPlainObject(detailed.ats_compatibility) ? detailed.ats_compatibility : {};
+  const competitive = isPlainObject(raw.competitive_analysis) ? raw.competitive_analysis : {};
+
+  const feedback = {
+    ...raw,
+    overall_score: overallScore,
+    ats_score: atsScore,
+    score_interpretation: isPlainObject(raw.score_interpretation) ? raw.score_interpretation : DEFAULT_SCORE_INTERPRETATION,
+    categories,
+    detailed_analysis: {
+      ...detailed,
+      strengths: normalizeStringArray(detailed.strengths, 'detailed_analysis.strengths', ctx),
+      critical_gaps: normalizeStringArray(detailed.critical_gaps, 'detailed_analysis.critical_gaps', ctx),
+      ats_compatibility: {
+        ...atsCompatibility,
+        parsing_issues: normalizeStringArray(atsCompatibility.parsing_issues, 'detailed_analysis.ats_compatibility.parsing_issues', ctx),
+        format_recommendations: normalizeStringArray(atsCompatibility.format_recommendations, 'detailed_analysis.ats_compatibility.format_recommendations', ctx)
+      }
+    },
+    improvement_roadmap: normalizeRoadmap(raw.improvement_roadmap, ctx),
+    competitive_analysis: {
+      ...competitive,
+      market_position: normalizeText(competitive.market_position),
+      differentiation_opportunities: normalizeStringArray(competitive.differentiation_opportunities, 'competitive_analysis.differentiation_opportunities', ctx),
+      industry_benchmarks: normalizeText(competitive.industry_benchmarks)
+    },
+    suggestions: normalizeSuggestions(raw.suggestions, ctx)
+  };
+
+  feedback.validation = {
+    schema_version: FEEDBACK_SCHEMA_VERSION,
+    repairs: ctx.repairs
+  };
+
+  return { isValid: true, feedback, repairs: ctx.repairs, errors: [] };
+}
+
+/**
+ * Builds the follow-up message that asks the model to fix specific problems
+ * in its previous answer instead of starting over.
+ * @param {Array<{path: string, message: string}>} errors - Problems found by validateFeedback or the JSON parser.
+ * @returns {string}
+ */
+export function buildRepairPrompt(errors) {
+  const problems = errors.map(({ path, message }) => `- ${path}: ${message}`).join('\n');
+  return `Your previous response could not be used because of these problems:
+${problems}
+
+Return the complete corrected JSON object in the same format. Keep every field that was already correct, fix only the listed problems, and do not include any text, markdown, or code fences before or after the JSON object.`;
+}
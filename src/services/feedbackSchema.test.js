@@ -0,0 +1,149 @@
+import { validateFeedback, buildRepairPrompt, CATEGORY_KEYS, DEFAULT_SCORE_INTERPRETATION } from './feedbackSchema';
+import { ANALYSIS_MODES } from './analysisModes';
+
+// Smallest response that passes validation without repairs to the required fields
+function buildResponse(overrides = {}) {
+  const categories = {};
+  CATEGORY_KEYS.forEach(name => {
+    categories[name] = { score: 70, weight: 20, description: '', tips: [] };
+  });
+  return { overall_score: 72, ats_score: 68, categories, suggestions: [], ...overrides };
+}
+
+function withCategory(name, changes) {
+  const response = buildResponse();
+  response.categories[name] = { ...response.categories[name], ...changes };
+  return response;
+}
+
+describe('validateFeedback', () => {
+  test('accepts a complete response and records the schema version', () => {
+    const result = validateFeedback(buildResponse());
+
+    expect(result.isValid).toBe(true);
+    expect(result.errors).toEqual([]);
+    expect(result.feedback.overall_score).toBe(72);
+    expect(result.feedback.validation.schema_version).toBe(1);
+  });
+
+  test('rejects anything that is not an object', () => {
+    expect(validateFeedback('not json').errors).toEqual([{ path: '$', message: 'response must be a JSON object' }]);
+    expect(validateFeedback([]).isValid).toBe(false);
+    expect(validateFeedback(null).feedback).toBeNull();
+  });
+
+  test('fails when a score cannot be read', () => {
+    const result = validateFeedback(withCategory('content', { score: 'great' }));
+
+    expect(result.isValid).toBe(false);
+    expect(result.errors.map(error => error.path)).toEqual(['categories.content.score']);
+  });
+
+  test('fails when a category or the categories object is missing', () => {
+    const missingSkills = buildResponse();
+    delete missingSkills.categories.skills;
+
+    expect(validateFeedback(missingSkills).errors[0].path).toBe('categories.skills');
+    expect(validateFeedback(buildResponse({ categories: null })).errors[0].path).toBe('categories');
+  });
+
+  test('reads scores written as strings, percentages and fractions', () => {
+    const scoreOf = (value) => validateFeedback(buildResponse({ overall_score: value })).feedback.overall_score;
+
+    expect(scoreOf('85')).toBe(85);
+    expect(scoreOf('85%')).toBe(85);
+    expect(scoreOf('85/100')).toBe(85);
+    expect(scoreOf('8.5/10')).toBe(85);
+    expect(scoreOf(71.6)).toBe(72);
+  });
+
+  test('clamps out-of-range scores and records the repair', () => {
+    const result = validateFeedback(buildResponse({ overall_score: 120 }));
+
+    expect(result.feedback.overall_score).toBe(100);
+    expect(result.repairs).toContainEqual({ path: 'overall_score', message: 'coerced 120 to 100' });
+  });
+
+  test('estimates a missing ATS score from formatting and keywords', () => {
+    const response = buildResponse({ ats_score: undefined });
+    response.categories.formatting.score = 80;
+    response.categories.keywords.score = 61;
+
+    expect(validateFeedback(response).feedback.ats_score).toBe(71);
+  });
+
+  test('fills missing category weights from the analysis mode', () => {
+    const response = withCategory('keywords', { weight: undefined });
+
+    expect(validateFeedback(response, { mode: 'ats' }).feedback.categories.keywords.weight)
+      .toBe(ANALYSIS_MODES.ats.weights.keywords);
+    expect(validateFeedback(response, { mode: 'soft' }).feedback.categories.keywords.weight)
+      .toBe(ANALYSIS_MODES.soft.weights.keywords);
+  });
+
+  test('maps priority synonyms and defaults unknown ones to medium', () => {
+    const suggestions = ['Critical', 'moderate', 'minor', 'whenever', undefined]
+      .map(priority => ({ tip: 'Add metrics', priority }));
+    const { feedback } = validateFeedback(buildResponse({ suggestions }));
+
+    expect(feedback.suggestions.map(suggestion => suggestion.priority)).toEqual(['high', 'medium', 'low', 'medium', 'medium']);
+  });
+
+  test('turns string tips into objects and drops empty ones', () => {
+    const response = withCategory('content', { tips: ['Use numbers', '', { tip: '' }] });
+
+    expect(validateFeedback(response).feedback.categories.content.tips)
+      .toEqual([{ tip: 'Use numbers', explanation: '', priority: 'medium' }]);
+  });
+
+  test('deduplicates keyword lists and wraps single values', () => {
+    const response = withCategory('keywords', { matched_keywords: ['React', ' react ', '', 'SQL'], missing_keywords: 'Docker' });
+    const { keywords } = validateFeedback(response).feedback.categories;
+
+    expect(keywords.matched_keywords).toEqual(['React', 'SQL']);
+    expect(keywords.missing_keywords).toEqual(['Docker']);
+  });
+
+  test('fills in the optional sections the model left out', () => {
+    const { feedback } = validateFeedback(buildResponse({ suggestions: undefined }));
+
+    expect(feedback.score_interpretation).toEqual(DEFAULT_SCORE_INTERPRETATION);
+    expect(feedback.improvement_roadmap).toEqual({ immediate_fixes: [], strategic_enhancements: [], long_term_goals: [] });
+    expect(feedback.suggestions).toEqual([]);
+    expect(feedback.detailed_analysis.strengths).toEqual([]);
+  });
+  test('reports suggestion repairs at their position in the response', () => {
+    const suggestions = [{ tip: '' }, 'not an object', { tip: 'Add metrics', category: 'Impact' }];
+    const result = validateFeedback(buildResponse({ suggestions }));
+    const paths = result.repairs.map(repair => repair.path);
+
+    expect(result.feedback.suggestions).toHaveLength(1);
+    expect(paths).toEqual(expect.arrayContaining(['suggestions[0]', 'suggestions[1]', 'suggestions[2].category']));
+    expect(paths).not.toContain('suggestions[0].category');
+  });
+
+  test('reports roadmap repairs at their position in the response', () => {
+    const improvementRoadmap = {
+      immediate_fixes: [{ action: '' }, 'Fix the header', { action: 'Add a summary', impact: 'huge' }],
+      strategic_enhancements: [],
+      long_term_goals: []
+    };
+    const result = validateFeedback(buildResponse({ improvement_roadmap: improvementRoadmap }));
+    const paths = result.repairs.map(repair => repair.path);
+
+    expect(result.feedback.improvement_roadmap.immediate_fixes.map(item => item.action)).toEqual(['Fix the header', 'Add a summary']);
+    expect(paths).toEqual(expect.arrayContaining(['improvement_roadmap.immediate_fixes[0]', 'improvement_roadmap.immediate_fixes[2].impact']));
+    expect(paths).not.toContain('improvement_roadmap.immediate_fixes[0].impact');
+  });
+});
+
+describe('buildRepairPrompt', () => {
+  test('lists every problem by path', () => {
+    const prompt = buildRepairPrompt([
+      { path: 'overall_score', message: 'expected a number' },
+      { path: 'categories.skills', message: 'category is missing' }
+    ]);
+
+    expect(prompt).toContain('- overall_score: expected a number\n- categories.skills: category is missing');
+  });
+});
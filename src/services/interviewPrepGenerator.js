@@ -0,0 +1,114 @@
+// ==============================================================================
+// Interview Prep Generator
+// ==============================================================================
+//
+// Predicts interview questions from an analysis: behavioral questions about
+// specific resume bullets and technical questions probing the gaps the
+// analysis found, each with talking points.
+
+import { completeJSON } from './perplexityService';
+import { formatResumeOutline } from '../utils/resumeParser';
+
+export const INTERVIEW_PREP_VERSION = 1;
+export const QUESTION_TYPES = ['behavioral', 'technical'];
+
+const SYSTEM_PROMPT = 'You are an experienced hiring manager preparing a candidate for interviews. Respond ONLY with a valid JSON object in the specified format. Do not include any extra text or explanations.';
+
+function buildPrompt({ resumeText, parsedResume, jobTitle, companyName, jobDescription, criticalGaps, missingKeywords }) {
+  const outline = formatResumeOutline(parsedResume);
+
+  return `
+Prepare interview questions for the position of "${jobTitle}" at "${companyName}".
+
+Job Description: ${jobDescription}
+
+${outline ? `Resume Roles and Bullets:\n${outline}` : `Resume Content: ${resumeText}`}
+
+Gaps a resume review found:
+${criticalGaps.length ? criticalGaps.map(gap => `- ${gap}`).join('\n') : '- none reported'}
+
+Job description keywords missing from the resume: ${missingKeywords.length ? missingKeywords.join(', ') : 'none reported'}
+
+Write 5 behavioral questions an interviewer would ask about specific resume bullets, and 5 technical questions
+that probe the gaps and missing keywords above. For every question give 3 or 4 short talking points the candidate
+can use, based on their real experience (STAR structure for behavioral questions; for gaps, honest framing plus
+adjacent experience and how they would close the gap).
+
+Respond in the following JSON format ONLY:
+{
+  "questions": [
+    {
+      "type": "<behavioral/technical>",
+      "question": "<the question>",
+      "why_asked": "<one sentence on what the interviewer wants to learn>",
+      "resume_reference": "<'Role N, bullet M' for behavioral questions, using the numbering above, or null>",
+      "gap": "<the gap or keyword a technical question probes, or null>",
+      "talking_points": ["<point1>", "<point2>", "<point3>"]
+    }
+  ]
+}
+`;
+}
+
+// Keeps well-formed questions and resolves "Role N, bullet M" to indices
+function normalizeQuestions(value) {
+  const questions = Array.isArray(value?.questions) ? value.questions : [];
+
+  return questions
+    .filter(item => QUESTION_TYPES.includes(item?.type) && typeof item.question === 'string' && item.question.trim())
+    .map((item, index) => {
+      const reference = typeof item.resume_reference === 'string'
+        ? item.resume_reference.match(/role\s+(\d+)\s*,?\s*bullet\s+(\d+)/i)
+        : null;
+
+      return {
+        id: `q${index + 1}`,
+        type: item.type,
+        question: item.question.trim(),
+        why_asked: typeof item.why_asked === 'string' ? item.why_asked.trim() : '',
+        bullet: reference ? { role: Number(reference[1]), bullet: Number(reference[2]) } : null,
+        gap: typeof item.gap === 'string' && item.gap.trim() ? item.gap.trim() : null,
+        talking_points: Array.isArray(item.talking_points)
+          ? item.talking_points.filter(point => typeof point === 'string' && point.trim())
+          : []
+      };
+    });
+}
+
+/**
+ * Generates an interview preparation pack with the configured analysis provider.
+ * @param {object} input
+ * @param {string} input.resumeText - Extracted resume text.
+ * @param {object} [input.parsedResume] - Result of parseResume; lets questions cite exact bullets.
+ * @param {string} input.jobTitle
+ * @param {string} input.companyName
+ * @param {string} input.jobDescription
+ * @param {string[]} [input.criticalGaps] - feedback.detailed_analysis.critical_gaps.
+ * @param {string[]} [input.missingKeywords] - feedback.categories.keywords.missing_keywords.
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the request.
+ * @returns {Promise<{version: number, generated_at: string, questions: Array<object>}>} The pack to store on the resume.
+ * @throws {Error} INTERVIEW_PREP_FAILED when no usable questions came back.
+ */
+export async function generateInterviewPrep(input, { signal } = {}) {
+  const request = { criticalGaps: [], missingKeywords: [], parsedResume: null, ...input };
+  const messages = [
+    { role: 'system', content: SYSTEM_PROMPT },
+    { role: 'user', content: buildPrompt(request) }
+  ];
+
+  return completeJSON(messages, {
+    normalize: (value) => {
+      const questions = normalizeQuestions(value);
+      return questions.length > 0
+        ? { version: INTERVIEW_PREP_VERSION, generated_at: new Date().toISOString(), questions }
+        : null;
+    },
+    resultName: 'interview questions',
+    errorCode: 'INTERVIEW_PREP_FAILED',
+    maxTokens: 3500,
+    temperature: 0.5,
+    signal,
+    context: { task: 'interview_prep', ...request }
+  });
+}
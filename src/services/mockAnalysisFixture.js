@@ -0,0 +1,213 @@
+// ==============================================================================
+// Deterministic fixture used by the mock analysis provider
+// ==============================================================================
+
+import { getAnalysisMode } from './analysisModes';
+import { extractKeywords, containsKeyword } from '../utils/keywordExtractor';
+
+const tip = (text, explanation, priority = 'medium') => ({ tip: text, explanation, priority });
+
+/**
+ * Builds a complete analysis object from the raw inputs. The same inputs always
+ * produce the same output.
+ * @param {object} context
+ * @param {string} [context.resumeText]
+ * @param {string} [context.jobTitle]
+ * @param {string} [context.jobDescription]
+ * @param {string} [context.companyName]
+ * @param {string} [context.mode] - Analysis mode id, decides the category weights.
+ * @returns {object} Analysis in the same shape the real providers are asked for.
+ */
+export function buildMockAnalysis({ resumeText = '', jobTitle = '', jobDescription = '', companyName = '', mode } = {}) {
+  const { weights } = getAnalysisMode(mode);
+  const keywords = extractKeywords(jobDescription, 12);
+  const matched = keywords.filter(keyword => containsKeyword(resumeText, keyword));
+  const missing = keywords.filter(keyword => !containsKeyword(resumeText, keyword));
+
+  const keywordScore = keywords.length ? Math.round((matched.length / keywords.length) * 100) : 50;
+  const scores = {
+    formatting: 78,
+    content: 72,
+    keywords: keywordScore,
+    experience: 68,
+    skills: Math.round((keywordScore + 70) / 2)
+  };
+  const overall = Math.round(
+    Object.keys(scores).reduce((sum, category) => sum + scores[category] * weights[category], 0) / 100
+  );
+
+  const position = `${jobTitle || 'the role'}${companyName ? ` at ${companyName}` : ''}`;
+
+  return {
+    overall_score: overall,
+    ats_score: Math.round((scores.formatting + scores.keywords) / 2),
+    score_interpretation: {
+      '90-100': 'Exceptional - Top 5% of candidates',
+      '80-89': 'Very Strong - Likely to pass initial screening',
+      '70-79': 'Good - Competitive but needs improvement',
+      '60-69': 'Average - Significant improvements needed',
+      '50-59': 'Below Average - Major revisions required',
+      '0-49': 'Poor - Complete overhaul necessary'
+    },
+    categories: {
+      formatting: {
+        score: scores.formatting,
+        weight: weights.formatting,
+        description: 'Visual appeal, consistency, readability, and professional layout',
+        tips: [tip('Keep section headings consistent', 'Uniform headings help both recruiters and parsers find sections.', 'low')],
+        formatting_audit: {
+          non_standard_symbols_or_icons_present: false,
+          symbols_and_bullets_found: ['-'],
+          problematic_symbols: [],
+          contains_tables_or_columns: false,
+          remarks_about_symbols: 'All symbols and bullet points are ATS-compatible.',
+          section_headings: 'Section headings are standardized and clear.',
+          bullet_points: "Simple '-' bullets used consistently."
+        }
+      },
+      content: {
+        score: scores.content,
+        weight: weights.content,
+        description: 'Quality of experience descriptions, achievements, and overall narrative',
+        tips: [tip('Quantify your achievements', 'Numbers make impact concrete and easy to compare.', 'high')]
+      },
+      keywords: {
+        score: scores.keywords,
+        weight: weights.keywords,
+        description: 'Alignment with job requirements and industry terminology',
+        missing_keywords: missing,
+        matched_keywords: matched,
+        tips: missing.length
+          ? [tip(`Work "${missing[0]}" into your experience`, 'It appears in the job description but not in your resume.', 'high')]
+          : [tip('Keyword coverage looks complete', 'Every frequent job description term appears in your resume.', 'low')]
+      },
+      experience: {
+        score: scores.experience,
+        weight: weights.experience,
+        description: 'Relevance, progression, and quantified achievements',
+        tips: [tip(`Lead with the experience most relevant to ${position}`, 'Reviewers skim the first bullets of each role.', 'medium')]
+      },
+      skills: {
+        score: scores.skills,
+        weight: weights.skills,
+        description: 'Technical and soft skills alignment with role requirements',
+        tips: [tip('Group skills by category', 'Grouping makes the skills section faster to scan.', 'low')]
+      }
+    },
+    detailed_analysis: {
+      strengths: matched.length ? [`Resume already mentions ${matched.slice(0, 3).join(', ')}`] : ['Clear overall structure'],
+      critical_gaps: missing.slice(0, 3).map(keyword => `No evidence of ${keyword}`),
+      ats_compatibility: {
+        parsing_issues: [],
+        format_recommendations: ['Use a single-column layout with standard headings']
+      }
+    },
+    improvement_roadmap: {
+      immediate_fixes: [{ action: 'Add missing job description keywords', impact: 'high', effort: 'low' }],
+      strategic_enhancements: [{ action: 'Rewrite bullets around measurable outcomes', impact: 'high', effort: 'medium' }],
+      long_term_goals: [{ action: 'Build project experience for the missing skills', impact: 'medium', effort: 'high' }]
+    },
+    competitive_analysis: {
+      market_position: `Mock analysis for ${position}: competitive with typical applicants.`,
+      differentiation_opportunities: ['Highlight measurable impact'],
+      industry_benchmarks: 'Comparable to industry averages.'
+    },
+    suggestions: [
+      {
+        category: 'keywords',
+        tip: 'Mirror the job description terminology',
+        explanation: 'ATS filters match exact terms from the posting.',
+        priority: 'high',
+        estimated_impact: '+5-10 points'
+      },
+      {
+        category: 'content',
+        tip: 'Add metrics to your top three bullets',
+        explanation: 'Quantified results are the strongest content signal.',
+        priority: 'medium',
+        estimated_impact: '+3-5 points'
+      }
+    ]
+  };
+}
+
+/**
+ * Builds rewrite variants for the bullets of a rewrite request.
+ * @param {object} context
+ * @param {Array<{id: string, text: string}>} [context.bullets]
+ * @param {string} [context.jobDescription]
+ * @returns {object} Rewrites in the same shape the real providers are asked for.
+ */
+export function buildMockRewrites({ bullets = [], jobDescription = '' } = {}) {
+  const [keyword = 'impact'] = extractKeywords(jobDescription, 1);
+  const sentence = (text) => text.replace(/^[a-z]/, char => char.toUpperCase()).replace(/\.*$/, '');
+
+  return {
+    rewrites: bullets.map(bullet => ({
+      id: bullet.id,
+      variants: [
+        { text: `${sentence(bullet.text)}, improving results by [X%]`, rationale: 'Adds a measurable outcome.', keywords: [] },
+        { text: `Led ${bullet.text.replace(/^\w+\s+/, '')} with a focus on ${keyword}`, rationale: 'Opens with ownership and mirrors the job description.', keywords: [keyword] },
+        { text: `Delivered ${bullet.text.replace(/^\w+\s+/, '')} for [N] users`, rationale: 'Shows the scale of the work.', keywords: [] }
+      ]
+    }))
+  };
+}
+
+/**
+ * Builds a plain-text cover letter for a cover letter request.
+ * @param {object} context
+ * @param {string} [context.jobTitle]
+ * @param {string} [context.companyName]
+ * @param {string[]} [context.strengths]
+ * @param {string} [context.tone]
+ * @returns {string}
+ */
+export function buildMockCoverLetter({ jobTitle = '', companyName = '', strengths = [], tone = 'professional' } = {}) {
+  const position = `${jobTitle || 'the role'}${companyName ? ` at ${companyName}` : ''}`;
+  const highlights = strengths.length ? strengths.slice(0, 2).join(' and ') : 'a record of measurable results';
+
+  return [
+    'Dear Hiring Manager,',
+    `I am writing to apply for ${position}. This mock letter uses a ${tone} tone.`,
+    `My background brings ${highlights}, which match what the role asks for.`,
+    `Thank you for considering my application. I would welcome the chance to discuss how I can contribute${companyName ? ` to ${companyName}` : ''}.`,
+    'Sincerely,\nThe Candidate'
+  ].join('\n\n');
+}
+
+/**
+ * Builds interview questions for an interview prep request.
+ * @param {object} context
+ * @param {object} [context.parsedResume]
+ * @param {string[]} [context.criticalGaps]
+ * @param {string[]} [context.missingKeywords]
+ * @returns {object} Questions in the same shape the real providers are asked for.
+ */
+export function buildMockInterviewPrep({ parsedResume = null, criticalGaps = [], missingKeywords = [] } = {}) {
+  const bullets = (parsedResume?.experience || []).flatMap((role, roleIndex) =>
+    role.bullets.map((bullet, bulletIndex) => ({ text: bullet.text, reference: `Role ${roleIndex + 1}, bullet ${bulletIndex + 1}` }))
+  ).slice(0, 3);
+  const gaps = [...missingKeywords, ...criticalGaps].slice(0, 3);
+
+  return {
+    questions: [
+      ...bullets.map(bullet => ({
+        type: 'behavioral',
+        question: `Walk me through this: "${bullet.text}". What was your role and what was the result?`,
+        why_asked: 'Checks ownership and the impact behind the bullet.',
+        resume_reference: bullet.reference,
+        gap: null,
+        talking_points: ['Situation and why it mattered', 'The actions you personally took', 'A measurable result']
+      })),
+      ...gaps.map(gap => ({
+        type: 'technical',
+        question: `Your resume does not show "${gap}". What experience do you have that covers it?`,
+        why_asked: 'The job description asks for it and the resume does not show it.',
+        resume_reference: null,
+        gap,
+        talking_points: ['Be honest about your level', 'Point to the closest related work', 'Explain how you would ramp up']
+      }))
+    ]
+  };
+}
@@ -2,35 +2,57 @@
 // Perplexity Service for Resume Analysis
 // ==============================================================================
 
-// --- CONFIGURATION ---
+import { getAnalysisProvider } from './analysisProviders';
+import { getAnalysisMode } from './analysisModes';
+import { validateFeedback, buildRepairPrompt } from './feedbackSchema';
+import { formatResumeOutline } from '../utils/resumeParser';
+import { parsePartialJSON } from '../utils/partialJson';
 
-// IMPORTANT: Hardcoding keys is insecure. Use environment variables in production.
-// const PERPLEXITY_API_KEY = process.env.REACT_APP_PERPLEXITY_API_KEY;
-const PERPLEXITY_API_KEY = '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';
+// --- CONFIGURATION ---
 
-const PERPLEXITY_API_URL = 'https://api.perplexity.ai/chat/completions';
-const API_TIMEOUT = 60000; // 60 seconds
+// Vendor, model and endpoint are configured in ./analysisProviders.js
+const API_TIMEOUT = 60000; // 60 seconds, or of silence while streaming
 const MAX_RETRIES = 2;
 
+// Bump whenever the prompt or the expected response changes; cached analyses
+// from an older version are no longer reused (see ./analysisCache.js)
+export const ANALYSIS_PROMPT_VERSION = 1;
+
+const SYSTEM_PROMPT = 'You are an expert resume reviewer. Your task is to analyze the provided resume and job description and respond ONLY with a valid JSON object in the specified format. Do not include any extra text or explanations.';
+
 /**
- * Analyzes resume text against a job description using the Perplexity API.
+ * Analyzes resume text against a job description using the configured analysis provider
+ * (Perplexity by default, see ./analysisProviders.js).
  * @param {string} resumeText - The full text of the user's resume.
  * @param {string} jobTitle - The job title for the position.
  * @param {string} jobDescription - The job description for the position.
  * @param {string} companyName - The name of the company.
- * @returns {Promise<object>} A promise that resolves to the JSON analysis object from the API.
+ * @param {string} [resumeMode] - Analysis mode id ("soft" for recruiter review, "ats" for ATS-strict), see ./analysisModes.js.
+ * @param {object} [options]
+ * @param {object} [options.parsedResume] - Result of parseResume; lets the model cite specific roles and bullets.
+ * @param {function} [options.onPartial] - Called with the partially parsed analysis object while the response
+ *   streams in. Streams only when set and the provider supports it; the object is unvalidated and may lack any field.
+ * @param {AbortSignal} [options.signal] - Cancels the request, including a running stream.
+ * @returns {Promise<object>} A promise that resolves to the JSON analysis object from the active provider.
  */
-export async function analyzeResumeWithPerplexity(resumeText, jobTitle, jobDescription, companyName) {
-  // Mode-dependent instruction strings
- const modeInstruction =  `Note: This resume is intended for recruiter viewing (PDF/digital format). 
-- Icons, clickable symbols, and links should NOT be flagged as "non-standard symbols" unless they genuinely obscure or confuse information for human readers.
-- Standard bullet points, such as "-", "•" or "*", MUST NOT be flagged as non-standard symbols in this mode. If they are present and used consistently, explicitly state: "Bullet points are used appropriately for clarity."
-- If section headings are visually distinct, call this out as a strength.
-- If links or icons improve scanning/clicking/navigating the resume, note this as a positive feature for recruiters.
-- Only highlight formatting issues that genuinely reduce visual appeal, structure, or usability for a recruiter; do not apply ATS-only rules to this mode.`;
+export async function analyzeResumeWithPerplexity(resumeText, jobTitle, jobDescription, companyName, resumeMode, options = {}) {
+  const { parsedResume = null, onPartial, signal } = options;
 
+  // Mode-dependent instructions and category weights
+  const mode = getAnalysisMode(resumeMode);
+  const modeInstruction = mode.instruction;
+  const weights = mode.weights;
 
+  // Numbered roles and bullets so tips can point at exact lines
+  const resumeOutline = formatResumeOutline(parsedResume);
+  const outlineInstruction = resumeOutline
+    ? `
+Parsed Roles and Bullets (as an ATS extracted them):
+${resumeOutline}
 
+When a tip or suggestion is about a specific role or bullet, cite it as "Role N, bullet M" using the numbering above.
+`
+    : '';
 
   const prompt = `
 ${modeInstruction}
@@ -40,7 +62,7 @@ Analyze this resume for the position of "${jobTitle}" at "${companyName}" and pr
 Job Description: ${jobDescription}
 
 Resume Content: ${resumeText}
-
+${outlineInstruction}
 Please provide a comprehensive analysis in the following JSON format ONLY. Do not include any text, markdown, or code fences before or after the JSON object:
 {
   "overall_score": <number between 0 and 100>,
@@ -56,7 +78,7 @@ Please provide a comprehensive analysis in the following JSON format ONLY. Do no
   "categories": {
     "formatting": {
       "score": <number between 0 and 100>,
-      "weight": 15,
+      "weight": ${weights.formatting},
       "description": "Visual appeal, consistency, readability, and professional layout",
       "tips": [
         {"tip": "<string>", "explanation": "<string>", "priority": "<high/medium/low>"}
@@ -74,7 +96,7 @@ Please provide a comprehensive analysis in the following JSON format ONLY. Do no
     },
     "content": {
       "score": <number between 0 and 100>,
-      "weight": 30,
+      "weight": ${weights.content},
       "description": "Quality of experience descriptions, achievements, and overall narrative",
       "tips": [
         {"tip": "<string>", "explanation": "<string>", "priority": "<high/medium/low>"}
@@ -82,7 +104,7 @@ Please provide a comprehensive analysis in the following JSON format ONLY. Do no
     },
     "keywords": {
       "score": <number between 0 and 100>,
-      "weight": 25,
+      "weight": ${weights.keywords},
       "description": "Alignment with job requirements and industry terminology",
       "missing_keywords": ["<keyword1>", "<keyword2>"],
       "matched_keywords": ["<keyword1>", "<keyword2>"],
@@ -92,7 +114,7 @@ Please provide a comprehensive analysis in the following JSON format ONLY. Do no
     },
     "experience": {
       "score": <number between 0 and 100>,
-      "weight": 20,
+      "weight": ${weights.experience},
       "description": "Relevance, progression, and quantified achievements",
       "tips": [
         {"tip": "<string>", "explanation": "<string>", "priority": "<high/medium/low>"}
@@ -100,7 +122,7 @@ Please provide a comprehensive analysis in the following JSON format ONLY. Do no
     },
     "skills": {
       "score": <number between 0 and 100>,
-      "weight": 10,
+      "weight": ${weights.skills},
       "description": "Technical and soft skills alignment with role requirements",
       "tips": [
         {"tip": "<string>", "explanation": "<string>", "priority": "<high/medium/low>"}
@@ -166,67 +188,83 @@ Provide specific, actionable feedback with clear priorities and expected impact.
 Consider both technical requirements and human reviewer appeal.
 Analyze against current market standards and hiring trends.
   `;
+  const provider = getAnalysisProvider();
+  const baseMessages = [
+    { role: 'system', content: SYSTEM_PROMPT },
+    { role: 'user', content: prompt }
+  ];
+  let messages = baseMessages;
+  const streaming = Boolean(onPartial && provider.stream);
+
   for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
     try {
-      console.log(`Perplexity API attempt ${attempt}/${MAX_RETRIES}`);
+      console.log(`${provider.label} API attempt ${attempt}/${MAX_RETRIES} (model: ${provider.model})`);
       
       const controller = new AbortController();
-      const timeoutId = setTimeout(() => controller.abort(), API_TIMEOUT);
-
-      const response = await fetch(PERPLEXITY_API_URL, {
-        method: 'POST',
-        headers: {
-          'Authorization': `Bearer ${PERPLEXITY_API_KEY}`,
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          // Using your original model choice
-          model: 'sonar-pro',
-          messages: [
-            {
-              role: 'system',
-              content: 'You are an expert resume reviewer. Your task is to analyze the provided resume and job description and respond ONLY with a valid JSON object in the specified format. Do not include any extra text or explanations.'
-            },
-            {
-              role: 'user',
-              content: prompt
-            }
-          ],
-          max_tokens: 4096,
-          temperature: 0.2,
-          stream: false
-        }),
-        signal: controller.signal
-      });
+      let timeoutId = setTimeout(() => controller.abort(), API_TIMEOUT);
+      const abort = () => controller.abort();
+      signal?.addEventListener('abort', abort);
 
-      clearTimeout(timeoutId);
+      const request = {
+        messages,
+        maxTokens: 4096,
+        temperature: 0.2,
+        signal: controller.signal,
+        context: { resumeText, jobTitle, jobDescription, companyName, mode: mode.id }
+      };
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`Perplexity API error: ${response.status} - ${errorText}`);
+      let content;
+      try {
+        if (signal?.aborted) controller.abort();
+        content = streaming
+          ? await provider.stream(request, (delta, received) => {
+            // A long analysis is fine as long as it keeps arriving
+            clearTimeout(timeoutId);
+            timeoutId = setTimeout(() => controller.abort(), API_TIMEOUT);
+            const partial = parsePartialJSON(received);
+            if (partial) onPartial(partial);
+          })
+          : await provider.complete(request);
+      } finally {
+        clearTimeout(timeoutId);
+        signal?.removeEventListener('abort', abort);
       }
 
-      const data = await response.json();
-      const content = data.choices?.[0]?.message?.content;
+      const { value, error: parseError } = parseJSONContent(content);
+      const validation = parseError
+        ? { isValid: false, errors: [{ path: '$', message: `response is not valid JSON (${parseError.message})` }] }
+        : validateFeedback(value, { mode: mode.id });
+
+      if (!validation.isValid) {
+        const invalidError = new Error(
+          `Invalid response structure from ${provider.label} API: ${validation.errors.map(e => `${e.path} ${e.message}`).join('; ')}`
+        );
+        invalidError.code = 'INVALID_ANALYSIS_RESPONSE';
+        invalidError.details = { errors: validation.errors };
 
-      if (!content) {
-        throw new Error('No content received from Perplexity API');
+        if (attempt === MAX_RETRIES) throw invalidError;
+
+        // Ask the model to fix the specific problems instead of starting over
+        console.warn(invalidError.message);
+        messages = [
+          ...baseMessages,
+          { role: 'assistant', content },
+          { role: 'user', content: buildRepairPrompt(validation.errors) }
+        ];
+        continue;
       }
 
-      const cleanContent = content.trim().replace(/^```json\s*|```\s*$/g, '');
-      const analysisResult = JSON.parse(cleanContent);
-      
-      if (!analysisResult.overall_score || !analysisResult.categories) {
-        throw new Error('Invalid response structure from Perplexity API');
+      if (validation.repairs.length > 0) {
+        console.warn(`Repaired ${validation.repairs.length} field(s) in ${provider.label} response:`, validation.repairs);
       }
 
-      console.log('Perplexity API success on attempt', attempt);
-      return analysisResult;
+      console.log(`${provider.label} API success on attempt`, attempt);
+      return validation.feedback;
 
     } catch (error) {
-      console.error(`Perplexity API attempt ${attempt} failed:`, error);
+      console.error(`${provider.label} API attempt ${attempt} failed:`, error);
       
-      if (attempt === MAX_RETRIES || error.name === 'AbortError') {
+      if (attempt === MAX_RETRIES || error.name === 'AbortError' || error.code === 'INVALID_ANALYSIS_RESPONSE' || error.code === 'PROVIDER_NOT_CONFIGURED') {
         console.error('API analysis failed after all retries.');
         throw error;
       }
@@ -234,4 +272,72 @@ Analyze against current market standards and hiring trends.
       await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
     }
   }
-}
\ No newline at end of file
+}
+
+// Strips code fences and surrounding prose before parsing
+export function parseJSONContent(content) {
+  const cleanContent = content.trim().replace(/^```(?:json)?\s*|```\s*$/g, '');
+  try {
+    return { value: JSON.parse(cleanContent) };
+  } catch (error) {
+    const start = cleanContent.indexOf('{');
+    const end = cleanContent.lastIndexOf('}');
+    if (start !== -1 && end > start) {
+      try {
+        return { value: JSON.parse(cleanContent.slice(start, end + 1)) };
+      } catch {
+        // fall through to the original parse error
+      }
+    }
+    return { error };
+  }
+}
+
+/**
+ * Sends chat messages to the active provider and turns its JSON answer into a result,
+ * retrying once when the request fails or the answer is unusable. Shared by the
+ * generators that build on an analysis (bullet rewrites, interview prep).
+ * @param {Array<{role: string, content: string}>} messages
+ * @param {object} options
+ * @param {(value: object) => any} options.normalize - Maps the parsed JSON to the result; returns null when nothing usable is in it.
+ * @param {string} options.resultName - What is generated, for logs and errors, e.g. "rewrites".
+ * @param {string} options.errorCode - Code of the error thrown when no attempt gives a usable result.
+ * @param {number} [options.maxTokens]
+ * @param {number} [options.temperature]
+ * @param {AbortSignal} [options.signal] - Cancels the request; an abort is rethrown without retrying.
+ * @param {object} [options.context] - Passed to the provider, with a `task` for the offline mock.
+ * @returns {Promise<any>} The normalized result.
+ */
+export async function completeJSON(messages, { normalize, resultName, errorCode, maxTokens, temperature, signal, context }) {
+  const provider = getAnalysisProvider();
+
+  let lastError = null;
+  for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), API_TIMEOUT);
+    const abort = () => controller.abort();
+    signal?.addEventListener('abort', abort);
+
+    try {
+      console.log(`${provider.label} ${resultName} attempt ${attempt}/${MAX_RETRIES}`);
+      const content = await provider.complete({ messages, maxTokens, temperature, signal: controller.signal, context });
+
+      const { value, error } = parseJSONContent(content);
+      const result = error ? null : normalize(value);
+      if (result) return result;
+
+      lastError = new Error(`No usable ${resultName} in the ${provider.label} response`);
+      lastError.code = errorCode;
+      console.warn(lastError.message);
+    } catch (error) {
+      if (error.name === 'AbortError' || error.code === 'PROVIDER_NOT_CONFIGURED' || attempt === MAX_RETRIES) throw error;
+      lastError = error;
+      console.error(`${provider.label} ${resultName} attempt ${attempt} failed:`, error);
+    } finally {
+      clearTimeout(timeoutId);
+      signal?.removeEventListener('abort', abort);
+    }
+  }
+
+  throw lastError;
+}
@@ -0,0 +1,413 @@
+// ==============================================================================
+// Resume Analysis Pipeline
+// ==============================================================================
+//
+// Local processing shared by new uploads and re-analyses of a stored file, plus
+// the re-analysis and batch flows that build on it.
+
+import { resumeService, documentService, storageService, createError, logger } from '../lib/supabase';
+import { analyzeResumeWithPerplexity } from './perplexityService';
+import { getAnalysisCacheKey, getCachedAnalysis, saveCachedAnalysis } from './analysisCache';
+import {
+  extractResumeLayout,
+  convertResumeToImage,
+  getResumeFileKind,
+  getResumeMetadata,
+  getResumeMimeType,
+  RESUME_FILE_TYPES
+} from '../utils/documentProcessor';
+import { scoreResumeLocally } from '../utils/atsScorer';
+import { parseJobDescription } from '../utils/jobDescriptionParser';
+import { parseResume } from '../utils/resumeParser';
+import { scanFormatting } from '../utils/formattingScanner';
+import { generateUUID, generateFilePath } from '../utils/utils';
+import { runQueue, createSerialRunner } from '../utils/taskQueue';
+
+const MIN_RESUME_TEXT_LENGTH = 50;
+
+// Analyses in flight at once during a batch; keeps us under the provider's rate limits
+export const BATCH_CONCURRENCY = Math.max(1, parseInt(process.env.REACT_APP_ANALYSIS_CONCURRENCY, 10) || 2);
+export const MAX_BATCH_JOBS = 20;
+
+/**
+ * Extracts the text from a resume file and runs every local check on it.
+ * @param {File|Blob} file - PDF, DOCX, TXT or Markdown resume.
+ * @param {string} [jobDescription] - Used by the rule-based ATS score.
+ * @param {object} [options]
+ * @param {string} [options.jobTitle] - Helps infer the seniority of the job description.
+ * @returns {Promise<{fileKind: string, layout: object, resumeText: string, metadata: object, localAtsReport: object, parsedResume: object, parsedJobDescription: ?object, formattingScan: object}>}
+ * @throws {Error} PDF_TEXT_EXTRACTION_FAILED when the file has no readable text.
+ */
+export async function processResumeFile(file, jobDescription = '', { jobTitle = '' } = {}) {
+  const fileKind = getResumeFileKind(file);
+  const layout = await extractResumeLayout(file);
+  const resumeText = layout.text;
+
+  if (!resumeText || resumeText.length < MIN_RESUME_TEXT_LENGTH) {
+    throw createError(
+      'Could not extract readable text from the resume. Please ensure your resume contains selectable text, not just images.',
+      'PDF_TEXT_EXTRACTION_FAILED'
+    );
+  }
+
+  const metadata = await getResumeMetadata(file);
+  const parsedJobDescription = jobDescription ? parseJobDescription(jobDescription, { jobTitle }) : null;
+
+  return {
+    fileKind,
+    layout,
+    resumeText,
+    metadata,
+    localAtsReport: scoreResumeLocally({ text: resumeText, metadata, jobDescription, parsedJobDescription }),
+    parsedResume: parseResume(layout),
+    parsedJobDescription,
+    formattingScan: scanFormatting({ text: resumeText, layout })
+  };
+}
+
+/**
+ * Runs the AI analysis, reusing a cached result when the same resume text was
+ * already analyzed against the same job, mode and prompt version.
+ * @param {object} params
+ * @param {string} params.resumeText
+ * @param {string} params.jobTitle
+ * @param {string} params.jobDescription
+ * @param {string} params.companyName
+ * @param {string} params.resumeMode - Analysis mode id, see ./analysisModes.js.
+ * @param {object} [params.parsedResume] - Result of parseResume.
+ * @param {string} [params.userId] - Owner of the cache entries.
+ * @param {object} [options]
+ * @param {boolean} [options.forceFresh] - Skips the cache lookup; the fresh result still replaces the cached one.
+ * @param {function} [options.onPartial] - Streams partial results, see analyzeResumeWithPerplexity.
+ * @param {AbortSignal} [options.signal] - Cancels the provider request.
+ * @returns {Promise<{feedback: object, cacheHit: {source: string, cached_at: string}|null}>}
+ *   cacheHit says where reused feedback came from; null for a fresh analysis.
+ */
+export async function analyzeResume(
+  { resumeText, jobTitle, jobDescription, companyName, resumeMode, parsedResume = null, userId },
+  { forceFresh = false, onPartial, signal } = {}
+) {
+  const cacheKey = await getAnalysisCacheKey({ resumeText, jobTitle, companyName, jobDescription, mode: resumeMode })
+    .catch(err => {
+      logger.warn('Could not compute the analysis cache key:', err);
+      return null;
+    });
+
+  if (cacheKey && !forceFresh) {
+    const cached = await getCachedAnalysis(cacheKey, { userId, mode: resumeMode });
+    if (cached) {
+      logger.info(`Reusing a cached analysis (${cached.source}) from ${cached.cached_at}`);
+      return { feedback: cached.feedback, cacheHit: { source: cached.source, cached_at: cached.cached_at } };
+    }
+  }
+
+  const feedback = await analyzeResumeWithPerplexity(resumeText, jobTitle, jobDescription, companyName, resumeMode, {
+    parsedResume,
+    onPartial,
+    signal
+  });
+  // Written in the background; a failed write only costs the next lookup
+  if (cacheKey) saveCachedAnalysis(cacheKey, feedback, { userId });
+  return { feedback, cacheHit: null };
+}
+
+/**
+ * Downloads a stored resume file and wraps it in a File so the processors can
+ * detect its type from the name as well as the MIME type. Storage often serves
+ * files as application/octet-stream, so the type is then taken from the
+ * `<userId>/<kind>/` folder the upload was saved under.
+ * @param {string} path - Path in the "resumes" bucket.
+ * @returns {Promise<File>}
+ */
+export async function downloadStoredResume(path) {
+  const blob = await storageService.downloadFile(path, { bucket: 'resumes' });
+  const segments = path.split('/');
+  const folderType = RESUME_FILE_TYPES[segments[segments.length - 2]]?.mimeTypes[0];
+  const type = blob.type && blob.type !== 'application/octet-stream' ? blob.type : folderType || blob.type || '';
+  return new File([blob], segments[segments.length - 1], { type });
+}
+
+/**
+ * Analyzes an already uploaded resume against another job. The new row points
+ * at the same storage objects, so nothing is uploaded again, and is linked to
+ * the upload through `reanalysis_of`: it keeps that upload's version number
+ * and stays out of the version history, since the resume itself did not change.
+ * @param {object} resume - Source resume row.
+ * @param {object} job
+ * @param {string} job.companyName
+ * @param {string} job.jobTitle
+ * @param {string} job.jobDescription
+ * @param {string} [job.jobDescriptionId] - Library entry the description came from.
+ * @param {string} job.resumeMode - Analysis mode id, see ./analysisModes.js.
+ * @param {object} [options]
+ * @param {function} [options.onStatus] - Called with a short status message before each step.
+ * @param {boolean} [options.forceFresh] - Skips the analysis cache.
+ * @returns {Promise<object>} The new resume row.
+ */
+export async function reanalyzeResume(resume, { companyName, jobTitle, jobDescription, jobDescriptionId = null, resumeMode }, { onStatus, forceFresh = false } = {}) {
+  if (!resume?.resume_path) {
+    throw createError('This resume has no stored file to analyze', 'RESUME_FILE_MISSING');
+  }
+
+  onStatus?.('Downloading your resume...');
+  const file = await downloadStoredResume(resume.resume_path);
+
+  onStatus?.('Extracting text from resume...');
+  const processed = await processResumeFile(file, jobDescription, { jobTitle });
+
+  onStatus?.('Analyzing resume with AI (this may take up to 90 seconds)...');
+  const { feedback, cacheHit } = await analyzeResume({
+    resumeText: processed.resumeText,
+    jobTitle,
+    jobDescription,
+    companyName,
+    resumeMode,
+    parsedResume: processed.parsedResume,
+    userId: resume.user_id
+  }, { forceFresh });
+
+  onStatus?.('Saving analysis results...');
+  // Re-analyses of a re-analysis still point at the original upload
+  const uploadId = resume.reanalysis_of || resume.id;
+  // The caller's copy may predate an earlier attempt that already gave the upload a document
+  let documentId = resume.document_id || (await resumeService.getById(uploadId)).document_id;
+  if (!documentId) {
+    // Resumes saved before documents existed get one first, so the re-analysis has a version to share
+    const document = await documentService.create({
+      user_id: resume.user_id,
+      name: [resume.job_title, resume.company_name].filter(Boolean).join(' at ') || file.name
+    });
+    try {
+      await resumeService.assignDocument(uploadId, document.id, resume.version_number || 1);
+    } catch (err) {
+      await documentService.delete(document.id).catch(cleanupErr => logger.warn('Failed to clean up document:', cleanupErr));
+      throw err;
+    }
+    documentId = document.id;
+  }
+
+  // Feedback goes in with the insert, so a failed save never leaves a pending row behind
+  const saved = await resumeService.create({
+    id: generateUUID(),
+    user_id: resume.user_id,
+    company_name: companyName,
+    job_title: jobTitle,
+    job_description: jobDescription,
+    job_description_id: jobDescriptionId,
+    resume_path: resume.resume_path,
+    image_path: resume.image_path,
+    feedback,
+    overall_score: feedback.overall_score,
+    ats_score: feedback.ats_score,
+    analysis_cache_hit: cacheHit,
+    resume_mode: resumeMode,
+    resume_text: processed.resumeText,
+    local_ats_report: processed.localAtsReport,
+    parsed_resume: processed.parsedResume,
+    parsed_job_description: processed.parsedJobDescription,
+    formatting_scan: processed.formattingScan,
+    document_id: documentId,
+    version_number: resume.version_number || 1,
+    reanalysis_of: uploadId
+  });
+
+  documentService.touch(documentId).catch(err => logger.warn('Could not update document timestamp:', err));
+  logger.success('Re-analysis saved:', saved.id);
+  return saved;
+}
+
+/**
+ * Uploads a resume and its preview image. A failed preview is logged and
+ * skipped, like in the single upload flow.
+ * @param {string} userId
+ * @param {File} file
+ * @param {string} resumeText - Used to render previews of non-PDF files.
+ * @returns {Promise<{resumePath: string, imagePath: string|null, uploaded: Array<{path: string, bucket: string}>}>}
+ */
+export async function uploadResumeFiles(userId, file, resumeText) {
+  const resumePath = generateFilePath(userId, file.name, getResumeFileKind(file));
+  await storageService.uploadFile(file, resumePath, {
+    bucket: 'resumes',
+    contentType: getResumeMimeType(file),
+    skipHealthCheck: true,
+    maxRetries: 3,
+    timeout: 180000
+  });
+  const uploaded = [{ path: resumePath, bucket: 'resumes' }];
+
+  let imagePath = null;
+  try {
+    const { file: imageFile } = await convertResumeToImage(file, resumeText);
+    if (imageFile && typeof imageFile.name === 'string') {
+      imagePath = generateFilePath(userId, imageFile.name, 'image');
+      await storageService.uploadFile(imageFile, imagePath, {
+        bucket: 'resume-images',
+        skipHealthCheck: true,
+        timeout: 90000,
+        maxRetries: 2
+      });
+      uploaded.push({ path: imagePath, bucket: 'resume-images' });
+    }
+  } catch (imageError) {
+    logger.warn('Image conversion failed (non-critical):', imageError);
+    imagePath = null;
+  }
+
+  return { resumePath, imagePath, uploaded };
+}
+
+/**
+ * Analyzes one resume against several jobs. The file is processed and uploaded
+ * once, so the whole batch is one new version of the document: the first job
+ * saved becomes that version and the others are saved as re-analyses of it,
+ * pointing at the shared files. Jobs run through a queue limited to
+ * BATCH_CONCURRENCY analyses at a time.
+ * @param {object} params
+ * @param {string} params.userId
+ * @param {File} params.file
+ * @param {Array<{companyName: string, jobTitle: string, jobDescription: string, jobDescriptionId?: string}>} params.jobs
+ * @param {string} params.resumeMode - Analysis mode id, see ./analysisModes.js.
+ * @param {string} [params.documentId] - Existing document to add the versions to; a new one is created otherwise.
+ * @param {boolean} [params.forceFresh] - Skips the analysis cache for every job.
+ * @param {AbortSignal} [params.signal] - Cancels queued jobs and the analyses in flight; nothing is saved after it aborts.
+ * @param {function} [params.onStatus] - Called with a status message during the shared steps.
+ * @param {function} [params.onJobUpdate] - Called with (index, patch) whenever a job changes state.
+ * @returns {Promise<Array<{status: string, resumeId?: string, feedback?: object, cacheHit?: object, error?: string}>>} One entry
+ *   per job; `status` is 'done', 'unsaved' (analyzed, but the row could not be saved), 'failed' or 'cancelled'.
+ * @throws {Error} BATCH_FAILED when no analysis was saved; uploaded files are removed in that case.
+ */
+export async function runBatchAnalysis({ userId, file, jobs, resumeMode, documentId, forceFresh = false, signal, onStatus, onJobUpdate }) {
+  if (!jobs?.length || jobs.length > MAX_BATCH_JOBS) {
+    throw createError(`A batch needs between 1 and ${MAX_BATCH_JOBS} jobs`, 'INVALID_BATCH');
+  }
+
+  onStatus?.('Extracting text from resume...');
+  const processed = await processResumeFile(file);
+
+  onStatus?.('Uploading resume file...');
+  const { resumePath, imagePath, uploaded } = await uploadResumeFiles(userId, file, processed.resumeText);
+
+  const removeUploadedFiles = () => Promise.allSettled(
+    uploaded.map(({ path, bucket }) => storageService.deleteFile(path, { bucket, timeout: 15000 }))
+  );
+
+  let targetDocumentId = documentId;
+  let createdDocumentId = null;
+  let versionNumber;
+  try {
+    if (!targetDocumentId) {
+      const document = await documentService.create({
+        user_id: userId,
+        name: file.name.replace(/\.[^/.]+$/, '')
+      });
+      targetDocumentId = createdDocumentId = document.id;
+    }
+    versionNumber = await resumeService.getNextVersionNumber(targetDocumentId);
+  } catch (err) {
+    await removeUploadedFiles();
+    if (createdDocumentId) {
+      await documentService.delete(createdDocumentId).catch(cleanupError => logger.warn('Failed to clean up document:', cleanupError));
+    }
+    throw err;
+  }
+
+  onStatus?.(`Analyzing against ${jobs.length} jobs...`);
+  // Saves are serialized so exactly one job becomes the version row the others point at
+  const saveInOrder = createSerialRunner();
+  let versionRowId = null;
+
+  const tasks = jobs.map((job, index) => async () => {
+    onJobUpdate?.(index, { status: 'analyzing' });
+    try {
+      const { feedback, cacheHit } = await analyzeResume({
+        resumeText: processed.resumeText,
+        jobTitle: job.jobTitle,
+        jobDescription: job.jobDescription,
+        companyName: job.companyName,
+        resumeMode,
+        parsedResume: processed.parsedResume,
+        userId
+      }, { forceFresh, signal });
+
+      if (signal?.aborted) throw createError('Batch cancelled', 'BATCH_CANCELLED');
+      onJobUpdate?.(index, { status: 'saving' });
+      const resumeId = generateUUID();
+      const parsedJobDescription = parseJobDescription(job.jobDescription, { jobTitle: job.jobTitle });
+      const saveError = await saveInOrder(async () => {
+        if (signal?.aborted) throw createError('Batch cancelled', 'BATCH_CANCELLED');
+        // Feedback goes in with the insert, so a failed save never leaves a pending row behind
+        await resumeService.create({
+          id: resumeId,
+          user_id: userId,
+          company_name: job.companyName,
+          job_title: job.jobTitle,
+          job_description: job.jobDescription,
+          job_description_id: job.jobDescriptionId || null,
+          resume_path: resumePath,
+          image_path: imagePath,
+          feedback,
+          overall_score: feedback.overall_score,
+          ats_score: feedback.ats_score,
+          analysis_cache_hit: cacheHit,
+          resume_mode: resumeMode,
+          resume_text: processed.resumeText,
+          local_ats_report: scoreResumeLocally({
+            text: processed.resumeText,
+            metadata: processed.metadata,
+            jobDescription: job.jobDescription,
+            parsedJobDescription
+          }),
+          parsed_resume: processed.parsedResume,
+          parsed_job_description: parsedJobDescription,
+          formatting_scan: processed.formattingScan,
+          document_id: targetDocumentId,
+          version_number: versionNumber,
+          reanalysis_of: versionRowId
+        });
+        versionRowId = versionRowId || resumeId;
+      }).then(() => null, err => err);
+
+      // The analysis itself succeeded, so it is still shown, just without a saved row to open
+      if (saveError) {
+        if (signal?.aborted) throw saveError;
+        logger.error(`Batch job ${index + 1} could not be saved:`, saveError);
+        const result = { status: 'unsaved', feedback, cacheHit, error: saveError.message || 'Saving failed' };
+        onJobUpdate?.(index, result);
+        return result;
+      }
+
+      const result = { status: 'done', resumeId, feedback, cacheHit };
+      onJobUpdate?.(index, result);
+      return result;
+    } catch (err) {
+      if (signal?.aborted) {
+        onJobUpdate?.(index, { status: 'cancelled' });
+        return { status: 'cancelled' };
+      }
+      logger.error(`Batch job ${index + 1} failed:`, err);
+      const result = { status: 'failed', error: err.message || 'Analysis failed' };
+      onJobUpdate?.(index, result);
+      return result;
+    }
+  });
+
+  const outcomes = await runQueue(tasks, { concurrency: BATCH_CONCURRENCY, signal });
+  const results = outcomes.map((outcome, index) => {
+    if (outcome.status === 'cancelled') {
+      onJobUpdate?.(index, { status: 'cancelled' });
+      return { status: 'cancelled' };
+    }
+    return outcome.value;
+  });
+
+  if (!results.some(result => result.status === 'done')) {
+    await removeUploadedFiles();
+    if (createdDocumentId) {
+      await documentService.delete(createdDocumentId).catch(err => logger.warn('Failed to clean up document:', err));
+    }
+    throw createError('None of the analyses in this batch could be saved', 'BATCH_FAILED', { results });
+  }
+
+  documentService.touch(targetDocumentId).catch(err => logger.warn('Could not update document timestamp:', err));
+  return results;
+}
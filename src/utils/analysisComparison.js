@@ -0,0 +1,69 @@
+// =====================================================
+// ANALYSIS COMPARISON HELPERS
+// =====================================================
+
+// Suggestions sharing at least this share of words count as the same advice
+const SIMILAR_SUGGESTION_THRESHOLD = 0.6
+
+const normalizeKeyword = (keyword) => String(keyword).trim().toLowerCase()
+
+function toWordSet(text = '') {
+  return new Set(text.toLowerCase().match(/[a-z0-9+#]{3,}/g) || [])
+}
+
+function similarity(a, b) {
+  if (a.size === 0 || b.size === 0) return 0
+  let shared = 0
+  a.forEach(word => {
+    if (b.has(word)) shared++
+  })
+  return shared / (a.size + b.size - shared)
+}
+
+/**
+ * Matched and missing keywords of each analysis as set differences against
+ * the other analyses, plus the keywords common to all of them.
+ * @param {Array<object>} feedbacks - `feedback` objects in column order.
+ * @returns {{ commonMatched: string[], commonMissing: string[], perAnalysis: Array<{ matchedOnly: string[], missingOnly: string[] }> }}
+ */
+export function compareKeywords(feedbacks) {
+  const sets = feedbacks.map(feedback => ({
+    matched: new Set((feedback?.categories?.keywords?.matched_keywords || []).map(normalizeKeyword)),
+    missing: new Set((feedback?.categories?.keywords?.missing_keywords || []).map(normalizeKeyword))
+  }))
+
+  const inAll = (key) => (keyword) => sets.every(set => set[key].has(keyword))
+  const inNoOther = (key, index) => (keyword) => sets.every((set, other) => other === index || !set[key].has(keyword))
+
+  return {
+    commonMatched: sets.length ? [...sets[0].matched].filter(inAll('matched')) : [],
+    commonMissing: sets.length ? [...sets[0].missing].filter(inAll('missing')) : [],
+    perAnalysis: sets.map((set, index) => ({
+      matchedOnly: [...set.matched].filter(inNoOther('matched', index)),
+      missingOnly: [...set.missing].filter(inNoOther('missing', index))
+    }))
+  }
+}
+
+/**
+ * Suggestions that appear in only one of the analyses. AI wording varies
+ * between runs, so suggestions are compared by word overlap rather than
+ * exact text.
+ * @param {Array<object>} feedbacks - `feedback` objects in column order.
+ * @returns {Array<Array<object>>} Unique suggestions for each analysis.
+ */
+export function findUniqueSuggestions(feedbacks) {
+  const suggestionLists = feedbacks.map(feedback =>
+    (feedback?.suggestions || [])
+      .filter(suggestion => suggestion?.tip)
+      .map(suggestion => ({ suggestion, words: toWordSet(suggestion.tip) }))
+  )
+
+  return suggestionLists.map((list, index) =>
+    list
+      .filter(({ words }) => suggestionLists.every((other, otherIndex) =>
+        otherIndex === index || other.every(candidate => similarity(words, candidate.words) < SIMILAR_SUGGESTION_THRESHOLD)
+      ))
+      .map(({ suggestion }) => suggestion)
+  )
+}
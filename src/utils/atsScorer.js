@@ -0,0 +1,244 @@
+// =====================================================
+// RULE-BASED ATS SCORER
+// =====================================================
+//
+// Deterministic, offline scoring of the extracted resume text. The same text,
+// metadata and job description always produce the same report, so the score can
+// be reproduced and explained rule by rule.
+
+import { extractKeywords, containsKeyword } from './keywordExtractor'
+import { mentionsSkill } from './skillsDictionary'
+import { getJobSkills } from './jobDescriptionParser'
+
+export const ATS_SCORER_VERSION = 3
+
+const SECTION_HEADINGS = {
+  experience: { label: 'Experience', required: true, points: 6, patterns: [/\b(work |professional )?experience\b/i, /\bemployment( history)?\b/i, /\bwork history\b/i] },
+  education: { label: 'Education', required: true, points: 6, patterns: [/\beducation\b/i, /\bacademic (background|qualifications)\b/i] },
+  skills: { label: 'Skills', required: true, points: 6, patterns: [/\b(technical |core )?skills\b/i, /\bcompetencies\b/i, /\btechnologies\b/i] },
+  summary: { label: 'Summary', required: false, points: 3, patterns: [/\bsummary\b/i, /\bprofile\b/i, /\bobjective\b/i, /\babout me\b/i] },
+  projects: { label: 'Projects', required: false, points: 2, patterns: [/\bprojects\b/i] },
+  certifications: { label: 'Certifications', required: false, points: 2, patterns: [/\bcertifications?\b/i, /\blicen[cs]es\b/i] }
+}
+
+const MONTHS = '(jan(uary)?|feb(ruary)?|mar(ch)?|apr(il)?|may|jun(e)?|jul(y)?|aug(ust)?|sep(t(ember)?)?|oct(ober)?|nov(ember)?|dec(ember)?)'
+
+const DATE_FORMATS = [
+  { id: 'month-year', label: 'Month YYYY', pattern: new RegExp(`\\b${MONTHS}\\.?\\s+(19|20)\\d{2}\\b`, 'gi') },
+  { id: 'numeric', label: 'MM/YYYY', pattern: /\b(0?[1-9]|1[0-2])\s*[/.-]\s*(19|20)\d{2}\b/g },
+  { id: 'iso', label: 'YYYY-MM', pattern: /\b(19|20)\d{2}-(0[1-9]|1[0-2])\b/g },
+  { id: 'year-range', label: 'YYYY - YYYY', pattern: /\b(19|20)\d{2}\s*[-–—]\s*((19|20)\d{2}|present|current|now)\b/gi }
+]
+
+const rule = (id, label, maxScore, score, details, findings = []) => ({
+  id,
+  label,
+  maxScore,
+  score: Math.max(0, Math.min(maxScore, Math.round(score))),
+  passed: score >= maxScore * 0.7,
+  details,
+  findings
+})
+
+// Prefer heading-like lines; fall back to the whole text when there are no line breaks
+function findSections(text) {
+  const lines = text.split('\n').map(line => line.trim()).filter(Boolean)
+  const headingLines = lines.filter(line => line.length <= 40)
+  const haystack = headingLines.length > 3 ? headingLines : [text]
+
+  return Object.entries(SECTION_HEADINGS).reduce((found, [id, section]) => {
+    found[id] = haystack.some(line => section.patterns.some(pattern => pattern.test(line)))
+    return found
+  }, {})
+}
+
+function scoreSections(text) {
+  const found = findSections(text)
+  const maxScore = Object.values(SECTION_HEADINGS).reduce((sum, section) => sum + section.points, 0)
+  const score = Object.entries(SECTION_HEADINGS)
+    .reduce((sum, [id, section]) => sum + (found[id] ? section.points : 0), 0)
+
+  const missingRequired = Object.entries(SECTION_HEADINGS)
+    .filter(([id, section]) => section.required && !found[id])
+    .map(([, section]) => section.label)
+  const present = Object.entries(SECTION_HEADINGS)
+    .filter(([id]) => found[id])
+    .map(([, section]) => section.label)
+
+  return rule(
+    'sections',
+    'Standard section headings',
+    maxScore,
+    score,
+    missingRequired.length
+      ? `Missing standard heading(s): ${missingRequired.join(', ')}`
+      : 'All required sections use headings an ATS recognizes',
+    present.map(label => `Found "${label}"`)
+  )
+}
+
+function scoreContactInfo(text) {
+  const email = text.match(/[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/i)
+  const phone = text.match(/(\+?\d{1,3}[\s.-]?)?(\(\d{2,4}\)[\s.-]?)?\d{3,5}[\s.-]?\d{3,4}[\s.-]?\d{0,4}/)
+  const profile = text.match(/\b(linkedin\.com\/[^\s]+|github\.com\/[^\s]+|https?:\/\/[^\s]+)/i)
+
+  const score = (email ? 6 : 0) + (phone && phone[0].replace(/\D/g, '').length >= 10 ? 5 : 0) + (profile ? 4 : 0)
+  const missing = [
+    !email && 'email address',
+    !(phone && phone[0].replace(/\D/g, '').length >= 10) && 'phone number',
+    !profile && 'LinkedIn or portfolio link'
+  ].filter(Boolean)
+
+  return rule(
+    'contact',
+    'Contact information',
+    15,
+    score,
+    missing.length ? `Could not find: ${missing.join(', ')}` : 'Email, phone and profile link are all machine-readable',
+    [email && `Email: ${email[0]}`, profile && `Link: ${profile[0]}`].filter(Boolean)
+  )
+}
+
+function scoreDates(text) {
+  const formatsUsed = DATE_FORMATS
+    .map(format => ({ ...format, count: (text.match(format.pattern) || []).length }))
+    .filter(format => format.count > 0)
+
+  if (formatsUsed.length === 0) {
+    return rule('dates', 'Date formats', 15, 0, 'No employment or education dates were detected')
+  }
+
+  const precise = formatsUsed.filter(format => format.id !== 'year-range')
+  let score = 15
+  let details = `Dates use a consistent format (${formatsUsed.map(f => f.label).join(', ')})`
+
+  if (precise.length > 1) {
+    score = 9
+    details = `Mixed date formats: ${precise.map(f => f.label).join(', ')}. Pick one format throughout.`
+  } else if (precise.length === 0) {
+    score = 11
+    details = 'Only years were found. Month and year help an ATS compute tenure.'
+  }
+
+  return rule('dates', 'Date formats', 15, score, details, formatsUsed.map(f => `${f.label}: ${f.count}`))
+}
+
+// Required skills count double; every skill matches under any of its dictionary aliases
+function scoreSkills(text, skills) {
+  const weightOf = skill => (skill.required ? 2 : 1)
+  const matched = skills.filter(skill => mentionsSkill(text, skill.name))
+  const missing = skills.filter(skill => !mentionsSkill(text, skill.name))
+  const possible = skills.reduce((sum, skill) => sum + weightOf(skill), 0)
+  const coverage = matched.reduce((sum, skill) => sum + weightOf(skill), 0) / possible
+  const requiredCount = skills.filter(skill => skill.required).length
+  const requiredMatched = matched.filter(skill => skill.required).length
+
+  return {
+    ...rule(
+      'keywords',
+      'Job description keyword coverage',
+      25,
+      25 * coverage,
+      `${requiredMatched} of ${requiredCount} required and ${matched.length - requiredMatched} of ${skills.length - requiredCount} preferred skills appear in the resume (${Math.round(coverage * 100)}%)`,
+      missing.map(skill => `Missing ${skill.required ? 'required' : 'preferred'} skill: ${skill.name}`)
+    ),
+    matched: matched.map(skill => skill.name),
+    missing: missing.map(skill => skill.name)
+  }
+}
+
+function scoreKeywords(text, jobDescription, parsedJobDescription) {
+  const skills = getJobSkills(parsedJobDescription)
+  if (skills.length > 0) return scoreSkills(text, skills)
+
+  // No dictionary skills recognized: fall back to the most frequent terms
+  const keywords = extractKeywords(jobDescription, 20)
+  if (keywords.length === 0) {
+    return { ...rule('keywords', 'Job description keyword coverage', 25, 0, 'No job description provided'), applicable: false }
+  }
+
+  const matched = keywords.filter(keyword => containsKeyword(text, keyword))
+  const missing = keywords.filter(keyword => !containsKeyword(text, keyword))
+  const coverage = matched.length / keywords.length
+
+  return {
+    ...rule(
+      'keywords',
+      'Job description keyword coverage',
+      25,
+      25 * coverage,
+      `${matched.length} of ${keywords.length} frequent job description terms appear in the resume (${Math.round(coverage * 100)}%)`,
+      missing.map(keyword => `Missing: ${keyword}`)
+    ),
+    matched,
+    missing
+  }
+}
+
+function scoreExtractability(text, numPages) {
+  const pages = Math.max(numPages || 1, 1)
+  const charsPerPage = text.replace(/\s+/g, '').length / pages
+  const unreadable = (text.match(/[\uFFFD\uE000-\uF8FF]/g) || []).length
+  const unreadableRatio = text.length ? unreadable / text.length : 0
+
+  let score = charsPerPage >= 500 ? 10 : charsPerPage >= 200 ? 6 : 2
+  const findings = [`${Math.round(charsPerPage)} readable characters per page`]
+  if (unreadableRatio > 0.02) {
+    score -= 4
+    findings.push(`${unreadable} unreadable glyphs (icon fonts or broken encoding)`)
+  }
+
+  return rule(
+    'extractability',
+    'Text extractability',
+    10,
+    score,
+    score >= 7 ? 'Text extracts cleanly' : 'Little or garbled text was extracted. Parts of the resume may be images.',
+    findings
+  )
+}
+
+function scorePageCount(numPages) {
+  if (!numPages) {
+    return { ...rule('pages', 'Page count', 10, 0, 'Page count unavailable'), applicable: false }
+  }
+
+  const score = numPages <= 2 ? 10 : numPages === 3 ? 6 : 2
+  return rule(
+    'pages',
+    'Page count',
+    10,
+    score,
+    numPages <= 2 ? `${numPages} page(s), within the recommended length` : `${numPages} pages. Most ATS-screened roles expect one or two.`
+  )
+}
+
+/**
+ * Scores a resume with fixed rules that need no network access.
+ * @param {object} input
+ * @param {string} input.text - Extracted resume text.
+ * @param {object} [input.metadata] - Result of getPDFMetadata (only `numPages` is used).
+ * @param {string} [input.jobDescription] - Target job description for keyword coverage.
+ * @param {object} [input.parsedJobDescription] - Result of parseJobDescription; its skills replace the frequency keywords.
+ * @returns {{ version: number, score: number, rules: Array<object> }} Report with a per-rule breakdown.
+ */
+export function scoreResumeLocally({ text = '', metadata = {}, jobDescription = '', parsedJobDescription = null }) {
+  const rules = [
+    scoreSections(text),
+    scoreContactInfo(text),
+    scoreDates(text),
+    scoreKeywords(text, jobDescription, parsedJobDescription),
+    scoreExtractability(text, metadata.numPages),
+    scorePageCount(metadata.numPages)
+  ].map(result => ({ applicable: true, ...result }))
+
+  const applicable = rules.filter(result => result.applicable)
+  const earned = applicable.reduce((sum, result) => sum + result.score, 0)
+  const possible = applicable.reduce((sum, result) => sum + result.maxScore, 0)
+
+  return {
+    version: ATS_SCORER_VERSION,
+    score: possible ? Math.round((earned / possible) * 100) : 0,
+    rules
+  }
+}
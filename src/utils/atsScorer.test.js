@@ -0,0 +1,84 @@
+import { scoreResumeLocally, ATS_SCORER_VERSION } from './atsScorer'
+
+const RESUME = `Jane Doe
+jane.doe@example.com | (555) 123-4567 | linkedin.com/in/janedoe
+
+Summary
+Frontend engineer with six years of experience.
+
+Experience
+Acme Corp, Senior Engineer, Jan 2020 - Present
+- Built dashboards with React and TypeScript
+Globex, Engineer, Mar 2017 - Dec 2019
+- Wrote SQL reports
+
+Education
+BSc Computer Science, 2013 - 2017
+
+Skills
+React, TypeScript, SQL, Docker`
+
+const findRule = (input, id) => scoreResumeLocally(input).rules.find(rule => rule.id === id)
+
+describe('scoreResumeLocally', () => {
+  test('gives a complete resume a high score with every rule in range', () => {
+    const report = scoreResumeLocally({ text: RESUME, metadata: { numPages: 1 }, jobDescription: 'React TypeScript' })
+
+    expect(report.version).toBe(ATS_SCORER_VERSION)
+    expect(report.score).toBeGreaterThanOrEqual(80)
+    expect(report.rules.map(rule => rule.id)).toEqual(['sections', 'contact', 'dates', 'keywords', 'extractability', 'pages'])
+    report.rules.forEach(rule => expect(rule.score).toBeLessThanOrEqual(rule.maxScore))
+  })
+
+  test('returns the same report for the same input', () => {
+    const input = { text: RESUME, metadata: { numPages: 2 }, jobDescription: 'React and Kubernetes' }
+
+    expect(scoreResumeLocally(input)).toEqual(scoreResumeLocally(input))
+  })
+
+  test('leaves out rules it has no input for', () => {
+    const report = scoreResumeLocally({ text: '' })
+
+    expect(report.score).toBeLessThan(20)
+    expect(report.rules.filter(rule => !rule.applicable).map(rule => rule.id)).toEqual(['keywords', 'pages'])
+  })
+
+  test('scores each kind of contact detail', () => {
+    expect(findRule({ text: 'a@b.io (555) 123-4567 github.com/jane' }, 'contact').score).toBe(15)
+    expect(findRule({ text: 'a@b.io' }, 'contact').score).toBe(6)
+    expect(findRule({ text: 'a@b.io 555-1234' }, 'contact').details).toBe('Could not find: phone number, LinkedIn or portfolio link')
+  })
+
+  test('prefers one precise date format', () => {
+    expect(findRule({ text: 'Jan 2020 - Mar 2021\nFeb 2018 - Dec 2019' }, 'dates').score).toBe(15)
+    expect(findRule({ text: 'Jan 2020 - Present\n03/2018 - 12/2019' }, 'dates').score).toBe(9)
+    expect(findRule({ text: '2018 - 2020' }, 'dates').score).toBe(11)
+    expect(findRule({ text: 'No dates at all' }, 'dates').score).toBe(0)
+  })
+
+  test('penalizes resumes longer than two pages', () => {
+    expect(findRule({ text: RESUME, metadata: { numPages: 2 } }, 'pages').score).toBe(10)
+    expect(findRule({ text: RESUME, metadata: { numPages: 3 } }, 'pages').score).toBe(6)
+    expect(findRule({ text: RESUME, metadata: { numPages: 5 } }, 'pages').score).toBe(2)
+  })
+
+  test('measures coverage of the most frequent job description terms', () => {
+    const rule = findRule({ text: 'Forecasting and budgeting', jobDescription: 'forecasting budgeting auditing' }, 'keywords')
+
+    expect(rule.score).toBe(17)
+    expect(rule.findings).toEqual(['Missing: auditing'])
+  })
+
+  test('scores against parsed job skills, counting required ones double', () => {
+    const parsedJobDescription = {
+      requiredSkills: [{ name: 'React' }, { name: 'Kubernetes' }],
+      preferredSkills: [{ name: 'TypeScript' }]
+    }
+    const rule = findRule({ text: 'Shipped reactjs apps in TypeScript', parsedJobDescription }, 'keywords')
+
+    expect(rule.matched).toEqual(['React', 'TypeScript'])
+    expect(rule.missing).toEqual(['Kubernetes'])
+    expect(rule.score).toBe(15)
+    expect(rule.findings).toEqual(['Missing required skill: Kubernetes'])
+  })
+})
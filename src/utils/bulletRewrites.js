@@ -0,0 +1,60 @@
+// =====================================================
+// BULLET REWRITE HELPERS
+// =====================================================
+//
+// Rewrites are stored per bullet under ids like "r2b3" (role 2, bullet 3,
+// the same numbering formatResumeOutline uses):
+//   { original, variants: [{ text, rationale, keywords }], status, accepted }
+// status is 'pending' until the user accepts one variant or rejects them all.
+
+export const REWRITE_STATUSES = ['pending', 'accepted', 'rejected']
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+export const getBulletId = (roleIndex, bulletIndex) => `r${roleIndex + 1}b${bulletIndex + 1}`
+
+// Experience bullets of a parsed resume, grouped by role
+export function getRewritableRoles(parsedResume) {
+  return (parsedResume?.experience || [])
+    .map((role, roleIndex) => ({
+      label: [role.title, role.company].filter(Boolean).join(' — ') || `Role ${roleIndex + 1}`,
+      bullets: role.bullets
+        .map((bullet, bulletIndex) => ({ id: getBulletId(roleIndex, bulletIndex), text: bullet.text.trim() }))
+        .filter(bullet => bullet.text)
+    }))
+    .filter(role => role.bullets.length > 0)
+}
+
+export function getAcceptedText(rewrite) {
+  if (rewrite?.status !== 'accepted') return null
+  return rewrite.variants[rewrite.accepted]?.text || null
+}
+
+/**
+ * Replaces every accepted bullet in the resume text. Extracted text may wrap a
+ * bullet over several lines, so whitespace is matched loosely.
+ * @param {string} resumeText
+ * @param {object} rewrites - Stored rewrites keyed by bullet id.
+ * @returns {{ text: string, applied: number, unmatched: Array<{original: string, text: string}> }}
+ */
+export function applyAcceptedRewrites(resumeText = '', rewrites = {}) {
+  let text = resumeText
+  let applied = 0
+  const unmatched = []
+
+  Object.values(rewrites).forEach(rewrite => {
+    const replacement = getAcceptedText(rewrite)
+    if (!replacement) return
+
+    const words = rewrite.original.trim().split(/\s+/).map(escapeRegExp)
+    const pattern = new RegExp(words.join('\\s+'))
+    if (words.length && pattern.test(text)) {
+      text = text.replace(pattern, () => replacement)
+      applied += 1
+    } else {
+      unmatched.push({ original: rewrite.original, text: replacement })
+    }
+  })
+
+  return { text, applied, unmatched }
+}
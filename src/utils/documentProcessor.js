@@ -0,0 +1,300 @@
+// =====================================================
+// RESUME DOCUMENT PROCESSING
+// =====================================================
+//
+// Picks the extractor for an uploaded resume by MIME type so the upload
+// pipeline can treat PDF, Word, plain text and Markdown files the same way.
+// Everything runs in the browser.
+
+import mammoth from 'mammoth'
+import {
+  extractLayoutFromPDF,
+  convertPdfToImage,
+  getPDFMetadata
+} from './pdfProcessor'
+import { getFileExtension } from './utils'
+
+export const RESUME_FILE_TYPES = {
+  pdf: {
+    label: 'PDF',
+    mimeTypes: ['application/pdf'],
+    extensions: ['pdf']
+  },
+  docx: {
+    label: 'DOCX',
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+    extensions: ['docx']
+  },
+  txt: {
+    label: 'TXT',
+    mimeTypes: ['text/plain'],
+    extensions: ['txt']
+  },
+  md: {
+    label: 'MD',
+    mimeTypes: ['text/markdown', 'text/x-markdown'],
+    extensions: ['md', 'markdown']
+  }
+}
+
+// `accept` map for react-dropzone
+export const RESUME_ACCEPT = Object.values(RESUME_FILE_TYPES).reduce((accept, type) => {
+  type.mimeTypes.forEach(mimeType => {
+    accept[mimeType] = type.extensions.map(extension => `.${extension}`)
+  })
+  return accept
+}, {})
+
+export const RESUME_TYPE_LABELS = Object.values(RESUME_FILE_TYPES).map(type => type.label).join(', ')
+
+const MAX_FILE_SIZE = 20 * 1024 * 1024 // 20MB
+
+// Preview page size: US Letter at the same 1.5 scale used for PDF previews
+const PREVIEW_WIDTH = 918
+const PREVIEW_HEIGHT = 1188
+const PREVIEW_MARGIN = 72
+const PREVIEW_FONT_SIZE = 15
+const PREVIEW_LINE_HEIGHT = 21
+
+/**
+ * Detects the resume format from the MIME type, falling back to the file
+ * extension when the browser reports no (or a generic) type, as it often does
+ * for Markdown.
+ * @param {File|Blob} file
+ * @returns {'pdf'|'docx'|'txt'|'md'|null}
+ */
+export function getResumeFileKind(file) {
+  if (!file) return null
+
+  const byMimeType = Object.keys(RESUME_FILE_TYPES)
+    .find(kind => RESUME_FILE_TYPES[kind].mimeTypes.includes(file.type))
+  if (byMimeType) return byMimeType
+
+  if (file.type && file.type !== 'application/octet-stream') return null
+
+  const extension = getFileExtension(file.name)
+  return Object.keys(RESUME_FILE_TYPES)
+    .find(kind => RESUME_FILE_TYPES[kind].extensions.includes(extension)) || null
+}
+
+// MIME type to store the file with, even when the browser did not report one
+export function getResumeMimeType(file) {
+  const kind = getResumeFileKind(file)
+  return file?.type || (kind ? RESUME_FILE_TYPES[kind].mimeTypes[0] : 'application/octet-stream')
+}
+
+// Validate a resume file of any supported type
+export function validateResumeFile(file) {
+  const errors = []
+
+  if (!getResumeFileKind(file)) {
+    errors.push(`File must be one of: ${RESUME_TYPE_LABELS}`)
+  }
+
+  if (file.size > MAX_FILE_SIZE) {
+    errors.push(`File size must be less than ${MAX_FILE_SIZE / 1024 / 1024}MB`)
+  }
+
+  if (file.size === 0) {
+    errors.push('File cannot be empty')
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  }
+}
+
+// Read a Blob as text (Blob#text is missing in some older browsers)
+async function readText(file) {
+  if (typeof file.text === 'function') return file.text()
+  return new TextDecoder().decode(await file.arrayBuffer())
+}
+
+function normalizeText(text) {
+  return text
+    .replace(/\r\n?/g, '\n')
+    .replace(/\u00A0/g, ' ')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim()
+}
+
+// Word paragraphs, headings and list items become lines; list items keep a bullet
+async function extractTextFromDocx(file) {
+  const arrayBuffer = await file.arrayBuffer()
+  const { value: html, messages } = await mammoth.convertToHtml({ arrayBuffer })
+  if (messages.length > 0) {
+    console.warn('DOCX conversion messages:', messages)
+  }
+
+  const doc = new DOMParser().parseFromString(html, 'text/html')
+  const lines = []
+  doc.body.querySelectorAll('h1, h2, h3, h4, h5, h6, p, li').forEach(node => {
+    // Nested lists are visited on their own
+    const clone = node.cloneNode(true)
+    clone.querySelectorAll('ul, ol').forEach(list => list.remove())
+    const text = clone.textContent.replace(/\s+/g, ' ').trim()
+    if (!text) return
+
+    if (node.tagName === 'LI') {
+      lines.push(`• ${text}`)
+    } else if (/^H\d$/.test(node.tagName)) {
+      lines.push('', text)
+    } else {
+      lines.push(text)
+    }
+  })
+
+  return normalizeText(lines.join('\n'))
+}
+
+// Strip Markdown syntax but keep headings, list items and link targets readable
+function markdownToText(markdown) {
+  return markdown
+    .replace(/```[\s\S]*?```/g, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/^\s{0,3}#{1,6}\s+(.*?)\s*#*\s*$/gm, '\n$1')
+    .replace(/^\s*([-*_])(\s*\1){2,}\s*$/gm, '')
+    .replace(/^(\s*)[-*+]\s+\[[ xX]\]\s+/gm, '$1• ')
+    .replace(/^(\s*)[-*+]\s+/gm, '$1• ')
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/<(https?:\/\/[^>\s]+)>/g, '$1')
+    .replace(/\[([^\]]+)\]\(([^)\s]+)[^)]*\)/g, (match, label, url) => (label === url ? url : `${label} (${url})`))
+    .replace(/(\*\*|__)(.+?)\1/g, '$2')
+    .replace(/(^|[^\w*])[*_]([^*_\n]+)[*_](?=[^\w*]|$)/g, '$1$2')
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/^\s*>\s?/gm, '')
+}
+
+/**
+ * Extracts resume text with the extractor that matches the file type.
+ * PDFs return the full positioned layout from extractLayoutFromPDF; other
+ * formats have no geometry, so `pages` is empty and only `text` is set.
+ * @param {File|Blob} file
+ * @returns {Promise<{ kind: string, numPages: number|null, pages: Array<object>, text: string }>}
+ */
+export async function extractResumeLayout(file) {
+  const kind = getResumeFileKind(file)
+
+  switch (kind) {
+    case 'pdf':
+      return { kind, ...(await extractLayoutFromPDF(file)) }
+    case 'docx':
+      try {
+        return { kind, numPages: null, pages: [], text: await extractTextFromDocx(file) }
+      } catch (error) {
+        console.error('Error extracting DOCX text:', error)
+        throw new Error('Failed to extract text from Word document')
+      }
+    case 'txt':
+      return { kind, numPages: null, pages: [], text: normalizeText(await readText(file)) }
+    case 'md':
+      return { kind, numPages: null, pages: [], text: normalizeText(markdownToText(await readText(file))) }
+    default:
+      throw new Error(`Unsupported resume file type: ${file?.type || 'unknown'}`)
+  }
+}
+
+// Extract plain resume text from any supported file
+export async function extractResumeText(file) {
+  const layout = await extractResumeLayout(file)
+  return layout.text
+}
+
+// Page count and document properties; only PDFs carry them
+export async function getResumeMetadata(file) {
+  if (getResumeFileKind(file) === 'pdf') {
+    return getPDFMetadata(file)
+  }
+
+  return {
+    numPages: 0,
+    title: '',
+    author: '',
+    creator: '',
+    producer: '',
+    creationDate: '',
+    modDate: ''
+  }
+}
+
+// Greedy word wrap for canvas text
+function wrapLine(context, text, maxWidth) {
+  const words = text.split(/\s+/)
+  const lines = []
+  let current = ''
+
+  words.forEach(word => {
+    const candidate = current ? `${current} ${word}` : word
+    if (current && context.measureText(candidate).width > maxWidth) {
+      lines.push(current)
+      current = word
+    } else {
+      current = candidate
+    }
+  })
+  lines.push(current)
+  return lines
+}
+
+// Draw the first page worth of text onto a white page-sized canvas
+function renderTextToImage(text) {
+  const canvas = document.createElement('canvas')
+  const context = canvas.getContext('2d')
+  canvas.width = PREVIEW_WIDTH
+  canvas.height = PREVIEW_HEIGHT
+
+  context.fillStyle = '#ffffff'
+  context.fillRect(0, 0, canvas.width, canvas.height)
+  context.fillStyle = '#111827'
+  context.textBaseline = 'top'
+  context.font = `${PREVIEW_FONT_SIZE}px Helvetica, Arial, sans-serif`
+
+  const maxWidth = PREVIEW_WIDTH - PREVIEW_MARGIN * 2
+  const maxY = PREVIEW_HEIGHT - PREVIEW_MARGIN
+  let y = PREVIEW_MARGIN
+
+  for (const line of text.split('\n')) {
+    const wrapped = line.trim() ? wrapLine(context, line.trim(), maxWidth) : ['']
+    for (const segment of wrapped) {
+      if (y + PREVIEW_LINE_HEIGHT > maxY) break
+      context.fillText(segment, PREVIEW_MARGIN, y)
+      y += PREVIEW_LINE_HEIGHT
+    }
+    if (y + PREVIEW_LINE_HEIGHT > maxY) break
+  }
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (blob) {
+        const imageFile = new File([blob], `resume-preview-${Date.now()}.png`, {
+          type: 'image/png'
+        })
+        resolve({ file: imageFile, url: URL.createObjectURL(blob) })
+      } else {
+        reject(new Error('Failed to create image blob'))
+      }
+    }, 'image/png', 0.8)
+  })
+}
+
+/**
+ * Creates the preview image for a resume. PDFs render their first page;
+ * other formats render their extracted text onto a blank page.
+ * @param {File} file
+ * @param {string} [text] - Already extracted text, to avoid parsing the file twice.
+ * @returns {Promise<{ file: File, url: string }>}
+ */
+export async function convertResumeToImage(file, text) {
+  if (getResumeFileKind(file) === 'pdf') {
+    return convertPdfToImage(file)
+  }
+
+  try {
+    return await renderTextToImage(text ?? await extractResumeText(file))
+  } catch (error) {
+    console.error('Error rendering resume preview:', error)
+    throw new Error('Failed to convert resume to image')
+  }
+}
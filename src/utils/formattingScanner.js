@@ -0,0 +1,110 @@
+// =====================================================
+// LOCAL FORMATTING SCAN
+// =====================================================
+//
+// Looks at the extracted text (and the PDF layout when available) for glyphs
+// and layouts that commonly trip up ATS parsers. Used to cross-check the AI
+// formatting audit.
+
+export const FORMATTING_SCANNER_VERSION = 1
+
+// Bullets and punctuation every mainstream ATS reads correctly
+const SAFE_SYMBOLS = new Set([
+  '•', '·', '–', '—', '‘', '’', '“', '”', '…', '€', '£', '¥', '₹', '©', '®', '™', '°', '±', '×', '§', '¶', '†', '‡', '′', '″'
+])
+
+const BULLET_CHARS = /^\s*([•●▪◦‣∙·■□◆◇►▶➢➤✓✔❖*\-–—>])\s+/
+
+// Glyph families that are extracted as garbage or dropped entirely
+const PROBLEM_RANGES = [
+  { label: 'icon font glyph', pattern: /[\uE000-\uF8FF]/u },
+  { label: 'unreadable character', pattern: /\uFFFD/u },
+  { label: 'arrow', pattern: /[\u2190-\u21FF\u27F0-\u27FF\u2900-\u297F]/u },
+  { label: 'dingbat', pattern: /[\u2700-\u27BF]/u },
+  { label: 'geometric shape', pattern: /[\u25A0-\u25FF]/u },
+  { label: 'box drawing', pattern: /[\u2500-\u257F]/u },
+  { label: 'miscellaneous symbol', pattern: /[\u2600-\u26FF\u2B00-\u2BFF]/u },
+  { label: 'emoji', pattern: /\p{Extended_Pictographic}/u }
+]
+
+const describeCodePoint = (char) => `U+${char.codePointAt(0).toString(16).toUpperCase().padStart(4, '0')}`
+
+function classifySymbol(char) {
+  if (SAFE_SYMBOLS.has(char)) return null
+  const match = PROBLEM_RANGES.find(range => range.pattern.test(char))
+  return match ? match.label : null
+}
+
+function scanSymbols(text) {
+  const counts = new Map()
+  for (const char of text) {
+    // Letters with diacritics, digits and whitespace are fine
+    if (char.charCodeAt(0) < 128 || /[\p{L}\p{N}\s]/u.test(char)) continue
+    counts.set(char, (counts.get(char) || 0) + 1)
+  }
+
+  return [...counts.entries()]
+    .map(([char, count]) => {
+      const problem = classifySymbol(char)
+      return { char, codePoint: describeCodePoint(char), count, atsSafe: !problem, problem }
+    })
+    .sort((a, b) => b.count - a.count)
+}
+
+// Two or more consecutive lines split into the same number (3+) of cells look like a table row run
+function findTableLikeRows(lines) {
+  const cellCounts = lines.map(line => {
+    const cells = line.includes('\t') || /\S\s{3,}\S/.test(line)
+      ? line.split(/\t+|\s{3,}/)
+      : line.split(/\s\|\s/)
+    return cells.filter(cell => cell.trim()).length
+  })
+
+  let rows = 0
+  cellCounts.forEach((count, index) => {
+    if (count < 3) return
+    if (cellCounts[index - 1] === count || cellCounts[index + 1] === count) rows++
+  })
+  return rows
+}
+
+function findBulletStyles(lines) {
+  const styles = new Map()
+  lines.forEach(line => {
+    const match = line.match(BULLET_CHARS)
+    if (match) styles.set(match[1], (styles.get(match[1]) || 0) + 1)
+  })
+  return [...styles.entries()].map(([char, count]) => ({ char, count }))
+}
+
+/**
+ * Scans resume text for non-ASCII glyphs, table-like rows, multi-column pages
+ * and mixed bullet styles.
+ * @param {object} input
+ * @param {string} input.text - Extracted resume text.
+ * @param {object} [input.layout] - Result of extractLayoutFromPDF / extractResumeLayout.
+ * @returns {object} Scan result with `symbols`, `problematicSymbols`, `tableLikeRows`,
+ *   `multiColumnPages`, `bulletStyles` and the derived booleans used by the audit view.
+ */
+export function scanFormatting({ text = '', layout = null }) {
+  const lines = text.split('\n').filter(line => line.trim())
+  const symbols = scanSymbols(text)
+  const problematicSymbols = symbols.filter(symbol => !symbol.atsSafe)
+  const tableLikeRows = findTableLikeRows(lines)
+  const multiColumnPages = (layout?.pages || [])
+    .filter(page => page.columns > 1)
+    .map(page => page.pageNumber)
+  const bulletStyles = findBulletStyles(lines)
+
+  return {
+    version: FORMATTING_SCANNER_VERSION,
+    symbols,
+    problematicSymbols,
+    hasProblematicSymbols: problematicSymbols.length > 0,
+    tableLikeRows,
+    multiColumnPages,
+    hasTablesOrColumns: tableLikeRows >= 2 || multiColumnPages.length > 0,
+    bulletStyles,
+    mixedBullets: bulletStyles.length > 1
+  }
+}
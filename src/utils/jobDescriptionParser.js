@@ -0,0 +1,197 @@
+// =====================================================
+// JOB DESCRIPTION PARSER
+// =====================================================
+//
+// Pulls the structured requirements out of pasted job description text:
+// required and preferred skills (from ./skillsDictionary), years of
+// experience, education, location and seniority. Heuristic and offline, so
+// the same text always yields the same result.
+
+import { findSkills } from './skillsDictionary'
+
+export const JD_PARSER_VERSION = 2
+
+const REQUIRED_HEADING = /^(requirements?|(minimum|basic|required|key) qualifications|qualifications|what (you'll|you will|we're looking for|you) (need|bring|have)|who you are|must[- ]haves?|required skills|skills (&|and) experience|about you)\b/i
+const PREFERRED_HEADING = /^(preferred( qualifications| skills)?|nice[- ]to[- ]haves?|bonus( points)?|good[- ]to[- ]haves?|desired( skills| qualifications)?|pluses|extra credit)\b/i
+const OTHER_HEADING = /^(responsibilities|what you('ll| will) do|the role|about (us|the (role|team|company))|benefits|perks|what we offer|why join|compensation|how to apply)\b/i
+
+// Phrases that mark a single line as optional even inside a requirements list
+const PREFERRED_PHRASE = /\b(preferred|nice[- ]to[- ]have|good[- ]to[- ]have|is a plus|are a plus|a big plus|bonus|desirable|ideally|familiarity with|exposure to)\b/i
+
+const NUMBER_WORDS = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, twelve: 12, fifteen: 15 }
+const NUMBER = `(\\d{1,2}|${Object.keys(NUMBER_WORDS).join('|')})`
+const YEARS_RANGE_PATTERN = new RegExp(`\\b${NUMBER}\\s*(?:-|–|to)\\s*${NUMBER}\\s*\\+?\\s*(?:years|yrs)\\b`, 'gi')
+const YEARS_MIN_PATTERN = new RegExp(`\\b(?:at least |minimum(?: of)? |over )?${NUMBER}\\s*\\+?\\s*(?:years|yrs)\\b`, 'gi')
+
+const EDUCATION_LEVELS = [
+  { id: 'high_school', label: 'High school diploma', pattern: /\b(high school|secondary school|ged)\b/i },
+  { id: 'associate', label: "Associate's degree", pattern: /\bassociate'?s? degree\b/i },
+  { id: 'bachelor', label: "Bachelor's degree", pattern: /\b(bachelor'?s?|undergraduate degree|b\.\s?(s|sc|a|e|tech)\b|bsc|btech|bs|ba)\b/i },
+  { id: 'master', label: "Master's degree", pattern: /\b(master'?s?|graduate degree|m\.\s?(s|sc|tech)\b|msc|mtech|ms (degree|in)|mba)\b/i },
+  { id: 'phd', label: 'PhD', pattern: /\b(ph\.?\s?d|doctorate|doctoral)\b/i }
+]
+const EDUCATION_FIELD_PATTERN = /\b(?:degree|bachelor'?s?|master'?s?|b\.?s\.?|m\.?s\.?|ph\.?d\.?)\s+(?:degree\s+)?in\s+([^.;()\n]+)/i
+const EDUCATION_EQUIVALENT = /\b(or equivalent|equivalent (practical |work )?experience)\b/i
+
+const SENIORITY_LEVELS = [
+  { id: 'intern', label: 'Internship', pattern: /\b(intern|internship|co-?op|apprentice)\b/i },
+  { id: 'junior', label: 'Entry level', pattern: /\b(junior|jr\.?|entry[- ]level|graduate|new grad|associate)\b/i },
+  { id: 'mid', label: 'Mid level', pattern: /\b(mid[- ]level|intermediate)\b|\b(engineer|developer) ii\b/i },
+  { id: 'senior', label: 'Senior', pattern: /\b(senior|sr\.?)\b|\b(engineer|developer) iii\b/i },
+  { id: 'lead', label: 'Lead / Staff', pattern: /\b(lead|staff|tech lead|team lead)\b/i },
+  { id: 'principal', label: 'Principal', pattern: /\b(principal|distinguished|architect)\b/i },
+  { id: 'manager', label: 'Manager', pattern: /\b(manager|head of|director|vp|vice president)\b/i }
+]
+
+const WORKPLACE_PATTERNS = [
+  { id: 'hybrid', pattern: /\bhybrid\b/i },
+  { id: 'remote', pattern: /\b(fully remote|remote[- ](first|friendly|ok)|100% remote|work from home|wfh|remote)\b/i },
+  { id: 'onsite', pattern: /\b(on-?site|in[- ]office|in[- ]person)\b/i }
+]
+const LOCATION_LINE_PATTERN = /^(?:location|based in|office|work location)\s*[:\-–]\s*(.+)$/i
+const LOCATION_INLINE_PATTERN = /\b(?:based in|located in|office in|position in)\s+([A-Z][A-Za-z .'-]+(?:,\s*[A-Z][A-Za-z .'-]+)?)/
+
+const toNumber = (value) => NUMBER_WORDS[value.toLowerCase()] ?? Number(value)
+
+function classifyHeading(line) {
+  const cleaned = line.replace(/[:*#_]+$/g, '').replace(/^[#*\s]+/, '').trim()
+  if (cleaned.length > 60) return null
+  if (PREFERRED_HEADING.test(cleaned)) return 'preferred'
+  if (REQUIRED_HEADING.test(cleaned)) return 'required'
+  if (OTHER_HEADING.test(cleaned)) return 'other'
+  return null
+}
+
+// Tag every line with the section it belongs to
+function splitSections(text) {
+  let section = 'other'
+  return text
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(line => {
+      const heading = classifyHeading(line)
+      if (heading) {
+        section = heading
+        return { text: line, section, heading: true }
+      }
+      return { text: line, section, heading: false }
+    })
+}
+
+// Skills from preferred sections or optional wording are preferred; everything else is required
+function parseSkills(lines) {
+  const required = new Map()
+  const preferred = new Map()
+
+  lines.filter(line => !line.heading).forEach(line => {
+    const optional = line.section === 'preferred' || PREFERRED_PHRASE.test(line.text)
+    findSkills(line.text).forEach(entry => {
+      const target = optional ? preferred : required
+      target.set(entry.name, { name: entry.name, category: entry.category })
+    })
+  })
+
+  required.forEach((_, name) => preferred.delete(name))
+  return { requiredSkills: [...required.values()], preferredSkills: [...preferred.values()] }
+}
+
+// The highest minimum stated anywhere ("3+ years of React, 5+ years overall" needs 5)
+function parseExperience(lines) {
+  let result = null
+
+  lines.forEach(line => {
+    if (PREFERRED_PHRASE.test(line.text) || line.section === 'preferred') return
+    const ranges = [...line.text.matchAll(YEARS_RANGE_PATTERN)]
+    const candidates = ranges.length
+      ? ranges.map(match => ({ minYears: toNumber(match[1]), maxYears: toNumber(match[2]) }))
+      : [...line.text.matchAll(YEARS_MIN_PATTERN)].map(match => ({ minYears: toNumber(match[1]), maxYears: null }))
+
+    candidates
+      // "0-2 years" is a real requirement, a bare "0 years" is not
+      .filter(candidate => candidate.minYears <= 30 && (candidate.minYears > 0 || candidate.maxYears))
+      .forEach(candidate => {
+        if (!result || candidate.minYears > result.minYears) result = candidate
+      })
+  })
+
+  return result
+}
+
+// The lowest degree mentioned is the minimum ("Bachelor's or Master's" needs a Bachelor's)
+function parseEducation(lines) {
+  const educationLines = lines.filter(line => !line.heading && EDUCATION_LEVELS.some(level => level.pattern.test(line.text)))
+  if (educationLines.length === 0) return null
+
+  const levels = EDUCATION_LEVELS.filter(level => educationLines.some(line => level.pattern.test(line.text)))
+  const minimum = levels[0]
+  const fieldMatch = educationLines.map(line => line.text.match(EDUCATION_FIELD_PATTERN)).find(Boolean)
+  const required = educationLines.some(line => line.section !== 'preferred' && !PREFERRED_PHRASE.test(line.text))
+
+  return {
+    level: minimum.id,
+    label: minimum.label,
+    field: fieldMatch ? fieldMatch[1].replace(/\s+or equivalent.*$/i, '').trim().slice(0, 100) : null,
+    equivalentExperience: educationLines.some(line => EDUCATION_EQUIVALENT.test(line.text)),
+    required
+  }
+}
+
+function parseLocation(lines, text) {
+  const workplace = WORKPLACE_PATTERNS.find(entry => entry.pattern.test(text))?.id || null
+  const lineMatch = lines.map(line => line.text.match(LOCATION_LINE_PATTERN)).find(Boolean)
+  const inlineMatch = text.match(LOCATION_INLINE_PATTERN)
+  const place = (lineMatch?.[1] || inlineMatch?.[1] || '').trim().replace(/[.;]+$/, '')
+
+  if (!workplace && !place) return null
+  return { text: place.slice(0, 100) || null, workplace }
+}
+
+// The job title wins over the body; years of experience are the last resort
+function parseSeniority(jobTitle, text, experience) {
+  const fromTitle = [...SENIORITY_LEVELS].reverse().find(level => level.pattern.test(jobTitle))
+  if (fromTitle) return { level: fromTitle.id, label: fromTitle.label, source: 'title' }
+
+  const firstLines = text.split('\n').slice(0, 5).join('\n')
+  const fromText = [...SENIORITY_LEVELS].reverse().find(level => level.pattern.test(firstLines))
+  if (fromText) return { level: fromText.id, label: fromText.label, source: 'text' }
+
+  if (experience) {
+    const id = experience.minYears < 2 ? 'junior' : experience.minYears < 5 ? 'mid' : experience.minYears < 8 ? 'senior' : 'lead'
+    const level = SENIORITY_LEVELS.find(entry => entry.id === id)
+    return { level: level.id, label: level.label, source: 'experience' }
+  }
+
+  return null
+}
+
+/**
+ * Parses job description text into structured requirements.
+ * @param {string} text - Pasted job description.
+ * @param {object} [options]
+ * @param {string} [options.jobTitle] - Used first when inferring seniority.
+ * @returns {{ version: number, requiredSkills: Array<{name: string, category: string}>, preferredSkills: Array<{name: string, category: string}>, experience: ?{minYears: number, maxYears: ?number}, education: ?object, location: ?{text: ?string, workplace: ?string}, seniority: ?{level: string, label: string, source: string} }}
+ */
+export function parseJobDescription(text = '', { jobTitle = '' } = {}) {
+  const normalized = text.replace(/\r\n?/g, '\n')
+  const lines = splitSections(normalized)
+  const experience = parseExperience(lines)
+
+  return {
+    version: JD_PARSER_VERSION,
+    ...parseSkills(lines),
+    experience,
+    education: parseEducation(lines),
+    location: parseLocation(lines, normalized),
+    seniority: parseSeniority(jobTitle, normalized, experience)
+  }
+}
+
+// Every skill of a parsed job description, required first
+export function getJobSkills(parsedJobDescription) {
+  if (!parsedJobDescription) return []
+  return [
+    ...(parsedJobDescription.requiredSkills || []).map(skill => ({ ...skill, required: true })),
+    ...(parsedJobDescription.preferredSkills || []).map(skill => ({ ...skill, required: false }))
+  ]
+}
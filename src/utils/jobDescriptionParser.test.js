@@ -0,0 +1,102 @@
+import { parseJobDescription, getJobSkills, JD_PARSER_VERSION } from './jobDescriptionParser'
+
+const names = (skills) => skills.map(skill => skill.name)
+
+const JOB_DESCRIPTION = `Senior Frontend Engineer
+Location: Berlin, Germany (hybrid)
+
+Responsibilities
+- Build product features with React and TypeScript
+
+Requirements
+- 5+ years of professional experience
+- Strong SQL skills
+- Bachelor's degree in Computer Science or equivalent experience
+
+Nice to have
+- Experience with Docker and k8s
+- 2+ years of GraphQL`
+
+describe('parseJobDescription', () => {
+  const parsed = parseJobDescription(JOB_DESCRIPTION)
+
+  test('splits skills into required and preferred by section', () => {
+    expect(parsed.version).toBe(JD_PARSER_VERSION)
+    expect(names(parsed.requiredSkills)).toEqual(expect.arrayContaining(['React', 'TypeScript', 'SQL']))
+    expect(names(parsed.preferredSkills)).toEqual(expect.arrayContaining(['Docker', 'Kubernetes', 'GraphQL']))
+  })
+
+  test('reads experience, education, location and seniority', () => {
+    expect(parsed.experience).toEqual({ minYears: 5, maxYears: null })
+    expect(parsed.education).toEqual({
+      level: 'bachelor',
+      label: "Bachelor's degree",
+      field: 'Computer Science',
+      equivalentExperience: true,
+      required: true
+    })
+    expect(parsed.location).toEqual({ text: 'Berlin, Germany (hybrid)', workplace: 'hybrid' })
+    expect(parsed.seniority).toMatchObject({ level: 'senior', source: 'text' })
+  })
+
+  test('treats optional wording inside requirements as preferred', () => {
+    const result = parseJobDescription('Requirements\n- Python\n- Docker is a plus')
+
+    expect(names(result.requiredSkills)).toEqual(['Python'])
+    expect(names(result.preferredSkills)).toEqual(['Docker'])
+  })
+
+  test('keeps a skill required when it is also listed as preferred', () => {
+    const result = parseJobDescription('Requirements\n- Python\nPreferred\n- Python and Docker')
+
+    expect(names(result.requiredSkills)).toEqual(['Python'])
+    expect(names(result.preferredSkills)).toEqual(['Docker'])
+  })
+
+  test('does not read skills from heading lines', () => {
+    expect(parseJobDescription('Must have reactjs').requiredSkills).toEqual([])
+    expect(names(parseJobDescription('Shipped apps in reactjs').requiredSkills)).toEqual(['React'])
+  })
+
+  test('uses the highest stated minimum of experience', () => {
+    expect(parseJobDescription('3+ years of React, 6+ years overall').experience).toEqual({ minYears: 6, maxYears: null })
+    expect(parseJobDescription('3-5 years of experience').experience).toEqual({ minYears: 3, maxYears: 5 })
+    expect(parseJobDescription('at least five years of experience').experience).toEqual({ minYears: 5, maxYears: null })
+    expect(parseJobDescription('0-2 years of experience').experience).toEqual({ minYears: 0, maxYears: 2 })
+  })
+
+  test('ignores experience that is only preferred', () => {
+    expect(parseJobDescription('10+ years preferred').experience).toBeNull()
+  })
+
+  test('takes the lowest degree mentioned as the minimum', () => {
+    expect(parseJobDescription("Bachelor's or Master's degree").education.level).toBe('bachelor')
+    expect(parseJobDescription('An MBA is a plus').education).toMatchObject({ level: 'master', required: false })
+    expect(parseJobDescription('No degree mentioned').education).toBeNull()
+  })
+
+  test('reads the workplace and inline locations', () => {
+    expect(parseJobDescription('This is a fully remote role').location).toEqual({ text: null, workplace: 'remote' })
+    expect(parseJobDescription('The role is based in Austin, Texas.').location).toEqual({ text: 'Austin, Texas', workplace: null })
+    expect(parseJobDescription('Nothing about place').location).toBeNull()
+  })
+
+  test('infers seniority from the title first, then the text, then the years', () => {
+    expect(parseJobDescription('Junior friendly team', { jobTitle: 'Staff Engineer' }).seniority).toMatchObject({ level: 'lead', source: 'title' })
+    expect(parseJobDescription('Team\n\n\n\n\n\n3+ years of Python', { jobTitle: 'Engineer' }).seniority)
+      .toMatchObject({ level: 'mid', source: 'experience' })
+    expect(parseJobDescription('Python', { jobTitle: 'Engineer' }).seniority).toBeNull()
+  })
+})
+
+describe('getJobSkills', () => {
+  test('lists required skills before preferred ones', () => {
+    const parsed = { requiredSkills: [{ name: 'SQL' }], preferredSkills: [{ name: 'Docker' }] }
+
+    expect(getJobSkills(parsed)).toEqual([{ name: 'SQL', required: true }, { name: 'Docker', required: false }])
+  })
+
+  test('returns nothing without a parsed description', () => {
+    expect(getJobSkills(null)).toEqual([])
+  })
+})
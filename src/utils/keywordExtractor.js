@@ -0,0 +1,56 @@
+// =====================================================
+// KEYWORD EXTRACTION UTILITIES
+// =====================================================
+
+const STOP_WORDS = new Set([
+  'about', 'across', 'after', 'also', 'and', 'areas', 'been', 'being', 'both', 'candidate',
+  'company', 'including', 'from', 'have', 'into', 'like', 'more', 'must', 'other', 'our',
+  'plus', 'role', 'such', 'team', 'teams', 'that', 'their', 'them', 'they', 'this', 'well',
+  'what', 'when', 'where', 'which', 'while', 'will', 'with', 'within', 'work', 'working',
+  'years', 'your', 'you', 'the', 'for', 'are', 'who', 'all', 'any', 'can', 'new', 'using',
+  'able', 'ability', 'strong', 'good', 'excellent', 'experience', 'knowledge', 'understanding',
+  'responsibilities', 'requirements', 'key', 'related', 'field', 'etc', 'highly', 'part'
+])
+
+// Escape a keyword for use inside a RegExp
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+// Count how often each meaningful word appears in the text
+export function countKeywords(text = '') {
+  const counts = new Map()
+  const words = text.toLowerCase().match(/[a-z][a-z0-9+#.]{1,}/g) || []
+
+  words.forEach(word => {
+    const token = word.replace(/\.+$/, '')
+    if (token.length < 3 || STOP_WORDS.has(token)) return
+    counts.set(token, (counts.get(token) || 0) + 1)
+  })
+
+  return counts
+}
+
+// Most frequent meaningful words of the text, in a stable order
+export function extractKeywords(text = '', limit = 20) {
+  return [...countKeywords(text).entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, limit)
+    .map(([word]) => word)
+}
+
+// Check whether a keyword (single word or phrase) appears as a whole term in the text
+export function containsKeyword(text = '', keyword = '') {
+  const term = keyword.trim().toLowerCase()
+  if (!term) return false
+  const pattern = new RegExp(`(^|[^a-z0-9+#])${escapeRegExp(term).replace(/\s+/g, '\\s+')}($|[^a-z0-9+#])`, 'i')
+  return pattern.test(text)
+}
+
+// Number of whole-term occurrences of a keyword in the text
+export function countKeywordOccurrences(text = '', keyword = '') {
+  const term = keyword.trim().toLowerCase()
+  if (!term) return 0
+  const pattern = new RegExp(`(^|[^a-z0-9+#])${escapeRegExp(term).replace(/\s+/g, '\\s+')}(?=$|[^a-z0-9+#])`, 'gi')
+  return (text.match(pattern) || []).length
+}
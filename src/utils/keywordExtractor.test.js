@@ -0,0 +1,57 @@
+import { countKeywords, extractKeywords, containsKeyword, countKeywordOccurrences } from './keywordExtractor'
+
+describe('countKeywords', () => {
+  test('counts words case-insensitively and skips stop words', () => {
+    expect(Object.fromEntries(countKeywords('React react REACT with the team'))).toEqual({ react: 3 })
+  })
+
+  test('keeps symbols that belong to technology names', () => {
+    expect(Object.fromEntries(countKeywords('C++ and Node.js.'))).toEqual({ 'c++': 1, 'node.js': 1 })
+  })
+
+  test('ignores words shorter than three characters', () => {
+    expect(countKeywords('go to ml in C#').size).toBe(0)
+  })
+})
+
+describe('extractKeywords', () => {
+  test('orders by frequency, then alphabetically', () => {
+    expect(extractKeywords('zeta alpha python zeta alpha python python beta')).toEqual(['python', 'alpha', 'zeta', 'beta'])
+  })
+
+  test('stops at the limit', () => {
+    expect(extractKeywords('python sql python docker sql python', 2)).toEqual(['python', 'sql'])
+  })
+})
+
+describe('containsKeyword', () => {
+  test('matches whole terms only', () => {
+    expect(containsKeyword('Experienced in React and Redux', 'react')).toBe(true)
+    expect(containsKeyword('Experienced in Reactive programming', 'react')).toBe(false)
+  })
+
+  test('matches phrases across line breaks and extra spaces', () => {
+    expect(containsKeyword('Led machine\n  learning projects', 'Machine Learning')).toBe(true)
+  })
+
+  test('treats + and # as part of the term', () => {
+    expect(containsKeyword('Wrote C++ services', 'c++')).toBe(true)
+    expect(containsKeyword('Wrote C services', 'c++')).toBe(false)
+  })
+
+  test('never matches a blank keyword', () => {
+    expect(containsKeyword('Anything', '   ')).toBe(false)
+  })
+})
+
+describe('countKeywordOccurrences', () => {
+  test('counts every whole-term occurrence', () => {
+    expect(countKeywordOccurrences('SQL, sql and more SQL', 'sql')).toBe(3)
+    expect(countKeywordOccurrences('SQLite is not SQL', 'sql')).toBe(1)
+    expect(countKeywordOccurrences('data science; Data  Science', 'data science')).toBe(2)
+  })
+
+  test('returns 0 for a blank keyword', () => {
+    expect(countKeywordOccurrences('nothing here', '')).toBe(0)
+  })
+})
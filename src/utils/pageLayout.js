@@ -0,0 +1,213 @@
+// =====================================================
+// PAGE LAYOUT
+// =====================================================
+//
+// Reading order for the text items pdf.js returns for a page: items are
+// grouped into lines and paragraph blocks, and two-column pages are detected
+// by a vertical gutter that (almost) no text crosses. Kept free of pdf.js so
+// the heuristics can be tested with plain item lists.
+
+// Gap (in PDF points) that must stay free of text for a column gutter
+const MIN_GUTTER_WIDTH = 12
+// Share of items allowed to cross a gutter (full-width headers, rules)
+const MAX_GUTTER_CROSSING = 0.15
+
+// Normalize pdf.js text items to top-left based boxes
+function toPositionedItems(items, pageHeight) {
+  return items
+    .filter(item => typeof item === 'object' && item.str && item.str.trim())
+    .map(item => {
+      const [, , c, d, e, f] = item.transform
+      const fontSize = Math.hypot(c, d) || item.height || 10
+      const height = item.height || fontSize
+      return {
+        text: item.str,
+        x: e,
+        top: pageHeight - f - height,
+        width: item.width || item.str.length * fontSize * 0.5,
+        height,
+        fontSize,
+        hasEOL: !!item.hasEOL
+      }
+    })
+}
+
+// Find the x position of a vertical gutter splitting the page into two columns
+function findColumnGutter(items, pageWidth) {
+  if (items.length < 10) return null
+
+  let best = null
+  let run = null
+  for (let x = pageWidth * 0.25; x <= pageWidth * 0.75; x += 2) {
+    const crossing = items.filter(item => item.x < x && item.x + item.width > x).length
+    const left = items.filter(item => item.x + item.width <= x).length
+    const right = items.filter(item => item.x >= x).length
+    const isGap = crossing <= items.length * MAX_GUTTER_CROSSING &&
+      left >= items.length * 0.15 &&
+      right >= items.length * 0.15
+
+    if (isGap) {
+      run = run ? { ...run, end: x, crossing: Math.max(run.crossing, crossing) } : { start: x, end: x, crossing }
+      if (!best || run.end - run.start > best.end - best.start) best = run
+    } else {
+      run = null
+    }
+  }
+
+  if (!best || best.end - best.start < MIN_GUTTER_WIDTH) return null
+  return (best.start + best.end) / 2
+}
+
+// Group items of one region into lines, left to right
+function buildLines(items) {
+  const sorted = [...items].sort((a, b) => a.top - b.top || a.x - b.x)
+  const lines = []
+
+  sorted.forEach(item => {
+    const center = item.top + item.height / 2
+    const line = lines.find(candidate =>
+      Math.abs(candidate.center - center) <= Math.max(candidate.fontSize, item.fontSize) * 0.5
+    )
+    if (line) {
+      line.items.push(item)
+    } else {
+      lines.push({ center, fontSize: item.fontSize, items: [item] })
+    }
+  })
+
+  return lines
+    .map(line => {
+      const parts = [...line.items].sort((a, b) => a.x - b.x)
+      let text = ''
+      parts.forEach((part, index) => {
+        const previous = parts[index - 1]
+        const gap = previous ? part.x - (previous.x + previous.width) : 0
+        const needsSpace = previous && gap > part.fontSize * 0.15 && !/\s$/.test(text) && !/^\s/.test(part.text)
+        text += (needsSpace ? ' ' : '') + part.text
+      })
+
+      const x = Math.min(...parts.map(part => part.x))
+      const top = Math.min(...parts.map(part => part.top))
+      const right = Math.max(...parts.map(part => part.x + part.width))
+      const bottom = Math.max(...parts.map(part => part.top + part.height))
+      return {
+        text: text.replace(/\s+/g, ' ').trim(),
+        fontSize: Math.max(...parts.map(part => part.fontSize)),
+        bbox: { x, y: top, width: right - x, height: bottom - top }
+      }
+    })
+    .filter(line => line.text)
+    .sort((a, b) => a.bbox.y - b.bbox.y)
+}
+
+// Merge consecutive lines into paragraph blocks
+function buildBlocks(lines, pageNumber, column) {
+  const blocks = []
+
+  lines.forEach(line => {
+    const current = blocks[blocks.length - 1]
+    const previousLine = current?.lines[current.lines.length - 1]
+    const gap = previousLine ? line.bbox.y - (previousLine.bbox.y + previousLine.bbox.height) : Infinity
+    const sameBlock = previousLine &&
+      gap <= Math.max(previousLine.bbox.height, line.bbox.height) * 0.8 &&
+      Math.abs(previousLine.fontSize - line.fontSize) < 1.5
+
+    if (sameBlock) {
+      current.lines.push(line)
+    } else {
+      blocks.push({ page: pageNumber, column, lines: [line] })
+    }
+  })
+
+  return blocks.map(block => {
+    const x = Math.min(...block.lines.map(line => line.bbox.x))
+    const y = Math.min(...block.lines.map(line => line.bbox.y))
+    const right = Math.max(...block.lines.map(line => line.bbox.x + line.bbox.width))
+    const bottom = Math.max(...block.lines.map(line => line.bbox.y + line.bbox.height))
+    return {
+      ...block,
+      text: block.lines.map(line => line.text).join('\n'),
+      bbox: { x, y, width: right - x, height: bottom - y }
+    }
+  })
+}
+
+// Full-width items grouped into rows, top to bottom
+function groupRows(items) {
+  const rows = []
+  ;[...items].sort((a, b) => a.top - b.top).forEach(item => {
+    const row = rows[rows.length - 1]
+    if (row && item.top - row.top <= Math.max(row.fontSize, item.fontSize) * 0.5) {
+      row.items.push(item)
+    } else {
+      rows.push({ top: item.top, fontSize: item.fontSize, items: [item] })
+    }
+  })
+  return rows
+}
+
+/**
+ * Rebuilds the reading order of one page. On a two-column page every
+ * full-width row (a name header, a section heading above a two-column block,
+ * a footer) starts a new horizontal band; within each band the left column is
+ * read before the right one, so a heading stays with the section below it.
+ * @param {Array<object>} items - pdf.js text items of the page.
+ * @param {number} pageWidth - In PDF points.
+ * @param {number} pageHeight - In PDF points.
+ * @param {number} pageNumber - 1-based.
+ * @returns {{pageNumber: number, width: number, height: number, columns: number, gutter?: number, blocks: Array<object>}}
+ */
+export function buildPageLayout(items, pageWidth, pageHeight, pageNumber) {
+  const positioned = toPositionedItems(items, pageHeight)
+  const gutter = findColumnGutter(positioned, pageWidth)
+
+  if (gutter === null) {
+    return {
+      pageNumber,
+      width: pageWidth,
+      height: pageHeight,
+      columns: 1,
+      blocks: buildBlocks(buildLines(positioned), pageNumber, 0)
+    }
+  }
+
+  const rows = groupRows(positioned.filter(item => item.x < gutter && item.x + item.width > gutter))
+  const bands = Array.from({ length: rows.length + 1 }, () => ({ left: [], right: [] }))
+  positioned
+    .filter(item => item.x + item.width <= gutter || item.x >= gutter)
+    .forEach(item => {
+      const nextRow = rows.findIndex(row => row.top > item.top)
+      const band = bands[nextRow === -1 ? rows.length : nextRow]
+      band[item.x + item.width <= gutter ? 'left' : 'right'].push(item)
+    })
+
+  // Full-width rows with no column text between them are read as one region
+  const blocks = []
+  let spanning = []
+  const flushSpanning = () => {
+    if (spanning.length === 0) return
+    blocks.push(...buildBlocks(buildLines(spanning), pageNumber, 0))
+    spanning = []
+  }
+
+  bands.forEach((band, index) => {
+    if (band.left.length > 0 || band.right.length > 0) {
+      flushSpanning()
+      blocks.push(
+        ...buildBlocks(buildLines(band.left), pageNumber, 1),
+        ...buildBlocks(buildLines(band.right), pageNumber, 2)
+      )
+    }
+    if (rows[index]) spanning.push(...rows[index].items)
+  })
+  flushSpanning()
+
+  return {
+    pageNumber,
+    width: pageWidth,
+    height: pageHeight,
+    columns: 2,
+    gutter,
+    blocks
+  }
+}
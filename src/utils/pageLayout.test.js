@@ -0,0 +1,78 @@
+import { buildPageLayout } from './pageLayout'
+
+const PAGE_WIDTH = 612
+const PAGE_HEIGHT = 792
+
+// pdf.js text item; y is the baseline from the bottom of the page, like pdf.js reports it
+const item = (str, x, y, width, fontSize = 10) => ({
+  str,
+  transform: [fontSize, 0, 0, fontSize, x, y],
+  width,
+  height: fontSize,
+  hasEOL: false
+})
+
+// Five lines per column, 14pt apart, starting at baseline y
+const columnBlock = (prefix, y) => [
+  ...[0, 1, 2, 3, 4].map(line => item(`${prefix} left ${line + 1}`, 50, y - line * 14, 200)),
+  ...[0, 1, 2, 3, 4].map(line => item(`${prefix} right ${line + 1}`, 330, y - line * 14, 200))
+]
+
+const readingOrder = (items) =>
+  buildPageLayout(items, PAGE_WIDTH, PAGE_HEIGHT, 1).blocks.map(block => block.text.split('\n')[0])
+
+describe('buildPageLayout', () => {
+  test('reads a single-column page top to bottom', () => {
+    const items = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10].map(line => item(`Line ${line + 1}`, 50, 740 - line * 14, 500))
+    const layout = buildPageLayout(items, PAGE_WIDTH, PAGE_HEIGHT, 1)
+
+    expect(layout.columns).toBe(1)
+    expect(layout.blocks).toHaveLength(1)
+    expect(layout.blocks[0].text.split('\n')).toEqual(items.map(entry => entry.str))
+  })
+
+  test.each([
+    {
+      name: 'header above the columns',
+      items: [item('JANE DOE', 200, 760, 212, 18), ...columnBlock('Top', 700), ...columnBlock('Bottom', 560)],
+      expected: ['JANE DOE', 'Top left 1', 'Bottom left 1', 'Top right 1', 'Bottom right 1']
+    },
+    {
+      name: 'full-width heading between two-column sections',
+      items: [
+        item('JANE DOE', 200, 760, 212, 18),
+        ...columnBlock('Summary', 700),
+        item('EXPERIENCE', 50, 600, 500, 14),
+        ...columnBlock('Experience', 560)
+      ],
+      expected: [
+        'JANE DOE',
+        'Summary left 1',
+        'Summary right 1',
+        'EXPERIENCE',
+        'Experience left 1',
+        'Experience right 1'
+      ]
+    },
+    {
+      name: 'footer below the columns',
+      items: [...columnBlock('Body', 700), ...columnBlock('More', 600), item('References available on request', 150, 60, 312)],
+      expected: ['Body left 1', 'More left 1', 'Body right 1', 'More right 1', 'References available on request']
+    }
+  ])('keeps the $name in reading order', ({ items, expected }) => {
+    const layout = buildPageLayout(items, PAGE_WIDTH, PAGE_HEIGHT, 1)
+
+    expect(layout.columns).toBe(2)
+    expect(layout.gutter).toBeGreaterThan(250)
+    expect(layout.gutter).toBeLessThan(330)
+    expect(readingOrder(items).filter(text => expected.includes(text))).toEqual(expected)
+  })
+
+  test('tags column blocks with their column', () => {
+    const items = [item('EXPERIENCE', 50, 760, 500, 14), ...columnBlock('Body', 700)]
+    const columns = buildPageLayout(items, PAGE_WIDTH, PAGE_HEIGHT, 1).blocks.map(block => block.column)
+
+    expect(columns[0]).toBe(0)
+    expect(columns.slice(1)).toEqual(expect.arrayContaining([1, 2]))
+  })
+})
@@ -0,0 +1,95 @@
+// =====================================================
+// PARTIAL JSON PARSING
+// =====================================================
+//
+// Parses the prefix of a JSON document that is still streaming in. The text is
+// cut back to the last complete value and the open objects and arrays are
+// closed, so `{"a": 1, "b": [{"tip": "x"}, {"ti` reads as
+// `{"a": 1, "b": [{"tip": "x"}, {}]}`. Half-written strings, numbers and
+// dangling keys are dropped rather than guessed at.
+
+const LITERAL_CHAR = /[-+.0-9a-zA-Z]/
+
+// Index just past the closing quote of the string starting at `start`, or -1 if it is unterminated
+function scanString(text, start) {
+  for (let i = start + 1; i < text.length; i++) {
+    if (text[i] === '\\') i++
+    else if (text[i] === '"') return i + 1
+  }
+  return -1
+}
+
+const closersFor = (stack) => stack.map(frame => (frame.type === 'object' ? '}' : ']')).reverse().join('')
+
+/**
+ * Parses an incomplete JSON object, ignoring any prose or code fence before it.
+ * @param {string} text - Everything received so far.
+ * @returns {object|null} The complete part of the object, or null before the first `{`.
+ */
+export function parsePartialJSON(text) {
+  const start = typeof text === 'string' ? text.indexOf('{') : -1
+  if (start === -1) return null
+
+  const stack = []
+  let safeEnd = start
+  let safeClosers = ''
+  const markSafe = (end) => {
+    safeEnd = end
+    safeClosers = closersFor(stack)
+  }
+
+  let i = start
+  scan: while (i < text.length) {
+    const char = text[i]
+    const frame = stack[stack.length - 1]
+
+    switch (char) {
+      case '{':
+      case '[':
+        stack.push({ type: char === '{' ? 'object' : 'array', expectsKey: char === '{' })
+        markSafe(i + 1)
+        i++
+        break
+      case '}':
+      case ']':
+        stack.pop()
+        markSafe(i + 1)
+        i++
+        if (stack.length === 0) break scan
+        break
+      case ',':
+        if (frame?.type === 'object') frame.expectsKey = true
+        i++
+        break
+      case '"': {
+        const end = scanString(text, i)
+        if (end === -1) break scan
+        if (frame?.type === 'object' && frame.expectsKey) {
+          frame.expectsKey = false
+        } else {
+          markSafe(end)
+        }
+        i = end
+        break
+      }
+      default: {
+        if (!LITERAL_CHAR.test(char)) {
+          i++
+          break
+        }
+        let end = i
+        while (end < text.length && LITERAL_CHAR.test(text[end])) end++
+        // A number or literal touching the end of the text may still be growing
+        if (end === text.length) break scan
+        markSafe(end)
+        i = end
+      }
+    }
+  }
+
+  try {
+    return JSON.parse(text.slice(start, safeEnd) + safeClosers)
+  } catch {
+    return null
+  }
+}
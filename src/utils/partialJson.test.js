@@ -0,0 +1,38 @@
+import { parsePartialJSON } from './partialJson'
+
+describe('parsePartialJSON', () => {
+  test('returns null until the object starts', () => {
+    expect(parsePartialJSON('')).toBeNull()
+    expect(parsePartialJSON('Here is')).toBeNull()
+    expect(parsePartialJSON(undefined)).toBeNull()
+  })
+
+  test('parses a complete object and ignores what follows it', () => {
+    expect(parsePartialJSON('{"a": 1, "b": "x"}\n```')).toEqual({ a: 1, b: 'x' })
+  })
+
+  test('skips a code fence before the object', () => {
+    expect(parsePartialJSON('```json\n{"a": [1, 2')).toEqual({ a: [1] })
+  })
+
+  test('closes open objects and arrays', () => {
+    expect(parsePartialJSON('{"a": 1, "b": [{"tip": "x"}, {"ti')).toEqual({ a: 1, b: [{ tip: 'x' }, {}] })
+    expect(parsePartialJSON('{"c": {"d": {"e": true}, "f')).toEqual({ c: { d: { e: true } } })
+  })
+
+  test('drops keys whose value has not arrived', () => {
+    expect(parsePartialJSON('{"a": 1, "b')).toEqual({ a: 1 })
+    expect(parsePartialJSON('{"a": 1, "b": ')).toEqual({ a: 1 })
+  })
+
+  test('drops half-written strings', () => {
+    expect(parsePartialJSON('{"a": "done", "b": "hal')).toEqual({ a: 'done' })
+    expect(parsePartialJSON('{"a": "say \\"hi\\"", "b": "x\\"')).toEqual({ a: 'say "hi"' })
+  })
+
+  test('waits for numbers and literals at the end of the text', () => {
+    expect(parsePartialJSON('{"a": 1, "b": 8')).toEqual({ a: 1 })
+    expect(parsePartialJSON('{"a": tru')).toEqual({})
+    expect(parsePartialJSON('{"a": 1, "b": 85,')).toEqual({ a: 1, b: 85 })
+  })
+})
@@ -1,47 +1,101 @@
 import * as pdfjsLib from 'pdfjs-dist'
+import { createError } from './utils'
+import { buildPageLayout } from './pageLayout'
 
-// Set up PDF.js worker
+// Set up PDF.js worker. scripts/copy-pdf-worker.js copies it into public/ before
+// start and build, so it is served with the app: uploads work offline, behind
+// CDN-blocking proxies and under a same-origin CSP. Set REACT_APP_PDF_WORKER_SRC
+// to serve it from elsewhere; `{version}` in that value is replaced with the
+// pdf.js version so the two stay in step.
 const pdfjsVersion = pdfjsLib.version
+const CONFIGURED_WORKER_SRC = process.env.REACT_APP_PDF_WORKER_SRC || ''
+
+export const PDF_WORKER_SRC = CONFIGURED_WORKER_SRC
+  ? CONFIGURED_WORKER_SRC.replace(/\{version\}/g, pdfjsVersion)
+  : `${process.env.PUBLIC_URL || ''}/pdf.worker.min.js`
+
 if (typeof window !== 'undefined') {
-  pdfjsLib.GlobalWorkerOptions.workerSrc = `https://cdnjs.cloudflare.com/ajax/libs/pdf.js/${pdfjsVersion}/pdf.worker.min.js`
+  pdfjsLib.GlobalWorkerOptions.workerSrc = PDF_WORKER_SRC
 }
 
-// Extract text content from PDF file
-export async function extractTextFromPDF(file) {
+// pdf.js compares its own version with the worker's during the handshake
+const WORKER_VERSION_MISMATCH = /API version "([^"]+)" does not match the Worker version "([^"]+)"/
+const WORKER_LOAD_FAILURE = /fake worker failed|worker was terminated|Failed to fetch dynamically imported module|importScripts|Cannot load script|NetworkError|Content Security Policy/i
+
+// Turn worker setup failures into coded errors; other errors pass through
+function toWorkerError(error) {
+  const message = error?.message || ''
+
+  const mismatch = message.match(WORKER_VERSION_MISMATCH)
+  if (mismatch) {
+    return createError(
+      `PDF worker version ${mismatch[2]} does not match pdf.js ${mismatch[1]}. Check REACT_APP_PDF_WORKER_SRC.`,
+      'PDF_WORKER_VERSION_MISMATCH',
+      { apiVersion: mismatch[1], workerVersion: mismatch[2], workerSrc: PDF_WORKER_SRC, originalError: error }
+    )
+  }
+
+  if (WORKER_LOAD_FAILURE.test(message)) {
+    return createError(
+      `PDF worker could not be loaded from ${PDF_WORKER_SRC}`,
+      'PDF_WORKER_LOAD_FAILED',
+      { workerSrc: PDF_WORKER_SRC, originalError: error }
+    )
+  }
+
+  return error
+}
+
+// Open a PDF, reporting worker problems with PDF_WORKER_* error codes
+async function loadPdfDocument(file) {
+  const arrayBuffer = await file.arrayBuffer()
   try {
-    const arrayBuffer = await file.arrayBuffer()
-    const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise
-    
-    let fullText = ''
-    
-    // Extract text from all pages
+    return await pdfjsLib.getDocument({ data: arrayBuffer }).promise
+  } catch (error) {
+    throw toWorkerError(error)
+  }
+}
+
+const isWorkerError = (error) => error?.code?.startsWith('PDF_WORKER_')
+
+// Extract positioned, reading-ordered text blocks from a PDF file.
+// Boxes are in PDF points with the origin at the top-left corner of the page.
+export async function extractLayoutFromPDF(file) {
+  try {
+    const pdf = await loadPdfDocument(file)
+
+    const pages = []
     for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
       const page = await pdf.getPage(pageNum)
+      const viewport = page.getViewport({ scale: 1 })
       const textContent = await page.getTextContent()
-      
-      // Combine all text items from the page
-      const pageText = textContent.items
-        .map(item => {
-          // Handle both string and object text items
-          return typeof item === 'string' ? item : item.str || ''
-        })
-        .join(' ')
-      
-      fullText += pageText + '\n'
+      pages.push(buildPageLayout(textContent.items, viewport.width, viewport.height, pageNum))
     }
-    
-    return fullText.trim()
+
+    const text = pages
+      .map(page => page.blocks.map(block => block.text).join('\n\n'))
+      .join('\n\n')
+      .trim()
+
+    return { numPages: pdf.numPages, pages, text }
   } catch (error) {
-    console.error('Error extracting PDF text:', error)
+    console.error('Error extracting PDF layout:', error)
+    if (isWorkerError(error)) throw error
     throw new Error('Failed to extract text from PDF')
   }
 }
 
+// Extract text content from PDF file in reading order (columns, lines and paragraphs preserved).
+// Rejects with PDF_WORKER_LOAD_FAILED / PDF_WORKER_VERSION_MISMATCH when pdf.js cannot start.
+export async function extractTextFromPDF(file) {
+  const layout = await extractLayoutFromPDF(file)
+  return layout.text
+}
+
 // Convert PDF first page to image for preview
 export async function convertPdfToImage(file) {
   try {
-    const arrayBuffer = await file.arrayBuffer()
-    const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise
+    const pdf = await loadPdfDocument(file)
     const page = await pdf.getPage(1) // Get first page
     
     // Set scale for good quality
@@ -78,6 +132,7 @@ export async function convertPdfToImage(file) {
     })
   } catch (error) {
     console.error('Error converting PDF to image:', error)
+    if (isWorkerError(error)) throw error
     throw new Error('Failed to convert PDF to image')
   }
 }
@@ -111,8 +166,7 @@ export function validatePDF(file) {
 // Get PDF metadata
 export async function getPDFMetadata(file) {
   try {
-    const arrayBuffer = await file.arrayBuffer()
-    const pdf = await pdfjsLib.getDocument({ data: arrayBuffer }).promise
+    const pdf = await loadPdfDocument(file)
     
     const metadata = await pdf.getMetadata()
     
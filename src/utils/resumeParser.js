@@ -0,0 +1,330 @@
+// =====================================================
+// RESUME SECTION PARSER
+// =====================================================
+//
+// Splits extracted resume text into the structured fields an ATS would
+// populate. Accepts a layout from extractLayoutFromPDF or
+// extractResumeLayout (PDF layouts keep page and bounding box for every entry),
+// or plain text.
+
+export const RESUME_PARSER_VERSION = 1
+
+const SECTION_PATTERNS = {
+  summary: /^(professional |career |executive )?(summary|profile|objective|about( me)?)$/i,
+  experience: /^((work|professional|relevant) )?(experience|employment( history)?|work history|career history)$/i,
+  education: /^(education|academic (background|qualifications)|qualifications)$/i,
+  skills: /^((technical|core|key) )?(skills|competencies|technologies|tech stack|skills (&|and) (tools|technologies))$/i,
+  projects: /^((personal|academic|key|selected) )?projects$/i,
+  certifications: /^(certifications?|licen[cs]es( (&|and) certifications)?|courses( (&|and) certifications)?)$/i
+}
+
+const BULLET_PATTERN = /^\s*([•●▪◦‣∙·*\-–—>]|\d+[.)])\s+/
+
+const MONTH = '(jan(uary)?|feb(ruary)?|mar(ch)?|apr(il)?|may|jun(e)?|jul(y)?|aug(ust)?|sep(t(ember)?)?|oct(ober)?|nov(ember)?|dec(ember)?)\\.?'
+const DATE = `(${MONTH}\\s+\\d{4}|\\d{1,2}\\s*/\\s*\\d{4}|\\d{4}-\\d{2}|\\d{4})`
+const DATE_RANGE_PATTERN = new RegExp(`${DATE}\\s*(-|–|—|to)\\s*(${DATE}|present|current|now|ongoing)`, 'i')
+const SINGLE_DATE_PATTERN = new RegExp(`(${MONTH}\\s+\\d{4}|\\b(19|20)\\d{2}\\b)`, 'i')
+
+const TITLE_WORDS = /\b(engineer|developer|manager|intern|analyst|designer|lead|consultant|scientist|specialist|associate|director|architect|administrator|coordinator|officer|assistant|head|founder|programmer|researcher|technician|tester|owner|executive|representative|trainee|fellow)\b/i
+const INSTITUTION_WORDS = /\b(university|college|institute|school|academy|polytechnic|iit|nit)\b/i
+const DEGREE_WORDS = /\b(bachelor|master|b\.?\s?(s|a|e|sc|tech|com)\b|m\.?\s?(s|a|e|sc|tech|ba)\b|ph\.?d|mba|diploma|associate|high school|secondary|hsc|ssc|cbse)/i
+
+const EMAIL_PATTERN = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/i
+const PHONE_PATTERN = /(\+?\d{1,3}[\s.-]?)?(\(\d{2,4}\)[\s.-]?)?\d{3,5}[\s.-]?\d{3,4}[\s.-]?\d{0,4}/
+const LINK_PATTERN = /\b((https?:\/\/)?(www\.)?(linkedin\.com|github\.com|gitlab\.com|behance\.net|dribbble\.com)\/[^\s|,]+|https?:\/\/[^\s|,]+)/gi
+const LINK_TEST_PATTERN = new RegExp(LINK_PATTERN.source, 'i')
+
+// Flatten the layout (or plain text) into lines that remember where they came from
+function toLines(input) {
+  // Layouts of non-PDF documents carry text only
+  if (typeof input === 'object' && input && !input.pages?.length) {
+    return toLines(input.text || '')
+  }
+
+  if (typeof input === 'string') {
+    return input
+      .split('\n')
+      .map(text => text.trim())
+      .filter(Boolean)
+      .map(text => ({ text, location: null }))
+  }
+
+  return (input?.pages || []).flatMap(page =>
+    page.blocks.flatMap(block =>
+      block.lines.map(line => ({
+        text: line.text.trim(),
+        fontSize: line.fontSize,
+        location: { page: page.pageNumber, bbox: line.bbox }
+      }))
+    )
+  ).filter(line => line.text)
+}
+
+function detectSection(text) {
+  const cleaned = text.replace(/[:|_]+$/g, '').replace(/\s+/g, ' ').trim()
+  if (cleaned.length > 40) return null
+  return Object.keys(SECTION_PATTERNS).find(section => SECTION_PATTERNS[section].test(cleaned)) || null
+}
+
+function stripBullet(text) {
+  return text.replace(BULLET_PATTERN, '').trim()
+}
+
+function extractDates(text) {
+  const range = text.match(DATE_RANGE_PATTERN)
+  if (range) {
+    const [start, end] = range[0].split(/\s*(?:-|–|—|\bto\b)\s*/i)
+    return { raw: range[0], start: start.trim(), end: end.trim(), rest: text.replace(range[0], '') }
+  }
+  const single = text.match(SINGLE_DATE_PATTERN)
+  if (single) {
+    return { raw: single[0], start: single[0], end: single[0], rest: text.replace(single[0], '') }
+  }
+  return null
+}
+
+function cleanSeparators(text) {
+  return text.replace(/\s*[|•,–—-]\s*$/, '').replace(/^\s*[|•,–—-]\s*/, '').replace(/\s{2,}/g, ' ').trim()
+}
+
+// "Engineer at Acme", "Engineer | Acme", "Acme — Engineer" or two header lines
+function splitTitleAndCompany(headerParts) {
+  const parts = headerParts
+    .flatMap(part => part.split(/\s+(?:at|@)\s+|\s*[|–—]\s*|\s+-\s+|,\s+/i))
+    .map(cleanSeparators)
+    .filter(Boolean)
+
+  const titleIndex = parts.findIndex(part => TITLE_WORDS.test(part))
+  if (titleIndex === -1) {
+    return { title: parts[1] || '', company: parts[0] || '', extra: parts.slice(2) }
+  }
+  const title = parts[titleIndex]
+  const others = parts.filter((_, index) => index !== titleIndex)
+  return { title, company: others[0] || '', extra: others.slice(1) }
+}
+
+// Group section lines into entries: non-bullet header lines followed by bullets
+function groupEntries(lines) {
+  const entries = []
+  let current = null
+  const startEntry = (location) => {
+    current = { header: [], bullets: [], location }
+    entries.push(current)
+  }
+
+  lines.forEach(line => {
+    const isBullet = BULLET_PATTERN.test(line.text)
+    const startsLowercase = /^[a-z]/.test(line.text)
+
+    if (isBullet) {
+      if (!current) startEntry(line.location)
+      current.bullets.push({ text: stripBullet(line.text), location: line.location })
+      return
+    }
+
+    if (current?.bullets.length && startsLowercase) {
+      const last = current.bullets[current.bullets.length - 1]
+      last.text = `${last.text} ${line.text}`
+      return
+    }
+
+    if (!current || current.bullets.length > 0 || current.header.length >= 3) {
+      startEntry(line.location)
+    }
+    current.header.push(line.text)
+  })
+
+  return entries
+}
+
+function parseExperience(lines) {
+  return groupEntries(lines).map(entry => {
+    let dates = null
+    const headerParts = entry.header.map(part => {
+      const found = extractDates(part)
+      if (found && !dates) {
+        dates = { raw: found.raw, start: found.start, end: found.end }
+        return cleanSeparators(found.rest)
+      }
+      return part
+    }).filter(Boolean)
+
+    const { title, company, extra } = splitTitleAndCompany(headerParts)
+    return {
+      title,
+      company,
+      location: extra.join(', '),
+      dates,
+      bullets: entry.bullets,
+      location_in_document: entry.location
+    }
+  })
+}
+
+function parseEducation(lines) {
+  return groupEntries(lines).map(entry => {
+    const all = [...entry.header, ...entry.bullets.map(bullet => bullet.text)]
+    const datesFound = all.map(extractDates).find(Boolean)
+    const institution = all.find(line => INSTITUTION_WORDS.test(line)) || entry.header[0] || ''
+    const degree = all.find(line => line !== institution && DEGREE_WORDS.test(line)) ||
+      (DEGREE_WORDS.test(institution) ? institution : '')
+
+    return {
+      institution: cleanSeparators(datesFound ? institution.replace(datesFound.raw, '') : institution),
+      degree: cleanSeparators(datesFound ? degree.replace(datesFound.raw, '') : degree),
+      dates: datesFound ? { raw: datesFound.raw, start: datesFound.start, end: datesFound.end } : null,
+      details: all.filter(line => line !== institution && line !== degree),
+      location_in_document: entry.location
+    }
+  })
+}
+
+function parseSkills(lines) {
+  const seen = new Set()
+  return lines
+    .map(line => stripBullet(line.text).replace(/^[^:]{1,30}:\s*/, ''))
+    .flatMap(text => text.split(/\s*[,;|•·]\s*/))
+    .map(skill => skill.trim())
+    .filter(skill => {
+      const key = skill.toLowerCase()
+      if (!skill || skill.length > 50 || seen.has(key)) return false
+      seen.add(key)
+      return true
+    })
+}
+
+function parseProjects(lines) {
+  return groupEntries(lines).map(entry => {
+    const dates = entry.header.map(extractDates).find(Boolean)
+    return {
+      name: cleanSeparators(dates ? entry.header[0].replace(dates.raw, '') : entry.header[0] || ''),
+      description: entry.header.slice(1).join(' '),
+      dates: dates ? { raw: dates.raw, start: dates.start, end: dates.end } : null,
+      bullets: entry.bullets,
+      location_in_document: entry.location
+    }
+  })
+}
+
+function parseContact(headerLines, allText) {
+  const email = allText.match(EMAIL_PATTERN)?.[0] || ''
+  const phoneMatch = allText.match(PHONE_PATTERN)?.[0] || ''
+  const phone = phoneMatch.replace(/\D/g, '').length >= 10 ? phoneMatch.trim() : ''
+  const links = [...new Set(allText.match(LINK_PATTERN) || [])]
+
+  const name = headerLines
+    .map(line => line.text)
+    .find(text =>
+      !EMAIL_PATTERN.test(text) &&
+      !LINK_TEST_PATTERN.test(text) &&
+      text.split(/\s+/).length <= 5 &&
+      /^[A-Za-z][A-Za-z.'\s-]+$/.test(text)
+    ) || ''
+
+  const location = headerLines
+    .flatMap(line => line.text.split(/\s*[|•·]\s*/))
+    .find(part => /^[A-Z][A-Za-z .]+,\s*[A-Z][A-Za-z .]+$/.test(part.trim())) || ''
+
+  return { name, email, phone, links, location: location.trim() }
+}
+
+/**
+ * Parses a resume into structured sections.
+ * @param {object|string} input - Layout from extractLayoutFromPDF, or plain text.
+ * @returns {object} Parsed resume: contact, summary, experience, education, skills,
+ *   projects, certifications and any unrecognized sections under `other`.
+ */
+export function parseResume(input) {
+  const lines = toLines(input)
+  const sections = { header: [] }
+  const other = []
+  let current = 'header'
+
+  lines.forEach(line => {
+    const section = detectSection(line.text)
+    if (section) {
+      current = section
+      sections[current] = sections[current] || []
+      return
+    }
+
+    // Short all-caps lines we do not recognize still start a new section
+    if (current !== 'header' && line.text.length <= 30 && /^[A-Z][A-Z &/]+$/.test(line.text)) {
+      current = `other:${other.length}`
+      other.push({ heading: line.text, lines: [] })
+      return
+    }
+
+    if (current.startsWith('other:')) {
+      other[Number(current.split(':')[1])].lines.push(line.text)
+    } else {
+      sections[current] = sections[current] || []
+      sections[current].push(line)
+    }
+  })
+
+  const allText = lines.map(line => line.text).join('\n')
+
+  return {
+    version: RESUME_PARSER_VERSION,
+    contact: parseContact(sections.header, allText),
+    summary: (sections.summary || []).map(line => line.text).join(' '),
+    experience: parseExperience(sections.experience || []),
+    education: parseEducation(sections.education || []),
+    skills: parseSkills(sections.skills || []),
+    projects: parseProjects(sections.projects || []),
+    certifications: (sections.certifications || []).map(line => stripBullet(line.text)).filter(Boolean),
+    other
+  }
+}
+
+/**
+ * Numbered outline of the parsed roles and bullets, used in prompts so the
+ * model can cite "Role 2, bullet 3".
+ * @param {object} parsedResume - Result of parseResume.
+ * @returns {string}
+ */
+export function formatResumeOutline(parsedResume) {
+  if (!parsedResume?.experience?.length) return ''
+
+  return parsedResume.experience.map((role, roleIndex) => {
+    const heading = [role.title, role.company].filter(Boolean).join(' — ') || 'Untitled role'
+    const dates = role.dates?.raw ? ` (${role.dates.raw})` : ''
+    const bullets = role.bullets
+      .map((bullet, bulletIndex) => `  Bullet ${bulletIndex + 1}: ${bullet.text}`)
+      .join('\n')
+    return `Role ${roleIndex + 1}: ${heading}${dates}${bullets ? `\n${bullets}` : ''}`
+  }).join('\n')
+}
+
+/**
+ * Finds "Role N" / "Role N, bullet M" references in feedback text and resolves
+ * them against the parsed resume.
+ * @param {string} text - Tip or explanation text.
+ * @param {object} parsedResume - Result of parseResume.
+ * @returns {Array<{ role: number, bullet: number|null, label: string, text: string }>}
+ */
+export function resolveResumeReferences(text, parsedResume) {
+  if (!text || !parsedResume?.experience?.length) return []
+
+  const references = []
+  const pattern = /role\s+(\d+)(?:\s*,?\s*bullet\s+(\d+))?/gi
+  let match
+  while ((match = pattern.exec(text)) !== null) {
+    const roleNumber = Number(match[1])
+    const bulletNumber = match[2] ? Number(match[2]) : null
+    const role = parsedResume.experience[roleNumber - 1]
+    if (!role) continue
+
+    const bullet = bulletNumber ? role.bullets[bulletNumber - 1] : null
+    if (bulletNumber && !bullet) continue
+
+    references.push({
+      role: roleNumber,
+      bullet: bulletNumber,
+      label: [role.title, role.company].filter(Boolean).join(' — '),
+      text: bullet ? bullet.text : role.bullets.map(b => b.text).join(' ')
+    })
+  }
+  return references
+}
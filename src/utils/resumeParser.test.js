@@ -0,0 +1,140 @@
+import { parseResume, formatResumeOutline, resolveResumeReferences, RESUME_PARSER_VERSION } from './resumeParser'
+
+const RESUME = `Jane Doe
+jane.doe@example.com | (555) 123-4567 | Austin, TX
+linkedin.com/in/janedoe
+
+SUMMARY
+Frontend engineer with six years of experience.
+
+EXPERIENCE
+Senior Engineer at Acme Corp
+Jan 2020 - Present
+- Built dashboards with React
+- Cut page load time by 40% across
+the checkout flow
+Globex | Software Developer | Remote
+Mar 2017 - Dec 2019
+• Wrote SQL reports
+
+EDUCATION
+University of Texas
+BSc Computer Science, 2013 - 2017
+
+SKILLS
+Languages: JavaScript, TypeScript; SQL
+React, react, Docker
+
+VOLUNTEERING
+Code mentor at a local bootcamp`
+
+describe('parseResume', () => {
+  const parsed = parseResume(RESUME)
+
+  test('reads contact details from the header', () => {
+    expect(parsed.version).toBe(RESUME_PARSER_VERSION)
+    expect(parsed.contact).toEqual({
+      name: 'Jane Doe',
+      email: 'jane.doe@example.com',
+      phone: '(555) 123-4567',
+      links: ['linkedin.com/in/janedoe'],
+      location: 'Austin, TX'
+    })
+    expect(parsed.summary).toBe('Frontend engineer with six years of experience.')
+  })
+
+  test('splits "Title at Company" and "Company | Title | Location" headers', () => {
+    const [acme, globex] = parsed.experience
+
+    expect(acme).toMatchObject({ title: 'Senior Engineer', company: 'Acme Corp', location: '' })
+    expect(acme.dates).toEqual({ raw: 'Jan 2020 - Present', start: 'Jan 2020', end: 'Present' })
+    expect(globex).toMatchObject({ title: 'Software Developer', company: 'Globex', location: 'Remote' })
+  })
+
+  test('joins wrapped bullet lines and accepts different bullet characters', () => {
+    expect(parsed.experience.map(role => role.bullets.map(bullet => bullet.text))).toEqual([
+      ['Built dashboards with React', 'Cut page load time by 40% across the checkout flow'],
+      ['Wrote SQL reports']
+    ])
+  })
+
+  test('reads education entries', () => {
+    expect(parsed.education).toHaveLength(1)
+    expect(parsed.education[0]).toMatchObject({
+      institution: 'University of Texas',
+      degree: 'BSc Computer Science',
+      dates: { raw: '2013 - 2017', start: '2013', end: '2017' }
+    })
+  })
+
+  test('splits skills, drops group labels and removes duplicates', () => {
+    expect(parsed.skills).toEqual(['JavaScript', 'TypeScript', 'SQL', 'React', 'Docker'])
+  })
+
+  test('keeps unrecognized all-caps sections under other', () => {
+    expect(parsed.other).toEqual([{ heading: 'VOLUNTEERING', lines: ['Code mentor at a local bootcamp'] }])
+  })
+
+  test('recognizes common heading variants', () => {
+    expect(parseResume('Jane\nWork Experience:\nEngineer at Acme').experience[0].company).toBe('Acme')
+    expect(parseResume('Jane\nTechnical Skills\nGo, Rust').skills).toEqual(['Go', 'Rust'])
+    expect(parseResume('Jane\nLicenses & Certifications\nAWS Solutions Architect').certifications)
+      .toEqual(['AWS Solutions Architect'])
+  })
+
+  test('returns empty sections when there is no text', () => {
+    const empty = parseResume('')
+
+    expect(empty.experience).toEqual([])
+    expect(empty.skills).toEqual([])
+    expect(empty.contact.email).toBe('')
+  })
+
+  test('keeps the page and box of each PDF layout line', () => {
+    const line = (text, y) => ({ text, fontSize: 10, bbox: [50, y, 200, y + 12] })
+    const layout = {
+      pages: [{ pageNumber: 1, blocks: [{ lines: [line('Experience', 100), line('Engineer at Acme', 120), line('- Shipped it', 140)] }] }]
+    }
+    const [role] = parseResume(layout).experience
+
+    expect(role.title).toBe('Engineer')
+    expect(role.bullets[0].location).toEqual({ page: 1, bbox: [50, 140, 200, 152] })
+  })
+})
+
+describe('formatResumeOutline', () => {
+  test('numbers roles and bullets', () => {
+    const parsed = parseResume('Experience\nEngineer at Acme\nJan 2020 - Present\n- Built it\n- Ran it')
+
+    expect(formatResumeOutline(parsed)).toBe('Role 1: Engineer — Acme (Jan 2020 - Present)\n  Bullet 1: Built it\n  Bullet 2: Ran it')
+  })
+
+  test('labels roles without title or company', () => {
+    const parsed = { experience: [{ title: '', company: '', dates: null, bullets: [] }] }
+
+    expect(formatResumeOutline(parsed)).toBe('Role 1: Untitled role')
+  })
+
+  test('is empty without roles', () => {
+    expect(formatResumeOutline(null)).toBe('')
+    expect(formatResumeOutline({ experience: [] })).toBe('')
+  })
+})
+
+describe('resolveResumeReferences', () => {
+  const parsed = parseResume(RESUME)
+
+  test('resolves a role and bullet reference', () => {
+    expect(resolveResumeReferences('Quantify Role 1, bullet 1', parsed)).toEqual([
+      { role: 1, bullet: 1, label: 'Senior Engineer — Acme Corp', text: 'Built dashboards with React' }
+    ])
+  })
+
+  test('resolves a whole role to its bullets', () => {
+    expect(resolveResumeReferences('Expand role 2', parsed)[0].text).toBe('Wrote SQL reports')
+  })
+
+  test('skips references to roles or bullets that do not exist', () => {
+    expect(resolveResumeReferences('Role 3 and Role 1, bullet 9', parsed)).toEqual([])
+  })
+})
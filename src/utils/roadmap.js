@@ -0,0 +1,40 @@
+// =====================================================
+// IMPROVEMENT ROADMAP HELPERS
+// =====================================================
+
+import { ROADMAP_SECTIONS } from '../services/feedbackSchema'
+
+export const ROADMAP_SECTION_LABELS = {
+  immediate_fixes: 'Immediate Fixes',
+  strategic_enhancements: 'Strategic Enhancements',
+  long_term_goals: 'Long-term Goals'
+}
+
+export const ROADMAP_LEVELS = ['high', 'medium', 'low']
+
+// Roadmap items flattened with a stable key ("<section>:<index>") used to store progress
+export function getRoadmapItems(feedback) {
+  const roadmap = feedback?.improvement_roadmap || {}
+  return ROADMAP_SECTIONS.flatMap(section =>
+    (roadmap[section] || [])
+      .filter(item => item?.action)
+      .map((item, index) => ({
+        key: `${section}:${index}`,
+        section,
+        action: item.action,
+        impact: ROADMAP_LEVELS.includes(item.impact) ? item.impact : 'medium',
+        effort: ROADMAP_LEVELS.includes(item.effort) ? item.effort : 'medium'
+      }))
+  )
+}
+
+// Completed / total roadmap items for a resume record
+export function getRoadmapProgress(feedback, progress = {}) {
+  const items = getRoadmapItems(feedback)
+  const done = items.filter(item => progress?.[item.key]).length
+  return {
+    done,
+    total: items.length,
+    percent: items.length ? Math.round((done / items.length) * 100) : 0
+  }
+}
@@ -0,0 +1,87 @@
+// =====================================================
+// WEIGHTED OVERALL SCORE
+// =====================================================
+//
+// Recomputes overall_score from the category scores and weights instead of
+// trusting the number the model returned, and keeps per-mode custom weights.
+
+import { CATEGORY_KEYS } from '../services/feedbackSchema'
+import { getAnalysisMode } from '../services/analysisModes'
+import { storage } from './utils'
+
+const CUSTOM_WEIGHTS_KEY = 'customScoreWeights'
+
+// Reported and weighted scores closer than this are treated as agreeing
+export const SCORE_DISCREPANCY_THRESHOLD = 3
+
+/**
+ * Category weights stored on an analysis, falling back to the mode defaults
+ * for categories without one.
+ * @param {object} feedback - Validated feedback.
+ * @param {string} [mode] - Analysis mode id.
+ * @returns {object} Weights keyed by category.
+ */
+export function getFeedbackWeights(feedback, mode) {
+  const defaults = getAnalysisMode(mode).weights
+  return Object.fromEntries(CATEGORY_KEYS.map(category => {
+    const weight = feedback?.categories?.[category]?.weight
+    return [category, typeof weight === 'number' ? weight : defaults[category]]
+  }))
+}
+
+/**
+ * Weighted average of the category scores. Weights do not need to add up to
+ * 100; categories without a score are left out.
+ * @param {object} categories - feedback.categories.
+ * @param {object} weights - Weights keyed by category.
+ * @returns {number|null} Rounded 0-100 score, or null when nothing can be weighted.
+ */
+export function computeWeightedScore(categories, weights) {
+  let total = 0
+  let weightSum = 0
+
+  CATEGORY_KEYS.forEach(category => {
+    const score = categories?.[category]?.score
+    const weight = Number(weights?.[category]) || 0
+    if (typeof score !== 'number' || weight <= 0) return
+    total += score * weight
+    weightSum += weight
+  })
+
+  return weightSum > 0 ? Math.round(total / weightSum) : null
+}
+
+/**
+ * Compares the model's overall_score with the weighted score.
+ * @param {object} feedback - Validated feedback.
+ * @param {object} weights - Weights keyed by category.
+ * @returns {{reported: number|null, weighted: number|null, difference: number|null, significant: boolean}}
+ */
+export function getScoreBreakdown(feedback, weights) {
+  const reported = typeof feedback?.overall_score === 'number' ? feedback.overall_score : null
+  const weighted = computeWeightedScore(feedback?.categories, weights)
+  const difference = reported !== null && weighted !== null ? weighted - reported : null
+
+  return {
+    reported,
+    weighted,
+    difference,
+    significant: difference !== null && Math.abs(difference) >= SCORE_DISCREPANCY_THRESHOLD
+  }
+}
+
+// Custom weights are kept per analysis mode, since a recruiter-mode and an ATS-mode target weigh differently
+export function loadCustomWeights(mode) {
+  const saved = storage.get(CUSTOM_WEIGHTS_KEY, {})
+  return saved?.[getAnalysisMode(mode).id] || null
+}
+
+export function saveCustomWeights(mode, weights) {
+  const saved = storage.get(CUSTOM_WEIGHTS_KEY, {}) || {}
+  return storage.set(CUSTOM_WEIGHTS_KEY, { ...saved, [getAnalysisMode(mode).id]: weights })
+}
+
+export function clearCustomWeights(mode) {
+  const { [getAnalysisMode(mode).id]: _removed, ...rest } = storage.get(CUSTOM_WEIGHTS_KEY, {}) || {}
+  return storage.set(CUSTOM_WEIGHTS_KEY, rest)
+}
@@ -0,0 +1,215 @@
+// =====================================================
+// SKILLS DICTIONARY
+// =====================================================
+//
+// Canonical skill names with the spellings job descriptions and resumes use
+// for them. Matching is whole-term and case-insensitive, so short aliases
+// such as "go" or "r" are listed only in unambiguous forms. Aliases are other
+// names for the same skill only: related tools (GitHub for Git, a CRM for
+// Salesforce) are not aliases, or one would count as having the other.
+
+import { containsKeyword } from './keywordExtractor'
+
+export const SKILL_CATEGORIES = {
+  language: 'Programming languages',
+  frontend: 'Frontend',
+  backend: 'Backend & frameworks',
+  data: 'Data & databases',
+  cloud: 'Cloud & DevOps',
+  ml: 'Machine learning & AI',
+  mobile: 'Mobile',
+  testing: 'Testing & quality',
+  tools: 'Tools & practices',
+  design: 'Design',
+  business: 'Business & analytics',
+  soft: 'Soft skills'
+}
+
+const skill = (name, category, aliases = []) => ({ name, category, aliases: [name.toLowerCase(), ...aliases] })
+
+// Names that are also ordinary words ("go", "express", "excel") only match through their aliases
+const ambiguousSkill = (name, category, aliases) => ({ name, category, aliases })
+
+export const SKILLS = [
+  // Programming languages
+  skill('JavaScript', 'language', ['js', 'es6', 'ecmascript']),
+  skill('TypeScript', 'language', ['ts']),
+  skill('Python', 'language'),
+  skill('Java', 'language', ['java 8', 'java 11', 'java 17']),
+  skill('Kotlin', 'language'),
+  ambiguousSkill('Swift', 'language', ['swift programming', 'swift 5']),
+  skill('Objective-C', 'language', ['objective c']),
+  ambiguousSkill('C', 'language', ['ansi c', 'c programming', 'c language', 'embedded c']),
+  skill('C++', 'language', ['cpp']),
+  skill('C#', 'language', ['c sharp', 'csharp']),
+  ambiguousSkill('Go', 'language', ['golang', 'go language', 'go programming']),
+  skill('Rust', 'language'),
+  skill('Ruby', 'language'),
+  skill('PHP', 'language'),
+  skill('Scala', 'language'),
+  ambiguousSkill('R', 'language', ['r programming', 'r language']),
+  skill('Dart', 'language'),
+  skill('Elixir', 'language'),
+  skill('Perl', 'language'),
+  skill('Bash', 'language'),
+  skill('SQL', 'language', ['t-sql', 'pl/sql', 'plsql']),
+  skill('MATLAB', 'language'),
+
+  // Frontend
+  skill('React', 'frontend', ['react.js', 'reactjs']),
+  skill('Redux', 'frontend', ['redux toolkit']),
+  skill('Next.js', 'frontend', ['nextjs']),
+  skill('Vue.js', 'frontend', ['vue', 'vuejs']),
+  skill('Angular', 'frontend', ['angularjs', 'angular.js']),
+  skill('Svelte', 'frontend'),
+  skill('HTML', 'frontend', ['html5']),
+  skill('CSS', 'frontend', ['css3']),
+  skill('Tailwind CSS', 'frontend', ['tailwind']),
+  skill('Webpack', 'frontend'),
+  skill('Accessibility', 'frontend', ['a11y']),
+
+  // Backend & frameworks
+  skill('Node.js', 'backend', ['nodejs', 'node js']),
+  ambiguousSkill('Express', 'backend', ['express.js', 'expressjs']),
+  skill('NestJS', 'backend', ['nest.js']),
+  skill('Django', 'backend'),
+  skill('Flask', 'backend'),
+  skill('FastAPI', 'backend'),
+  skill('Spring Boot', 'backend', ['springboot']),
+  skill('.NET', 'backend', ['dotnet', '.net core']),
+  skill('Ruby on Rails', 'backend', ['rails', 'ror']),
+  skill('Laravel', 'backend'),
+  skill('REST APIs', 'backend', ['restful', 'rest api', 'restful apis', 'restful services']),
+  skill('GraphQL', 'backend'),
+  skill('gRPC', 'backend'),
+  skill('Microservices', 'backend', ['microservice']),
+  skill('System Design', 'backend', ['systems design']),
+
+  // Data & databases
+  skill('PostgreSQL', 'data', ['postgres', 'psql']),
+  skill('MySQL', 'data'),
+  skill('MongoDB', 'data', ['mongo']),
+  skill('Redis', 'data'),
+  skill('Elasticsearch', 'data', ['elastic search']),
+  skill('Cassandra', 'data'),
+  skill('DynamoDB', 'data'),
+  skill('SQLite', 'data'),
+  skill('Oracle Database', 'data', ['oracle db']),
+  skill('SQL Server', 'data', ['mssql', 'ms sql']),
+  skill('Kafka', 'data', ['apache kafka']),
+  skill('RabbitMQ', 'data'),
+  skill('Spark', 'data', ['apache spark']),
+  skill('Hadoop', 'data'),
+  skill('Airflow', 'data', ['apache airflow']),
+  skill('dbt', 'data'),
+  skill('Snowflake', 'data'),
+  skill('BigQuery', 'data', ['big query']),
+  skill('Redshift', 'data'),
+  skill('ETL', 'data'),
+  skill('Data Modeling', 'data', ['data modelling']),
+  skill('Pandas', 'data'),
+  skill('NumPy', 'data'),
+
+  // Cloud & DevOps
+  skill('AWS', 'cloud', ['amazon web services']),
+  skill('Azure', 'cloud', ['microsoft azure']),
+  skill('Google Cloud', 'cloud', ['gcp', 'google cloud platform']),
+  skill('Docker', 'cloud'),
+  skill('Kubernetes', 'cloud', ['k8s']),
+  skill('Terraform', 'cloud'),
+  skill('Ansible', 'cloud'),
+  skill('CI/CD', 'cloud', ['continuous integration', 'continuous delivery', 'continuous deployment', 'ci cd']),
+  skill('Jenkins', 'cloud'),
+  skill('GitHub Actions', 'cloud'),
+  skill('Linux', 'cloud'),
+  skill('Nginx', 'cloud'),
+  skill('Prometheus', 'cloud'),
+  skill('Monitoring', 'cloud'),
+  skill('Serverless', 'cloud'),
+
+  // Machine learning & AI
+  skill('Machine Learning', 'ml', ['ml']),
+  skill('Deep Learning', 'ml'),
+  skill('TensorFlow', 'ml'),
+  skill('PyTorch', 'ml'),
+  skill('scikit-learn', 'ml', ['sklearn', 'scikit learn']),
+  skill('Natural Language Processing', 'ml', ['nlp']),
+  skill('Computer Vision', 'ml'),
+  skill('Large Language Models', 'ml', ['llm', 'llms', 'large language model']),
+  skill('MLOps', 'ml', ['ml ops']),
+  skill('Statistics', 'ml', ['statistical analysis', 'statistical modeling']),
+
+  // Mobile
+  skill('iOS', 'mobile'),
+  skill('Android', 'mobile'),
+  skill('React Native', 'mobile'),
+  skill('Flutter', 'mobile'),
+
+  // Testing & quality
+  skill('Unit Testing', 'testing', ['unit tests']),
+  skill('Jest', 'testing'),
+  skill('Cypress', 'testing'),
+  skill('Playwright', 'testing'),
+  skill('Selenium', 'testing'),
+  skill('JUnit', 'testing'),
+  skill('pytest', 'testing'),
+  skill('Test Automation', 'testing', ['automated testing', 'qa automation']),
+
+  // Tools & practices
+  skill('Git', 'tools'),
+  skill('Agile', 'tools'),
+  skill('Jira', 'tools'),
+  skill('Code Review', 'tools', ['code reviews']),
+  skill('Security', 'tools', ['application security', 'appsec']),
+  skill('Performance Optimization', 'tools', ['performance tuning', 'web performance']),
+
+  // Design
+  skill('Figma', 'design'),
+  ambiguousSkill('Sketch', 'design', ['sketch app']),
+  skill('Adobe Creative Suite', 'design', ['adobe creative cloud', 'adobe cc']),
+  skill('UX Research', 'design', ['user research', 'user experience research']),
+  skill('UI Design', 'design', ['user interface design']),
+  skill('Wireframing', 'design', ['wireframes']),
+
+  // Business & analytics
+  ambiguousSkill('Excel', 'business', ['microsoft excel', 'ms excel', 'advanced excel']),
+  skill('Tableau', 'business'),
+  skill('Power BI', 'business', ['powerbi']),
+  skill('Looker', 'business'),
+  skill('Data Analysis', 'business', ['data analytics']),
+  skill('Product Management', 'business'),
+  skill('Project Management', 'business'),
+  skill('Salesforce', 'business'),
+  skill('SEO', 'business', ['search engine optimization']),
+  skill('Financial Modeling', 'business', ['financial modelling']),
+
+  // Soft skills
+  skill('Communication', 'soft', ['communication skills', 'written and verbal communication']),
+  skill('Leadership', 'soft', ['team leadership']),
+  skill('Mentoring', 'soft', ['mentorship']),
+  skill('Problem Solving', 'soft', ['problem-solving']),
+  skill('Collaboration', 'soft', ['teamwork']),
+  skill('Ownership', 'soft')
+]
+
+const SKILLS_BY_NAME = new Map(SKILLS.map(entry => [entry.name.toLowerCase(), entry]))
+const SKILLS_BY_ALIAS = new Map(SKILLS.flatMap(entry => entry.aliases.map(alias => [alias, entry])))
+
+// Dictionary entry for a canonical skill name or one of its aliases, or null
+export function getSkill(name = '') {
+  const key = name.trim().toLowerCase()
+  return SKILLS_BY_NAME.get(key) || SKILLS_BY_ALIAS.get(key) || null
+}
+
+// Canonical skills mentioned anywhere in the text, in dictionary order
+export function findSkills(text = '') {
+  if (!text) return []
+  return SKILLS.filter(entry => entry.aliases.some(alias => containsKeyword(text, alias)))
+}
+
+// Whether the text mentions a skill under any of its names. Unknown skills match literally.
+export function mentionsSkill(text = '', name = '') {
+  const entry = getSkill(name)
+  const aliases = entry ? entry.aliases : [name]
+  return aliases.some(alias => containsKeyword(text, alias))
+}
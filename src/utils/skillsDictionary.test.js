@@ -0,0 +1,57 @@
+import { getSkill, findSkills, mentionsSkill } from './skillsDictionary'
+
+const names = (skills) => skills.map(skill => skill.name)
+
+describe('getSkill', () => {
+  test('resolves canonical names and aliases case-insensitively', () => {
+    expect(getSkill('javascript').name).toBe('JavaScript')
+    expect(getSkill(' JS ').name).toBe('JavaScript')
+    expect(getSkill('k8s').name).toBe('Kubernetes')
+  })
+
+  test('returns null for unknown names', () => {
+    expect(getSkill('COBOL')).toBeNull()
+    expect(getSkill('')).toBeNull()
+  })
+
+  test('does not alias related tools to a different skill', () => {
+    expect(getSkill('CRM')).toBeNull()
+    expect(getSkill('Confluence')).toBeNull()
+    expect(getSkill('GitHub')).toBeNull()
+    expect(getSkill('OAuth')).toBeNull()
+    expect(getSkill('Analytics')).toBeNull()
+  })
+})
+
+describe('mentionsSkill', () => {
+  test('matches a skill under any of its names', () => {
+    expect(mentionsSkill('Built dashboards in ReactJS', 'React')).toBe(true)
+    expect(mentionsSkill('Shipped services on k8s', 'Kubernetes')).toBe(true)
+    expect(mentionsSkill('Wrote Golang CLIs', 'Go')).toBe(true)
+  })
+
+  test('does not treat related skills as the same one', () => {
+    expect(mentionsSkill('Managed the CRM rollout', 'Salesforce')).toBe(false)
+    expect(mentionsSkill('Administered Salesforce', 'CRM')).toBe(false)
+    expect(mentionsSkill('Documented everything in Confluence', 'Jira')).toBe(false)
+    expect(mentionsSkill('Open source work on GitHub and GitLab', 'Git')).toBe(false)
+    expect(mentionsSkill('Maintained Bitbucket pipelines', 'Git')).toBe(false)
+    expect(mentionsSkill('Implemented OAuth and authentication flows', 'Security')).toBe(false)
+    expect(mentionsSkill('Set up product analytics', 'Data Analysis')).toBe(false)
+  })
+
+  test('matches unknown skills literally', () => {
+    expect(mentionsSkill('Maintained COBOL batch jobs', 'COBOL')).toBe(true)
+    expect(mentionsSkill('Maintained batch jobs', 'COBOL')).toBe(false)
+  })
+})
+
+describe('findSkills', () => {
+  test('lists each mentioned skill once, in dictionary order', () => {
+    expect(names(findSkills('TypeScript, JavaScript (ES6) and React.js; some JS tooling'))).toEqual(['JavaScript', 'TypeScript', 'React'])
+  })
+
+  test('does not infer a skill from a related tool', () => {
+    expect(names(findSkills('GitHub, Confluence, CRM, OAuth and web analytics'))).toEqual([])
+  })
+})
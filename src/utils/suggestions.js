@@ -0,0 +1,59 @@
+// =====================================================
+// SUGGESTION HELPERS
+// =====================================================
+
+import { PRIORITY_LEVELS } from '../services/feedbackSchema'
+
+export const SUGGESTION_STATUSES = ['open', 'done', 'dismissed']
+
+// Categories whose suggestions change how an ATS parses or ranks the resume
+export const ATS_SUGGESTION_CATEGORIES = ['keywords', 'formatting']
+
+const QUALITATIVE_IMPACT = [
+  { pattern: /\b(high|major|significant|large|substantial)\b/i, points: 8 },
+  { pattern: /\b(medium|moderate)\b/i, points: 4 },
+  { pattern: /\b(low|minor|small|slight)\b/i, points: 1 }
+]
+
+/**
+ * Turns the free-text estimated_impact ("+5-10 points", "high") into a number
+ * of points that can be sorted on. Ranges use their midpoint.
+ * @param {string} text
+ * @returns {number|null} Estimated points, or null when the text gives no hint.
+ */
+export function parseEstimatedImpact(text) {
+  if (!text) return null
+  const numbers = (text.match(/\d+(\.\d+)?/g) || []).map(Number).filter(n => n <= 100)
+  if (numbers.length > 0) {
+    const [low, high = low] = numbers
+    return (low + high) / 2
+  }
+  return QUALITATIVE_IMPACT.find(level => level.pattern.test(text))?.points ?? null
+}
+
+// Suggestions with a stable key ("suggestion:<index>") used to store their done / dismissed state
+export function getSuggestionItems(feedback, states = {}) {
+  return (feedback?.suggestions || []).map((suggestion, index) => {
+    const key = `suggestion:${index}`
+    return {
+      ...suggestion,
+      key,
+      status: states?.[key]?.status || 'open',
+      impactPoints: parseEstimatedImpact(suggestion.estimated_impact)
+    }
+  })
+}
+
+export const isAtsSuggestion = (suggestion) => ATS_SUGGESTION_CATEGORIES.includes(suggestion.category)
+
+const priorityRank = (priority) => {
+  const rank = PRIORITY_LEVELS.indexOf(priority)
+  return rank === -1 ? PRIORITY_LEVELS.length : rank
+}
+
+const compareImpact = (a, b) => (b.impactPoints ?? -1) - (a.impactPoints ?? -1)
+
+export const SUGGESTION_SORTS = {
+  priority: (a, b) => priorityRank(a.priority) - priorityRank(b.priority) || compareImpact(a, b),
+  impact: (a, b) => compareImpact(a, b) || priorityRank(a.priority) - priorityRank(b.priority)
+}
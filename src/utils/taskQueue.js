@@ -0,0 +1,51 @@
+// =====================================================
+// TASK QUEUE
+// =====================================================
+
+/**
+ * Runs async tasks with at most `concurrency` of them in flight. Tasks that
+ * have not started when `signal` aborts are skipped.
+ * @param {Array<function(): Promise>} tasks
+ * @param {object} [options]
+ * @param {number} [options.concurrency=2]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<Array<{status: 'fulfilled'|'rejected'|'cancelled', value?: *, reason?: Error}>>}
+ *   One entry per task, in task order. Never rejects.
+ */
+export async function runQueue(tasks, { concurrency = 2, signal } = {}) {
+  const results = new Array(tasks.length)
+  let next = 0
+
+  const worker = async () => {
+    while (next < tasks.length) {
+      const index = next++
+      if (signal?.aborted) {
+        results[index] = { status: 'cancelled' }
+        continue
+      }
+      try {
+        results[index] = { status: 'fulfilled', value: await tasks[index]() }
+      } catch (reason) {
+        results[index] = { status: 'rejected', reason }
+      }
+    }
+  }
+
+  const workers = Math.max(1, Math.min(concurrency, tasks.length))
+  await Promise.all(Array.from({ length: workers }, worker))
+  return results
+}
+
+/**
+ * Returns a function that runs the tasks passed to it one at a time, in call
+ * order, e.g. to keep concurrent saves from racing for the same version number.
+ * @returns {function(function(): Promise): Promise}
+ */
+export function createSerialRunner() {
+  let tail = Promise.resolve()
+  return (task) => {
+    const run = tail.then(task)
+    tail = run.catch(() => {})
+    return run
+  }
+}
@@ -0,0 +1,63 @@
+// =====================================================
+// LINE DIFF
+// =====================================================
+
+// Above this many lines per side the LCS table gets too large for the main thread
+const MAX_DIFF_LINES = 1500
+
+function toLines(text = '') {
+  return text
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+}
+
+/**
+ * Line-by-line diff of two texts (longest common subsequence).
+ * Whitespace inside lines is normalized and blank lines are ignored, so
+ * re-flowed text extraction does not show up as edits.
+ * @param {string} oldText
+ * @param {string} newText
+ * @returns {{ changes: Array<{ type: 'equal'|'added'|'removed', text: string }>, added: number, removed: number, truncated: boolean }}
+ */
+export function diffLines(oldText, newText) {
+  const allOld = toLines(oldText)
+  const allNew = toLines(newText)
+  const truncated = allOld.length > MAX_DIFF_LINES || allNew.length > MAX_DIFF_LINES
+  const a = allOld.slice(0, MAX_DIFF_LINES)
+  const b = allNew.slice(0, MAX_DIFF_LINES)
+
+  // lengths[i][j] = LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1))
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1])
+    }
+  }
+
+  const changes = []
+  let i = 0
+  let j = 0
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      changes.push({ type: 'equal', text: a[i] })
+      i++
+      j++
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      changes.push({ type: 'removed', text: a[i++] })
+    } else {
+      changes.push({ type: 'added', text: b[j++] })
+    }
+  }
+  while (i < a.length) changes.push({ type: 'removed', text: a[i++] })
+  while (j < b.length) changes.push({ type: 'added', text: b[j++] })
+
+  return {
+    changes,
+    added: changes.filter(change => change.type === 'added').length,
+    removed: changes.filter(change => change.type === 'removed').length,
+    truncated
+  }
+}
@@ -0,0 +1,42 @@
+import { diffLines } from './textDiff'
+
+const render = (result) => result.changes.map(change => `${{ equal: ' ', added: '+', removed: '-' }[change.type]} ${change.text}`)
+
+describe('diffLines', () => {
+  test('marks every line equal for identical texts', () => {
+    const result = diffLines('one\ntwo', 'one\ntwo')
+
+    expect(render(result)).toEqual(['  one', '  two'])
+    expect(result.added).toBe(0)
+    expect(result.removed).toBe(0)
+  })
+
+  test('finds added and removed lines', () => {
+    const result = diffLines('one\ntwo\nthree', 'one\nthree\nfour')
+
+    expect(render(result)).toEqual(['  one', '- two', '  three', '+ four'])
+    expect(result.added).toBe(1)
+    expect(result.removed).toBe(1)
+  })
+
+  test('shows a changed line as removed, then added', () => {
+    expect(render(diffLines('one\ntwo', 'one\nTWO'))).toEqual(['  one', '- two', '+ TWO'])
+  })
+
+  test('ignores whitespace changes and blank lines', () => {
+    expect(render(diffLines('one   two\n\n\nthree', '  one two\nthree  \n'))).toEqual(['  one two', '  three'])
+  })
+
+  test('handles an empty side', () => {
+    expect(render(diffLines('', 'one'))).toEqual(['+ one'])
+    expect(render(diffLines('one', undefined))).toEqual(['- one'])
+  })
+
+  test('compares only the first 1500 lines of long texts', () => {
+    const text = Array.from({ length: 1600 }, (_, index) => `line ${index}`).join('\n')
+    const result = diffLines(text, text)
+
+    expect(result.truncated).toBe(true)
+    expect(result.changes).toHaveLength(1500)
+  })
+})
@@ -0,0 +1,4 @@
+-- Analysis mode used for each report: 'soft' (recruiter review) or 'ats' (ATS-strict).
+alter table public.resumes
+  add column if not exists resume_mode text not null default 'soft'
+  check (resume_mode in ('soft', 'ats'));
@@ -0,0 +1,4 @@
+-- Extracted resume text and the deterministic rule-based ATS report computed at upload time.
+alter table public.resumes
+  add column if not exists resume_text text,
+  add column if not exists local_ats_report jsonb;
@@ -0,0 +1,3 @@
+-- Structured resume sections (contact, experience, education, skills, ...) from utils/resumeParser.
+alter table public.resumes
+  add column if not exists parsed_resume jsonb;
@@ -0,0 +1,40 @@
+-- Group uploads of the same resume into documents with numbered versions.
+create table if not exists public.resume_documents (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  name text not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists resume_documents_user_id_idx on public.resume_documents (user_id);
+
+alter table public.resume_documents enable row level security;
+
+create policy "Users manage their own resume documents"
+  on public.resume_documents
+  for all
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
+
+alter table public.resumes
+  add column if not exists document_id uuid references public.resume_documents (id) on delete cascade,
+  add column if not exists version_number integer;
+
+-- Existing uploads become version 1 of their own document
+do $$
+declare
+  r record;
+  new_document_id uuid;
+begin
+  for r in select id, user_id, job_title, company_name, created_at from public.resumes where document_id is null loop
+    insert into public.resume_documents (user_id, name, created_at, updated_at)
+    values (r.user_id, concat_ws(' at ', r.job_title, r.company_name), r.created_at, r.created_at)
+    returning id into new_document_id;
+
+    update public.resumes set document_id = new_document_id, version_number = 1 where id = r.id;
+  end loop;
+end $$;
+
+create unique index if not exists resumes_document_version_idx
+  on public.resumes (document_id, version_number);
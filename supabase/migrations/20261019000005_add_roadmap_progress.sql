@@ -0,0 +1,3 @@
+-- Checked-off improvement roadmap items per resume: { "<section>:<index>": "<completed_at>" }
+alter table public.resumes
+  add column if not exists roadmap_progress jsonb not null default '{}'::jsonb;
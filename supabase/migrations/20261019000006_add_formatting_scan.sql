@@ -0,0 +1,3 @@
+-- Local glyph / table / column scan of the extracted text (utils/formattingScanner.js), stored at upload time.
+alter table public.resumes
+  add column if not exists formatting_scan jsonb;
@@ -0,0 +1,3 @@
+-- Done / dismissed state of each feedback suggestion per resume: { "suggestion:<index>": { "status": "done", "updated_at": "<timestamp>" } }
+alter table public.resumes
+  add column if not exists suggestion_states jsonb not null default '{}'::jsonb;
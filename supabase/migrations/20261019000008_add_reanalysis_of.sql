@@ -0,0 +1,5 @@
+-- A re-analysis is a new version that reuses the stored files of the resume it was run from
+alter table public.resumes
+  add column if not exists reanalysis_of uuid references public.resumes (id) on delete set null;
+
+create index if not exists resumes_resume_path_idx on public.resumes (resume_path);
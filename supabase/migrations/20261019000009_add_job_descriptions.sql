@@ -0,0 +1,26 @@
+-- Saved job descriptions that can be reused across resumes.
+create table if not exists public.job_descriptions (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  company_name text not null,
+  job_title text not null,
+  description text not null,
+  tags text[] not null default '{}',
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists job_descriptions_user_id_idx on public.job_descriptions (user_id);
+create index if not exists job_descriptions_tags_idx on public.job_descriptions using gin (tags);
+
+alter table public.job_descriptions enable row level security;
+
+create policy "Users manage their own job descriptions"
+  on public.job_descriptions
+  for all
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
+
+-- The job description an analysis was scored against, when it came from the library
+alter table public.resumes
+  add column if not exists job_description_id uuid references public.job_descriptions (id) on delete set null;
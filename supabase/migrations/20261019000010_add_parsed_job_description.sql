@@ -0,0 +1,7 @@
+-- Structured requirements parsed from the job description text (utils/jobDescriptionParser.js):
+-- required / preferred skills, years of experience, education, location and seniority.
+alter table public.resumes
+  add column if not exists parsed_job_description jsonb;
+
+alter table public.job_descriptions
+  add column if not exists parsed jsonb;
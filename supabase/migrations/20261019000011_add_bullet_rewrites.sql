@@ -0,0 +1,4 @@
+-- AI rewrites of experience bullets per resume and the user's choice for each:
+-- { "r1b2": { "original": "<bullet>", "variants": [{ "text": "...", "rationale": "...", "keywords": [] }], "status": "accepted", "accepted": 0 } }
+alter table public.resumes
+  add column if not exists bullet_rewrites jsonb not null default '{}'::jsonb;
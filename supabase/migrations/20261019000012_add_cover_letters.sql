@@ -0,0 +1,21 @@
+-- Cover letters generated from an analysis, edited and kept per resume.
+create table if not exists public.cover_letters (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  resume_id uuid not null references public.resumes (id) on delete cascade,
+  tone text not null,
+  length text not null,
+  content text not null,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists cover_letters_resume_id_idx on public.cover_letters (resume_id);
+
+alter table public.cover_letters enable row level security;
+
+create policy "Users manage their own cover letters"
+  on public.cover_letters
+  for all
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
@@ -0,0 +1,3 @@
+-- Generated interview preparation pack per resume (services/interviewPrepGenerator.js), kept until the user regenerates it.
+alter table public.resumes
+  add column if not exists interview_prep jsonb;
@@ -0,0 +1,23 @@
+-- Provider analyses keyed by a hash of the normalized resume text, job, mode and prompt version
+-- (services/analysisCache.js), so running the same resume against the same job reuses the result.
+create table if not exists public.analysis_cache (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  cache_key text not null,
+  prompt_version integer not null,
+  feedback jsonb not null,
+  created_at timestamptz not null default now(),
+  unique (user_id, cache_key)
+);
+
+alter table public.analysis_cache enable row level security;
+
+create policy "Users manage their own cached analyses"
+  on public.analysis_cache
+  for all
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
+
+-- Where the feedback of a resume came from when it was reused from the cache: { source, cached_at }.
+alter table public.resumes
+  add column if not exists analysis_cache_hit jsonb;
@@ -0,0 +1,7 @@
+-- Re-analyses (reanalysis_of is set) keep the version number of the upload they were run from,
+-- so version numbers only have to be unique among the uploads of a document.
+drop index if exists public.resumes_document_version_idx;
+
+create unique index if not exists resumes_document_version_idx
+  on public.resumes (document_id, version_number)
+  where reanalysis_of is null;
@@ -0,0 +1,58 @@
+-- Version numbering of resume rows. Run with `supabase test db`.
+begin;
+create extension if not exists pgtap with schema extensions;
+
+select plan(5);
+
+insert into auth.users (id, email)
+values ('00000000-0000-0000-0000-000000000001', 'versions@example.com');
+
+insert into public.resume_documents (id, user_id, name)
+values ('00000000-0000-0000-0000-0000000000d1', '00000000-0000-0000-0000-000000000001', 'Engineer at Acme');
+
+insert into public.resumes (id, user_id, company_name, job_title, resume_path, document_id, version_number)
+values ('00000000-0000-0000-0000-0000000000a1', '00000000-0000-0000-0000-000000000001', 'Acme', 'Engineer',
+        '00000000-0000-0000-0000-000000000001/pdf/resume.pdf', '00000000-0000-0000-0000-0000000000d1', 1);
+
+select lives_ok(
+  $$ insert into public.resumes (id, user_id, company_name, job_title, resume_path, document_id, version_number, reanalysis_of)
+     values ('00000000-0000-0000-0000-0000000000b1', '00000000-0000-0000-0000-000000000001', 'Globex', 'Engineer',
+             '00000000-0000-0000-0000-000000000001/pdf/resume.pdf', '00000000-0000-0000-0000-0000000000d1', 1, '00000000-0000-0000-0000-0000000000a1') $$,
+  'a re-analysis can be saved next to its source version'
+);
+
+select lives_ok(
+  $$ insert into public.resumes (id, user_id, company_name, job_title, resume_path, document_id, version_number, reanalysis_of)
+     values ('00000000-0000-0000-0000-0000000000b2', '00000000-0000-0000-0000-000000000001', 'Globex', 'Engineer',
+             '00000000-0000-0000-0000-000000000001/pdf/resume.pdf', '00000000-0000-0000-0000-0000000000d1', 1, '00000000-0000-0000-0000-0000000000a1') $$,
+  'a version can have several re-analyses'
+);
+
+select throws_ok(
+  $$ insert into public.resumes (id, user_id, company_name, job_title, resume_path, document_id, version_number)
+     values ('00000000-0000-0000-0000-0000000000a2', '00000000-0000-0000-0000-000000000001', 'Globex', 'Engineer',
+             '00000000-0000-0000-0000-000000000001/pdf/resume.pdf', '00000000-0000-0000-0000-0000000000d1', 1) $$,
+  '23505',
+  null,
+  'two uploads cannot share a version number'
+);
+
+-- What resumeService.delete does before removing an upload: one re-analysis takes its place
+update public.resumes set reanalysis_of = '00000000-0000-0000-0000-0000000000b1'
+where reanalysis_of = '00000000-0000-0000-0000-0000000000a1' and id <> '00000000-0000-0000-0000-0000000000b1';
+
+select lives_ok(
+  $$ delete from public.resumes where id = '00000000-0000-0000-0000-0000000000a1' $$,
+  'deleting an upload keeps its re-analyses'
+);
+
+select results_eq(
+  $$ select id::text, reanalysis_of::text from public.resumes
+     where document_id = '00000000-0000-0000-0000-0000000000d1' order by id $$,
+  $$ values ('00000000-0000-0000-0000-0000000000b1', null::text),
+            ('00000000-0000-0000-0000-0000000000b2', '00000000-0000-0000-0000-0000000000b1') $$,
+  'the oldest re-analysis becomes the version'
+);
+
+select * from finish();
+rollback;